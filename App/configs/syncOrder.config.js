@@ -20,7 +20,6 @@ const MODEL_SYNC_ORDER = [
   // Tier 1: Base tables (no foreign key dependencies)
   // ============================================
   'company',
-  'risk_matrices',
 
   // ============================================
   // Tier 2: Tables that only depend on Tier 1
@@ -36,22 +35,42 @@ const MODEL_SYNC_ORDER = [
   'reset_passwords', // depends on: user
   'notifications',   // depends on: user
   'license_pools',   // depends on: user, company
+  'company_risk_matrices', // depends on: company, user
+  'approval_chains', // depends on: company, user
+  'approval_delegations', // depends on: company, user
+  'approval_sla_policies', // depends on: company, user
+  'asset_mapping_profiles', // depends on: company, user
+  'asset_moves',            // depends on: company, asset_hierarchy, user
+  'asset_criticality_schemes',     // depends on: company, user
+  'asset_criticality_assessments', // depends on: company, asset_hierarchy, user
+  'task_hazard_templates',         // depends on: company, asset_hierarchy, user
+  'hazard_categories',             // depends on: company, user
 
   // ============================================
   // Tier 4: Tables that depend on Tier 1-3
   // ============================================
   'license_allocations', // depends on: license_pools, user, company
-  'task_hazards',        // depends on: company, asset_hierarchy, user
+  'task_hazard_template_versions', // depends on: task_hazard_templates, user
+  'hazard_controls',     // depends on: company, hazard_categories, user
+  'task_hazards',        // depends on: company, asset_hierarchy, user, task_hazard_template_versions
   'risk_assessments',    // depends on: company, asset_hierarchy, user
+  'asset_upload_previews', // depends on: company, user, file_uploads
+  'upload_jobs',           // depends on: file_uploads, company, user
+  'asset_changes',         // depends on: company, asset_hierarchy, file_uploads, user
 
   // ============================================
   // Tier 5: Child tables and junction tables
   // ============================================
-  'task_risks',                  // depends on: task_hazards
-  'risk_assessment_risks',       // depends on: risk_assessments
+  'task_risks',                  // depends on: task_hazards, hazard_categories, hazard_controls
+  'risk_assessment_risks',       // depends on: risk_assessments, hazard_categories, hazard_controls
   'task_hazard_individuals',     // depends on: task_hazards, user
+  'task_hazard_isolation_points', // depends on: company, task_hazards, asset_hierarchy, user
   'risk_assessment_individuals', // depends on: risk_assessments, user
   'supervisor_approvals',        // depends on: user (polymorphic refs to task_hazards/risk_assessments)
+  'task_hazard_acknowledgements', // depends on: task_hazards, user, supervisor_approvals
+  'approval_chain_steps',        // depends on: approval_chains, user
+  'supervisor_approval_steps',   // depends on: supervisor_approvals, user
+  'approval_seals',              // depends on: supervisor_approvals, company
 ];
 
 module.exports = { MODEL_SYNC_ORDER };
@@ -2,80 +2,164 @@
 // const _ = require('lodash');
 const models = require('../models');
 const AssetHeirarchy = models.asset_hierarchy;
-const RiskMatrix = models.risk_matrices;
+const { getCompanyId } = require('../helper/controllerHelper');
+const {
+	MAT_TYPES,
+	buildDefaultBands,
+	validateMatrixDefinition,
+	normalizeMatrixDefinition,
+	getActiveMatrix
+} = require('../helper/riskMatrixHelper');
+const { publishMatrixVersion } = require('./risk_matrix.controller');
+const { MAX_TREE_DEPTH, parseTreeDepth, loadRootTree } = require('../helper/assetTreeHelper');
+const { recordAssetChanges, buildCreateChanges } = require('../helper/assetHistoryHelper');
+const { recalculateCriticality } = require('../helper/assetCriticalityHelper');
 
 module.exports.saveAssetHeirarchy = async (req, res) => {
 	try {
-		let newAsset = await AssetHeirarchy.bulkCreate(req.body);
+		let newAsset = await models.sequelize.transaction(async (transaction) => {
+			const created = await AssetHeirarchy.bulkCreate(req.body, { transaction });
+			const companyIds = [...new Set(created.map(asset => asset.companyId))];
+			for (const companyId of companyIds) {
+				const assetIds = created.filter(asset => asset.companyId === companyId).map(asset => asset.id);
+				await recordAssetChanges(buildCreateChanges(assetIds), { companyId, source: 'api', changedBy: req.user.id }, transaction);
+				await recalculateCriticality(companyId, assetIds, transaction);
+			}
+			return created;
+		});
 		return res.status(201).send({ status: 200, data: newAsset });
 	} catch (err) {
 		return res.status(500).send(err);
 	}
 }
 
+/**
+ * Get the asset hierarchy of the user's company as a nested tree
+ * Kept for existing clients; large plants should use /asset-hierarchy/tree and /asset-hierarchy/:id/tree
+ */
 module.exports.getDescendants = async (req, res) => {
 	try {
-		const result = await AssetHeirarchy.findAll({ where: {}, attr: ['name', 'id', 'assetId', 'parent'] })
-		var t = {};
-		const root = undefined;
-		result.forEach(o => {
-			Object.assign(t[o.assetId.toString()] = t[o.assetId.toString()] || {}, o.dataValues);
-			let parent = o.parent ? o.parent.toString() : undefined;
-			t[parent] = t[parent] || {};
-			t[parent].children = t[parent].children || [];
-			t[parent].children.push(t[o.assetId.toString()]);
-		});
+		const companyId = getCompanyId(req);
+		if (!companyId) {
+			return res.status(400).send({ status: 400, message: "User's company information is missing" });
+		}
+
+		const { depth, error } = parseTreeDepth(req.query.depth ?? MAX_TREE_DEPTH);
+		if (error) {
+			return res.status(400).send({ status: 400, message: error });
+		}
 
-		res.status(201).send({ "status": "success", "result": t[root].children });
+		const { nodes, truncated } = await loadRootTree(companyId, depth);
+		res.status(200).send({ "status": "success", "result": nodes, truncated });
 	} catch (err) {
 		res.status(500).send(err);
 	}
 }
 
+/**
+ * Convert legacy per-cell matrix rows into a matrix definition
+ * Rows map to likelihood levels and columns to consequence levels
+ */
+const legacyCellsToDefinition = (cells, previousBands) => {
+	const rowNos = [...new Set(cells.map(cell => parseInt(cell.row_no)))].sort((a, b) => a - b);
+	const colNos = [...new Set(cells.map(cell => parseInt(cell.col_no)))].sort((a, b) => a - b);
+
+	const likelihoods = rowNos.map(rowNo => {
+		const cell = cells.find(c => parseInt(c.row_no) === rowNo);
+		return { label: cell.row_name, description: cell.row_desc };
+	});
+	const consequences = colNos.map(colNo => {
+		const cell = cells.find(c => parseInt(c.col_no) === colNo);
+		return { label: cell.col_name, description: cell.col_desc };
+	});
+	const matrixCells = rowNos.map(rowNo => colNos.map(colNo => {
+		const cell = cells.find(c => parseInt(c.row_no) === rowNo && parseInt(c.col_no) === colNo);
+		return cell ? { score: cell.mat_val, color: cell.mat_color } : null;
+	}));
+
+	const definition = { likelihoods, consequences, cells: matrixCells, bands: previousBands };
+
+	// Legacy payloads carry no bands; keep the previous ones if they still cover every score
+	if (!previousBands || !validateMatrixDefinition(definition).valid) {
+		const scores = matrixCells.flat().filter(Boolean).map(cell => parseInt(cell.score));
+		definition.bands = buildDefaultBands(Math.max(...scores));
+	}
+
+	return definition;
+};
+
+/**
+ * Convert a company matrix into the legacy per-cell row format
+ */
+const matrixToLegacyCells = (matrix) => {
+	const rows = [];
+	matrix.likelihoods.forEach((likelihood, l) => {
+		matrix.consequences.forEach((consequence, c) => {
+			const cell = matrix.cells[l][c];
+			rows.push({
+				row_no: l + 1,
+				col_no: c + 1,
+				row_name: likelihood.label,
+				row_desc: likelihood.description,
+				col_name: consequence.label,
+				col_desc: consequence.description,
+				mat_val: String(cell.score),
+				mat_color: cell.color,
+				mat_type: matrix.matType,
+				version: matrix.version
+			});
+		});
+	});
+	return rows;
+};
+
+/**
+ * Save Risk Matrix (legacy endpoint)
+ * Publishes the submitted cells as a new version of the company matrix
+ */
 module.exports.saveRowMatrix = async (req, res) => {
 	try {
-		if (req.body.matrices.length) {
-			let matrices = [];
-			let arrMAt = req.body.matrices;
-			for (var i = 0; i < arrMAt.length; i++) {
-				let item = arrMAt[i];
-				item.user_id = req.body.user_id;
-				item.mat_type = req.body.mat_type;
-				if (item.id) {
-					let matrix = await RiskMatrix.findOne({ where: { id: item.id } });
-					await matrix.update(item);
-					matrices.push(matrix.dataValues);
-				} else {
-					delete item.id;
-
-					let matrix = await RiskMatrix.create(item);
-					matrices.push(matrix.dataValues);
-				}
-			}
-			return res.status(200).send({ status: 200, data: matrices });
+		if (!MAT_TYPES.includes(req.body.mat_type)) {
+			return res.status(400).send({ status: 400, message: `Invalid matrix type. Must be one of: ${MAT_TYPES.join(', ')}` });
+		}
 
-		} else {
-			return res.status(500).send({ status: 500, message: "Please the matrix data" });
+		const companyId = getCompanyId(req);
+		const current = await getActiveMatrix(companyId, req.body.mat_type);
+		const definition = legacyCellsToDefinition(req.body.matrices, current.bands);
+		// The legacy format has no signature threshold, so keep the company's current one
+		definition.signatureThreshold = current.signatureThreshold;
+
+		const validation = validateMatrixDefinition(definition);
+		if (!validation.valid) {
+			return res.status(400).send({ status: 400, message: "Invalid risk matrix", errors: validation.errors });
 		}
 
+		const matrix = await publishMatrixVersion(
+			companyId,
+			req.body.mat_type,
+			normalizeMatrixDefinition(definition),
+			req.user.id
+		);
+
+		return res.status(200).send({ status: 200, data: matrixToLegacyCells(matrix) });
 	} catch (err) {
 		return res.status(500).send(err);
 	}
 }
 
+/**
+ * Get Risk Matrix (legacy endpoint)
+ * Returns the active company matrix in the legacy per-cell format
+ */
 module.exports.getRowMatrix = async (req, res) => {
 	try {
-		if (req.body.user_id && req.body.mat_type) {
-			let matrices = await RiskMatrix.findAll({ where: { user_id: req.body.user_id, mat_type: req.body.mat_type } });
-			if (matrices.length) {
-				return res.status(200).send({ status: 200, data: matrices });
-			} else {
-				return res.status(500).send({ status: 500, message: "No Data Found" });
-			}
-		} else {
-			return res.status(500).send({ status: 500, message: "Please send the user id and matrix type" });
+		if (!MAT_TYPES.includes(req.body.mat_type)) {
+			return res.status(400).send({ status: 400, message: `Invalid matrix type. Must be one of: ${MAT_TYPES.join(', ')}` });
 		}
+
+		const matrix = await getActiveMatrix(getCompanyId(req), req.body.mat_type);
+		return res.status(200).send({ status: 200, data: matrixToLegacyCells(matrix) });
 	} catch (err) {
 		return res.status(500).send(err);
 	}
-}
\ No newline at end of file
+}
@@ -0,0 +1,272 @@
+const db = require("../models");
+const ApprovalChain = db.approval_chains;
+const ApprovalChainStep = db.approval_chain_steps;
+const User = db.user;
+const { successResponse, errorResponse, sendResponse, validationErrorResponse } = require('../helper/responseHelper');
+const { getCompanyId } = require('../helper/controllerHelper');
+const {
+  validateChainDefinition,
+  normalizeChainSteps,
+  formatChain
+} = require('../helper/approvalChainHelper');
+
+/**
+ * Helper function to find a chain with its steps and company validation
+ */
+const findChainByIdAndCompany = async (id, companyId, transaction = null) => {
+  const chain = await ApprovalChain.findOne({
+    where: { id, companyId },
+    include: [
+      {
+        model: ApprovalChainStep,
+        as: 'steps',
+        include: [{ model: User, as: 'approver', attributes: ['id', 'email', 'name', 'role'] }]
+      }
+    ],
+    transaction
+  });
+
+  if (!chain) {
+    throw new Error("Approval chain not found");
+  }
+
+  return chain;
+};
+
+/**
+ * Helper function to ensure only one active chain exists per type, risk level and criticality level
+ */
+const assertNoActiveDuplicate = async (companyId, approvableType, riskLevel, criticalityLevel, excludeId = null, transaction = null) => {
+  const where = {
+    companyId,
+    approvableType: approvableType || null,
+    riskLevel: riskLevel || null,
+    criticalityLevel: criticalityLevel || null,
+    isActive: true
+  };
+  if (excludeId) {
+    where.id = { [db.Sequelize.Op.ne]: excludeId };
+  }
+
+  const existing = await ApprovalChain.findOne({ where, transaction });
+  if (existing) {
+    const error = new Error(`An active approval chain ("${existing.name}") already exists for this type, risk level and criticality level`);
+    error.statusCode = 409;
+    throw error;
+  }
+};
+
+/**
+ * Retrieve all approval chains for the user's company
+ */
+exports.findAll = async (req, res) => {
+  try {
+    const userCompanyId = getCompanyId(req);
+
+    const chains = await ApprovalChain.findAll({
+      where: { companyId: userCompanyId },
+      include: [
+        {
+          model: ApprovalChainStep,
+          as: 'steps',
+          include: [{ model: User, as: 'approver', attributes: ['id', 'email', 'name', 'role'] }]
+        }
+      ],
+      order: [['createdAt', 'DESC']]
+    });
+
+    sendResponse(res, successResponse(
+      "Approval chains retrieved successfully",
+      chains.map(formatChain)
+    ));
+  } catch (error) {
+    console.error('Error retrieving approval chains:', error);
+    sendResponse(res, errorResponse(
+      error.message || "Some error occurred while retrieving approval chains.",
+      500
+    ));
+  }
+};
+
+/**
+ * Retrieve a single approval chain
+ */
+exports.findOne = async (req, res) => {
+  try {
+    const userCompanyId = getCompanyId(req);
+    const chain = await findChainByIdAndCompany(req.params.id, userCompanyId);
+
+    sendResponse(res, successResponse(
+      "Approval chain retrieved successfully",
+      formatChain(chain)
+    ));
+  } catch (error) {
+    console.error('Error retrieving approval chain:', error);
+
+    if (error.message === "Approval chain not found") {
+      return sendResponse(res, errorResponse(error.message, 404));
+    }
+
+    sendResponse(res, errorResponse(
+      error.message || "Some error occurred while retrieving the approval chain.",
+      500
+    ));
+  }
+};
+
+/**
+ * Create an approval chain (admin/superuser)
+ *
+ * Body parameters:
+ * - name: Chain name (required)
+ * - approvableType: 'task_hazards', 'risk_assessments' or null for both
+ * - riskLevel: Residual risk level (band name, e.g. 'High') or null for any level
+ * - criticalityLevel: Criticality level of the linked asset (e.g. 'Critical') or null for any
+ * - steps: [{ name, approverType, approverId }] in approval order (required)
+ */
+exports.create = async (req, res) => {
+  try {
+    const userCompanyId = getCompanyId(req);
+
+    const validation = await validateChainDefinition(req.body, userCompanyId);
+    if (!validation.valid) {
+      return sendResponse(res, validationErrorResponse(validation.errors, 'Invalid approval chain'));
+    }
+
+    const chainId = await db.sequelize.transaction(async (transaction) => {
+      await assertNoActiveDuplicate(userCompanyId, req.body.approvableType, req.body.riskLevel, req.body.criticalityLevel, null, transaction);
+
+      const chain = await ApprovalChain.create({
+        companyId: userCompanyId,
+        name: String(req.body.name).trim(),
+        approvableType: req.body.approvableType || null,
+        riskLevel: req.body.riskLevel ? String(req.body.riskLevel).trim() : null,
+        criticalityLevel: req.body.criticalityLevel ? String(req.body.criticalityLevel).trim() : null,
+        isActive: true,
+        createdBy: req.user.id
+      }, { transaction });
+
+      await ApprovalChainStep.bulkCreate(
+        normalizeChainSteps(req.body.steps).map(step => ({ ...step, chainId: chain.id })),
+        { transaction }
+      );
+
+      return chain.id;
+    });
+
+    const chain = await findChainByIdAndCompany(chainId, userCompanyId);
+
+    sendResponse(res, successResponse(
+      "Approval chain created successfully",
+      formatChain(chain),
+      201
+    ));
+  } catch (error) {
+    console.error('Error creating approval chain:', error);
+    sendResponse(res, errorResponse(
+      error.message || "Some error occurred while creating the approval chain.",
+      error.statusCode || 500
+    ));
+  }
+};
+
+/**
+ * Update an approval chain (admin/superuser)
+ * Steps are replaced as a whole; approvals already in progress keep their own steps
+ */
+exports.update = async (req, res) => {
+  try {
+    const userCompanyId = getCompanyId(req);
+    const existing = await findChainByIdAndCompany(req.params.id, userCompanyId);
+
+    const definition = {
+      name: req.body.name ?? existing.name,
+      approvableType: req.body.approvableType !== undefined ? req.body.approvableType : existing.approvableType,
+      riskLevel: req.body.riskLevel !== undefined ? req.body.riskLevel : existing.riskLevel,
+      criticalityLevel: req.body.criticalityLevel !== undefined ? req.body.criticalityLevel : existing.criticalityLevel,
+      steps: req.body.steps ?? [...existing.steps]
+        .sort((a, b) => a.stepOrder - b.stepOrder)
+        .map(step => ({
+          name: step.name,
+          approverType: step.approverType,
+          approverId: step.approverId
+        }))
+    };
+
+    const validation = await validateChainDefinition(definition, userCompanyId);
+    if (!validation.valid) {
+      return sendResponse(res, validationErrorResponse(validation.errors, 'Invalid approval chain'));
+    }
+
+    const isActive = req.body.isActive !== undefined ? Boolean(req.body.isActive) : existing.isActive;
+
+    await db.sequelize.transaction(async (transaction) => {
+      if (isActive) {
+        await assertNoActiveDuplicate(userCompanyId, definition.approvableType, definition.riskLevel, definition.criticalityLevel, existing.id, transaction);
+      }
+
+      await existing.update({
+        name: String(definition.name).trim(),
+        approvableType: definition.approvableType || null,
+        riskLevel: definition.riskLevel ? String(definition.riskLevel).trim() : null,
+        criticalityLevel: definition.criticalityLevel ? String(definition.criticalityLevel).trim() : null,
+        isActive
+      }, { transaction });
+
+      if (req.body.steps) {
+        await ApprovalChainStep.destroy({ where: { chainId: existing.id }, transaction });
+        await ApprovalChainStep.bulkCreate(
+          normalizeChainSteps(req.body.steps).map(step => ({ ...step, chainId: existing.id })),
+          { transaction }
+        );
+      }
+    });
+
+    const chain = await findChainByIdAndCompany(existing.id, userCompanyId);
+
+    sendResponse(res, successResponse(
+      "Approval chain updated successfully",
+      formatChain(chain)
+    ));
+  } catch (error) {
+    console.error('Error updating approval chain:', error);
+
+    if (error.message === "Approval chain not found") {
+      return sendResponse(res, errorResponse(error.message, 404));
+    }
+
+    sendResponse(res, errorResponse(
+      error.message || "Some error occurred while updating the approval chain.",
+      error.statusCode || 500
+    ));
+  }
+};
+
+/**
+ * Delete an approval chain (admin/superuser)
+ * Approvals already in progress keep their own steps
+ */
+exports.delete = async (req, res) => {
+  try {
+    const userCompanyId = getCompanyId(req);
+    const chain = await findChainByIdAndCompany(req.params.id, userCompanyId);
+
+    await db.sequelize.transaction(async (transaction) => {
+      await ApprovalChainStep.destroy({ where: { chainId: chain.id }, transaction });
+      await chain.destroy({ transaction });
+    });
+
+    sendResponse(res, successResponse("Approval chain deleted successfully"));
+  } catch (error) {
+    console.error('Error deleting approval chain:', error);
+
+    if (error.message === "Approval chain not found") {
+      return sendResponse(res, errorResponse(error.message, 404));
+    }
+
+    sendResponse(res, errorResponse(
+      error.message || "Some error occurred while deleting the approval chain.",
+      500
+    ));
+  }
+};
@@ -0,0 +1,168 @@
+const db = require("../models");
+const ApprovalDelegation = db.approval_delegations;
+const User = db.user;
+const { successResponse, errorResponse, sendResponse, validationErrorResponse } = require('../helper/responseHelper');
+const { getCompanyId } = require('../helper/controllerHelper');
+const { Op } = require('sequelize');
+const { createNotificationWithEmail } = require('./notificationController');
+const { validateDelegation } = require('../helper/approvalDelegationHelper');
+
+const isAdminRole = (user) => ['admin', 'superuser'].includes(user.role);
+
+const userInclude = (as) => ({ model: User, as, attributes: ['id', 'email', 'name', 'role'] });
+
+/**
+ * Helper function to find a delegation with company validation
+ */
+const findDelegationByIdAndCompany = async (id, companyId) => {
+  const delegation = await ApprovalDelegation.findOne({
+    where: { id, companyId },
+    include: [userInclude('delegator'), userInclude('delegate')]
+  });
+
+  if (!delegation) {
+    throw new Error("Approval delegation not found");
+  }
+
+  return delegation;
+};
+
+/**
+ * Retrieve approval delegations
+ * - Admin/superuser: all delegations of the company
+ * - Supervisor: delegations they gave or received
+ *
+ * Query parameters:
+ * - includeExpired: 'true' to include delegations that have ended (default 'false')
+ */
+exports.findAll = async (req, res) => {
+  try {
+    const userCompanyId = getCompanyId(req);
+    const user = req.user;
+
+    const where = { companyId: userCompanyId };
+    if (!isAdminRole(user)) {
+      where[Op.or] = [{ delegatorId: user.id }, { delegateId: user.id }];
+    }
+    if (req.query.includeExpired !== 'true') {
+      where.endsAt = { [Op.gte]: new Date() };
+    }
+
+    const delegations = await ApprovalDelegation.findAll({
+      where,
+      include: [userInclude('delegator'), userInclude('delegate')],
+      order: [['startsAt', 'DESC']]
+    });
+
+    sendResponse(res, successResponse(
+      "Approval delegations retrieved successfully",
+      delegations.map(delegation => delegation.toResponseJSON())
+    ));
+  } catch (error) {
+    console.error('Error retrieving approval delegations:', error);
+    sendResponse(res, errorResponse(
+      error.message || "Some error occurred while retrieving approval delegations.",
+      500
+    ));
+  }
+};
+
+/**
+ * Delegate approval authority for a date range
+ * Supervisors delegate their own approvals; admins may delegate for any supervisor
+ *
+ * Body parameters:
+ * - delegateId: User who approves on behalf of the delegator (required)
+ * - startsAt: Start of the delegation (required)
+ * - endsAt: End of the delegation (required)
+ * - delegatorId: Supervisor whose approvals are delegated (admin only, defaults to the current user)
+ * - reason: Why the approvals are delegated, e.g. annual leave (optional)
+ */
+exports.create = async (req, res) => {
+  let transaction;
+
+  try {
+    const userCompanyId = getCompanyId(req);
+    const user = req.user;
+
+    const delegatorId = isAdminRole(user) && req.body.delegatorId ? parseInt(req.body.delegatorId) : user.id;
+    const definition = { ...req.body, delegatorId };
+
+    const validation = await validateDelegation(definition, userCompanyId);
+    if (!validation.valid) {
+      return sendResponse(res, validationErrorResponse(validation.errors, 'Invalid approval delegation'));
+    }
+
+    transaction = await db.sequelize.transaction();
+
+    const delegation = await ApprovalDelegation.create({
+      companyId: userCompanyId,
+      delegatorId,
+      delegateId: parseInt(req.body.delegateId),
+      startsAt: new Date(req.body.startsAt),
+      endsAt: new Date(req.body.endsAt),
+      reason: req.body.reason || null,
+      createdBy: user.id
+    }, { transaction });
+
+    const delegator = await User.findByPk(delegatorId, { attributes: ['id', 'email', 'name'], transaction });
+    const delegatorName = delegator.name || delegator.email;
+
+    await createNotificationWithEmail({
+      userId: delegation.delegateId,
+      title: 'Approvals Delegated To You',
+      message: `${delegatorName} has delegated their approvals to you from ${delegation.startsAt.toISOString()} to ${delegation.endsAt.toISOString()}. Decisions you make will be recorded on their behalf.`,
+      type: 'approval',
+      transaction
+    });
+
+    await transaction.commit();
+
+    const created = await findDelegationByIdAndCompany(delegation.id, userCompanyId);
+
+    sendResponse(res, successResponse(
+      "Approval delegation created successfully",
+      created.toResponseJSON(),
+      201
+    ));
+  } catch (error) {
+    if (transaction) await transaction.rollback();
+
+    console.error('Error creating approval delegation:', error);
+    sendResponse(res, errorResponse(
+      error.message || "Some error occurred while creating the approval delegation.",
+      error.statusCode || 500
+    ));
+  }
+};
+
+/**
+ * Revoke an approval delegation
+ * Only the delegator or an admin/superuser may revoke a delegation
+ */
+exports.revoke = async (req, res) => {
+  try {
+    const userCompanyId = getCompanyId(req);
+    const user = req.user;
+    const delegation = await findDelegationByIdAndCompany(req.params.id, userCompanyId);
+
+    if (!isAdminRole(user) && delegation.delegatorId !== user.id) {
+      return sendResponse(res, errorResponse("Only the delegator or an admin can revoke this delegation.", 403));
+    }
+
+    await delegation.destroy();
+
+    sendResponse(res, successResponse("Approval delegation revoked successfully"));
+  } catch (error) {
+    console.error('Error revoking approval delegation:', error);
+
+    if (error.message === "Approval delegation not found") {
+      return sendResponse(res, errorResponse(error.message, 404));
+    }
+
+    sendResponse(res, errorResponse(
+      error.message || "Some error occurred while revoking the approval delegation.",
+      500
+    ));
+  }
+};
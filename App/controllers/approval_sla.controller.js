@@ -0,0 +1,127 @@
+const db = require("../models");
+const ApprovalSlaPolicy = db.approval_sla_policies;
+const { successResponse, errorResponse, sendResponse, validationErrorResponse } = require('../helper/responseHelper');
+const { getCompanyId } = require('../helper/controllerHelper');
+const {
+  validateSlaPolicy,
+  findPendingApprovals,
+  buildSlaReport
+} = require('../helper/approvalSlaHelper');
+
+/**
+ * Get the approval SLA policy of the user's company
+ * Returns null data when the company has no SLA configured
+ */
+exports.getPolicy = async (req, res) => {
+  try {
+    const userCompanyId = getCompanyId(req);
+    const policy = await ApprovalSlaPolicy.findOne({ where: { companyId: userCompanyId } });
+
+    sendResponse(res, successResponse(
+      policy ? "Approval SLA retrieved successfully" : "No approval SLA configured",
+      policy ? policy.toResponseJSON() : null
+    ));
+  } catch (error) {
+    console.error('Error retrieving approval SLA:', error);
+    sendResponse(res, errorResponse(
+      error.message || "Some error occurred while retrieving the approval SLA.",
+      500
+    ));
+  }
+};
+
+/**
+ * Create or update the approval SLA policy of the user's company (admin/superuser)
+ *
+ * Body parameters:
+ * - slaHours: Hours an approval step may stay pending (required)
+ * - reminderBeforeHours: Hours before the breach to remind the approver (default 4)
+ * - escalateOnBreach: Escalate breached approvals to the approver's supervisor (default true)
+ * - isActive: Enable or disable SLA tracking (default true)
+ */
+exports.updatePolicy = async (req, res) => {
+  try {
+    const userCompanyId = getCompanyId(req);
+    const existing = await ApprovalSlaPolicy.findOne({ where: { companyId: userCompanyId } });
+
+    const definition = {
+      slaHours: req.body.slaHours ?? existing?.slaHours,
+      reminderBeforeHours: req.body.reminderBeforeHours ?? existing?.reminderBeforeHours ?? 4,
+      escalateOnBreach: req.body.escalateOnBreach ?? existing?.escalateOnBreach ?? true,
+      isActive: req.body.isActive ?? existing?.isActive ?? true
+    };
+
+    const validation = validateSlaPolicy(definition);
+    if (!validation.valid) {
+      return sendResponse(res, validationErrorResponse(validation.errors, 'Invalid approval SLA'));
+    }
+
+    const values = {
+      slaHours: parseInt(definition.slaHours),
+      reminderBeforeHours: parseInt(definition.reminderBeforeHours),
+      escalateOnBreach: Boolean(definition.escalateOnBreach),
+      isActive: Boolean(definition.isActive),
+      updatedBy: req.user.id
+    };
+
+    const policy = existing
+      ? await existing.update(values)
+      : await ApprovalSlaPolicy.create({ ...values, companyId: userCompanyId });
+
+    sendResponse(res, successResponse(
+      "Approval SLA saved successfully",
+      policy.toResponseJSON(),
+      existing ? 200 : 201
+    ));
+  } catch (error) {
+    console.error('Error saving approval SLA:', error);
+    sendResponse(res, errorResponse(
+      error.message || "Some error occurred while saving the approval SLA.",
+      error.statusCode || 500
+    ));
+  }
+};
+
+/**
+ * Report breached and at-risk pending approvals per supervisor
+ * - Admin/superuser: every approver of the company
+ * - Supervisor: their own approvals and those of the users they supervise
+ */
+exports.getReport = async (req, res) => {
+  try {
+    const userCompanyId = getCompanyId(req);
+    const user = req.user;
+
+    const policy = await ApprovalSlaPolicy.findOne({ where: { companyId: userCompanyId, isActive: true } });
+    if (!policy) {
+      return sendResponse(res, errorResponse("No active approval SLA configured for this company.", 404));
+    }
+
+    let approvals = await findPendingApprovals(userCompanyId);
+    if (!['admin', 'superuser'].includes(user.role)) {
+      approvals = approvals.filter(approval =>
+        approval.supervisorId === user.id || approval.supervisor.supervisor_id === user.id
+      );
+    }
+
+    const now = new Date();
+    const supervisors = buildSlaReport(approvals, policy, now);
+
+    sendResponse(res, successResponse(
+      "Approval SLA report retrieved successfully",
+      {
+        policy: policy.toResponseJSON(),
+        generatedAt: now,
+        totalBreached: supervisors.reduce((sum, group) => sum + group.breachedCount, 0),
+        totalAtRisk: supervisors.reduce((sum, group) => sum + group.atRiskCount, 0),
+        supervisors
+      }
+    ));
+  } catch (error) {
+    console.error('Error retrieving approval SLA report:', error);
+    sendResponse(res, errorResponse(
+      error.message || "Some error occurred while retrieving the approval SLA report.",
+      500
+    ));
+  }
+};
@@ -0,0 +1,223 @@
+const db = require("../models");
+const AssetHierarchy = db.asset_hierarchy;
+const AssetCriticalityAssessment = db.asset_criticality_assessments;
+const User = db.user;
+const { successResponse, errorResponse, sendResponse, validationErrorResponse } = require('../helper/responseHelper');
+const { getCompanyId } = require('../helper/controllerHelper');
+const {
+  validateSchemeDefinition,
+  normalizeSchemeDefinition,
+  getCompanyScheme,
+  updateCompanyScheme,
+  assessAsset,
+  removeAssetAssessment,
+  recalculateCriticality,
+  formatScheme
+} = require('../helper/assetCriticalityHelper');
+
+/**
+ * Helper function to build the criticality view of an asset
+ * The asset's own assessment and the assessment it inherits from (if any) are included
+ */
+const loadAssetCriticality = async (assetId, companyId) => {
+  const asset = await AssetHierarchy.findOne({
+    where: { id: assetId, companyId },
+    attributes: ['id', 'externalId', 'name', 'criticalityScore', 'criticalityLevel', 'criticalitySourceId']
+  });
+  if (!asset) {
+    return null;
+  }
+
+  const assessments = await AssetCriticalityAssessment.findAll({
+    where: { assetId: [...new Set([asset.id, asset.criticalitySourceId].filter(Boolean))] },
+    include: [{ model: User, as: 'assessor', attributes: ['id', 'email', 'name'] }]
+  });
+  const own = assessments.find(assessment => assessment.assetId === asset.id) || null;
+
+  let source = null;
+  if (asset.criticalitySourceId && asset.criticalitySourceId !== asset.id) {
+    source = await AssetHierarchy.findOne({
+      where: { id: asset.criticalitySourceId, companyId },
+      attributes: ['id', 'externalId', 'name']
+    });
+  }
+
+  return {
+    assetId: asset.id,
+    externalId: asset.externalId,
+    name: asset.name,
+    criticalityScore: asset.criticalityScore,
+    criticalityLevel: asset.criticalityLevel,
+    inherited: Boolean(source),
+    source: source ? { id: source.id, externalId: source.externalId, name: source.name } : null,
+    assessment: own,
+    inheritedAssessment: source
+      ? assessments.find(assessment => assessment.assetId === source.id) || null
+      : null
+  };
+};
+
+/**
+ * Get the criticality scheme of the user's company
+ */
+exports.getScheme = async (req, res) => {
+  try {
+    const userCompanyId = getCompanyId(req);
+    const scheme = await getCompanyScheme(userCompanyId);
+
+    sendResponse(res, successResponse(
+      "Criticality scheme retrieved successfully",
+      formatScheme(scheme)
+    ));
+  } catch (error) {
+    console.error('Error retrieving criticality scheme:', error);
+    sendResponse(res, errorResponse(
+      error.message || "Some error occurred while retrieving the criticality scheme.",
+      error.statusCode || 500
+    ));
+  }
+};
+
+/**
+ * Replace the criticality scheme of the user's company (admin/superuser)
+ * Existing assessments are rescored; factors they have no score for count as 0
+ *
+ * Body parameters:
+ * - factors: [{ key, name, description, weight, maxScore }] (required)
+ * - levels: [{ name, minScore, color }] lowest first, first minScore 0 (required)
+ */
+exports.updateScheme = async (req, res) => {
+  try {
+    const userCompanyId = getCompanyId(req);
+
+    const validation = validateSchemeDefinition(req.body);
+    if (!validation.valid) {
+      return sendResponse(res, validationErrorResponse(validation.errors, 'Invalid criticality scheme'));
+    }
+
+    const { scheme, rescoredCount, assetsUpdated } = await updateCompanyScheme(
+      userCompanyId,
+      normalizeSchemeDefinition(req.body),
+      req.user.id
+    );
+
+    sendResponse(res, successResponse(
+      `Criticality scheme version ${scheme.version} saved successfully`,
+      { ...formatScheme(scheme), rescoredCount, assetsUpdated }
+    ));
+  } catch (error) {
+    console.error('Error updating criticality scheme:', error);
+    sendResponse(res, errorResponse(
+      error.message || "Some error occurred while updating the criticality scheme.",
+      error.statusCode || 500
+    ));
+  }
+};
+
+/**
+ * Get the effective criticality of an asset and where it comes from
+ */
+exports.findAssetCriticality = async (req, res) => {
+  try {
+    const userCompanyId = getCompanyId(req);
+    const criticality = await loadAssetCriticality(req.params.assetId, userCompanyId);
+
+    if (!criticality) {
+      return sendResponse(res, errorResponse("Asset not found", 404));
+    }
+
+    sendResponse(res, successResponse("Asset criticality retrieved successfully", criticality));
+  } catch (error) {
+    console.error('Error retrieving asset criticality:', error);
+    sendResponse(res, errorResponse(
+      error.message || "Some error occurred while retrieving the asset criticality.",
+      error.statusCode || 500
+    ));
+  }
+};
+
+/**
+ * Assess an asset against the company scheme (admin/superuser/supervisor)
+ * The assessment applies to the asset and every descendant without an assessment of its own
+ *
+ * Body parameters:
+ * - factorScores: { factorKey: score } with a score for every scheme factor (required)
+ * - notes: string (optional)
+ */
+exports.assessAsset = async (req, res) => {
+  try {
+    const userCompanyId = getCompanyId(req);
+
+    const result = await assessAsset(userCompanyId, req.params.assetId, {
+      factorScores: req.body.factorScores,
+      notes: req.body.notes || null,
+      userId: req.user.id
+    });
+    if (!result) {
+      return sendResponse(res, errorResponse("Asset not found", 404));
+    }
+
+    const criticality = await loadAssetCriticality(req.params.assetId, userCompanyId);
+
+    sendResponse(res, successResponse(
+      `Asset assessed as ${result.assessment.level}`,
+      { ...criticality, assetsUpdated: result.assetsUpdated }
+    ));
+  } catch (error) {
+    console.error('Error assessing asset criticality:', error);
+    sendResponse(res, errorResponse(
+      error.message || "Some error occurred while assessing the asset criticality.",
+      error.statusCode || 500,
+      error.details || null
+    ));
+  }
+};
+
+/**
+ * Remove an asset's own assessment so it inherits its criticality again (admin/superuser/supervisor)
+ */
+exports.removeAssessment = async (req, res) => {
+  try {
+    const userCompanyId = getCompanyId(req);
+
+    const result = await removeAssetAssessment(userCompanyId, req.params.assetId);
+    if (!result) {
+      return sendResponse(res, errorResponse("Asset has no criticality assessment", 404));
+    }
+
+    const criticality = await loadAssetCriticality(req.params.assetId, userCompanyId);
+
+    sendResponse(res, successResponse(
+      "Criticality assessment removed successfully",
+      { ...criticality, assetsUpdated: result.assetsUpdated }
+    ));
+  } catch (error) {
+    console.error('Error removing asset criticality assessment:', error);
+    sendResponse(res, errorResponse(
+      error.message || "Some error occurred while removing the criticality assessment.",
+      error.statusCode || 500
+    ));
+  }
+};
+
+/**
+ * Recalculate the effective criticality of every asset of the user's company (admin/superuser)
+ */
+exports.recalculate = async (req, res) => {
+  try {
+    const userCompanyId = getCompanyId(req);
+
+    const assetsUpdated = await db.sequelize.transaction(async (transaction) => {
+      await db.company.findByPk(userCompanyId, { attributes: ['id'], lock: transaction.LOCK.UPDATE, transaction });
+      return recalculateCriticality(userCompanyId, null, transaction);
+    });
+
+    sendResponse(res, successResponse("Asset criticality recalculated successfully", { assetsUpdated }));
+  } catch (error) {
+    console.error('Error recalculating asset criticality:', error);
+    sendResponse(res, errorResponse(
+      error.message || "Some error occurred while recalculating asset criticality.",
+      error.statusCode || 500
+    ));
+  }
+};
@@ -1,32 +1,82 @@
 const db = require("../models");
 const { Op } = require('sequelize');
-const { v7: uuidv7 } = require('uuid');
-const { successResponse, errorResponse, sendResponse } = require('../helper/responseHelper');
+const { v4: uuidv4, v7: uuidv7 } = require('uuid');
+const { successResponse, errorResponse, validationErrorResponse, sendResponse, paginatedResponse } = require('../helper/responseHelper');
 const { sanitizeInput } = require('../helper/validationHelper');
 
 // Import upload helper modules
 const { 
   parseFileBuffer, 
-  applyColumnMappings, 
-  validateColumnMappings,
-  extractHeaders
+  extractHeaders,
+  prepareMappedRows,
+  ASSET_UPLOAD_FIELDS
 } = require('../helper/fileParser');
 const { 
-  validateUploadData, 
-  generateErrorReport 
+  validateMappedRows,
+  generateSystemErrorReport
 } = require('../helper/assetUploadValidator');
 const { 
   fetchExistingAssets, 
-  processAssetUpload, 
-  createUploadNotification,
+  buildUploadPreview,
+  findAssetsToRetire,
+  findMissingAssetBlockers,
+  MISSING_ASSET_ACTIONS,
   updateUploadStatus
 } = require('../helper/assetUploadProcessor');
+const { resolveUploadMappings } = require('../helper/assetMappingProfileHelper');
+const {
+  MAX_PART_SIZE,
+  MAX_PARTS,
+  MAX_CHUNKED_FILE_SIZE,
+  CHUNKED_UPLOAD_TTL_HOURS,
+  stageUploadPart,
+  commitUploadPart,
+  discardUploadPart,
+  writeUploadPart,
+  listUploadParts,
+  summarizeUploadParts,
+  removeUploadParts,
+  isChunkedUploadExpired
+} = require('../helper/chunkedUploadHelper');
+const {
+  resolveExportFormat,
+  toSafeCell,
+  setDownloadHeaders,
+  createRowWriter
+} = require('../helper/exportHelper');
+const { enqueueUploadJob, cancelUpload, wakeUploadJobWorker } = require('../jobs/assetUploadQueue');
+const {
+  parseTreeDepth,
+  loadAssetSubtree,
+  loadRootTree,
+  getAssetAncestors
+} = require('../helper/assetTreeHelper');
+const { moveAssets } = require('../helper/assetMoveHelper');
+const { recordAssetChanges, buildCreateChanges, loadAssetAt } = require('../helper/assetHistoryHelper');
+const { recalculateCriticality } = require('../helper/assetCriticalityHelper');
+const {
+  DEFAULT_SEARCH_LIMIT,
+  MAX_SEARCH_LIMIT,
+  parseFacetFilters,
+  searchAssets
+} = require('../helper/assetSearchHelper');
 
 const AssetHierarchy = db.asset_hierarchy;
 const TaskHazards = db.task_hazards;
 const FileUpload = db.file_uploads;
+const AssetUploadPreview = db.asset_upload_previews;
+const UploadJob = db.upload_jobs;
+const AssetMove = db.asset_moves;
+const AssetChange = db.asset_changes;
 const User = db.user;
 
+const EXPORT_BATCH_SIZE = 1000;
+
+// Upload previews can be committed within this many hours
+const PREVIEW_TTL_HOURS = 24;
+const PREVIEW_SAMPLE_SIZE = 50;
+const MAX_PREVIEW_SAMPLE_SIZE = 500;
+
 /**
  * Create and Save new Asset Hierarchy entries
  * @param {object} req - Express request object
@@ -137,6 +187,15 @@ exports.create = async (req, res) => {
         })
       );
 
+      await recordAssetChanges(
+        buildCreateChanges(assets.map(asset => asset.id)),
+        { companyId: userCompanyId, source: 'api', changedBy: req.user.id },
+        t
+      );
+
+      // New assets inherit the criticality of their ancestors
+      await recalculateCriticality(userCompanyId, assets.map(asset => asset.id), t);
+
       return assets;
     });
 
@@ -155,180 +214,16 @@ exports.create = async (req, res) => {
 };
 
 /**
- * Generate user-friendly error messages for system/processing errors
- * @param {Error} error - The error that occurred
- */
-const generateSystemErrorReport = (error) => {
-  const errorType = error.name || 'UnknownError';
-  const errorMessage = error.message || 'An unexpected error occurred';
-  
-  // Handle specific error types with actionable messages
-  if (errorType === 'SequelizeUniqueConstraintError') {
-    if (errorMessage.includes('PRIMARY')) {
-      return 'Duplicate asset IDs found. Each asset must have a unique ID.';
-    } else if (errorMessage.includes('external_id')) {
-      return 'Duplicate external IDs found. Each asset must have a unique ID within your company.';
-    } else if (errorMessage.includes('cmms_internal_id')) {
-      return 'Duplicate CMMS Internal IDs found. Each asset must have a unique CMMS Internal ID.';
-    } else if (errorMessage.includes('functional_location')) {
-      return 'Duplicate Functional Locations found. Each asset must have a unique Functional Location.';
-    }
-    return 'Duplicate values found. Check that all required fields have unique values.';
-  }
-  
-  if (errorType === 'SequelizeForeignKeyConstraintError') {
-    return 'Invalid parent reference found. Ensure all parent IDs exist in the file or database.';
-  }
-  
-  if (errorMessage.includes('empty') || errorMessage.includes('no valid data')) {
-    return 'File is empty or contains no data rows.';
-  }
-  
-  if (errorMessage.includes('parse') || errorMessage.includes('CSV') || errorMessage.includes('Excel')) {
-    return 'File format error. Check file format, encoding (use UTF-8), and ensure proper column headers.';
-  }
-  
-  if (errorMessage.includes('timeout') || errorMessage.includes('ETIMEDOUT')) {
-    return 'Processing timeout. Try uploading a smaller file or split large files into multiple uploads.';
-  }
-  
-  if (errorMessage.includes('memory') || errorMessage.includes('ENOMEM')) {
-    return 'File too large to process. Split the file into smaller parts (recommended: under 5000 rows per file).';
-  }
-  
-  if (errorMessage.includes('permission') || errorMessage.includes('access')) {
-    return 'Permission denied. Contact your administrator to verify your upload permissions.';
-  }
-  
-  if (errorMessage.includes('Column mappings')) {
-    return errorMessage; // Column mapping errors are already user-friendly
-  }
-  
-  // For unknown errors, provide the basic error message
-  return `Processing error: ${errorMessage.split('\n')[0]}. Contact support if this persists.`;
-};
-
-/**
- * Threshold in seconds for considering an upload "long-running"
- * Notifications are sent for uploads that exceed this duration or fail
+ * Read what a full upload should do with assets missing from the file
+ * @param {Object} body - Request body (missingAssets: keep | retire | delete)
+ * @returns {Object} { missingAssetAction } or { error }
  */
-const LONG_RUNNING_THRESHOLD_SECONDS = 30;
-
-/**
- * Process asset file asynchronously (CSV or Excel)
- * @param {object} fileUpload - File upload record
- * @param {Buffer} fileBuffer - File buffer
- * @param {string} mimeType - File MIME type
- * @param {string} fileName - Original file name
- * @param {Object} columnMappings - Column mappings from frontend
- * @param {number} userCompanyId - User's company ID
- * @param {number} userId - Uploader's user ID
- */
-const processFileAsync = async (fileUpload, fileBuffer, mimeType, fileName, columnMappings, userCompanyId, userId) => {
-  const startTime = Date.now();
-  
-  try {
-    // Update status to processing
-    await updateUploadStatus(fileUpload, 'processing');
-
-    // Step 1: Parse the file (CSV or Excel)
-    const { rows } = parseFileBuffer(fileBuffer, mimeType, fileName);
-    console.log(`Parsed ${rows.length} rows from ${fileName}`);
-
-    if (rows.length === 0) {
-      throw new Error('File is empty or contains no valid data rows.');
-    }
-
-    // Step 2: Get file headers for validation
-    const fileHeaders = Object.keys(rows[0]);
-    
-    // Step 3: Validate column mappings
-    const mappingValidation = validateColumnMappings(columnMappings, fileHeaders);
-    if (!mappingValidation.valid) {
-      const error = new Error(`Column mappings invalid:\n${mappingValidation.errors.join('\n')}`);
-      error.name = 'ValidationError';
-      throw error;
-    }
-
-    // Step 4: Apply column mappings to rows (converts 'id' to 'externalId', 'parent_id' to 'parentExternalId')
-    const mappedRows = applyColumnMappings(rows, columnMappings);
-
-    // Step 5: Fetch existing company assets for validation and change detection
-    const existingData = await fetchExistingAssets(userCompanyId);
-
-    // Step 6: Validate all upload data
-    const validationResult = validateUploadData(
-      mappedRows, 
-      existingData.existingAssetIds, 
-      existingData.existingParentMap
-    );
-    
-    if (!validationResult.valid) {
-      const errorReport = generateErrorReport(validationResult.errors, validationResult.summary.totalRows);
-      const error = new Error(errorReport);
-      error.name = 'ValidationError';
-      error.errors = validationResult.errors; // Attach structured errors
-      throw error;
-    }
-
-    // Step 7: Process the upload (bulk create/update, skipping unchanged)
-    const result = await processAssetUpload(
-      validationResult.assetData, 
-      userCompanyId, 
-      existingData
-    );
-
-    // Step 8: Update file upload status to completed with result summary
-    await updateUploadStatus(fileUpload, 'completed', {
-      resultSummary: {
-        totalProcessed: result.totalProcessed,
-        createdCount: result.createdCount,
-        updatedCount: result.updatedCount,
-        unchangedCount: result.unchangedCount,
-        processingTime: result.processingTime
-      }
-    });
-
-    const processingTimeSeconds = (Date.now() - startTime) / 1000;
-    
-    console.log(`File processing completed for ${fileUpload.id}. ` +
-      `Processed ${result.totalProcessed} assets: ` +
-      `${result.createdCount} created, ${result.updatedCount} updated, ${result.unchangedCount} unchanged. ` +
-      `Time: ${result.processingTime}`);
-
-    // Create notification if processing took a long time
-    if (processingTimeSeconds > LONG_RUNNING_THRESHOLD_SECONDS) {
-      await createUploadNotification(userId, 'success', fileName, {
-        createdCount: result.createdCount,
-        updatedCount: result.updatedCount,
-        unchangedCount: result.unchangedCount
-      });
-    }
-    
-  } catch (error) {
-    console.error('Error processing file:', error);
-    
-    // Generate user-friendly error message
-    let userFriendlyErrorMessage;
-    let structuredErrors = null;
-    
-    if (error.name === 'ValidationError') {
-      userFriendlyErrorMessage = error.message;
-      structuredErrors = error.errors || null;
-    } else {
-      userFriendlyErrorMessage = generateSystemErrorReport(error);
-    }
-    
-    // Update file upload status to error
-    await updateUploadStatus(fileUpload, 'error', { 
-      errorMessage: userFriendlyErrorMessage 
-    });
-
-    // Always notify on failure
-    await createUploadNotification(userId, 'error', fileName, {
-      errorSummary: userFriendlyErrorMessage.split('\n')[0]
-    });
+const readMissingAssetAction = (body) => {
+  const missingAssetAction = body.missingAssets || 'keep';
+  if (!MISSING_ASSET_ACTIONS.includes(missingAssetAction)) {
+    return { error: `Invalid missingAssets option. Must be one of: ${MISSING_ASSET_ACTIONS.join(', ')}` };
   }
+  return { missingAssetAction };
 };
 
 /**
@@ -349,39 +244,52 @@ exports.uploadAssets = async (req, res) => {
       return sendResponse(res, response);
     }
 
-    // Parse column mappings from request body
-    let columnMappings;
-    try {
-      columnMappings = req.body.columnMappings 
-        ? JSON.parse(req.body.columnMappings) 
-        : null;
-    } catch (parseError) {
-      const response = errorResponse('Invalid column mappings format. Expected JSON.', 400);
+    // Column mappings from the request body or a saved mapping profile
+    const mapping = await resolveUploadMappings(req.body, userCompanyId);
+    if (mapping.error) {
+      const response = errorResponse(mapping.error, mapping.statusCode);
       return sendResponse(res, response);
     }
 
-    if (!columnMappings) {
-      const response = errorResponse('Column mappings are required', 400);
+    const { missingAssetAction, error: optionError } = readMissingAssetAction(req.body);
+    if (optionError) {
+      const response = errorResponse(optionError, 400);
       return sendResponse(res, response);
     }
 
-    // Validate required mappings exist
-    // Frontend sends 'id' and 'name' - we keep this interface for backward compatibility
-    if (!columnMappings.id || !columnMappings.name) {
-      const response = errorResponse('Column mappings must include "id" and "name" fields', 400);
-      return sendResponse(res, response);
-    }
+    // Store the file before the upload record and job exist, so the worker never claims a job
+    // without its file and the transaction isn't held open for disk I/O
+    const uploadId = uuidv4();
+    await writeUploadPart(uploadId, 1, req.file.buffer);
 
-    // Create file upload record immediately
-    const fileUpload = await FileUpload.create({
-      fileName: req.file.filename || `${Date.now()}-${sanitizeInput(req.file.originalname)}`,
-      originalName: sanitizeInput(req.file.originalname),
-      fileType: req.file.mimetype,
-      fileSize: req.file.size,
-      uploaderId: req.user.id,
-      companyId: userCompanyId,
-      status: 'uploading'
-    });
+    let fileUpload;
+    try {
+      fileUpload = await db.sequelize.transaction(async (transaction) => {
+        const upload = await FileUpload.create({
+          id: uploadId,
+          fileName: req.file.filename || `${Date.now()}-${sanitizeInput(req.file.originalname)}`,
+          originalName: sanitizeInput(req.file.originalname),
+          fileType: req.file.mimetype,
+          fileSize: req.file.size,
+          uploaderId: req.user.id,
+          companyId: userCompanyId,
+          status: 'processing',
+          uploadOptions: {
+            columnMappings: mapping.columnMappings,
+            transforms: mapping.transforms,
+            profileName: mapping.profileName,
+            missingAssetAction
+          }
+        }, { transaction });
+
+        await enqueueUploadJob(upload, { source: 'file', requestedBy: req.user.id }, transaction);
+
+        return upload;
+      });
+    } catch (error) {
+      await removeUploadParts(uploadId);
+      throw error;
+    }
 
     // Send immediate response
     const response = successResponse('File upload started successfully', {
@@ -392,18 +300,8 @@ exports.uploadAssets = async (req, res) => {
     });
     sendResponse(res, response);
 
-    // Process file asynchronously (don't await)
-    setImmediate(() => {
-      processFileAsync(
-        fileUpload, 
-        req.file.buffer, 
-        req.file.mimetype,
-        req.file.originalname,
-        columnMappings,
-        userCompanyId,
-        req.user.id
-      );
-    });
+    // Processed in the background by the upload job worker
+    wakeUploadJobWorker();
 
   } catch (error) {
     console.error('Error in uploadAssets:', error);
@@ -424,7 +322,7 @@ exports.uploadAssets = async (req, res) => {
 exports.uploadCSV = async (req, res) => {
   // If no column mappings provided, try to use legacy behavior
   // by auto-detecting ID column
-  if (!req.body.columnMappings && req.file) {
+  if (!req.body.columnMappings && !req.body.mappingProfile && req.file) {
     try {
       const { rows } = parseFileBuffer(
         req.file.buffer, 
@@ -502,8 +400,689 @@ const autoDetectColumnMappings = (headers, rows) => {
       }
     }
   }
-  
-  return mappings;
+  
+  return mappings;
+};
+
+/**
+ * Format a stored upload preview for responses
+ * @param {Object} preview - asset_upload_previews instance
+ * @returns {Object} Preview details with counts and samples
+ */
+const formatUploadPreview = (preview) => {
+  const {
+    counts,
+    samples,
+    mappingProfile = null,
+    missingAssetAction = 'keep',
+    blockedCount = 0,
+    blockers = []
+  } = preview.summary || {};
+  let status = 'pending';
+  if (preview.fileUploadId) {
+    status = 'committed';
+  } else if (preview.isExpired()) {
+    status = 'expired';
+  }
+
+  return {
+    previewId: preview.id,
+    fileName: preview.originalName,
+    fileType: preview.fileType,
+    fileSize: preview.fileSize,
+    status,
+    uploadId: preview.fileUploadId,
+    expiresAt: preview.expiresAt,
+    createdAt: preview.createdAt,
+    mappingProfile,
+    missingAssetAction,
+    counts,
+    samples,
+    blockedCount,
+    blockers
+  };
+};
+
+/**
+ * Preview an asset upload without writing any assets (dry run)
+ * Runs parsing, column mapping, validation (including cycle detection) and change
+ * detection, then stores the mapped rows so the preview can be committed later.
+ * Query: sampleSize - samples per category (default 50, max 500)
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+exports.previewUpload = async (req, res) => {
+  try {
+    // Get user's company ID
+    const userCompanyId = req.user.company_id || req.user.company?.id;
+    if (!userCompanyId) {
+      const response = errorResponse("User's company information is missing", 400);
+      return sendResponse(res, response);
+    }
+
+    if (!req.file) {
+      const response = errorResponse('No file uploaded', 400);
+      return sendResponse(res, response);
+    }
+
+    const mapping = await resolveUploadMappings(req.body, userCompanyId);
+    if (mapping.error) {
+      const response = errorResponse(mapping.error, mapping.statusCode);
+      return sendResponse(res, response);
+    }
+
+    const { missingAssetAction, error: optionError } = readMissingAssetAction(req.body);
+    if (optionError) {
+      const response = errorResponse(optionError, 400);
+      return sendResponse(res, response);
+    }
+
+    const sampleSize = Math.min(
+      Math.max(parseInt(req.query.sampleSize, 10) || PREVIEW_SAMPLE_SIZE, 1),
+      MAX_PREVIEW_SAMPLE_SIZE
+    );
+
+    let mappedRows;
+    try {
+      mappedRows = prepareMappedRows(req.file.buffer, req.file.mimetype, req.file.originalname, mapping);
+    } catch (error) {
+      const message = error.name === 'ValidationError' ? error.message : generateSystemErrorReport(error);
+      const response = errorResponse(message, 400);
+      return sendResponse(res, response);
+    }
+
+    const existingData = await fetchExistingAssets(userCompanyId);
+    const validationResult = validateMappedRows(mappedRows, existingData, missingAssetAction);
+
+    if (!validationResult.valid) {
+      const response = validationErrorResponse(
+        validationResult.errors,
+        `Validation failed: ${validationResult.errors.length} error(s) found in ${validationResult.summary.totalRows} rows`
+      );
+      return sendResponse(res, response);
+    }
+
+    const summary = buildUploadPreview(validationResult.assetData, existingData, sampleSize, missingAssetAction);
+    summary.mappingProfile = mapping.profileName;
+
+    // Missing assets still in use would make the commit fail; show them up front
+    if (missingAssetAction !== 'keep') {
+      const blockers = await findMissingAssetBlockers(
+        findAssetsToRetire(validationResult.assetData, existingData.existingByInternalId, missingAssetAction)
+      );
+      summary.blockedCount = blockers.length;
+      summary.blockers = blockers.slice(0, sampleSize);
+    }
+
+    const preview = await AssetUploadPreview.create({
+      companyId: userCompanyId,
+      createdBy: req.user.id,
+      originalName: sanitizeInput(req.file.originalname),
+      fileType: req.file.mimetype,
+      fileSize: req.file.size,
+      mappedRows,
+      summary,
+      expiresAt: new Date(Date.now() + PREVIEW_TTL_HOURS * 60 * 60 * 1000)
+    });
+
+    const response = successResponse('Upload preview created successfully', formatUploadPreview(preview));
+    sendResponse(res, response);
+  } catch (error) {
+    console.error('Error previewing asset upload:', error);
+    const response = errorResponse(
+      error.message || "Some error occurred while previewing the upload.",
+      error.statusCode || 500
+    );
+    sendResponse(res, response);
+  }
+};
+
+/**
+ * Get a stored upload preview
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+exports.getUploadPreview = async (req, res) => {
+  try {
+    const userCompanyId = req.user.company_id || req.user.company?.id;
+    if (!userCompanyId) {
+      const response = errorResponse("User's company information is missing", 400);
+      return sendResponse(res, response);
+    }
+
+    const preview = await AssetUploadPreview.findOne({
+      where: { id: req.params.previewId, companyId: userCompanyId }
+    });
+
+    if (!preview) {
+      const response = errorResponse("Upload preview not found", 404);
+      return sendResponse(res, response);
+    }
+
+    const response = successResponse("Upload preview retrieved successfully", formatUploadPreview(preview));
+    sendResponse(res, response);
+  } catch (error) {
+    console.error('Error fetching upload preview:', error);
+    const response = errorResponse(
+      error.message || "Some error occurred while retrieving the upload preview.",
+      500
+    );
+    sendResponse(res, response);
+  }
+};
+
+/**
+ * Commit a stored upload preview
+ * The previewed rows are processed like a regular upload. The commit is refused when
+ * the company's assets changed since the preview, so what gets written is exactly
+ * what the preview showed.
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+exports.commitUploadPreview = async (req, res) => {
+  try {
+    const userCompanyId = req.user.company_id || req.user.company?.id;
+    if (!userCompanyId) {
+      const response = errorResponse("User's company information is missing", 400);
+      return sendResponse(res, response);
+    }
+
+    const preview = await AssetUploadPreview.scope('withRows').findOne({
+      where: { id: req.params.previewId, companyId: userCompanyId }
+    });
+
+    if (!preview) {
+      const response = errorResponse("Upload preview not found", 404);
+      return sendResponse(res, response);
+    }
+
+    if (preview.fileUploadId) {
+      const response = errorResponse("Upload preview has already been committed", 409, { uploadId: preview.fileUploadId });
+      return sendResponse(res, response);
+    }
+
+    if (preview.isExpired()) {
+      const response = errorResponse("Upload preview has expired. Preview the file again before committing.", 400);
+      return sendResponse(res, response);
+    }
+
+    // Re-run the plan against the current assets and compare with the preview
+    const mappedRows = preview.mappedRows;
+    const missingAssetAction = preview.summary?.missingAssetAction || 'keep';
+    const existingData = await fetchExistingAssets(userCompanyId);
+    const validationResult = validateMappedRows(mappedRows, existingData, missingAssetAction);
+    const currentPlan = validationResult.valid
+      ? buildUploadPreview(validationResult.assetData, existingData, 0, missingAssetAction)
+      : null;
+
+    if (!currentPlan || currentPlan.planHash !== preview.summary?.planHash) {
+      const response = errorResponse(
+        "Assets changed since this preview was created. Preview the file again before committing.",
+        409,
+        { previewCounts: preview.summary?.counts || null, currentCounts: currentPlan ? currentPlan.counts : null }
+      );
+      return sendResponse(res, response);
+    }
+
+    // Create the upload record and claim the preview together, so it is committed once
+    const fileUpload = await db.sequelize.transaction(async (transaction) => {
+      const upload = await FileUpload.create({
+        fileName: `${Date.now()}-${preview.originalName}`,
+        originalName: preview.originalName,
+        fileType: preview.fileType,
+        fileSize: preview.fileSize,
+        uploaderId: req.user.id,
+        companyId: userCompanyId,
+        status: 'processing',
+        uploadOptions: { missingAssetAction }
+      }, { transaction });
+
+      const [claimed] = await AssetUploadPreview.update(
+        { fileUploadId: upload.id },
+        { where: { id: preview.id, fileUploadId: null }, transaction }
+      );
+      if (!claimed) {
+        const error = new Error("Upload preview has already been committed");
+        error.statusCode = 409;
+        throw error;
+      }
+
+      await enqueueUploadJob(upload, {
+        source: 'preview',
+        payload: { previewId: preview.id },
+        requestedBy: req.user.id
+      }, transaction);
+
+      return upload;
+    });
+
+    const response = successResponse('Upload preview committed successfully', {
+      uploadId: fileUpload.id,
+      previewId: preview.id,
+      fileName: fileUpload.originalName,
+      status: 'processing',
+      message: 'Your file is being processed in the background. Check the upload status for progress.'
+    });
+    sendResponse(res, response);
+
+    wakeUploadJobWorker();
+  } catch (error) {
+    console.error('Error committing upload preview:', error);
+    const response = errorResponse(
+      error.message || "Some error occurred while committing the upload preview.",
+      error.statusCode || 500
+    );
+    sendResponse(res, response);
+  }
+};
+
+/**
+ * Find a chunked upload of the user's company
+ * @param {string} uploadId - File upload ID
+ * @param {number} companyId - Company ID
+ * @returns {Promise<Object|null>} File upload record
+ */
+const findChunkedUpload = (uploadId, companyId) => {
+  return FileUpload.findOne({
+    where: {
+      id: uploadId,
+      companyId,
+      totalParts: { [Op.ne]: null }
+    }
+  });
+};
+
+/**
+ * Check that a chunked upload still accepts parts
+ * Expired uploads are marked as failed and their parts removed
+ * @param {Object} fileUpload - File upload record
+ * @returns {Promise<Object|null>} Error response, or null when the upload is open
+ */
+const checkChunkedUploadOpen = async (fileUpload) => {
+  if (fileUpload.status !== 'uploading') {
+    return errorResponse(`Upload is ${fileUpload.status} and no longer accepts parts`, 409);
+  }
+
+  if (isChunkedUploadExpired(fileUpload)) {
+    await updateUploadStatus(fileUpload, 'error', {
+      errorMessage: `Upload was not completed within ${CHUNKED_UPLOAD_TTL_HOURS} hours`
+    });
+    await removeUploadParts(fileUpload.id);
+    return errorResponse(`Upload expired. Chunked uploads must be completed within ${CHUNKED_UPLOAD_TTL_HOURS} hours`, 410);
+  }
+
+  return null;
+};
+
+/**
+ * Format the state of a chunked upload for resuming it
+ * @param {Object} fileUpload - File upload record
+ * @param {Array<Object>} parts - Result of listUploadParts
+ * @returns {Object} Upload state
+ */
+const formatChunkedUpload = (fileUpload, parts) => ({
+  uploadId: fileUpload.id,
+  fileName: fileUpload.originalName,
+  fileSize: fileUpload.fileSize,
+  status: fileUpload.status,
+  totalParts: fileUpload.totalParts,
+  maxPartSize: MAX_PART_SIZE,
+  ...summarizeUploadParts(parts, fileUpload.totalParts),
+  expiresAt: new Date(new Date(fileUpload.createdAt).getTime() + CHUNKED_UPLOAD_TTL_HOURS * 60 * 60 * 1000)
+});
+
+/**
+ * Start a resumable chunked upload for files too large for a single request
+ * The file is then sent in parts (uploadChunkPart) and processed once completed
+ * (completeChunkedUpload). Column mappings and options are fixed at this point.
+ *
+ * Body parameters:
+ * - fileName: Original file name, .csv or .xlsx (required)
+ * - fileSize: File size in bytes (required)
+ * - totalParts: Number of parts the file is split into (required)
+ * - fileType: MIME type (optional, detected from the file name)
+ * - columnMappings (object or JSON string) or mappingProfile (name), one required
+ * - missingAssets: keep | retire | delete (optional, see uploadAssets)
+ */
+exports.initiateChunkedUpload = async (req, res) => {
+  try {
+    const userCompanyId = req.user.company_id || req.user.company?.id;
+    if (!userCompanyId) {
+      const response = errorResponse("User's company information is missing", 400);
+      return sendResponse(res, response);
+    }
+
+    const fileName = typeof req.body.fileName === 'string' ? req.body.fileName.trim() : '';
+    const extension = fileName.toLowerCase().split('.').pop();
+    const fileSize = parseInt(req.body.fileSize);
+    const totalParts = parseInt(req.body.totalParts);
+
+    const errors = [];
+    if (!fileName) {
+      errors.push('fileName is required');
+    } else if (!['csv', 'xlsx'].includes(extension)) {
+      errors.push('Chunked uploads support CSV (.csv) and Excel (.xlsx) files');
+    }
+    if (!Number.isInteger(fileSize) || fileSize <= 0 || fileSize > MAX_CHUNKED_FILE_SIZE) {
+      errors.push(`fileSize must be between 1 and ${MAX_CHUNKED_FILE_SIZE} bytes`);
+    }
+    if (!Number.isInteger(totalParts) || totalParts <= 0 || totalParts > MAX_PARTS) {
+      errors.push(`totalParts must be between 1 and ${MAX_PARTS}`);
+    } else if (Number.isInteger(fileSize) && fileSize > totalParts * MAX_PART_SIZE) {
+      errors.push(`Parts can be at most ${MAX_PART_SIZE} bytes; use at least ${Math.ceil(fileSize / MAX_PART_SIZE)} parts`);
+    }
+    if (errors.length > 0) {
+      return sendResponse(res, validationErrorResponse(errors, 'Invalid chunked upload'));
+    }
+
+    const mapping = await resolveUploadMappings(req.body, userCompanyId);
+    if (mapping.error) {
+      const response = errorResponse(mapping.error, mapping.statusCode);
+      return sendResponse(res, response);
+    }
+
+    const { missingAssetAction, error: optionError } = readMissingAssetAction(req.body);
+    if (optionError) {
+      const response = errorResponse(optionError, 400);
+      return sendResponse(res, response);
+    }
+
+    const originalName = sanitizeInput(fileName);
+    const fileUpload = await FileUpload.create({
+      fileName: `${Date.now()}-${originalName}`,
+      originalName,
+      fileType: req.body.fileType || (extension === 'csv'
+        ? 'text/csv'
+        : 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'),
+      fileSize,
+      uploaderId: req.user.id,
+      companyId: userCompanyId,
+      status: 'uploading',
+      totalParts,
+      uploadOptions: {
+        columnMappings: mapping.columnMappings,
+        transforms: mapping.transforms,
+        profileName: mapping.profileName,
+        missingAssetAction
+      }
+    });
+
+    const response = successResponse(
+      'Chunked upload started. Send the parts, then complete the upload.',
+      formatChunkedUpload(fileUpload, []),
+      201
+    );
+    sendResponse(res, response);
+  } catch (error) {
+    console.error('Error in initiateChunkedUpload:', error);
+    const response = errorResponse(
+      error.message || 'Error starting chunked upload',
+      error.statusCode || 500
+    );
+    sendResponse(res, response);
+  }
+};
+
+/**
+ * Get the parts received so far for a chunked upload, to resume it
+ */
+exports.getChunkedUpload = async (req, res) => {
+  try {
+    const userCompanyId = req.user.company_id || req.user.company?.id;
+    if (!userCompanyId) {
+      const response = errorResponse("User's company information is missing", 400);
+      return sendResponse(res, response);
+    }
+
+    const fileUpload = await findChunkedUpload(req.params.uploadId, userCompanyId);
+    if (!fileUpload) {
+      const response = errorResponse('Upload not found', 404);
+      return sendResponse(res, response);
+    }
+
+    const parts = fileUpload.status === 'uploading' ? await listUploadParts(fileUpload.id) : [];
+    const response = successResponse('Chunked upload retrieved successfully', formatChunkedUpload(fileUpload, parts));
+    sendResponse(res, response);
+  } catch (error) {
+    console.error('Error in getChunkedUpload:', error);
+    const response = errorResponse(
+      error.message || 'Error retrieving chunked upload',
+      500
+    );
+    sendResponse(res, response);
+  }
+};
+
+/**
+ * Receive one part of a chunked upload (raw request body)
+ * Sending a part again replaces it, so interrupted parts can simply be retried
+ * The part is written to a temporary file and only put in place under a shared lock on the
+ * upload row while it is still uploading, so it can't change once completion has claimed the upload
+ */
+exports.uploadChunkPart = async (req, res) => {
+  try {
+    const userCompanyId = req.user.company_id || req.user.company?.id;
+    if (!userCompanyId) {
+      const response = errorResponse("User's company information is missing", 400);
+      return sendResponse(res, response);
+    }
+
+    const fileUpload = await findChunkedUpload(req.params.uploadId, userCompanyId);
+    if (!fileUpload) {
+      const response = errorResponse('Upload not found', 404);
+      return sendResponse(res, response);
+    }
+
+    const closedResponse = await checkChunkedUploadOpen(fileUpload);
+    if (closedResponse) {
+      return sendResponse(res, closedResponse);
+    }
+
+    const partNumber = parseInt(req.params.partNumber);
+    if (partNumber > fileUpload.totalParts) {
+      const response = errorResponse(`partNumber must be between 1 and ${fileUpload.totalParts}`, 400);
+      return sendResponse(res, response);
+    }
+
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      const response = errorResponse('Part is empty. Send the part contents as the request body (application/octet-stream)', 400);
+      return sendResponse(res, response);
+    }
+
+    const staged = await stageUploadPart(fileUpload.id, partNumber, req.body);
+    let accepted = false;
+    try {
+      accepted = await db.sequelize.transaction(async (transaction) => {
+        const open = await FileUpload.findOne({
+          where: { id: fileUpload.id, status: 'uploading' },
+          attributes: ['id'],
+          lock: transaction.LOCK.SHARE,
+          transaction
+        });
+        if (!open) return false;
+
+        await commitUploadPart(staged);
+        return true;
+      });
+    } finally {
+      if (!accepted) await discardUploadPart(staged);
+    }
+    if (!accepted) {
+      const response = errorResponse('Upload is no longer accepting parts', 409);
+      return sendResponse(res, response);
+    }
+
+    const { receivedParts, missingParts, receivedBytes } = summarizeUploadParts(
+      await listUploadParts(fileUpload.id),
+      fileUpload.totalParts
+    );
+
+    const response = successResponse('Part received', {
+      uploadId: fileUpload.id,
+      partNumber,
+      size: req.body.length,
+      receivedParts: receivedParts.length,
+      missingParts,
+      receivedBytes
+    });
+    sendResponse(res, response);
+  } catch (error) {
+    console.error('Error in uploadChunkPart:', error);
+    const response = errorResponse(
+      error.message || 'Error storing upload part',
+      500
+    );
+    sendResponse(res, response);
+  }
+};
+
+/**
+ * Complete a chunked upload once every part has been received
+ * The upload is queued like /upload; the worker streams the parts through the parser in
+ * batches, and progress is reported by the upload status endpoint.
+ */
+exports.completeChunkedUpload = async (req, res) => {
+  try {
+    const userCompanyId = req.user.company_id || req.user.company?.id;
+    if (!userCompanyId) {
+      const response = errorResponse("User's company information is missing", 400);
+      return sendResponse(res, response);
+    }
+
+    const fileUpload = await findChunkedUpload(req.params.uploadId, userCompanyId);
+    if (!fileUpload) {
+      const response = errorResponse('Upload not found', 404);
+      return sendResponse(res, response);
+    }
+
+    const closedResponse = await checkChunkedUploadOpen(fileUpload);
+    if (closedResponse) {
+      return sendResponse(res, closedResponse);
+    }
+
+    // Check the parts and claim the upload under a row lock, so a repeated complete request cannot
+    // process it twice and no part can be replaced between the check and the claim
+    const rejected = await db.sequelize.transaction(async (transaction) => {
+      const open = await FileUpload.findOne({
+        where: { id: fileUpload.id, status: 'uploading' },
+        attributes: ['id'],
+        lock: transaction.LOCK.UPDATE,
+        transaction
+      });
+      if (!open) {
+        return errorResponse('Upload is already being processed', 409);
+      }
+
+      const { missingParts, receivedBytes } = summarizeUploadParts(
+        await listUploadParts(fileUpload.id),
+        fileUpload.totalParts
+      );
+      if (missingParts.length > 0) {
+        return errorResponse(
+          `Upload is missing ${missingParts.length} part(s)`,
+          400,
+          { missingParts }
+        );
+      }
+      if (receivedBytes !== fileUpload.fileSize) {
+        return errorResponse(
+          `Received ${receivedBytes} bytes but the upload was started with fileSize ${fileUpload.fileSize}`,
+          400
+        );
+      }
+
+      await FileUpload.update({ status: 'processing' }, { where: { id: fileUpload.id }, transaction });
+      await enqueueUploadJob(fileUpload, { source: 'parts', requestedBy: req.user.id }, transaction);
+      return null;
+    });
+    if (rejected) {
+      return sendResponse(res, rejected);
+    }
+
+    const response = successResponse('File upload started successfully', {
+      uploadId: fileUpload.id,
+      fileName: fileUpload.originalName,
+      status: 'processing',
+      message: 'Your file is being processed in the background. Check the upload status for progress.'
+    });
+    sendResponse(res, response);
+
+    wakeUploadJobWorker();
+  } catch (error) {
+    console.error('Error in completeChunkedUpload:', error);
+    const response = errorResponse(
+      error.message || 'Error completing chunked upload',
+      500
+    );
+    sendResponse(res, response);
+  }
+};
+
+/**
+ * Export the company's asset hierarchy as CSV or XLSX
+ * Columns are the upload field names keyed by externalId and parent externalId, so the
+ * file can be re-uploaded unchanged (the columns map onto themselves, and are also
+ * picked up by auto-detection). Re-uploading an unmodified export reports no changes.
+ * Text that a spreadsheet would run as a formula is quoted; the uploader strips that quote again.
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+exports.exportAssets = async (req, res) => {
+  try {
+    const format = resolveExportFormat(req.query.format);
+
+    const userCompanyId = req.user.company_id || req.user.company?.id;
+    if (!userCompanyId) {
+      const response = errorResponse("User's company information is missing", 400);
+      return sendResponse(res, response);
+    }
+
+    const columns = Object.keys(ASSET_UPLOAD_FIELDS);
+    setDownloadHeaders(res, format, `asset-hierarchy-${new Date().toISOString().slice(0, 10)}`);
+    const writer = createRowWriter(res, format, columns, 'Assets');
+
+    // Parents come before their children, in upload order within a level
+    let offset = 0;
+    while (true) {
+      const assets = await AssetHierarchy.findAll({
+        where: { companyId: userCompanyId },
+        include: [{
+          model: AssetHierarchy,
+          as: 'parentId',
+          attributes: ['id', 'externalId'],
+          required: false,
+          paranoid: false
+        }],
+        order: [['level', 'ASC'], ['upload_order', 'ASC'], ['name', 'ASC'], ['id', 'ASC']],
+        limit: EXPORT_BATCH_SIZE,
+        offset
+      });
+      if (assets.length === 0) break;
+
+      for (const asset of assets) {
+        const values = { ...asset.get({ plain: true }), parentExternalId: asset.parentId?.externalId || null };
+        await writer.writeRow(columns.map(column => toSafeCell(values[ASSET_UPLOAD_FIELDS[column]])));
+      }
+
+      if (assets.length < EXPORT_BATCH_SIZE) break;
+      offset += EXPORT_BATCH_SIZE;
+    }
+
+    await writer.end();
+  } catch (error) {
+    console.error('Error exporting asset hierarchy:', error);
+
+    // Headers are gone once streaming started; abort so the client sees a failed download
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+
+    const response = errorResponse(
+      error.message || "Some error occurred while exporting asset hierarchy.",
+      error.statusCode || 500
+    );
+    sendResponse(res, response);
+  }
 };
 
 /**
@@ -542,6 +1121,67 @@ exports.findAll = async (req, res) => {
   }
 };
 
+/**
+ * Search assets by text and facets
+ * Query:
+ * - q: matched against name, description, functional location, serial number, manufacturer and CMMS/external ID
+ * - objectType, systemStatus, maintenancePlant, cmmsSystem: comma-separated facet filters
+ * - page, limit (default 25, max 100)
+ * Each result carries its path from the top-level asset; facets list the value counts of each facet
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+exports.search = async (req, res) => {
+  try {
+    let companyId = null;
+
+    if (req.user?.role !== 'universal_user') {
+      companyId = req.user.company_id || req.user.company?.id;
+      if (!companyId) {
+        const response = errorResponse("User's company information is missing", 400);
+        return sendResponse(res, response);
+      }
+    }
+
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(MAX_SEARCH_LIMIT, Math.max(1, parseInt(req.query.limit) || DEFAULT_SEARCH_LIMIT));
+    const text = typeof req.query.q === 'string' ? req.query.q : '';
+    const filters = parseFacetFilters(req.query);
+
+    const { total, results, facets } = await searchAssets({
+      companyId,
+      text,
+      filters,
+      limit,
+      offset: (page - 1) * limit
+    });
+
+    const totalPages = Math.ceil(total / limit);
+    const response = successResponse("Asset search completed successfully", {
+      query: text,
+      filters,
+      results,
+      facets,
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalItems: total,
+        itemsPerPage: limit,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1
+      }
+    });
+    sendResponse(res, response);
+  } catch (error) {
+    console.error('Error searching assets:', error);
+    const response = errorResponse(
+      error.message || "Some error occurred while searching assets.",
+      500
+    );
+    sendResponse(res, response);
+  }
+};
+
 /**
  * Find Asset Hierarchy by Company ID
  * @param {object} req - Express request object
@@ -706,6 +1346,313 @@ exports.findByExternalId = async (req, res) => {
   }
 };
 
+/**
+ * Get the top-level assets of the company as a tree
+ * Query: depth - levels to load below the top-level assets (default 1, max 10)
+ * Every node has a childCount; nodes below the loaded depth are expanded through /:id/tree
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+exports.getRootTree = async (req, res) => {
+  try {
+    const userCompanyId = req.user.company_id || req.user.company?.id;
+    if (!userCompanyId) {
+      const response = errorResponse("User's company information is missing", 400);
+      return sendResponse(res, response);
+    }
+
+    const { depth, error } = parseTreeDepth(req.query.depth);
+    if (error) {
+      const response = errorResponse(error, 400);
+      return sendResponse(res, response);
+    }
+
+    const { nodes, nodeCount, truncated } = await loadRootTree(userCompanyId, depth);
+
+    const response = successResponse("Asset tree retrieved successfully", {
+      depth,
+      nodeCount,
+      truncated,
+      nodes
+    });
+    sendResponse(res, response);
+  } catch (error) {
+    console.error('Error retrieving asset tree:', error);
+    const response = errorResponse(
+      error.message || "Some error occurred while retrieving the asset tree.",
+      500
+    );
+    sendResponse(res, response);
+  }
+};
+
+/**
+ * Get the subtree below an asset and its ancestor breadcrumb
+ * Query: depth - levels to load below the asset (default 1, max 10; 0 returns the asset only)
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+exports.getTree = async (req, res) => {
+  try {
+    let whereClause = { id: req.params.id };
+
+    if (req.user?.role !== 'universal_user') {
+      const userCompanyId = req.user.company_id || req.user.company?.id;
+      if (!userCompanyId) {
+        const response = errorResponse("User's company information is missing", 400);
+        return sendResponse(res, response);
+      }
+      whereClause.companyId = userCompanyId;
+    }
+
+    const { depth, error } = parseTreeDepth(req.query.depth);
+    if (error) {
+      const response = errorResponse(error, 400);
+      return sendResponse(res, response);
+    }
+
+    const asset = await AssetHierarchy.findOne({ where: whereClause });
+    if (!asset) {
+      const response = errorResponse("Asset not found", 404);
+      return sendResponse(res, response);
+    }
+
+    // Descendants and ancestors are scoped to the asset's own company
+    const [{ node, nodeCount, truncated }, ancestors] = await Promise.all([
+      loadAssetSubtree(asset, depth),
+      getAssetAncestors(asset)
+    ]);
+
+    const response = successResponse("Asset tree retrieved successfully", {
+      depth,
+      nodeCount,
+      truncated,
+      ancestors,
+      node
+    });
+    sendResponse(res, response);
+  } catch (error) {
+    console.error('Error retrieving asset tree:', error);
+    const response = errorResponse(
+      error.message || `Error retrieving tree for Asset with id ${req.params.id}`,
+      500
+    );
+    sendResponse(res, response);
+  }
+};
+
+/**
+ * Send the result of a move, or the error that prevented it
+ * @param {object} res - Express response object
+ * @param {Function} run - Performs the move
+ */
+const respondWithMove = async (res, run) => {
+  try {
+    const result = await run();
+    const message = result.moves.length > 0
+      ? `${result.moves.length} asset(s) moved successfully`
+      : "Assets are already under the requested parents";
+    const response = successResponse(message, result);
+    sendResponse(res, response);
+  } catch (error) {
+    console.error('Error moving assets:', error);
+    const response = errorResponse(
+      error.message || "Some error occurred while moving assets.",
+      error.statusCode || 500,
+      error.details || null
+    );
+    sendResponse(res, response);
+  }
+};
+
+/**
+ * Move an asset, with its subtree, under a new parent
+ * Body: parentId - internal ID of the new parent, or null for the top level; reason (optional)
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+exports.moveAsset = async (req, res) => {
+  const userCompanyId = req.user.company_id || req.user.company?.id;
+  if (!userCompanyId) {
+    const response = errorResponse("User's company information is missing", 400);
+    return sendResponse(res, response);
+  }
+
+  if (!Object.prototype.hasOwnProperty.call(req.body, 'parentId')) {
+    const response = errorResponse("parentId is required (use null to move the asset to the top level)", 400);
+    return sendResponse(res, response);
+  }
+
+  return respondWithMove(res, () => moveAssets(
+    userCompanyId,
+    [{ assetId: req.params.id, parentId: req.body.parentId }],
+    { userId: req.user.id, reason: req.body.reason ? sanitizeInput(req.body.reason) : null }
+  ));
+};
+
+/**
+ * Move a batch of assets under new parents in one transaction
+ * Body: moves - [{ assetId, parentId }]; reason (optional)
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+exports.moveAssets = async (req, res) => {
+  const userCompanyId = req.user.company_id || req.user.company?.id;
+  if (!userCompanyId) {
+    const response = errorResponse("User's company information is missing", 400);
+    return sendResponse(res, response);
+  }
+
+  return respondWithMove(res, () => moveAssets(
+    userCompanyId,
+    req.body.moves,
+    { userId: req.user.id, reason: req.body.reason ? sanitizeInput(req.body.reason) : null }
+  ));
+};
+
+/**
+ * Get the move history of an asset, newest first
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+exports.getMoveHistory = async (req, res) => {
+  try {
+    const userCompanyId = req.user.company_id || req.user.company?.id;
+    if (!userCompanyId) {
+      const response = errorResponse("User's company information is missing", 400);
+      return sendResponse(res, response);
+    }
+
+    const moves = await AssetMove.findAll({
+      where: { assetId: req.params.id, companyId: userCompanyId },
+      include: [{
+        model: User,
+        as: 'mover',
+        attributes: ['id', 'name', 'email']
+      }],
+      order: [['createdAt', 'DESC']]
+    });
+
+    const response = successResponse("Asset move history retrieved successfully", moves);
+    sendResponse(res, response);
+  } catch (error) {
+    console.error('Error retrieving asset move history:', error);
+    const response = errorResponse(
+      error.message || "Some error occurred while retrieving asset move history.",
+      500
+    );
+    sendResponse(res, response);
+  }
+};
+
+/**
+ * Get the field-level change history of an asset, newest first
+ * Query: page, limit; field - only changes to this field; fileUploadId - only changes made by this upload
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+exports.getAssetHistory = async (req, res) => {
+  try {
+    const userCompanyId = req.user.company_id || req.user.company?.id;
+    if (!userCompanyId) {
+      const response = errorResponse("User's company information is missing", 400);
+      return sendResponse(res, response);
+    }
+
+    const { page, limit, offset, field, fileUploadId } = req.query;
+    const whereClause = { assetId: req.params.id, companyId: userCompanyId };
+    if (field) whereClause.fieldName = field;
+    if (fileUploadId) whereClause.fileUploadId = fileUploadId;
+
+    const { count, rows } = await AssetChange.findAndCountAll({
+      where: whereClause,
+      include: [
+        {
+          model: User,
+          as: 'changer',
+          attributes: ['id', 'name', 'email']
+        },
+        {
+          model: FileUpload,
+          as: 'fileUpload',
+          attributes: ['id', 'originalName', 'createdAt'],
+          paranoid: false
+        }
+      ],
+      order: [['createdAt', 'DESC'], ['id', 'DESC']],
+      limit,
+      offset
+    });
+
+    sendResponse(res, paginatedResponse(
+      rows,
+      page,
+      limit,
+      count,
+      "Asset history retrieved successfully"
+    ));
+  } catch (error) {
+    console.error('Error retrieving asset history:', error);
+    const response = errorResponse(
+      error.message || "Some error occurred while retrieving asset history.",
+      500
+    );
+    sendResponse(res, response);
+  }
+};
+
+/**
+ * Get an asset, or the subtree below it, as it was at a point in time
+ * Query: at - ISO timestamp (required); depth - levels to include below the asset (default 1, max 10)
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+exports.getAssetAt = async (req, res) => {
+  try {
+    const userCompanyId = req.user.company_id || req.user.company?.id;
+    if (!userCompanyId) {
+      const response = errorResponse("User's company information is missing", 400);
+      return sendResponse(res, response);
+    }
+
+    const at = new Date(req.query.at);
+    if (!req.query.at || isNaN(at.getTime())) {
+      const response = errorResponse("at must be a valid timestamp (e.g. 2026-01-31T12:00:00Z)", 400);
+      return sendResponse(res, response);
+    }
+    if (at > new Date()) {
+      const response = errorResponse("at cannot be in the future", 400);
+      return sendResponse(res, response);
+    }
+
+    const { depth, error } = parseTreeDepth(req.query.depth);
+    if (error) {
+      const response = errorResponse(error, 400);
+      return sendResponse(res, response);
+    }
+
+    const result = await loadAssetAt(userCompanyId, req.params.id, at, depth);
+    if (!result) {
+      const response = errorResponse(`Asset did not exist at ${at.toISOString()}`, 404);
+      return sendResponse(res, response);
+    }
+
+    const response = successResponse("Asset retrieved successfully", {
+      at: at.toISOString(),
+      depth,
+      ...result
+    });
+    sendResponse(res, response);
+  } catch (error) {
+    console.error('Error retrieving asset at point in time:', error);
+    const response = errorResponse(
+      error.message || `Error retrieving Asset with id ${req.params.id}`,
+      500
+    );
+    sendResponse(res, response);
+  }
+};
+
 /**
  * Get upload history for the current company
  * @param {object} req - Express request object
@@ -802,11 +1749,18 @@ exports.getUploadStatus = async (req, res) => {
         id: uploadId,
         companyId: userCompanyId
       },
-      include: [{
-        model: User,
-        as: 'uploadedBy',
-        attributes: ['id', 'name', 'email']
-      }]
+      include: [
+        {
+          model: User,
+          as: 'uploadedBy',
+          attributes: ['id', 'name', 'email']
+        },
+        {
+          model: UploadJob,
+          as: 'job',
+          attributes: ['id', 'status', 'attempts', 'maxAttempts', 'runAt', 'lastError', 'cancelRequestedAt']
+        }
+      ]
     });
 
     if (!upload) {
@@ -845,6 +1799,15 @@ exports.getUploadStatus = async (req, res) => {
       errorSummary: errorSummary,
       errors: parsedErrors,
       resultSummary: upload.resultSummary,
+      progress: formatUploadProgress(upload),
+      job: upload.job ? {
+        status: upload.job.status,
+        attempts: upload.job.attempts,
+        maxAttempts: upload.job.maxAttempts,
+        nextAttemptAt: upload.job.status === 'queued' ? upload.job.runAt : null,
+        lastError: upload.job.lastError,
+        cancelRequested: Boolean(upload.job.cancelRequestedAt)
+      } : null,
       uploadedBy: upload.uploadedBy?.name || 'Unknown',
       uploadedAt: upload.createdAt,
       updatedAt: upload.updatedAt
@@ -862,6 +1825,81 @@ exports.getUploadStatus = async (req, res) => {
   }
 };
 
+/**
+ * Cancel an upload that is still being sent, queued or processed
+ * Queued and unfinished chunked uploads are cancelled at once. A running upload is asked
+ * to stop and rolls back its import; its status becomes 'cancelled' shortly after.
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+exports.cancelUpload = async (req, res) => {
+  try {
+    const userCompanyId = req.user.company_id || req.user.company?.id;
+    if (!userCompanyId) {
+      const response = errorResponse("User's company information is missing", 400);
+      return sendResponse(res, response);
+    }
+
+    const upload = await FileUpload.findOne({
+      where: {
+        id: req.params.uploadId,
+        companyId: userCompanyId
+      }
+    });
+
+    if (!upload) {
+      const response = errorResponse("Upload not found", 404);
+      return sendResponse(res, response);
+    }
+
+    const status = await cancelUpload(upload);
+
+    const response = successResponse(
+      status === 'cancelled' ? "Upload cancelled" : "Cancellation requested. The upload stops at its next checkpoint.",
+      { uploadId: upload.id, status }
+    );
+    sendResponse(res, response);
+  } catch (error) {
+    console.error('Error cancelling upload:', error);
+    const response = errorResponse(
+      error.message || "Some error occurred while cancelling the upload.",
+      error.statusCode || 500
+    );
+    sendResponse(res, response);
+  }
+};
+
+/**
+ * Describe how far an upload has got
+ * While the file is being read the total is not known yet, so rowsProcessed counts rows read;
+ * once it is known, rowsProcessed counts rows imported out of totalRows.
+ * @param {Object} upload - File upload record (with its job, when loaded)
+ * @returns {Object} { phase, rowsProcessed, totalRows, percent }
+ */
+const formatUploadProgress = (upload) => {
+  let phase;
+  if (upload.status === 'uploading') {
+    phase = 'uploading';
+  } else if (upload.status === 'processing' && upload.job?.status === 'queued') {
+    // Waiting for a worker, or for the next attempt after a failure
+    phase = 'queued';
+  } else if (upload.status === 'processing') {
+    phase = upload.totalRows === null ? 'reading' : 'importing';
+  } else {
+    phase = upload.status;
+  }
+
+  const totalRows = upload.totalRows;
+  const rowsProcessed = upload.processedRows || 0;
+
+  return {
+    phase,
+    rowsProcessed,
+    totalRows,
+    percent: totalRows ? Math.min(100, Math.floor((rowsProcessed / totalRows) * 100)) : null
+  };
+};
+
 /**
  * Parse structured errors from error message text
  * @param {string} errorMessage - Full error message
@@ -931,7 +1969,7 @@ exports.deleteUniversal = async (req, res) => {
 
     // For now, do a simple delete without recursive deletion
     // In a production system, you might want to handle child assets differently
-    await asset.destroy();
+    await asset.destroy({ changedBy: req.user.id });
 
     sendResponse(res, successResponse("Asset deleted successfully by universal user"));
 
@@ -982,7 +2020,7 @@ exports.delete = async (req, res) => {
 
     // Soft delete via Sequelize destroy() - triggers beforeDestroy hook
     // which cascades soft delete to children, task_hazards, and risk_assessments
-    await asset.destroy();
+    await asset.destroy({ changedBy: req.user.id });
 
     sendResponse(res, successResponse("Asset deleted successfully"));
 
@@ -0,0 +1,208 @@
+const db = require("../models");
+const AssetMappingProfile = db.asset_mapping_profiles;
+const { successResponse, errorResponse, sendResponse, validationErrorResponse } = require('../helper/responseHelper');
+const { getCompanyId } = require('../helper/controllerHelper');
+const { validateMappingProfile } = require('../helper/assetMappingProfileHelper');
+
+/**
+ * Helper function to find a mapping profile with company validation
+ */
+const findProfileByIdAndCompany = async (id, companyId) => {
+  const profile = await AssetMappingProfile.findOne({ where: { id, companyId } });
+
+  if (!profile) {
+    throw new Error("Mapping profile not found");
+  }
+
+  return profile;
+};
+
+/**
+ * Helper function to ensure profile names are unique within a company
+ */
+const assertNameAvailable = async (companyId, name, excludeId = null) => {
+  const where = { companyId, name };
+  if (excludeId) {
+    where.id = { [db.Sequelize.Op.ne]: excludeId };
+  }
+
+  const existing = await AssetMappingProfile.findOne({ where });
+  if (existing) {
+    const error = new Error(`A mapping profile named "${name}" already exists`);
+    error.statusCode = 409;
+    throw error;
+  }
+};
+
+/**
+ * Retrieve all mapping profiles of the user's company
+ */
+exports.findAll = async (req, res) => {
+  try {
+    const userCompanyId = getCompanyId(req);
+
+    const profiles = await AssetMappingProfile.findAll({
+      where: { companyId: userCompanyId },
+      order: [['name', 'ASC']]
+    });
+
+    sendResponse(res, successResponse(
+      "Mapping profiles retrieved successfully",
+      profiles.map(profile => profile.toResponseJSON())
+    ));
+  } catch (error) {
+    console.error('Error retrieving mapping profiles:', error);
+    sendResponse(res, errorResponse(
+      error.message || "Some error occurred while retrieving mapping profiles.",
+      500
+    ));
+  }
+};
+
+/**
+ * Retrieve a single mapping profile
+ */
+exports.findOne = async (req, res) => {
+  try {
+    const userCompanyId = getCompanyId(req);
+    const profile = await findProfileByIdAndCompany(req.params.id, userCompanyId);
+
+    sendResponse(res, successResponse(
+      "Mapping profile retrieved successfully",
+      profile.toResponseJSON()
+    ));
+  } catch (error) {
+    console.error('Error retrieving mapping profile:', error);
+
+    if (error.message === "Mapping profile not found") {
+      return sendResponse(res, errorResponse(error.message, 404));
+    }
+
+    sendResponse(res, errorResponse(
+      error.message || "Some error occurred while retrieving the mapping profile.",
+      500
+    ));
+  }
+};
+
+/**
+ * Create a mapping profile (admin/superuser)
+ *
+ * Body parameters:
+ * - name: Profile name, unique per company (required)
+ * - description: Free text (optional)
+ * - columnMappings: { systemField: fileColumn } (required, must map 'id' and 'name')
+ * - transforms: { systemField: [{ type, values }] } (optional)
+ */
+exports.create = async (req, res) => {
+  try {
+    const userCompanyId = getCompanyId(req);
+
+    const validation = validateMappingProfile(req.body);
+    if (!validation.valid) {
+      return sendResponse(res, validationErrorResponse(validation.errors, 'Invalid mapping profile'));
+    }
+
+    const name = req.body.name.trim();
+    await assertNameAvailable(userCompanyId, name);
+
+    const profile = await AssetMappingProfile.create({
+      companyId: userCompanyId,
+      name,
+      description: req.body.description || null,
+      columnMappings: req.body.columnMappings,
+      transforms: req.body.transforms || {},
+      createdBy: req.user.id,
+      updatedBy: req.user.id
+    });
+
+    sendResponse(res, successResponse(
+      "Mapping profile created successfully",
+      profile.toResponseJSON(),
+      201
+    ));
+  } catch (error) {
+    console.error('Error creating mapping profile:', error);
+    sendResponse(res, errorResponse(
+      error.message || "Some error occurred while creating the mapping profile.",
+      error.statusCode || 500
+    ));
+  }
+};
+
+/**
+ * Update a mapping profile (admin/superuser)
+ * Fields that are not provided keep their current value
+ */
+exports.update = async (req, res) => {
+  try {
+    const userCompanyId = getCompanyId(req);
+    const profile = await findProfileByIdAndCompany(req.params.id, userCompanyId);
+
+    const definition = {
+      name: req.body.name ?? profile.name,
+      columnMappings: req.body.columnMappings ?? profile.columnMappings,
+      transforms: req.body.transforms ?? profile.transforms
+    };
+
+    const validation = validateMappingProfile(definition);
+    if (!validation.valid) {
+      return sendResponse(res, validationErrorResponse(validation.errors, 'Invalid mapping profile'));
+    }
+
+    const name = definition.name.trim();
+    if (name !== profile.name) {
+      await assertNameAvailable(userCompanyId, name, profile.id);
+    }
+
+    await profile.update({
+      name,
+      description: req.body.description !== undefined ? req.body.description : profile.description,
+      columnMappings: definition.columnMappings,
+      transforms: definition.transforms || {},
+      updatedBy: req.user.id
+    });
+
+    sendResponse(res, successResponse(
+      "Mapping profile updated successfully",
+      profile.toResponseJSON()
+    ));
+  } catch (error) {
+    console.error('Error updating mapping profile:', error);
+
+    if (error.message === "Mapping profile not found") {
+      return sendResponse(res, errorResponse(error.message, 404));
+    }
+
+    sendResponse(res, errorResponse(
+      error.message || "Some error occurred while updating the mapping profile.",
+      error.statusCode || 500
+    ));
+  }
+};
+
+/**
+ * Delete a mapping profile (admin/superuser)
+ * Uploads already processed with the profile are not affected
+ */
+exports.delete = async (req, res) => {
+  try {
+    const userCompanyId = getCompanyId(req);
+    const profile = await findProfileByIdAndCompany(req.params.id, userCompanyId);
+
+    await profile.destroy();
+
+    sendResponse(res, successResponse("Mapping profile deleted successfully"));
+  } catch (error) {
+    console.error('Error deleting mapping profile:', error);
+
+    if (error.message === "Mapping profile not found") {
+      return sendResponse(res, errorResponse(error.message, 404));
+    }
+
+    sendResponse(res, errorResponse(
+      error.message || "Some error occurred while deleting the mapping profile.",
+      500
+    ));
+  }
+};
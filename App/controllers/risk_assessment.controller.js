@@ -5,6 +5,21 @@ const SupervisorApproval = db.supervisor_approvals;
 const User = db.user;
 const { successResponse, errorResponse, sendResponse, paginatedResponse } = require('../helper/responseHelper');
 const supervisorApprovalController = require('./supervisor_approval.controller');
+const {
+  resolveMatType,
+  loadMatricesForRisks,
+  findLevelValue,
+  scoreRisk,
+  requiresSignatureForRisk,
+  resolveSignatureStatus,
+  summarizeResidualRisk,
+  buildResidualRiskQuery,
+  assertRisksWithinMatrices,
+  summarizeMatrixVersions
+} = require('../helper/riskMatrixHelper');
+const { buildCriticalityQuery } = require('../helper/assetCriticalityHelper');
+const { loadRiskCatalogue, applyCatalogueToRisks } = require('../helper/riskCatalogueHelper');
+const { resolveExportFormat, streamRiskExport } = require('../helper/exportHelper');
 
 /**
  * Helper function to get user's company ID with validation
@@ -102,19 +117,42 @@ const findAndValidateSupervisor = async (supervisorEmail, transaction = null) =>
 
 /**
  * Helper function to process and validate risk data
+ * When matrices are given, labels are resolved against the company matrix for the risk type
+ * and the as-is/mitigated scores and levels are computed from it.
+ * Catalogue links are expected to have been set by applyCatalogueToRisks.
+ * A supervisor signature is required whenever the residual score is above the company
+ * threshold, regardless of the flag sent by the client.
  */
-const processRisks = (risks) => {
-  return risks.map((risk) => ({
-    riskDescription: risk.riskDescription,
-    riskType: risk.riskType,
-    asIsLikelihood: convertToInteger(risk.asIsLikelihood),
-    asIsConsequence: convertToInteger(risk.asIsConsequence),
-    mitigatingAction: risk.mitigatingAction,
-    mitigatingActionType: risk.mitigatingActionType,
-    mitigatedLikelihood: convertToInteger(risk.mitigatedLikelihood),
-    mitigatedConsequence: convertToInteger(risk.mitigatedConsequence),
-    requiresSupervisorSignature: risk.requiresSupervisorSignature || false
-  }));
+const processRisks = (risks, matrices = null) => {
+  return risks.map((risk) => {
+    const matrix = matrices?.get(resolveMatType(risk.riskType));
+    const toLikelihood = (value) => findLevelValue(value, matrix?.likelihoods) ?? convertToInteger(value);
+    const toConsequence = (value) => findLevelValue(value, matrix?.consequences) ?? convertToInteger(value);
+
+    const processedRisk = {
+      riskDescription: risk.riskDescription,
+      riskType: risk.riskType,
+      asIsLikelihood: toLikelihood(risk.asIsLikelihood),
+      asIsConsequence: toConsequence(risk.asIsConsequence),
+      mitigatingAction: risk.mitigatingAction,
+      mitigatingActionType: risk.mitigatingActionType,
+      mitigatedLikelihood: toLikelihood(risk.mitigatedLikelihood),
+      mitigatedConsequence: toConsequence(risk.mitigatedConsequence),
+      requiresSupervisorSignature: risk.requiresSupervisorSignature || false,
+      riskMatrixId: matrix?.id || null,
+      hazardCategoryId: risk.hazardCategoryId || null,
+      hazardControlId: risk.hazardControlId || null,
+      controlType: risk.controlType || null,
+      freeTextHazard: risk.freeTextHazard || false,
+      freeTextControl: risk.freeTextControl || false
+    };
+
+    const scores = scoreRisk(processedRisk, matrix);
+    processedRisk.requiresSupervisorSignature =
+      processedRisk.requiresSupervisorSignature || requiresSignatureForRisk(scores, matrix);
+
+    return { ...processedRisk, ...scores };
+  });
 };
 
 /**
@@ -149,12 +187,12 @@ const formatRiskAssessment = (riskAssessment) => {
  * Helper function to update risk assessment risks
  * Handles create, update, and delete operations for associated risks
  */
-const updateRiskAssessmentRisks = async (riskAssessment, newRisks, transaction) => {
+const updateRiskAssessmentRisks = async (riskAssessment, newRisks, matrices, transaction) => {
   if (!newRisks || !Array.isArray(newRisks)) {
     return [];
   }
 
-  const processedRisks = processRisks(newRisks);
+  const processedRisks = processRisks(newRisks, matrices);
   const riskMap = new Map();
   
   newRisks.forEach(risk => {
@@ -168,7 +206,7 @@ const updateRiskAssessmentRisks = async (riskAssessment, newRisks, transaction)
     await Promise.all(riskAssessment.risks.map(async risk => {
       if (riskMap.has(risk.id)) {
         const updatedRisk = riskMap.get(risk.id);
-        const processedRisk = processRisks([updatedRisk])[0];
+        const processedRisk = processRisks([updatedRisk], matrices)[0];
         
         await risk.update(processedRisk, { transaction });
         riskMap.delete(risk.id);
@@ -181,7 +219,7 @@ const updateRiskAssessmentRisks = async (riskAssessment, newRisks, transaction)
   // Create new risks (those without IDs or not found in existing)
   const newRisksToCreate = newRisks.filter(risk => !risk.id || riskMap.has(risk.id));
   await Promise.all(newRisksToCreate.map(async risk => {
-    const processedRisk = processRisks([risk])[0];
+    const processedRisk = processRisks([risk], matrices)[0];
     await riskAssessment.createRisk(processedRisk, { transaction });
   }));
 
@@ -234,8 +272,11 @@ exports.create = async (req, res) => {
       return sendResponse(res, errorResponse(validationError.message, 404));
     }
 
-    // Process risks and determine status
-    const processedRisks = processRisks(req.body.risks);
+    // Link risks to the company hazard and control catalogue, then score them against the active risk matrices
+    const risks = applyCatalogueToRisks(req.body.risks, await loadRiskCatalogue(userCompanyId, transaction));
+    const matrices = await loadMatricesForRisks(userCompanyId, risks, transaction);
+    const processedRisks = processRisks(risks, matrices);
+    assertRisksWithinMatrices(processedRisks, matrices);
     const status = "Pending";
 
     // Create Risk Assessment (using junction table for all individuals)
@@ -247,7 +288,9 @@ exports.create = async (req, res) => {
       assetHierarchyId: req.body.assetSystem,
       supervisorId: supervisor.id,
       location: req.body.location,
-      status: status
+      status: status,
+      riskMatrixVersions: summarizeMatrixVersions(matrices),
+      ...summarizeResidualRisk(processedRisks)
     }, { transaction });
 
     // Associate all individuals through junction table
@@ -284,7 +327,7 @@ exports.create = async (req, res) => {
     console.error('Error creating risk assessment:', error);
     sendResponse(res, errorResponse(
       error.message || "Some error occurred while creating the Risk Assessment.",
-      500
+      error.statusCode || 500
     ));
   }
 };
@@ -313,6 +356,13 @@ exports.findAllMinimal = async (req, res) => {
       ];
     }
 
+    // Apply residual risk filters and sorting
+    const residualRiskQuery = buildResidualRiskQuery(req.query);
+    Object.assign(whereClause, residualRiskQuery.where);
+
+    // Apply asset criticality filters
+    Object.assign(whereClause, buildCriticalityQuery(req.query));
+
     // Fetch minimal data with limited associations
     const { count, rows: riskAssessments } = await RiskAssessment.unscoped().findAndCountAll({
       where: whereClause,
@@ -335,11 +385,13 @@ exports.findAllMinimal = async (req, res) => {
         'scopeOfWork',
         'location',
         'status',
+        'maxResidualScore',
+        'maxResidualLevel',
         'createdAt'
       ],
       limit,
       offset,
-      order: [['createdAt', 'DESC']],
+      order: residualRiskQuery.order,
       distinct: true
     });
 
@@ -352,6 +404,8 @@ exports.findAllMinimal = async (req, res) => {
       location: ra.location,
       status: ra.status,
       supervisor: ra.supervisor?.email || '',
+      maxResidualScore: ra.maxResidualScore,
+      maxResidualLevel: ra.maxResidualLevel,
       createdAt: ra.createdAt
     }));
 
@@ -382,9 +436,13 @@ exports.findAll = async (req, res) => {
     // Validate user company access
     const userCompanyId = getUserCompanyId(req);
     
+    // Apply residual risk filters and sorting
+    const residualRiskQuery = buildResidualRiskQuery(req.query);
+
     // Fetch risk assessments with optimized query (default scope includes all needed associations)
     const riskAssessments = await RiskAssessment.findAll({
-      where: { companyId: userCompanyId }
+      where: { companyId: userCompanyId, ...residualRiskQuery.where, ...buildCriticalityQuery(req.query) },
+      order: residualRiskQuery.order
       // Default scope automatically includes: company, supervisor, individuals
     });
 
@@ -405,6 +463,81 @@ exports.findAll = async (req, res) => {
   }
 };
 
+/**
+ * Export Risk Assessments as CSV or XLSX with one row per risk
+ * Accepts the same company scoping, search, residual risk and criticality filters as the list endpoints.
+ * Rows are streamed in batches, so large exports are never held in memory.
+ */
+exports.exportAll = async (req, res) => {
+  try {
+    const format = resolveExportFormat(req.query.format);
+    const userCompanyId = getUserCompanyId(req);
+
+    let whereClause = { companyId: userCompanyId };
+
+    // Apply simple search on scopeOfWork/location
+    const { search } = req.query;
+    if (search) {
+      const { Op } = require('sequelize');
+      whereClause[Op.or] = [
+        { scopeOfWork: { [Op.like]: `%${search}%` } },
+        { location: { [Op.like]: `%${search}%` } }
+      ];
+    }
+
+    // Apply residual risk filters and sorting
+    const residualRiskQuery = buildResidualRiskQuery(req.query);
+    Object.assign(whereClause, residualRiskQuery.where);
+
+    // Apply asset criticality filters
+    Object.assign(whereClause, buildCriticalityQuery(req.query));
+
+    await streamRiskExport(res, {
+      format,
+      model: RiskAssessment.unscoped(),
+      where: whereClause,
+      order: residualRiskQuery.order,
+      include: [
+        { model: db.company, as: 'company', attributes: ['id', 'name'] },
+        { model: db.asset_hierarchy, as: 'asset', attributes: ['id', 'name', 'externalId'] },
+        { model: RiskAssessmentRisk, as: 'risks' },
+        { model: User, as: 'supervisor', attributes: ['id', 'email', 'name'] },
+        { model: User, as: 'individuals', attributes: ['id', 'email', 'name'] }
+      ],
+      columns: [
+        { header: 'Risk Assessment ID', value: riskAssessment => riskAssessment.id },
+        { header: 'Company', value: riskAssessment => riskAssessment.company?.name },
+        { header: 'Date', value: riskAssessment => riskAssessment.date },
+        { header: 'Time', value: riskAssessment => riskAssessment.time },
+        { header: 'Scope Of Work', value: riskAssessment => riskAssessment.scopeOfWork },
+        { header: 'Asset ID', value: riskAssessment => riskAssessment.asset?.externalId || riskAssessment.assetHierarchyId },
+        { header: 'Asset Name', value: riskAssessment => riskAssessment.asset?.name },
+        { header: 'Location', value: riskAssessment => riskAssessment.location },
+        { header: 'Status', value: riskAssessment => riskAssessment.status },
+        { header: 'Supervisor', value: riskAssessment => riskAssessment.supervisor?.email },
+        { header: 'Individuals', value: riskAssessment => (riskAssessment.individuals || []).map(user => user.email).join(', ') },
+        { header: 'Max Residual Score', value: riskAssessment => riskAssessment.maxResidualScore },
+        { header: 'Max Residual Level', value: riskAssessment => riskAssessment.maxResidualLevel },
+        { header: 'Created At', value: riskAssessment => riskAssessment.createdAt }
+      ],
+      fileName: `risk-assessments-${new Date().toISOString().slice(0, 10)}`,
+      sheetName: 'Risk Assessments'
+    });
+  } catch (error) {
+    console.error('Error exporting risk assessments:', error);
+
+    // Headers are gone once streaming started; abort so the client sees a failed download
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+
+    sendResponse(res, errorResponse(
+      error.message || "Some error occurred while exporting risk assessments.",
+      error.statusCode || 500
+    ));
+  }
+};
+
 /**
  * Retrieve all Risk Assessments from all companies (Universal User Access)
  * Bypasses company access restrictions for universal users
@@ -496,14 +629,6 @@ exports.update = async (req, res) => {
       return sendResponse(res, errorResponse("Submitting user not found", 403));
     }
 
-    // When a regular user makes changes to a risk assessment that required a supervisor signature, the assessment will be set back to pending
-    // as reapproval is required. Except when changing the status to completed.
-    const requiresSignature = req.body.risks.some(risk => risk.requiresSupervisorSignature);
-    let status = req.body.status;
-    if(requiresSignature && user.role === "user" && req.body.status !== "Completed"){
-      status = "Pending";
-    }
-
     // Find risk assessment with company validation (before starting transaction)
     const riskAssessment = await findRiskAssessmentByIdAndCompany(req.body.id, userCompanyId);
 
@@ -520,6 +645,18 @@ exports.update = async (req, res) => {
       return sendResponse(res, errorResponse(validationError.message, 404));
     }
 
+    // Link risks to the company hazard and control catalogue, then score them against the active risk matrices
+    const risks = applyCatalogueToRisks(req.body.risks, await loadRiskCatalogue(userCompanyId));
+    const matrices = await loadMatricesForRisks(userCompanyId, risks);
+    const scoredRisks = processRisks(risks, matrices);
+    assertRisksWithinMatrices(scoredRisks, matrices);
+
+    // When changes are made to a risk assessment that requires a supervisor signature, the assessment is set back to pending
+    // as reapproval is required. It can only be completed once the current approval is approved, whatever the user's role.
+    // The signature requirement is derived from the residual risk, not taken from the client.
+    const requiresSignature = scoredRisks.some(risk => risk.requiresSupervisorSignature);
+    const status = resolveSignatureStatus(req.body.status, requiresSignature, currentApproval);
+
     // Start transaction for data modifications
     const result = await db.sequelize.transaction(async (transaction) => {
       // Update Risk Assessment main fields
@@ -530,7 +667,9 @@ exports.update = async (req, res) => {
         assetHierarchyId: req.body.assetSystem || riskAssessment.assetHierarchyId,
         supervisorId: supervisor.id,
         location: req.body.location,
-        status: status
+        status: status,
+        riskMatrixVersions: summarizeMatrixVersions(matrices),
+        ...summarizeResidualRisk(scoredRisks)
       }, { transaction });
 
       // Update individuals association through junction table
@@ -538,8 +677,8 @@ exports.update = async (req, res) => {
 
       // Update associated risks if provided
       let updatedRisks = [];
-      if (req.body.risks && Array.isArray(req.body.risks)) {
-        updatedRisks = await updateRiskAssessmentRisks(riskAssessment, req.body.risks, transaction);
+      if (risks && Array.isArray(risks)) {
+        updatedRisks = await updateRiskAssessmentRisks(riskAssessment, risks, matrices, transaction);
       }
 
       // Handle approval logic using the polymorphic system
@@ -582,7 +721,7 @@ exports.update = async (req, res) => {
     
     sendResponse(res, errorResponse(
       error.message || "Some error occurred while updating the Risk Assessment.",
-      500
+      error.statusCode || 500
     ));
   }
 };
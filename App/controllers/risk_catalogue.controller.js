@@ -0,0 +1,371 @@
+const db = require("../models");
+const HazardCategory = db.hazard_categories;
+const HazardControl = db.hazard_controls;
+const { Op } = require('sequelize');
+const { successResponse, errorResponse, sendResponse, validationErrorResponse } = require('../helper/responseHelper');
+const { getCompanyId } = require('../helper/controllerHelper');
+const {
+  CONTROL_TYPES,
+  CONTROL_TYPE_LABELS,
+  normalizeAliases,
+  validateCatalogueEntry,
+  assertUniqueCatalogueText,
+  findUnmatchedValues,
+  summarizeCatalogueUsage,
+  formatControl
+} = require('../helper/riskCatalogueHelper');
+
+const CATEGORY_INCLUDE = { model: HazardCategory, as: 'hazardCategory', attributes: ['id', 'name'] };
+
+/**
+ * Helper function to find a hazard category with company validation
+ */
+const findHazardCategoryByIdAndCompany = async (id, companyId) => {
+  const category = await HazardCategory.findOne({ where: { id, companyId } });
+
+  if (!category) {
+    throw new Error("Hazard category not found");
+  }
+
+  return category;
+};
+
+/**
+ * Helper function to find a control with company validation
+ */
+const findControlByIdAndCompany = async (id, companyId) => {
+  const control = await HazardControl.findOne({
+    where: { id, companyId },
+    include: [CATEGORY_INCLUDE]
+  });
+
+  if (!control) {
+    throw new Error("Control not found");
+  }
+
+  return control;
+};
+
+/**
+ * Helper function to build the list filters shared by categories and controls
+ */
+const buildCatalogueWhere = (companyId, query) => {
+  const where = { companyId };
+  if (query.includeInactive !== 'true') {
+    where.isActive = true;
+  }
+  if (query.search) {
+    where.name = { [Op.like]: `%${query.search}%` };
+  }
+  return where;
+};
+
+/**
+ * Helper function to merge an update request with the stored entry
+ */
+const mergeCatalogueEntry = (existing, body, fields) => {
+  const definition = {};
+  fields.forEach(field => {
+    definition[field] = body[field] !== undefined ? body[field] : existing[field];
+  });
+  return definition;
+};
+
+/**
+ * Helper function to send catalogue errors with the right status
+ */
+const sendCatalogueError = (res, error, fallbackMessage) => {
+  if (error.message === "Hazard category not found" || error.message === "Control not found") {
+    return sendResponse(res, errorResponse(error.message, 404));
+  }
+
+  sendResponse(res, errorResponse(
+    error.message || fallbackMessage,
+    error.statusCode || 500,
+    error.details || null
+  ));
+};
+
+/**
+ * Retrieve the hazard categories of the user's company
+ * Query: search (name contains), includeInactive=true
+ */
+exports.findAllHazardCategories = async (req, res) => {
+  try {
+    const userCompanyId = getCompanyId(req);
+
+    const categories = await HazardCategory.findAll({
+      where: buildCatalogueWhere(userCompanyId, req.query),
+      order: [['name', 'ASC']]
+    });
+
+    sendResponse(res, successResponse("Hazard categories retrieved successfully", categories));
+  } catch (error) {
+    console.error('Error retrieving hazard categories:', error);
+    sendCatalogueError(res, error, "Some error occurred while retrieving hazard categories.");
+  }
+};
+
+/**
+ * Create a hazard category (admin/superuser)
+ *
+ * Body parameters:
+ * - name: Category name (required)
+ * - description: string (optional)
+ * - aliases: Other free-text risk types that mean this category (optional)
+ */
+exports.createHazardCategory = async (req, res) => {
+  try {
+    const userCompanyId = getCompanyId(req);
+
+    const validation = validateCatalogueEntry(req.body, false);
+    if (!validation.valid) {
+      return sendResponse(res, validationErrorResponse(validation.errors, 'Invalid hazard category'));
+    }
+
+    const aliases = normalizeAliases(req.body.aliases);
+    await assertUniqueCatalogueText(HazardCategory, userCompanyId, req.body.name, aliases);
+
+    const category = await HazardCategory.create({
+      companyId: userCompanyId,
+      name: req.body.name,
+      description: req.body.description || null,
+      aliases,
+      createdBy: req.user.id
+    });
+
+    sendResponse(res, successResponse("Hazard category created successfully", category, 201));
+  } catch (error) {
+    console.error('Error creating hazard category:', error);
+    sendCatalogueError(res, error, "Some error occurred while creating the hazard category.");
+  }
+};
+
+/**
+ * Update a hazard category (admin/superuser)
+ * Accepts the create fields plus isActive. Risks already linked keep their link; changed
+ * names and aliases apply to risks saved from now on.
+ */
+exports.updateHazardCategory = async (req, res) => {
+  try {
+    const userCompanyId = getCompanyId(req);
+    const category = await findHazardCategoryByIdAndCompany(req.params.id, userCompanyId);
+    const definition = mergeCatalogueEntry(category, req.body, ['name', 'description', 'aliases', 'isActive']);
+
+    const validation = validateCatalogueEntry(definition, false);
+    if (!validation.valid) {
+      return sendResponse(res, validationErrorResponse(validation.errors, 'Invalid hazard category'));
+    }
+
+    definition.aliases = normalizeAliases(definition.aliases);
+    if (definition.isActive) {
+      await assertUniqueCatalogueText(HazardCategory, userCompanyId, definition.name, definition.aliases, category.id);
+    }
+
+    await category.update(definition);
+
+    sendResponse(res, successResponse("Hazard category updated successfully", category));
+  } catch (error) {
+    console.error('Error updating hazard category:', error);
+    sendCatalogueError(res, error, "Some error occurred while updating the hazard category.");
+  }
+};
+
+/**
+ * Delete a hazard category (admin/superuser)
+ * The category is soft deleted, so risks linked to it keep resolving it in reports
+ */
+exports.deleteHazardCategory = async (req, res) => {
+  try {
+    const userCompanyId = getCompanyId(req);
+    const category = await findHazardCategoryByIdAndCompany(req.params.id, userCompanyId);
+
+    await category.destroy();
+
+    sendResponse(res, successResponse("Hazard category deleted successfully"));
+  } catch (error) {
+    console.error('Error deleting hazard category:', error);
+    sendCatalogueError(res, error, "Some error occurred while deleting the hazard category.");
+  }
+};
+
+/**
+ * Retrieve the controls of the user's company, ordered by hierarchy of controls then name
+ * Query: hazardCategoryId, controlType, search (name contains), includeInactive=true
+ */
+exports.findAllControls = async (req, res) => {
+  try {
+    const userCompanyId = getCompanyId(req);
+    const where = buildCatalogueWhere(userCompanyId, req.query);
+
+    if (req.query.hazardCategoryId) {
+      where.hazardCategoryId = req.query.hazardCategoryId;
+    }
+    if (req.query.controlType) {
+      if (!CONTROL_TYPES.includes(req.query.controlType)) {
+        return sendResponse(res, errorResponse(`controlType must be one of: ${CONTROL_TYPES.join(', ')}`, 400));
+      }
+      where.controlType = req.query.controlType;
+    }
+
+    const controls = await HazardControl.findAll({
+      where,
+      include: [CATEGORY_INCLUDE],
+      order: [['name', 'ASC']]
+    });
+
+    const ordered = controls.sort((a, b) =>
+      CONTROL_TYPES.indexOf(a.controlType) - CONTROL_TYPES.indexOf(b.controlType));
+
+    sendResponse(res, successResponse("Controls retrieved successfully", ordered.map(formatControl)));
+  } catch (error) {
+    console.error('Error retrieving controls:', error);
+    sendCatalogueError(res, error, "Some error occurred while retrieving controls.");
+  }
+};
+
+/**
+ * Create a control (admin/superuser)
+ *
+ * Body parameters:
+ * - name: Standard mitigating action (required)
+ * - controlType: 'elimination' | 'substitution' | 'engineering' | 'administrative' | 'ppe' (required)
+ * - hazardCategoryId: Hazard category the control usually applies to (optional)
+ * - description: string (optional)
+ * - aliases: Other free-text mitigating actions that mean this control (optional)
+ */
+exports.createControl = async (req, res) => {
+  try {
+    const userCompanyId = getCompanyId(req);
+
+    const validation = validateCatalogueEntry(req.body, true);
+    if (!validation.valid) {
+      return sendResponse(res, validationErrorResponse(validation.errors, 'Invalid control'));
+    }
+
+    if (req.body.hazardCategoryId) {
+      await findHazardCategoryByIdAndCompany(req.body.hazardCategoryId, userCompanyId);
+    }
+
+    const aliases = normalizeAliases(req.body.aliases);
+    await assertUniqueCatalogueText(HazardControl, userCompanyId, req.body.name, aliases);
+
+    const created = await HazardControl.create({
+      companyId: userCompanyId,
+      hazardCategoryId: req.body.hazardCategoryId || null,
+      name: req.body.name,
+      description: req.body.description || null,
+      controlType: req.body.controlType,
+      aliases,
+      createdBy: req.user.id
+    });
+
+    const control = await findControlByIdAndCompany(created.id, userCompanyId);
+    sendResponse(res, successResponse("Control created successfully", formatControl(control), 201));
+  } catch (error) {
+    console.error('Error creating control:', error);
+    sendCatalogueError(res, error, "Some error occurred while creating the control.");
+  }
+};
+
+/**
+ * Update a control (admin/superuser)
+ * Accepts the create fields plus isActive. Risks already linked keep their link and
+ * control type; changes apply to risks saved from now on.
+ */
+exports.updateControl = async (req, res) => {
+  try {
+    const userCompanyId = getCompanyId(req);
+    const control = await findControlByIdAndCompany(req.params.id, userCompanyId);
+    const definition = mergeCatalogueEntry(control, req.body,
+      ['name', 'description', 'controlType', 'hazardCategoryId', 'aliases', 'isActive']);
+
+    const validation = validateCatalogueEntry(definition, true);
+    if (!validation.valid) {
+      return sendResponse(res, validationErrorResponse(validation.errors, 'Invalid control'));
+    }
+
+    if (definition.hazardCategoryId && definition.hazardCategoryId !== control.hazardCategoryId) {
+      await findHazardCategoryByIdAndCompany(definition.hazardCategoryId, userCompanyId);
+    }
+
+    definition.aliases = normalizeAliases(definition.aliases);
+    if (definition.isActive) {
+      await assertUniqueCatalogueText(HazardControl, userCompanyId, definition.name, definition.aliases, control.id);
+    }
+
+    await control.update({ ...definition, hazardCategoryId: definition.hazardCategoryId || null });
+
+    const updated = await findControlByIdAndCompany(control.id, userCompanyId);
+    sendResponse(res, successResponse("Control updated successfully", formatControl(updated)));
+  } catch (error) {
+    console.error('Error updating control:', error);
+    sendCatalogueError(res, error, "Some error occurred while updating the control.");
+  }
+};
+
+/**
+ * Delete a control (admin/superuser)
+ * The control is soft deleted, so risks linked to it keep resolving it in reports
+ */
+exports.deleteControl = async (req, res) => {
+  try {
+    const userCompanyId = getCompanyId(req);
+    const control = await findControlByIdAndCompany(req.params.id, userCompanyId);
+
+    await control.destroy();
+
+    sendResponse(res, successResponse("Control deleted successfully"));
+  } catch (error) {
+    console.error('Error deleting control:', error);
+    sendCatalogueError(res, error, "Some error occurred while deleting the control.");
+  }
+};
+
+/**
+ * Get the hierarchy-of-controls types with their labels
+ */
+exports.getControlTypes = async (req, res) => {
+  sendResponse(res, successResponse(
+    "Control types retrieved successfully",
+    CONTROL_TYPES.map((controlType, index) => ({ controlType, label: CONTROL_TYPE_LABELS[controlType], rank: index + 1 }))
+  ));
+};
+
+/**
+ * List free-text risk types or mitigating actions that matched no catalogue entry,
+ * most used first, so they can be added to the catalogue or as aliases
+ * Query: type ('hazard' or 'control', default 'hazard'), limit (default 100, max 500)
+ */
+exports.findUnmatched = async (req, res) => {
+  try {
+    const userCompanyId = getCompanyId(req);
+    const kind = req.query.type || 'hazard';
+    if (!['hazard', 'control'].includes(kind)) {
+      return sendResponse(res, errorResponse("type must be 'hazard' or 'control'", 400));
+    }
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 100, 1), 500);
+
+    const values = await findUnmatchedValues(userCompanyId, kind, limit);
+
+    sendResponse(res, successResponse("Unmatched values retrieved successfully", values));
+  } catch (error) {
+    console.error('Error retrieving unmatched catalogue values:', error);
+    sendCatalogueError(res, error, "Some error occurred while retrieving unmatched values.");
+  }
+};
+
+/**
+ * Count task hazard and risk assessment risks per hazard category, control and control type
+ */
+exports.getUsage = async (req, res) => {
+  try {
+    const userCompanyId = getCompanyId(req);
+    const usage = await summarizeCatalogueUsage(userCompanyId);
+
+    sendResponse(res, successResponse("Catalogue usage retrieved successfully", usage));
+  } catch (error) {
+    console.error('Error retrieving catalogue usage:', error);
+    sendCatalogueError(res, error, "Some error occurred while retrieving catalogue usage.");
+  }
+};
@@ -0,0 +1,211 @@
+const db = require("../models");
+const CompanyRiskMatrix = db.company_risk_matrices;
+const { successResponse, errorResponse, sendResponse, validationErrorResponse } = require('../helper/responseHelper');
+const { getCompanyId } = require('../helper/controllerHelper');
+const {
+  MAT_TYPES,
+  validateMatrixDefinition,
+  normalizeMatrixDefinition,
+  getActiveMatrix,
+  formatMatrix
+} = require('../helper/riskMatrixHelper');
+
+/**
+ * Helper function to validate the matType route parameter
+ */
+const parseMatType = (req) => {
+  const matType = req.params.matType;
+  if (!MAT_TYPES.includes(matType)) {
+    const error = new Error(`Invalid matrix type. Must be one of: ${MAT_TYPES.join(', ')}`);
+    error.statusCode = 400;
+    throw error;
+  }
+  return matType;
+};
+
+/**
+ * Publish a new version of a company risk matrix
+ * Deactivates the current version; earlier versions are kept for scored records
+ *
+ * @param {number} companyId - Company ID
+ * @param {string} matType - One of MAT_TYPES
+ * @param {Object} definition - Normalized matrix definition
+ * @param {number} userId - ID of the publishing user
+ * @returns {Promise<Object>} Created matrix version
+ */
+const publishMatrixVersion = async (companyId, matType, definition, userId) => {
+  return db.sequelize.transaction(async (transaction) => {
+    const latest = await CompanyRiskMatrix.findOne({
+      where: { companyId, matType },
+      order: [['version', 'DESC']],
+      paranoid: false,
+      transaction
+    });
+
+    await CompanyRiskMatrix.update(
+      { isActive: false },
+      { where: { companyId, matType, isActive: true }, transaction }
+    );
+
+    return CompanyRiskMatrix.create({
+      companyId,
+      matType,
+      version: latest ? latest.version + 1 : 1,
+      ...definition,
+      isActive: true,
+      createdBy: userId
+    }, { transaction });
+  });
+};
+
+exports.publishMatrixVersion = publishMatrixVersion;
+
+/**
+ * Get the active risk matrix of every type for the user's company
+ */
+exports.findAllActive = async (req, res) => {
+  try {
+    const userCompanyId = getCompanyId(req);
+
+    const matrices = [];
+    for (const matType of MAT_TYPES) {
+      matrices.push(await getActiveMatrix(userCompanyId, matType));
+    }
+
+    sendResponse(res, successResponse(
+      "Risk matrices retrieved successfully",
+      matrices.map(formatMatrix)
+    ));
+  } catch (error) {
+    console.error('Error retrieving risk matrices:', error);
+    sendResponse(res, errorResponse(
+      error.message || "Some error occurred while retrieving risk matrices.",
+      error.statusCode || 500
+    ));
+  }
+};
+
+/**
+ * Get the active risk matrix for one type
+ */
+exports.findActive = async (req, res) => {
+  try {
+    const userCompanyId = getCompanyId(req);
+    const matType = parseMatType(req);
+
+    const matrix = await getActiveMatrix(userCompanyId, matType);
+
+    sendResponse(res, successResponse(
+      "Risk matrix retrieved successfully",
+      formatMatrix(matrix)
+    ));
+  } catch (error) {
+    console.error('Error retrieving risk matrix:', error);
+    sendResponse(res, errorResponse(
+      error.message || "Some error occurred while retrieving the risk matrix.",
+      error.statusCode || 500
+    ));
+  }
+};
+
+/**
+ * List all versions of a risk matrix type, newest first
+ */
+exports.findVersions = async (req, res) => {
+  try {
+    const userCompanyId = getCompanyId(req);
+    const matType = parseMatType(req);
+
+    const versions = await CompanyRiskMatrix.findAll({
+      where: { companyId: userCompanyId, matType },
+      order: [['version', 'DESC']]
+    });
+
+    sendResponse(res, successResponse(
+      "Risk matrix versions retrieved successfully",
+      versions.map(formatMatrix)
+    ));
+  } catch (error) {
+    console.error('Error retrieving risk matrix versions:', error);
+    sendResponse(res, errorResponse(
+      error.message || "Some error occurred while retrieving risk matrix versions.",
+      error.statusCode || 500
+    ));
+  }
+};
+
+/**
+ * Get a specific version of a risk matrix type
+ */
+exports.findVersion = async (req, res) => {
+  try {
+    const userCompanyId = getCompanyId(req);
+    const matType = parseMatType(req);
+
+    const matrix = await CompanyRiskMatrix.findOne({
+      where: {
+        companyId: userCompanyId,
+        matType,
+        version: parseInt(req.params.version)
+      },
+      paranoid: false
+    });
+
+    if (!matrix) {
+      return sendResponse(res, errorResponse("Risk matrix version not found", 404));
+    }
+
+    sendResponse(res, successResponse(
+      "Risk matrix version retrieved successfully",
+      formatMatrix(matrix)
+    ));
+  } catch (error) {
+    console.error('Error retrieving risk matrix version:', error);
+    sendResponse(res, errorResponse(
+      error.message || "Some error occurred while retrieving the risk matrix version.",
+      error.statusCode || 500
+    ));
+  }
+};
+
+/**
+ * Publish a new version of a risk matrix type (admin/superuser)
+ *
+ * Body parameters:
+ * - likelihoods: [{ label, description }] (rows, lowest first)
+ * - consequences: [{ label, description }] (columns, lowest first)
+ * - cells: [[{ score, color }]] (optional, defaults to likelihood x consequence)
+ * - bands: [{ name, minScore, maxScore, color }] (optional, defaults to Low/Medium/High/Extreme)
+ * - signatureThreshold: residual score above which a supervisor signature is required
+ *   (optional, defaults to the top of the second band)
+ */
+exports.publish = async (req, res) => {
+  try {
+    const userCompanyId = getCompanyId(req);
+    const matType = parseMatType(req);
+
+    const validation = validateMatrixDefinition(req.body);
+    if (!validation.valid) {
+      return sendResponse(res, validationErrorResponse(validation.errors, 'Invalid risk matrix'));
+    }
+
+    const matrix = await publishMatrixVersion(
+      userCompanyId,
+      matType,
+      normalizeMatrixDefinition(req.body),
+      req.user.id
+    );
+
+    sendResponse(res, successResponse(
+      `Risk matrix version ${matrix.version} published successfully`,
+      formatMatrix(matrix),
+      201
+    ));
+  } catch (error) {
+    console.error('Error publishing risk matrix:', error);
+    sendResponse(res, errorResponse(
+      error.message || "Some error occurred while publishing the risk matrix.",
+      error.statusCode || 500
+    ));
+  }
+};
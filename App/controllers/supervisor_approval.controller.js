@@ -5,10 +5,20 @@ const RiskAssessment = db.risk_assessments;
 const TaskRisk = db.task_risks;
 const RiskAssessmentRisk = db.risk_assessment_risks;
 const User = db.user;
+const SupervisorApprovalStep = db.supervisor_approval_steps;
 const { successResponse, errorResponse, sendResponse } = require('../helper/responseHelper');
 const { getCompanyId } = require('../helper/controllerHelper');
 const { Op } = require('sequelize');
-const { createNotificationWithEmail } = require('./notificationController');
+const { createNotification, createNotificationWithEmail } = require('./notificationController');
+const {
+  findApplicableChain,
+  resolveApprovalSteps,
+  createApprovalSteps
+} = require('../helper/approvalChainHelper');
+const { findActiveDelegation, getActiveDelegatorIds } = require('../helper/approvalDelegationHelper');
+const { sealApproval, verifyCompanySeals } = require('../helper/approvalSealHelper');
+const { diffSnapshots } = require('../helper/approvalDiffHelper');
+const { invalidateAcknowledgements } = require('../helper/acknowledgementHelper');
 
 /**
  * Helper function to get the appropriate model and risk model based on approvable type
@@ -57,6 +67,86 @@ const findApprovableByIdAndCompany = async (id, approvableType, companyId) => {
   return approvable;
 };
 
+/**
+ * Helper function to snapshot the current state of an approvable entity
+ */
+const createLiveSnapshot = async (approvableId, approvableType, transaction = null) => {
+  // Get the approvable entity with all associations for snapshot
+  const { ApprovableModel } = getModelsForType(approvableType);
+
+  const approvableWithAssociations = await ApprovableModel.findByPk(approvableId, {
+    include: [
+      { model: User, as: 'supervisor' },
+      { model: User, as: 'individuals' }
+    ],
+    transaction
+  });
+
+  if (!approvableWithAssociations) {
+    throw new Error(`${approvableType.replace('_', ' ')} not found`);
+  }
+
+  return SupervisorApproval.createSnapshot(approvableWithAssociations, approvableType);
+};
+
+/**
+ * Helper function to create an approval with its steps
+ * Steps come from the company's approval chain for the approvable's type, residual
+ * risk level and asset criticality, or a single step for the assigned supervisor
+ */
+const startApproval = async (approvableId, approvableType, supervisorId, transaction = null) => {
+  const { ApprovableModel } = getModelsForType(approvableType);
+
+  // Create snapshot for the approval
+  const { approvableSnapshot, risksSnapshot } = await createLiveSnapshot(approvableId, approvableType, transaction);
+
+  // Company, residual risk level and asset criticality select the approval chain (not part of the default scope)
+  const { companyId, maxResidualLevel, assetHierarchyId } = await ApprovableModel.unscoped().findByPk(approvableId, {
+    attributes: ['id', 'companyId', 'maxResidualLevel', 'assetHierarchyId'],
+    transaction
+  });
+  const asset = assetHierarchyId
+    ? await db.asset_hierarchy.findByPk(assetHierarchyId, { attributes: ['id', 'criticalityLevel'], transaction })
+    : null;
+  const chain = await findApplicableChain(companyId, approvableType, maxResidualLevel, asset?.criticalityLevel || null, transaction);
+  const steps = await resolveApprovalSteps(chain, supervisorId, transaction);
+
+  // The approval's supervisor is always the approver of the current step
+  const approval = await SupervisorApproval.create({
+    approvableId,
+    approvableType,
+    supervisorId: steps[0].approverId,
+    status: 'pending',
+    approvableSnapshot,
+    risksSnapshot,
+    chainId: chain ? chain.id : null,
+    currentStep: steps[0].stepOrder
+  }, { transaction });
+
+  await createApprovalSteps(approval.id, steps, transaction);
+
+  return { approval, steps };
+};
+
+/**
+ * Helper function to describe the step an approver is asked to sign
+ */
+const describeStep = (step, totalSteps) => {
+  return totalSteps > 1 ? ` (step ${step.stepOrder} of ${totalSteps}: ${step.name})` : '';
+};
+
+/**
+ * Helper function to format approval steps in order
+ */
+const formatSteps = (steps) => {
+  return (steps || [])
+    .slice()
+    .sort((a, b) => a.stepOrder - b.stepOrder)
+    .map(step => step.toResponseJSON());
+};
+
+exports.formatSteps = formatSteps;
+
 /**
  * Create a new supervisor approval request
  * Used by both task hazard and risk assessment controllers
@@ -69,43 +159,19 @@ const findApprovableByIdAndCompany = async (id, approvableType, companyId) => {
  */
 exports.createApproval = async (approvableId, approvableType, supervisorId, transaction = null) => {
   try {
-    // Get the approvable entity with all associations for snapshot
-    const { ApprovableModel } = getModelsForType(approvableType);
-    
-    const approvableWithAssociations = await ApprovableModel.findByPk(approvableId, {
-      include: [
-        { model: User, as: 'supervisor' },
-        { model: User, as: 'individuals' }
-      ],
-      transaction
-    });
-
-    if (!approvableWithAssociations) {
-      throw new Error(`${approvableType.replace('_', ' ')} not found`);
-    }
-
-    // Create snapshot for the approval
-    const { approvableSnapshot, risksSnapshot } = SupervisorApproval.createSnapshot(
-      approvableWithAssociations,
-      approvableType
-    );
-
-    // Create supervisor approval record
-    const supervisorApproval = await SupervisorApproval.create({
+    const { approval: supervisorApproval, steps } = await startApproval(
       approvableId,
       approvableType,
       supervisorId,
-      status: 'pending',
-      approvableSnapshot,
-      risksSnapshot
-    }, { transaction });
+      transaction
+    );
 
-    // Create notification and send email to supervisor
+    // Create notification and send email to the first approver
     const entityName = approvableType === 'task_hazards' ? 'Task Hazard' : 'Risk Assessment';
     await createNotificationWithEmail({
-      userId: supervisorId,
+      userId: steps[0].approverId,
       title: `${entityName} Pending Approval`,
-      message: `A ${entityName.toLowerCase()} requires your approval. Please review the risks and take appropriate actions.`,
+      message: `A ${entityName.toLowerCase()} requires your approval${describeStep(steps[0], steps.length)}. Please review the risks and take appropriate actions.`,
       type: 'approval',
       transaction
     });
@@ -121,6 +187,8 @@ exports.createApproval = async (approvableId, approvableType, supervisorId, tran
 /**
  * Handle re-approval when an entity is modified
  * Invalidates existing approval and creates new one if needed
+ * The new approval restarts the approval chain from the first step
+ * For task hazards, workers' acknowledgements are invalidated so they have to sign on again
  * 
  * @param {number} approvableId - ID of the task hazard or risk assessment
  * @param {string} approvableType - 'task_hazards' or 'risk_assessments'
@@ -131,51 +199,50 @@ exports.createApproval = async (approvableId, approvableType, supervisorId, tran
  */
 exports.handleReapproval = async (approvableId, approvableType, supervisorId, currentApproval, transaction = null) => {
   try {
-    // Get the approvable entity with all associations for snapshot
-    const { ApprovableModel } = getModelsForType(approvableType);
-    
-    const approvableWithAssociations = await ApprovableModel.findByPk(approvableId, {
-      include: [
-        { model: User, as: 'supervisor' },
-        { model: User, as: 'individuals' }
-      ],
-      transaction
-    });
-
-    // Create snapshot for the new approval
-    const { approvableSnapshot, risksSnapshot } = SupervisorApproval.createSnapshot(
-      approvableWithAssociations,
-      approvableType
-    );
-
     // Invalidate the existing approval
     await currentApproval.invalidate(null, transaction);
 
+    // Steps that were still open on the old approval will never be processed
+    await SupervisorApprovalStep.update(
+      { status: 'skipped' },
+      { where: { approvalId: currentApproval.id, status: ['pending', 'waiting'] }, transaction }
+    );
+
     // Create new approval record
-    const newApproval = await SupervisorApproval.create({
+    const { approval: newApproval, steps } = await startApproval(
       approvableId,
       approvableType,
       supervisorId,
-      status: 'pending',
-      approvableSnapshot,
-      risksSnapshot
-    }, { transaction });
+      transaction
+    );
 
     // Update the invalidated approval to reference the new one
     await currentApproval.update({
       replacedByApprovalId: newApproval.id
     }, { transaction });
 
-    // Create notification and send email to supervisor (re-approval)
+    // Create notification and send email to the first approver (re-approval)
     const entityName = approvableType === 'task_hazards' ? 'Task Hazard' : 'Risk Assessment';
     await createNotificationWithEmail({
-      userId: supervisorId,
+      userId: steps[0].approverId,
       title: `${entityName} Requires Re-approval`,
-      message: `A ${entityName.toLowerCase()} has been modified and requires your re-approval.`,
+      message: `A ${entityName.toLowerCase()} has been modified and requires your re-approval${describeStep(steps[0], steps.length)}.`,
       type: 'approval',
       transaction
     });
 
+    // Workers who signed on to the previous version have to acknowledge the changes
+    if (approvableType === 'task_hazards') {
+      const userIds = await invalidateAcknowledgements(approvableId, transaction);
+      await Promise.all(userIds.map(userId => createNotification(
+        userId,
+        'Task Hazard Changed',
+        'A task hazard you signed on to has been modified. Please review and acknowledge it again.',
+        'hazard',
+        transaction
+      )));
+    }
+
     return newApproval;
 
   } catch (error) {
@@ -184,6 +251,128 @@ exports.handleReapproval = async (approvableId, approvableType, supervisorId, cu
   }
 };
 
+/**
+ * Apply an approve/reject decision to the current step of an approval
+ * Approving a step hands the approval to the next step and notifies its approver;
+ * approving the last step approves the approval and activates the approvable.
+ * Rejecting any step rejects the approval and the approvable.
+ * A user with an active delegation from the step's approver decides on their behalf,
+ * which is recorded on the step and in the comments ("X on behalf of Y").
+ * The final decision seals the approval into the company's hash chain.
+ * The approval is re-read under a row lock and its steps are locked, so concurrent decisions
+ * on the same approval run one after the other and later ones see it already decided.
+ * 
+ * @param {Object} params
+ * @param {Object} params.approval - Pending supervisor_approvals instance (reloaded here)
+ * @param {Object} params.approvable - Task hazard or risk assessment instance
+ * @param {Object} params.user - User making the decision
+ * @param {string} params.decision - 'Approved' or 'Rejected'
+ * @param {string} params.comments - Comments entered by the user
+ * @param {Object} params.transaction - Sequelize transaction
+ * @returns {Object} { action: 'approved'|'rejected'|'step_approved', step, nextStep, approvable, onBehalfOf }
+ * @throws {Error} With statusCode 400/403 for invalid decisions or approvers
+ */
+exports.applyApprovalDecision = async ({ approval, approvable, user, decision, comments, transaction }) => {
+  if (!['Approved', 'Rejected'].includes(decision)) {
+    const error = new Error("Invalid approval status. Must be 'Approved' or 'Rejected'.");
+    error.statusCode = 400;
+    throw error;
+  }
+
+  await approval.reload({ transaction, lock: transaction.LOCK.UPDATE });
+  if (approval.status !== 'pending') {
+    const error = new Error("This approval has already been processed.");
+    error.statusCode = 400;
+    throw error;
+  }
+  if (approval.isInvalidated) {
+    const error = new Error("This approval has been invalidated by subsequent changes.");
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const steps = await SupervisorApprovalStep.findAll({
+    where: { approvalId: approval.id },
+    order: [['stepOrder', 'ASC']],
+    lock: transaction.LOCK.UPDATE,
+    transaction
+  });
+  const currentStep = steps.find(step => step.status === 'pending') || null;
+
+  // Approvals created before approval chains have no steps and are decided in one go
+  const approverId = currentStep ? currentStep.approverId : approval.supervisorId;
+  let onBehalfOf = null;
+
+  if (approverId !== user.id) {
+    const delegation = await findActiveDelegation(approverId, user.id, new Date(), transaction);
+    if (delegation) {
+      onBehalfOf = delegation.delegator;
+    } else if (currentStep && !['admin', 'superuser'].includes(user.role)) {
+      const error = new Error(`This approval step (${currentStep.name}) is assigned to another approver.`);
+      error.statusCode = 403;
+      throw error;
+    }
+  }
+
+  const userName = user.name || user.email || user.id;
+  const onBehalfOfText = onBehalfOf ? ` on behalf of ${onBehalfOf.name || onBehalfOf.email || onBehalfOf.id}` : '';
+  const auditComments = `Updated by: ${userName}${onBehalfOfText}. Comments: ${comments || ''}`;
+  const audit = { processedById: user.id, onBehalfOfId: onBehalfOf ? onBehalfOf.id : null };
+  const processedAt = new Date();
+
+  if (decision === 'Rejected') {
+    if (currentStep) {
+      await currentStep.update({ status: 'rejected', processedAt, comments: auditComments, ...audit }, { transaction });
+      await SupervisorApprovalStep.update(
+        { status: 'skipped' },
+        { where: { approvalId: approval.id, status: 'waiting' }, transaction }
+      );
+    }
+    await approval.reject(auditComments, transaction, audit);
+    await sealApproval(approval, transaction);
+    const updatedApprovable = await approvable.update({ status: 'Rejected' }, { transaction });
+
+    return { action: 'rejected', step: currentStep, nextStep: null, approvable: updatedApprovable, onBehalfOf };
+  }
+
+  if (currentStep) {
+    await currentStep.update({ status: 'approved', processedAt, comments: auditComments, ...audit }, { transaction });
+
+    const nextStep = steps.find(step => step.stepOrder > currentStep.stepOrder && step.status === 'waiting');
+    if (nextStep) {
+      await nextStep.update({ status: 'pending' }, { transaction });
+      // The next step starts its own SLA clock
+      await approval.update({
+        currentStep: nextStep.stepOrder,
+        supervisorId: nextStep.approverId,
+        pendingSince: processedAt,
+        slaReminderSentAt: null,
+        slaEscalatedAt: null,
+        slaEscalatedToId: null
+      }, { transaction });
+
+      const entityName = approval.approvableType === 'task_hazards' ? 'Task Hazard' : 'Risk Assessment';
+      await createNotificationWithEmail({
+        userId: nextStep.approverId,
+        title: `${entityName} Pending Approval`,
+        message: `A ${entityName.toLowerCase()} was approved at ${currentStep.name} and now requires your approval${describeStep(nextStep, steps.length)}.`,
+        type: 'approval',
+        transaction
+      });
+
+      return { action: 'step_approved', step: currentStep, nextStep, approvable, onBehalfOf };
+    }
+  }
+
+  await approval.approve(auditComments, transaction, audit);
+  await sealApproval(approval, transaction);
+  const updatedApprovable = await approvable.update({
+    status: 'Active'  // or whatever status indicates approved
+  }, { transaction });
+
+  return { action: 'approved', step: currentStep, nextStep: null, approvable: updatedApprovable, onBehalfOf };
+};
+
 /**
  * Get current approval status for a specific approvable entity
  * Returns the latest active approval if exists
@@ -202,7 +391,12 @@ exports.getApprovalInfo = async (approvableId, approvableType) => {
         isInvalidated: false
       },
       include: [
-        { model: User, as: 'supervisor', attributes: ['id', 'email', 'name', 'role'] }
+        { model: User, as: 'supervisor', attributes: ['id', 'email', 'name', 'role'] },
+        {
+          model: SupervisorApprovalStep,
+          as: 'steps',
+          include: [{ model: User, as: 'approver', attributes: ['id', 'email', 'name', 'role'] }]
+        }
       ],
       order: [['createdAt', 'DESC']]
     });
@@ -218,6 +412,8 @@ exports.getApprovalInfo = async (approvableId, approvableType) => {
         isLatest: true,
         approvableType: currentApproval.approvableType,
         supervisor: currentApproval.supervisor,
+        currentStep: currentApproval.currentStep,
+        steps: formatSteps(currentApproval.steps),
         approvableData: currentApproval.approvableSnapshot,
       };
 
@@ -276,8 +472,10 @@ exports.getAllApprovals = async (req, res) => {
     }
 
     // Add supervisor filter if user is a supervisor (not admin/superuser)
+    // Includes approvals of supervisors who currently delegate to this user
     if (isSupervisor) {
-      whereClause.supervisorId = user.id;
+      const delegatorIds = await getActiveDelegatorIds(user.id);
+      whereClause.supervisorId = [user.id, ...delegatorIds];
     }
 
     // Get approvals with polymorphic includes
@@ -330,6 +528,12 @@ exports.getAllApprovals = async (req, res) => {
           where: userCompanyId ? { company_id: userCompanyId } : {},
           as: 'supervisor',
           attributes: ['id', 'email', 'name', 'role']
+        },
+        {
+          model: SupervisorApprovalStep,
+          as: 'steps',
+          required: false,
+          include: [{ model: User, as: 'approver', attributes: ['id', 'email', 'name', 'role'] }]
         }
       ],
       where: whereClause,
@@ -411,8 +615,11 @@ exports.getAllApprovals = async (req, res) => {
           processedAt: approval.processedAt,
           comments: approval.comments,
           isInvalidated: approval.isInvalidated,
+          invalidationReason: approval.invalidationReason,
           isLatest: isLatest,
           approvableType: approval.approvableType,
+          currentStep: approval.currentStep,
+          steps: formatSteps(approval.steps),
           supervisor: {
             id: approval.supervisor.id,
             email: approval.supervisor.email,
@@ -540,62 +747,45 @@ exports.processApproval = async (req, res) => {
 
     transaction = await db.sequelize.transaction();
 
-    let userName = user.name || user.email || user.id;
-    let updatedApprovable;
-    let approvalAction;
-    let comments = `Updated by: ${userName}.`;
     let additionalComments = req.body.comments || "";
-    comments += ` Comments: ${additionalComments}`;
 
-    // Handle approval or rejection
-    if (req.body.status === 'Approved') {
-      // Approve the approval record
-      await approval.approve(comments, transaction);
-      
-      // Update approvable entity status
-      updatedApprovable = await approvableWithIndividuals.update({
-        status: 'Active'  // or whatever status indicates approved
-      }, { transaction });
+    // Handle approval or rejection of the current step
+    const decision = await exports.applyApprovalDecision({
+      approval,
+      approvable: approvableWithIndividuals,
+      user,
+      decision: req.body.status,
+      comments: additionalComments,
+      transaction
+    });
+    const updatedApprovable = decision.approvable;
+    const approvalAction = decision.action === 'step_approved' ? 'approved' : decision.action;
 
-      approvalAction = 'approved';
+    const entityName = approval.approvableType === 'task_hazards' ? 'Task Hazard' : 'Risk Assessment';
 
-    } else if (req.body.status === 'Rejected') {
-      // Reject the approval record
-      await approval.reject(comments, transaction);
+    // Individuals are only told once the whole chain is decided
+    if (decision.action !== 'step_approved') {
+      // Create notifications and send emails for all individuals
+      const notificationType = approval.approvableType === 'task_hazards' ? 'hazard' : 'risk';
+      const actionTitle = `${entityName} ${approvalAction.charAt(0).toUpperCase() + approvalAction.slice(1)}`;
       
-      // Update approvable entity status
-      updatedApprovable = await approvableWithIndividuals.update({
-        status: 'Rejected'
-      }, { transaction });
-
-      approvalAction = 'rejected';
-
-    } else {
-      await transaction.rollback();
-      return sendResponse(res, errorResponse("Invalid approval status. Must be 'Approved' or 'Rejected'.", 400));
+      // Build message with rejection reason if applicable
+      let notificationMessage = `A ${entityName.toLowerCase()} you are part of has been ${approvalAction} by your supervisor.`;
+      if (approvalAction === 'rejected' && additionalComments) {
+        notificationMessage += ` Reason: ${additionalComments}`;
+      }
+      
+      await Promise.all(approvableWithIndividuals.individuals.map(async individual => {
+        await createNotificationWithEmail({
+          userId: individual.id,
+          title: actionTitle,
+          message: notificationMessage,
+          type: notificationType,
+          transaction
+        });
+      }));
     }
 
-    // Create notifications and send emails for all individuals
-    const entityName = approval.approvableType === 'task_hazards' ? 'Task Hazard' : 'Risk Assessment';
-    const notificationType = approval.approvableType === 'task_hazards' ? 'hazard' : 'risk';
-    const actionTitle = `${entityName} ${approvalAction.charAt(0).toUpperCase() + approvalAction.slice(1)}`;
-    
-    // Build message with rejection reason if applicable
-    let notificationMessage = `A ${entityName.toLowerCase()} you are part of has been ${approvalAction} by your supervisor.`;
-    if (approvalAction === 'rejected' && additionalComments) {
-      notificationMessage += ` Reason: ${additionalComments}`;
-    }
-    
-    await Promise.all(approvableWithIndividuals.individuals.map(async individual => {
-      await createNotificationWithEmail({
-        userId: individual.id,
-        title: actionTitle,
-        message: notificationMessage,
-        type: notificationType,
-        transaction
-      });
-    }));
-
     await transaction.commit();
 
     // Return response with approval details
@@ -607,18 +797,27 @@ exports.processApproval = async (req, res) => {
         processedAt: approval.processedAt,
         comments: approval.comments,
         approvableType: approval.approvableType,
+        currentStep: approval.currentStep,
+        stepProcessed: decision.step ? decision.step.toResponseJSON() : null,
+        nextStep: decision.nextStep ? decision.nextStep.toResponseJSON() : null,
         supervisor: {
           id: user.id,
           email: user.email,
           name: user.name
-        }
+        },
+        onBehalfOf: decision.onBehalfOf ? {
+          id: decision.onBehalfOf.id,
+          email: decision.onBehalfOf.email,
+          name: decision.onBehalfOf.name
+        } : null
       }
     };
 
-    sendResponse(res, successResponse(
-      `${entityName} ${approvalAction} successfully`, 
-      response
-    ));
+    const message = decision.action === 'step_approved'
+      ? `${entityName} approved at ${decision.step.name}; awaiting ${decision.nextStep.name}`
+      : `${entityName} ${approvalAction} successfully`;
+
+    sendResponse(res, successResponse(message, response));
 
   } catch (error) {
     if (transaction) await transaction.rollback();
@@ -626,7 +825,155 @@ exports.processApproval = async (req, res) => {
     console.error('Error processing supervisor approval:', error);
     sendResponse(res, errorResponse(
       error.message || "Some error occurred while processing the approval.",
-      500
+      error.statusCode || 500
+    ));
+  }
+};
+
+/**
+ * Reassign a pending approval to another approver (admin/superuser)
+ * The current approval is invalidated with the reassignment recorded, and a copy
+ * is created for the new approver with the same snapshots and step progress.
+ *
+ * Body parameters:
+ * - supervisorId: User who takes over the pending step (required)
+ * - reason: Why the approval is reassigned (optional)
+ */
+exports.reassignApproval = async (req, res) => {
+  let transaction;
+
+  try {
+    const userCompanyId = getCompanyId(req);
+    const user = req.user;
+    const newApproverId = parseInt(req.body.supervisorId);
+
+    const approval = await SupervisorApproval.findByPk(req.params.id, {
+      include: [
+        { model: User, as: 'supervisor', attributes: ['id', 'email', 'name', 'role'] },
+        { model: SupervisorApprovalStep, as: 'steps' }
+      ]
+    });
+
+    if (!approval) {
+      return sendResponse(res, errorResponse("Approval record not found.", 404));
+    }
+
+    if (approval.status !== 'pending') {
+      return sendResponse(res, errorResponse("Only pending approvals can be reassigned.", 400));
+    }
+
+    if (approval.isInvalidated) {
+      return sendResponse(res, errorResponse("This approval has been invalidated by subsequent changes.", 400));
+    }
+
+    // Verify the approvable entity exists and belongs to user's company
+    await findApprovableByIdAndCompany(approval.approvableId, approval.approvableType, userCompanyId);
+
+    const newApprover = await User.findOne({
+      where: { id: newApproverId, company_id: userCompanyId },
+      attributes: ['id', 'email', 'name', 'role']
+    });
+
+    if (!newApprover || !['supervisor', 'admin', 'superuser'].includes(newApprover.role)) {
+      return sendResponse(res, errorResponse("New approver must be a supervisor, admin or superuser in this company.", 400));
+    }
+
+    if (newApprover.id === approval.supervisorId) {
+      return sendResponse(res, errorResponse("The approval is already assigned to this approver.", 400));
+    }
+
+    transaction = await db.sequelize.transaction();
+
+    const newApproval = await SupervisorApproval.create({
+      approvableId: approval.approvableId,
+      approvableType: approval.approvableType,
+      supervisorId: newApprover.id,
+      status: 'pending',
+      approvableSnapshot: approval.approvableSnapshot,
+      risksSnapshot: approval.risksSnapshot,
+      chainId: approval.chainId,
+      currentStep: approval.currentStep
+    }, { transaction });
+
+    // Keep the progress of the chain; only the pending step changes hands
+    const steps = [...(approval.steps || [])].sort((a, b) => a.stepOrder - b.stepOrder);
+    let pendingStep;
+    if (steps.length > 0) {
+      const copiedSteps = await SupervisorApprovalStep.bulkCreate(steps.map(step => ({
+        approvalId: newApproval.id,
+        stepOrder: step.stepOrder,
+        name: step.name,
+        approverId: step.status === 'pending' ? newApprover.id : step.approverId,
+        status: step.status,
+        processedAt: step.processedAt,
+        comments: step.comments,
+        processedById: step.processedById,
+        onBehalfOfId: step.onBehalfOfId
+      })), { transaction });
+      pendingStep = copiedSteps.find(step => step.status === 'pending');
+
+      await SupervisorApprovalStep.update(
+        { status: 'skipped' },
+        { where: { approvalId: approval.id, status: ['pending', 'waiting'] }, transaction }
+      );
+    } else {
+      [pendingStep] = await createApprovalSteps(newApproval.id, [
+        { stepOrder: 1, name: 'Supervisor', approverId: newApprover.id }
+      ], transaction);
+    }
+
+    const userName = user.name || user.email || user.id;
+    const previousName = approval.supervisor ? (approval.supervisor.name || approval.supervisor.email) : approval.supervisorId;
+    let invalidationReason = `Reassigned from ${previousName} to ${newApprover.name || newApprover.email} by ${userName}.`;
+    if (req.body.reason) {
+      invalidationReason += ` Reason: ${req.body.reason}`;
+    }
+
+    await approval.invalidate(newApproval.id, transaction);
+    await approval.update({ invalidationReason }, { transaction });
+
+    const entityName = approval.approvableType === 'task_hazards' ? 'Task Hazard' : 'Risk Assessment';
+    await createNotificationWithEmail({
+      userId: newApprover.id,
+      title: `${entityName} Reassigned For Approval`,
+      message: `A ${entityName.toLowerCase()} pending approval has been reassigned to you${describeStep(pendingStep, Math.max(steps.length, 1))}.`,
+      type: 'approval',
+      transaction
+    });
+
+    await transaction.commit();
+
+    const reassigned = await SupervisorApproval.findByPk(newApproval.id, {
+      include: [
+        { model: User, as: 'supervisor', attributes: ['id', 'email', 'name', 'role'] },
+        {
+          model: SupervisorApprovalStep,
+          as: 'steps',
+          include: [{ model: User, as: 'approver', attributes: ['id', 'email', 'name', 'role'] }]
+        }
+      ]
+    });
+
+    sendResponse(res, successResponse(
+      `${entityName} approval reassigned successfully`,
+      {
+        approval: reassigned.toResponseJSON(),
+        replacedApprovalId: approval.id,
+        invalidationReason
+      }
+    ));
+  } catch (error) {
+    if (transaction) await transaction.rollback();
+
+    console.error('Error reassigning supervisor approval:', error);
+
+    if (error.message.includes("not found")) {
+      return sendResponse(res, errorResponse(error.message, 404));
+    }
+
+    sendResponse(res, errorResponse(
+      error.message || "Some error occurred while reassigning the approval.",
+      error.statusCode || 500
     ));
   }
 };
@@ -660,11 +1007,20 @@ exports.getApprovalHistory = async (req, res) => {
           as: 'supervisor', 
           attributes: ['id', 'email', 'name', 'role'] 
         },
+        { model: User, as: 'processedBy', required: false, attributes: ['id', 'email', 'name', 'role'] },
+        { model: User, as: 'onBehalfOf', required: false, attributes: ['id', 'email', 'name', 'role'] },
+        { model: db.approval_seals, as: 'seal', required: false },
         {
           model: SupervisorApproval,
           as: 'replacedByApproval',
           required: false,
           attributes: ['id', 'status', 'createdAt']
+        },
+        {
+          model: SupervisorApprovalStep,
+          as: 'steps',
+          required: false,
+          include: [{ model: User, as: 'approver', attributes: ['id', 'email', 'name', 'role'] }]
         }
       ],
       order: [['createdAt', 'DESC']]
@@ -679,15 +1035,29 @@ exports.getApprovalHistory = async (req, res) => {
         processedAt: approval.processedAt,
         comments: approval.comments,
         isInvalidated: approval.isInvalidated,
+        invalidationReason: approval.invalidationReason,
         approvableType: approval.approvableType,
+        processedBy: approval.processedBy ? {
+          id: approval.processedBy.id,
+          email: approval.processedBy.email,
+          name: approval.processedBy.name
+        } : null,
+        onBehalfOf: approval.onBehalfOf ? {
+          id: approval.onBehalfOf.id,
+          email: approval.onBehalfOf.email,
+          name: approval.onBehalfOf.name
+        } : null,
         supervisor: {
           id: approval.supervisor.id,
           email: approval.supervisor.email,
           name: approval.supervisor.name,
           role: approval.supervisor.role
         },
+        currentStep: approval.currentStep,
+        steps: formatSteps(approval.steps),
         approvableSnapshot: approval.approvableSnapshot,
         risksSnapshot: approval.risksSnapshot,
+        seal: approval.seal ? approval.seal.toResponseJSON() : null,
         replacedBy: approval.replacedByApproval ? {
           id: approval.replacedByApproval.id,
           status: approval.replacedByApproval.status,
@@ -730,6 +1100,123 @@ exports.getApprovalHistory = async (req, res) => {
   }
 };
 
+/**
+ * Compare an approval's snapshots with its replacement approval or the live record
+ * 
+ * Query parameters:
+ * - against: 'replacement' or 'live' (default: the replacement when the approval
+ *   was replaced, otherwise the live record)
+ */
+exports.getApprovalDiff = async (req, res) => {
+  try {
+    const userCompanyId = getCompanyId(req);
+
+    const approval = await SupervisorApproval.findByPk(req.params.id);
+    if (!approval) {
+      return sendResponse(res, errorResponse("Approval record not found.", 404));
+    }
+
+    // Verify the approvable entity exists and belongs to user's company
+    await findApprovableByIdAndCompany(approval.approvableId, approval.approvableType, userCompanyId);
+
+    const against = req.query.against || (approval.replacedByApprovalId ? 'replacement' : 'live');
+    if (!['replacement', 'live'].includes(against)) {
+      return sendResponse(res, errorResponse("against must be 'replacement' or 'live'.", 400));
+    }
+
+    let target;
+    let comparedWith;
+    if (against === 'replacement') {
+      if (!approval.replacedByApprovalId) {
+        return sendResponse(res, errorResponse("This approval has not been replaced.", 400));
+      }
+      target = await SupervisorApproval.findByPk(approval.replacedByApprovalId, { paranoid: false });
+      if (!target) {
+        return sendResponse(res, errorResponse("Replacement approval not found.", 404));
+      }
+      comparedWith = {
+        type: 'replacement',
+        approvalId: target.id,
+        status: target.status,
+        snapshotTakenAt: target.approvableSnapshot?.snapshotTakenAt || target.createdAt
+      };
+    } else {
+      target = await createLiveSnapshot(approval.approvableId, approval.approvableType);
+      comparedWith = {
+        type: 'live',
+        approvalId: null,
+        status: null,
+        snapshotTakenAt: target.approvableSnapshot.snapshotTakenAt
+      };
+    }
+
+    const diff = diffSnapshots(
+      { approvableSnapshot: approval.approvableSnapshot, risksSnapshot: approval.risksSnapshot },
+      { approvableSnapshot: target.approvableSnapshot, risksSnapshot: target.risksSnapshot }
+    );
+
+    sendResponse(res, successResponse(
+      diff.hasChanges ? "Approval changes retrieved successfully" : "No changes found",
+      {
+        approvalId: approval.id,
+        approvableId: approval.approvableId,
+        approvableType: approval.approvableType,
+        base: {
+          approvalId: approval.id,
+          status: approval.status,
+          isInvalidated: approval.isInvalidated,
+          snapshotTakenAt: approval.approvableSnapshot?.snapshotTakenAt || approval.createdAt
+        },
+        comparedWith,
+        ...diff
+      }
+    ));
+  } catch (error) {
+    console.error('Error retrieving approval diff:', error);
+
+    if (error.message.includes("not found")) {
+      return sendResponse(res, errorResponse(error.message, 404));
+    }
+
+    sendResponse(res, errorResponse(
+      error.message || "Some error occurred while comparing approval snapshots.",
+      500
+    ));
+  }
+};
+
+/**
+ * Verify the approval seals of the user's company (admin/superuser)
+ * Reports every sealed approval whose stored snapshot, decision or chain link
+ * no longer matches its seal, and processed approvals that were never sealed
+ */
+exports.verifySeals = async (req, res) => {
+  try {
+    const userCompanyId = getCompanyId(req);
+
+    const result = await verifyCompanySeals(userCompanyId);
+    const intact = result.broken.length === 0 && result.unsealedApprovalIds.length === 0;
+
+    sendResponse(res, successResponse(
+      intact
+        ? "All approval seals verified successfully"
+        : `Seal verification found ${result.broken.length} broken seal(s) and ${result.unsealedApprovalIds.length} unsealed approval(s)`,
+      {
+        companyId: userCompanyId,
+        verifiedAt: new Date(),
+        intact,
+        ...result
+      }
+    ));
+  } catch (error) {
+    console.error('Error verifying approval seals:', error);
+    sendResponse(res, errorResponse(
+      error.message || "Some error occurred while verifying approval seals.",
+      500
+    ));
+  }
+};
+
 module.exports = exports;
 
 
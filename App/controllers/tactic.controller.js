@@ -1,6 +1,7 @@
 const db = require('../models');
 const { successResponse, errorResponse, sendResponse } = require('../helper/responseHelper');
 const { v4: uuidv4 } = require('uuid');
+const { buildCriticalityQuery } = require('../helper/assetCriticalityHelper');
 
 /**
  * Helper function to get user's company ID with validation
@@ -13,6 +14,26 @@ const getUserCompanyId = (req) => {
   return userCompanyId;
 };
 
+/**
+ * Helper function to resolve the optional asset a tactic applies to
+ * Returns undefined when not provided, null when cleared
+ */
+const resolveTacticAsset = async (assetHierarchyId, companyId) => {
+  if (assetHierarchyId === undefined) return undefined;
+  if (assetHierarchyId === null || assetHierarchyId === '') return null;
+
+  const asset = await db.asset_hierarchy.findOne({
+    where: { id: assetHierarchyId, companyId },
+    attributes: ['id']
+  });
+  if (!asset) {
+    const error = new Error('Asset not found in this company');
+    error.statusCode = 400;
+    throw error;
+  }
+  return asset.id;
+};
+
 /**
  * Create a new Tactic
  */
@@ -21,7 +42,8 @@ exports.create = async (req, res) => {
     // Validate user company access
     const userCompanyId = getUserCompanyId(req);
 
-    const { analysis_name, location, status, ...assetDetails } = req.body;
+    const { analysis_name, location, status, asset_hierarchy_id, ...assetDetails } = req.body;
+    const assetHierarchyId = await resolveTacticAsset(asset_hierarchy_id, userCompanyId);
     
     // Create the tactic with all fields
     const tactic = await db.tactics.create({
@@ -30,7 +52,8 @@ exports.create = async (req, res) => {
       analysisName: analysis_name, // Map from route field name to model field name
       location,
       status,
-      assetDetails
+      assetDetails,
+      assetHierarchyId: assetHierarchyId ?? null
     });
     
     sendResponse(res, successResponse(
@@ -43,24 +66,29 @@ exports.create = async (req, res) => {
     console.error('Error creating tactic:', error);
     sendResponse(res, errorResponse(
       error.message || 'Some error occurred while creating the Tactic.',
-      500
+      error.statusCode || 500
     ));
   }
 };
 
 /**
  * Retrieve all Tactics for the authenticated user's company
+ * Optional filters: assetHierarchyId, criticalityLevel (comma-separated), minCriticalityScore
  */
 exports.findAll = async (req, res) => {
   try {
     // Validate user company access
     const userCompanyId = getUserCompanyId(req);
 
-    const tactics = await db.tactics.findAll({
-      where: {
-        company_id: userCompanyId
-      }
-    });
+    const where = {
+      company_id: userCompanyId,
+      ...buildCriticalityQuery(req.query)
+    };
+    if (req.query.assetHierarchyId) {
+      where.assetHierarchyId = req.query.assetHierarchyId;
+    }
+
+    const tactics = await db.tactics.findAll({ where });
     
     sendResponse(res, successResponse(
       'Tactics retrieved successfully',
@@ -156,6 +184,10 @@ exports.update = async (req, res) => {
       updateData.analysisName = updateData.analysis_name;
       delete updateData.analysis_name;
     }
+    if (updateData.asset_hierarchy_id !== undefined) {
+      updateData.assetHierarchyId = await resolveTacticAsset(updateData.asset_hierarchy_id, userCompanyId);
+      delete updateData.asset_hierarchy_id;
+    }
 
     const [updated] = await db.tactics.update(updateData, {
       where: {
@@ -186,7 +218,7 @@ exports.update = async (req, res) => {
     console.error('Error updating tactic:', error);
     sendResponse(res, errorResponse(
       error.message || 'Some error occurred while updating the Tactic.',
-      500
+      error.statusCode || 500
     ));
   }
 };
@@ -8,6 +8,25 @@ const { getCompanyId } = require('../helper/controllerHelper');
 const { Op } = require('sequelize');
 const supervisorApprovalController = require('./supervisor_approval.controller');
 const { createNotificationWithEmail } = require('./notificationController');
+const {
+  resolveMatType,
+  loadMatricesForRisks,
+  findLevelValue,
+  scoreRisk,
+  requiresSignatureForRisk,
+  resolveSignatureStatus,
+  summarizeResidualRisk,
+  buildResidualRiskQuery,
+  assertRisksWithinMatrices,
+  summarizeMatrixVersions
+} = require('../helper/riskMatrixHelper');
+const { buildCriticalityQuery } = require('../helper/assetCriticalityHelper');
+const { loadRiskCatalogue, applyCatalogueToRisks } = require('../helper/riskCatalogueHelper');
+const { assertIsolationPointsRemoved } = require('../helper/isolationPlanHelper');
+const { findTemplateVersion, checkTemplateApplies, applyTemplateToTaskHazard } = require('../helper/taskHazardTemplateHelper');
+const { getActiveDelegatorIds } = require('../helper/approvalDelegationHelper');
+const { generateTaskHazardPdf } = require('../helper/taskHazardPdfHelper');
+const { resolveExportFormat, streamRiskExport } = require('../helper/exportHelper');
 
 /**
  * Helper function to convert likelihood and consequence strings to integers
@@ -97,19 +116,42 @@ const findAndValidateSupervisor = async (supervisorEmail, transaction = null) =>
 
 /**
  * Helper function to process and validate risk data
+ * When matrices are given, labels are resolved against the company matrix for the risk type
+ * and the as-is/mitigated scores and levels are computed from it.
+ * Catalogue links are expected to have been set by applyCatalogueToRisks.
+ * A supervisor signature is required whenever the residual score is above the company
+ * threshold, regardless of the flag sent by the client.
  */
-const processRisks = (risks) => {
-  return risks.map((risk) => ({
-    riskDescription: risk.riskDescription,
-    riskType: risk.riskType,
-    asIsLikelihood: convertToInteger(risk.asIsLikelihood),
-    asIsConsequence: convertToInteger(risk.asIsConsequence),
-    mitigatingAction: risk.mitigatingAction,
-    mitigatingActionType: risk.mitigatingActionType,
-    mitigatedLikelihood: convertToInteger(risk.mitigatedLikelihood),
-    mitigatedConsequence: convertToInteger(risk.mitigatedConsequence),
-    requiresSupervisorSignature: risk.requiresSupervisorSignature || false
-  }));
+const processRisks = (risks, matrices = null) => {
+  return risks.map((risk) => {
+    const matrix = matrices?.get(resolveMatType(risk.riskType));
+    const toLikelihood = (value) => findLevelValue(value, matrix?.likelihoods) ?? convertToInteger(value);
+    const toConsequence = (value) => findLevelValue(value, matrix?.consequences) ?? convertToInteger(value);
+
+    const processedRisk = {
+      riskDescription: risk.riskDescription,
+      riskType: risk.riskType,
+      asIsLikelihood: toLikelihood(risk.asIsLikelihood),
+      asIsConsequence: toConsequence(risk.asIsConsequence),
+      mitigatingAction: risk.mitigatingAction,
+      mitigatingActionType: risk.mitigatingActionType,
+      mitigatedLikelihood: toLikelihood(risk.mitigatedLikelihood),
+      mitigatedConsequence: toConsequence(risk.mitigatedConsequence),
+      requiresSupervisorSignature: risk.requiresSupervisorSignature || false,
+      riskMatrixId: matrix?.id || null,
+      hazardCategoryId: risk.hazardCategoryId || null,
+      hazardControlId: risk.hazardControlId || null,
+      controlType: risk.controlType || null,
+      freeTextHazard: risk.freeTextHazard || false,
+      freeTextControl: risk.freeTextControl || false
+    };
+
+    const scores = scoreRisk(processedRisk, matrix);
+    processedRisk.requiresSupervisorSignature =
+      processedRisk.requiresSupervisorSignature || requiresSignatureForRisk(scores, matrix);
+
+    return { ...processedRisk, ...scores };
+  });
 };
 
 /**
@@ -190,6 +232,43 @@ const formatTaskHazard = (taskHazard) => {
   return formatted;
 };
 
+/**
+ * Helper function to build the where clause and order of findAll
+ * Applies company scoping, search on scopeOfWork/location, residual risk and asset criticality filters
+ */
+const buildFindAllQuery = (req) => {
+  const where = {};
+
+  if (req.whereClause && typeof req.whereClause === 'object') {
+    const wc = req.whereClause;
+    if (wc.companyId || wc.company_id) where.companyId = wc.companyId ?? wc.company_id;
+  }
+
+  // If nothing provided by middleware, derive from helpers (non-universal users)
+  if ((!where.companyId ) && req.user?.role !== 'universal_user') {
+    const userCompanyId = getCompanyId(req);
+    if (userCompanyId) where.companyId = userCompanyId;
+  }
+
+  // Apply simple search on scopeOfWork/location
+  const { search } = req.query;
+  if (search) {
+    where[Op.or] = [
+      { scopeOfWork: { [Op.like]: `%${search}%` } },
+      { location: { [Op.like]: `%${search}%` } }
+    ];
+  }
+
+  // Apply residual risk filters and sorting
+  const residualRiskQuery = buildResidualRiskQuery(req.query);
+  Object.assign(where, residualRiskQuery.where);
+
+  // Apply asset criticality filters
+  Object.assign(where, buildCriticalityQuery(req.query));
+
+  return { where, order: residualRiskQuery.order };
+};
+
 /**
  * Helper function to find task hazard with company validation
  */
@@ -218,12 +297,12 @@ const findTaskHazardByIdAndCompany = async (id, companyId, includeAssociations =
  * Helper function to update task hazard risks
  * Handles create, update, and delete operations for associated risks
  */
-const updateTaskHazardRisks = async (taskHazard, newRisks, transaction) => {
+const updateTaskHazardRisks = async (taskHazard, newRisks, matrices, transaction) => {
   if (!newRisks || !Array.isArray(newRisks)) {
     return [];
   }
 
-  const processedRisks = processRisks(newRisks);
+  const processedRisks = processRisks(newRisks, matrices);
   const riskMap = new Map();
   
   newRisks.forEach(risk => {
@@ -237,7 +316,7 @@ const updateTaskHazardRisks = async (taskHazard, newRisks, transaction) => {
     await Promise.all(taskHazard.risks.map(async risk => {
       if (riskMap.has(risk.id)) {
         const updatedRisk = riskMap.get(risk.id);
-        const processedRisk = processRisks([updatedRisk])[0];
+        const processedRisk = processRisks([updatedRisk], matrices)[0];
         
         await risk.update(processedRisk, { transaction });
         riskMap.delete(risk.id);
@@ -250,7 +329,7 @@ const updateTaskHazardRisks = async (taskHazard, newRisks, transaction) => {
   // Create new risks (those without IDs or not found in existing)
   const newRisksToCreate = newRisks.filter(risk => !risk.id || riskMap.has(risk.id));
   await Promise.all(newRisksToCreate.map(async risk => {
-    const processedRisk = processRisks([risk])[0];
+    const processedRisk = processRisks([risk], matrices)[0];
     await taskHazard.createRisk(processedRisk, { transaction });
   }));
 
@@ -258,10 +337,11 @@ const updateTaskHazardRisks = async (taskHazard, newRisks, transaction) => {
 };
 
 /**
- * Create and Save a new Task Hazard
+ * Helper function to create and save a new Task Hazard
  * Handles all individuals through the junction table (many-to-many relationship)
+ * templateVersion is the task_hazard_template_versions instance the request was filled from, if any
  */
-exports.create = async (req, res) => {
+const createTaskHazard = async (req, res, templateVersion = null) => {
   let transaction;
   
   try {
@@ -287,8 +367,11 @@ exports.create = async (req, res) => {
       return sendResponse(res, errorResponse(validationError.message, 404));
     }
 
-    // Process risks and determine status
-    const processedRisks = processRisks(req.body.risks);
+    // Link risks to the company hazard and control catalogue, then score them against the active risk matrices
+    const risks = applyCatalogueToRisks(req.body.risks, await loadRiskCatalogue(userCompanyId, transaction));
+    const matrices = await loadMatricesForRisks(userCompanyId, risks, transaction);
+    const processedRisks = processRisks(risks, matrices);
+    assertRisksWithinMatrices(processedRisks, matrices);
     const status = determineTaskHazardStatus(processedRisks, req.body.status);
 
     // Create Task Hazard (using junction table for all individuals)
@@ -303,7 +386,10 @@ exports.create = async (req, res) => {
       supervisorId: supervisor.id,
       location: req.body.location,
       status: status,
-      geofenceLimit: req.body.geoFenceLimit || 200
+      geofenceLimit: req.body.geoFenceLimit || 200,
+      riskMatrixVersions: summarizeMatrixVersions(matrices),
+      ...summarizeResidualRisk(processedRisks),
+      templateVersionId: templateVersion ? templateVersion.id : null
     }, { transaction });
 
     // Associate all individuals through junction table
@@ -315,7 +401,7 @@ exports.create = async (req, res) => {
     }));
     
     // Create supervisor approval if any risks require supervisor signature
-    const requiresSignature = req.body.risks.some(risk => risk.requiresSupervisorSignature);
+    const requiresSignature = processedRisks.some(risk => risk.requiresSupervisorSignature);
     if(requiresSignature && status === "Pending"){
       await supervisorApprovalController.createApproval(
         taskHazard.id,
@@ -341,7 +427,56 @@ exports.create = async (req, res) => {
     console.error('Error creating task hazard:', error);
     sendResponse(res, errorResponse(
       error.message || "Some error occurred while creating the Task Hazard.",
-      500
+      error.statusCode || 500
+    ));
+  }
+};
+
+/**
+ * Create and Save a new Task Hazard
+ */
+exports.create = (req, res) => createTaskHazard(req, res);
+
+/**
+ * Create a Task Hazard from a company template
+ * The template's scope of work, flags and risks fill in whatever the request leaves out,
+ * and the task hazard keeps a reference to the template version it was created from.
+ * The template must be active and apply to the asset (its object type and subtree, if set).
+ *
+ * Body parameters:
+ * - templateVersion: Template version to use (optional, defaults to the current version)
+ * - date, time, supervisor, location, individuals, assetSystem, geoFenceLimit: as for create
+ * - scopeOfWork, systemLockoutRequired, trainedWorkforce, risks: override the template (optional)
+ */
+exports.createFromTemplate = async (req, res) => {
+  try {
+    const userCompanyId = getCompanyId(req);
+    const version = req.body.templateVersion !== undefined && req.body.templateVersion !== null
+      ? parseInt(req.body.templateVersion)
+      : null;
+    if (version !== null && (isNaN(version) || version < 1)) {
+      return sendResponse(res, errorResponse("templateVersion must be a positive integer", 400));
+    }
+
+    const found = await findTemplateVersion(userCompanyId, req.params.templateId, version);
+    if (!found) {
+      return sendResponse(res, errorResponse(
+        version !== null ? "Task hazard template version not found" : "Task hazard template not found",
+        404
+      ));
+    }
+    const notApplicable = await checkTemplateApplies(found.template, req.body.assetSystem);
+    if (notApplicable) {
+      return sendResponse(res, errorResponse(notApplicable, 400));
+    }
+
+    req.body = applyTemplateToTaskHazard(found.version, req.body);
+    return createTaskHazard(req, res, found.version);
+  } catch (error) {
+    console.error('Error creating task hazard from template:', error);
+    sendResponse(res, errorResponse(
+      error.message || "Some error occurred while creating the Task Hazard from the template.",
+      error.statusCode || 500
     ));
   }
 };
@@ -388,8 +523,10 @@ exports.getAllApprovals = async (req, res) => {
     }
 
     // Add supervisor filter if user is a supervisor (not admin/superuser)
+    // Includes approvals of supervisors who currently delegate to this user
     if (isSupervisor) {
-      whereClause.supervisorId = user.id;
+      const delegatorIds = await getActiveDelegatorIds(user.id);
+      whereClause.supervisorId = [user.id, ...delegatorIds];
     }
 
     // Get approvals for the company's task hazards (filtered by role)
@@ -503,6 +640,7 @@ exports.getAllApprovals = async (req, res) => {
           processedAt: approval.processedAt,
           comments: approval.comments,
           isInvalidated: approval.isInvalidated,
+          invalidationReason: approval.invalidationReason,
           isLatest: isLatest,
           supervisor: {
             id: approval.supervisor.id,
@@ -575,30 +713,11 @@ exports.getAllApprovals = async (req, res) => {
  */
 exports.findAll = async (req, res) => {
   try {
-    // Build effective where clause
-    let effectiveWhere = {};
+    // Get pagination
+    const { page, limit, offset } = req.query;
 
-    if (req.whereClause && typeof req.whereClause === 'object') {
-      const wc = req.whereClause;
-      if (wc.companyId || wc.company_id) effectiveWhere.companyId = wc.companyId ?? wc.company_id;
-    }
-
-    // If nothing provided by middleware, derive from helpers (non-universal users)
-    if ((!effectiveWhere.companyId ) && req.user?.role !== 'universal_user') {
-      const userCompanyId = getCompanyId(req);
-      if (userCompanyId) effectiveWhere.companyId = userCompanyId;
-    }
-
-    // Get pagination and search
-    const { page, limit, offset, search } = req.query;
-
-    // Apply simple search on scopeOfWork/location
-    if (search) {
-      effectiveWhere[Op.or] = [
-        { scopeOfWork: { [Op.like]: `%${search}%` } },
-        { location: { [Op.like]: `%${search}%` } }
-      ];
-    }
+    // Company scoping, search and residual risk filters/sorting
+    const { where: effectiveWhere, order } = buildFindAllQuery(req);
 
     // Fetch with distinct to prevent overcount due to joins in default scope
     const { count, rows: taskHazards } = await TaskHazard.unscoped().findAndCountAll({
@@ -622,11 +741,14 @@ exports.findAll = async (req, res) => {
         'location', 
         'status', 
         'geofenceLimit',
+        'riskMatrixVersions',
+        'maxResidualScore',
+        'maxResidualLevel',
         'createdAt'
       ],
       limit,
       offset,
-      order: [['createdAt', 'DESC']],
+      order,
       distinct: true
     });
 
@@ -684,6 +806,13 @@ exports.findAllMinimal = async (req, res) => {
       ];
     }
 
+    // Apply residual risk filters and sorting
+    const residualRiskQuery = buildResidualRiskQuery(req.query);
+    Object.assign(effectiveWhere, residualRiskQuery.where);
+
+    // Apply asset criticality filters
+    Object.assign(effectiveWhere, buildCriticalityQuery(req.query));
+
     // Fetch minimal data with limited associations
     const { count, rows: taskHazards } = await TaskHazard.unscoped().findAndCountAll({
       where: effectiveWhere,
@@ -702,11 +831,13 @@ exports.findAllMinimal = async (req, res) => {
         ['asset_hierarchy_id', 'assetSystem'], 
         'location', 
         'status', 
+        'maxResidualScore',
+        'maxResidualLevel',
         'createdAt'
       ],
       limit,
       offset,
-      order: [['createdAt', 'DESC']],
+      order: residualRiskQuery.order,
       distinct: true
     });
 
@@ -720,6 +851,8 @@ exports.findAllMinimal = async (req, res) => {
       location: taskHazard.location,
       status: taskHazard.status,
       supervisor: taskHazard.supervisor?.email || '',
+      maxResidualScore: taskHazard.maxResidualScore,
+      maxResidualLevel: taskHazard.maxResidualLevel,
       createdAt: taskHazard.createdAt
     }));
 
@@ -856,6 +989,148 @@ exports.findOne = async (req, res) => {
   }
 };
 
+/**
+ * Export a single Task Hazard as a printable PDF (job hazard analysis)
+ * Includes company branding, the risk table coloured by the company matrix,
+ * approval signatures and history, and a QR code linking back to the record
+ */
+exports.exportPdf = async (req, res) => {
+  try {
+    // Validate user company access
+    const userCompanyId = getCompanyId(req);
+
+    const taskHazard = await findTaskHazardByIdAndCompany(req.params.id, userCompanyId);
+    const plainTaskHazard = taskHazard.get({ plain: true });
+
+    const company = await db.company.scope('branding').findByPk(userCompanyId);
+
+    const assetId = taskHazard.get('assetSystem');
+    const asset = assetId
+      ? await db.asset_hierarchy.findByPk(assetId, { attributes: ['id', 'name', 'externalId'] })
+      : null;
+
+    // Matrices the risks were scored with, for level colours
+    const matrixIds = [...new Set((taskHazard.risks || []).map(risk => risk.riskMatrixId).filter(Boolean))];
+    const matrices = matrixIds.length > 0
+      ? await db.company_risk_matrices.findAll({ where: { id: matrixIds }, paranoid: false })
+      : [];
+
+    const userAttributes = ['id', 'email', 'name', 'role'];
+    const approvals = await SupervisorApproval.findAll({
+      where: {
+        approvableId: taskHazard.id,
+        approvableType: 'task_hazards'
+      },
+      include: [
+        { model: User, as: 'supervisor', attributes: userAttributes },
+        { model: User, as: 'processedBy', required: false, attributes: userAttributes },
+        { model: User, as: 'onBehalfOf', required: false, attributes: userAttributes },
+        { model: db.approval_seals, as: 'seal', required: false },
+        {
+          model: db.supervisor_approval_steps,
+          as: 'steps',
+          required: false,
+          include: [
+            { model: User, as: 'approver', attributes: userAttributes },
+            { model: User, as: 'processedBy', required: false, attributes: userAttributes },
+            { model: User, as: 'onBehalfOf', required: false, attributes: userAttributes }
+          ]
+        }
+      ],
+      order: [['createdAt', 'DESC']]
+    });
+
+    const frontendUrl = process.env.FRONTEND_URL || process.env.LIVE_URL || 'http://localhost:3001';
+
+    const pdf = await generateTaskHazardPdf({
+      taskHazard: {
+        ...plainTaskHazard,
+        assetName: asset ? [asset.name, asset.externalId ? `(${asset.externalId})` : ''].filter(Boolean).join(' ') : ''
+      },
+      company,
+      matrices: new Map(matrices.map(matrix => [matrix.id, matrix])),
+      approvals,
+      recordUrl: `${frontendUrl}/safety/task-hazard/${taskHazard.id}`
+    });
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="task-hazard-${taskHazard.id}.pdf"`);
+    res.setHeader('Content-Length', pdf.length);
+    res.send(pdf);
+
+  } catch (error) {
+    console.error('Error exporting task hazard PDF:', error);
+
+    if (error.message === "Task Hazard not found") {
+      return sendResponse(res, errorResponse(error.message, 404));
+    }
+
+    sendResponse(res, errorResponse(
+      error.message || `Error exporting Task Hazard with id ${req.params.id}`,
+      500
+    ));
+  }
+};
+
+/**
+ * Export Task Hazards as CSV or XLSX with one row per risk
+ * Accepts the same company scoping, search, residual risk and criticality filters as findAll.
+ * Rows are streamed in batches, so large exports are never held in memory.
+ */
+exports.exportAll = async (req, res) => {
+  try {
+    const format = resolveExportFormat(req.query.format);
+    const { where, order } = buildFindAllQuery(req);
+
+    await streamRiskExport(res, {
+      format,
+      model: TaskHazard.unscoped(),
+      where,
+      order,
+      include: [
+        { model: db.company, as: 'company', attributes: ['id', 'name'] },
+        { model: db.asset_hierarchy, as: 'asset', attributes: ['id', 'name', 'externalId'] },
+        { model: db.task_risks, as: 'risks' },
+        { model: db.user, as: 'supervisor', attributes: ["id", "email", "name"] },
+        { model: db.user, as: 'individuals', attributes: ["id", "email", "name"] }
+      ],
+      columns: [
+        { header: 'Task Hazard ID', value: taskHazard => taskHazard.id },
+        { header: 'Company', value: taskHazard => taskHazard.company?.name },
+        { header: 'Date', value: taskHazard => taskHazard.date },
+        { header: 'Time', value: taskHazard => taskHazard.time },
+        { header: 'Scope Of Work', value: taskHazard => taskHazard.scopeOfWork },
+        { header: 'Asset ID', value: taskHazard => taskHazard.asset?.externalId || taskHazard.assetHierarchyId },
+        { header: 'Asset Name', value: taskHazard => taskHazard.asset?.name },
+        { header: 'Location', value: taskHazard => taskHazard.location },
+        { header: 'Status', value: taskHazard => taskHazard.status },
+        { header: 'System Lockout Required', value: taskHazard => taskHazard.systemLockoutRequired },
+        { header: 'Trained Workforce', value: taskHazard => taskHazard.trainedWorkforce },
+        { header: 'Geofence Limit', value: taskHazard => taskHazard.geofenceLimit },
+        { header: 'Supervisor', value: taskHazard => taskHazard.supervisor?.email },
+        { header: 'Individuals', value: taskHazard => (taskHazard.individuals || []).map(user => user.email).join(', ') },
+        { header: 'Max Residual Score', value: taskHazard => taskHazard.maxResidualScore },
+        { header: 'Max Residual Level', value: taskHazard => taskHazard.maxResidualLevel },
+        { header: 'Created At', value: taskHazard => taskHazard.createdAt }
+      ],
+      fileName: `task-hazards-${new Date().toISOString().slice(0, 10)}`,
+      sheetName: 'Task Hazards'
+    });
+  } catch (error) {
+    console.error('Error exporting task hazards:', error);
+
+    // Headers are gone once streaming started; abort so the client sees a failed download
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+
+    sendResponse(res, errorResponse(
+      error.message || "Some error occurred while exporting task hazards.",
+      error.statusCode || 500
+    ));
+  }
+};
+
 /**
  * Update a Task Hazard by ID
  * Handles individuals through junction table and optimizes transaction usage
@@ -890,18 +1165,6 @@ exports.update = async (req, res) => {
       order: [['createdAt', 'DESC']]
     });
 
-    // Check if any risks require supervisor signature
-    const requiresSignature = req.body.risks.some(risk => risk.requiresSupervisorSignature);
-
-    // Determine final status
-    let status = req.body.status;
-    
-    // If any risks require signature and task is being updated (not completed), set to Pending
-    if (requiresSignature && req.body.status !== "Completed") {
-      status = 'Pending';
-    }
-
-    
     //TODO: Remove individual after updating the mobile app
     let individualsString = req.body.individuals ? req.body.individuals : req.body.individual;
     if (!individualsString) {
@@ -917,8 +1180,32 @@ exports.update = async (req, res) => {
       return sendResponse(res, errorResponse(validationError.message, 404));
     }
 
+    // Link risks to the company hazard and control catalogue, then score them against the active risk matrices
+    const risks = applyCatalogueToRisks(req.body.risks, await loadRiskCatalogue(userCompanyId));
+    const matrices = await loadMatricesForRisks(userCompanyId, risks);
+    const scoredRisks = processRisks(risks, matrices);
+    assertRisksWithinMatrices(scoredRisks, matrices);
+
+    // Check if any risks require supervisor signature (derived from residual risk)
+    const requiresSignature = scoredRisks.some(risk => risk.requiresSupervisorSignature);
+
+    // Determine final status: edits that require a signature go back to Pending, and can't be
+    // completed before the current approval is approved, whatever status the client sent
+    const status = resolveSignatureStatus(req.body.status, requiresSignature, currentApproval);
+
     // Start transaction for data modifications
     const result = await db.sequelize.transaction(async (transaction) => {
+      // A task hazard can't be completed while any lock of its isolation plan is still in place
+      // The row lock keeps lock actions on its isolation points out until this update commits
+      if (status === 'Completed') {
+        await TaskHazard.unscoped().findByPk(taskHazard.id, { attributes: ['id'], lock: transaction.LOCK.UPDATE, transaction });
+        await assertIsolationPointsRemoved(
+          taskHazard.id,
+          transaction,
+          req.body.systemLockoutRequired ?? taskHazard.systemLockoutRequired
+        );
+      }
+
       // Update Task Hazard main fields
       await taskHazard.update({
         date: req.body.date,
@@ -930,7 +1217,9 @@ exports.update = async (req, res) => {
         supervisorId: supervisor.id,
         location: req.body.location,
         status: status,
-        geofenceLimit: req.body.geoFenceLimit
+        geofenceLimit: req.body.geoFenceLimit,
+        riskMatrixVersions: summarizeMatrixVersions(matrices),
+        ...summarizeResidualRisk(scoredRisks)
       }, { transaction });
 
       // Update individuals association through junction table
@@ -938,8 +1227,8 @@ exports.update = async (req, res) => {
 
       // Update associated risks if provided
       let updatedRisks = [];
-      if (req.body.risks && Array.isArray(req.body.risks)) {
-        updatedRisks = await updateTaskHazardRisks(taskHazard, req.body.risks, transaction);
+      if (risks && Array.isArray(risks)) {
+        updatedRisks = await updateTaskHazardRisks(taskHazard, risks, matrices, transaction);
       }
 
       // Handle approval logic - if status is Pending and requires signature, create approval record
@@ -981,7 +1270,7 @@ exports.update = async (req, res) => {
     
     sendResponse(res, errorResponse(
       error.message || "Some error occurred while updating the Task Hazard.",
-      500
+      error.statusCode || 500
     ));
   }
 };
@@ -1026,60 +1315,41 @@ exports.supervisorApproval = async (req, res) => {
 
     transaction = await db.sequelize.transaction();
 
-    let userName = user.name || user.email || user.id;
-
-    let updatedTaskHazard;
-    let approvalAction;
-    let comments = `Updated by: ${userName}.`;
     let additionalComments = req.body.comments || "";
-    comments += ` Comments: ${additionalComments}`;
-
-    // Handle approval or rejection
-    if (req.body.status === 'Approved') {
-      // Approve the approval record
-      await pendingApproval.approve(comments, transaction);
-      
-      // Update task hazard status
-      updatedTaskHazard = await taskHazard.update({
-        status: 'Active'  // or whatever status indicates approved
-      }, { transaction });
 
-      approvalAction = 'approved';
+    // Handle approval or rejection of the current approval step
+    const decision = await supervisorApprovalController.applyApprovalDecision({
+      approval: pendingApproval,
+      approvable: taskHazard,
+      user,
+      decision: req.body.status,
+      comments: additionalComments,
+      transaction
+    });
+    const updatedTaskHazard = decision.approvable;
+    const approvalAction = decision.action === 'step_approved' ? 'approved' : decision.action;
 
-    } else if (req.body.status === 'Rejected') {
-      // Reject the approval record
-      await pendingApproval.reject(comments, transaction);
+    // Individuals are only told once the whole approval chain is decided
+    if (decision.action !== 'step_approved') {
+      // Create notifications and send emails for all individuals
+      const actionTitle = `Task Hazard ${approvalAction.charAt(0).toUpperCase() + approvalAction.slice(1)}`;
       
-      // Update task hazard status
-      updatedTaskHazard = await taskHazard.update({
-        status: 'Rejected'
-      }, { transaction });
-
-      approvalAction = 'rejected';
-
-    } else {
-      await transaction.rollback();
-      return sendResponse(res, errorResponse("Invalid approval status. Must be 'Approved' or 'Rejected'.", 400));
-    }
-
-    // Create notifications and send emails for all individuals
-    const actionTitle = `Task Hazard ${approvalAction.charAt(0).toUpperCase() + approvalAction.slice(1)}`;
-    
-    // Build message with rejection reason if applicable
-    let notificationMessage = `A task hazard you are part of has been ${approvalAction} by your supervisor.`;
-    if (approvalAction === 'rejected' && additionalComments) {
-      notificationMessage += ` Reason: ${additionalComments}`;
+      // Build message with rejection reason if applicable
+      let notificationMessage = `A task hazard you are part of has been ${approvalAction} by your supervisor.`;
+      if (approvalAction === 'rejected' && additionalComments) {
+        notificationMessage += ` Reason: ${additionalComments}`;
+      }
+      
+      await Promise.all(updatedTaskHazard.individuals.map(async individual => {
+        await createNotificationWithEmail({
+          userId: individual.id,
+          title: actionTitle,
+          message: notificationMessage,
+          type: 'hazard',
+          transaction
+        });
+      }));
     }
-    
-    await Promise.all(updatedTaskHazard.individuals.map(async individual => {
-      await createNotificationWithEmail({
-        userId: individual.id,
-        title: actionTitle,
-        message: notificationMessage,
-        type: 'hazard',
-        transaction
-      });
-    }));
 
     await transaction.commit();
 
@@ -1091,18 +1361,27 @@ exports.supervisorApproval = async (req, res) => {
         status: pendingApproval.status,
         processedAt: pendingApproval.processedAt,
         comments: pendingApproval.comments,
+        currentStep: pendingApproval.currentStep,
+        stepProcessed: decision.step ? decision.step.toResponseJSON() : null,
+        nextStep: decision.nextStep ? decision.nextStep.toResponseJSON() : null,
         supervisor: {
           id: user.id,
           email: user.email,
           name: user.name
-        }
+        },
+        onBehalfOf: decision.onBehalfOf ? {
+          id: decision.onBehalfOf.id,
+          email: decision.onBehalfOf.email,
+          name: decision.onBehalfOf.name
+        } : null
       }
     };
 
-    sendResponse(res, successResponse(
-      `Task hazard ${approvalAction} successfully`, 
-      response
-    ));
+    const message = decision.action === 'step_approved'
+      ? `Task hazard approved at ${decision.step.name}; awaiting ${decision.nextStep.name}`
+      : `Task hazard ${approvalAction} successfully`;
+
+    sendResponse(res, successResponse(message, response));
 
   } catch (error) {
     if (transaction) await transaction.rollback();
@@ -1110,7 +1389,7 @@ exports.supervisorApproval = async (req, res) => {
     console.error('Error processing supervisor approval:', error);
     sendResponse(res, errorResponse(
       error.message || "Some error occurred while processing the approval.",
-      500
+      error.statusCode || 500
     ));
   }
 }
@@ -1147,6 +1426,12 @@ exports.getApprovalHistory = async (req, res) => {
           as: 'replacedByApproval',
           required: false,
           attributes: ['id', 'status', 'createdAt']
+        },
+        {
+          model: db.supervisor_approval_steps,
+          as: 'steps',
+          required: false,
+          include: [{ model: User, as: 'approver', attributes: ['id', 'email', 'name', 'role'] }]
         }
       ],
       order: [['createdAt', 'DESC']]
@@ -1160,12 +1445,15 @@ exports.getApprovalHistory = async (req, res) => {
       processedAt: approval.processedAt,
       comments: approval.comments,
       isInvalidated: approval.isInvalidated,
+      invalidationReason: approval.invalidationReason,
       supervisor: {
         id: approval.supervisor.id,
         email: approval.supervisor.email,
         name: approval.supervisor.name,
         role: approval.supervisor.role
       },
+      currentStep: approval.currentStep,
+      steps: supervisorApprovalController.formatSteps(approval.steps),
       // Backwards compatible field name (uses approvableSnapshot internally)
       taskHazardSnapshot: approval.approvableSnapshot,
       // Also include new field name for forward compatibility
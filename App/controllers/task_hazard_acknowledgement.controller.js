@@ -0,0 +1,201 @@
+const db = require("../models");
+const TaskHazard = db.task_hazards;
+const TaskHazardIndividual = db.task_hazard_individuals;
+const TaskHazardAcknowledgement = db.task_hazard_acknowledgements;
+const SupervisorApproval = db.supervisor_approvals;
+const User = db.user;
+const { successResponse, errorResponse, sendResponse, paginatedResponse, validationErrorResponse } = require('../helper/responseHelper');
+const { getCompanyId } = require('../helper/controllerHelper');
+const {
+  ACKNOWLEDGEABLE_STATUSES,
+  validateAcknowledgementLocation,
+  getAcknowledgementStatus,
+  buildPendingAcknowledgementWhere
+} = require('../helper/acknowledgementHelper');
+
+const USER_ATTRIBUTES = ['id', 'email', 'name'];
+
+const TASK_HAZARD_PEOPLE_INCLUDE = [
+  { model: User, as: 'supervisor', attributes: USER_ATTRIBUTES },
+  { model: User, as: 'individuals', attributes: USER_ATTRIBUTES, through: { attributes: [] } }
+];
+
+/**
+ * Sign on to a task hazard: the current user acknowledges they read and accept the JHA
+ * Only individuals listed on the task hazard can sign on, while it is Pending or Active.
+ * Signing on again before the task hazard changes returns the existing acknowledgement.
+ *
+ * Body parameters (optional):
+ * - latitude, longitude: GPS position of the device (sent together)
+ * - locationAccuracy: GPS accuracy in meters
+ */
+exports.acknowledge = async (req, res) => {
+  try {
+    const userCompanyId = getCompanyId(req);
+
+    const validation = validateAcknowledgementLocation(req.body);
+    if (!validation.valid) {
+      return sendResponse(res, validationErrorResponse(validation.errors, 'Invalid acknowledgement location'));
+    }
+
+    const { acknowledgement, created } = await db.sequelize.transaction(async (transaction) => {
+      // Lock the task hazard so a concurrent edit can't invalidate acknowledgements mid-way
+      const taskHazard = await TaskHazard.unscoped().findOne({
+        where: { id: req.params.id, companyId: userCompanyId },
+        attributes: ['id', 'status'],
+        lock: transaction.LOCK.UPDATE,
+        transaction
+      });
+      if (!taskHazard) {
+        throw new Error("Task Hazard not found");
+      }
+
+      if (!ACKNOWLEDGEABLE_STATUSES.includes(taskHazard.status)) {
+        const error = new Error(`A ${taskHazard.status.toLowerCase()} task hazard can't be acknowledged`);
+        error.statusCode = 400;
+        throw error;
+      }
+
+      const individual = await TaskHazardIndividual.findOne({
+        where: { taskHazardId: taskHazard.id, userId: req.user.id },
+        transaction
+      });
+      if (!individual) {
+        const error = new Error("Only individuals listed on the task hazard can acknowledge it");
+        error.statusCode = 403;
+        throw error;
+      }
+
+      const existing = await TaskHazardAcknowledgement.findOne({
+        where: { taskHazardId: taskHazard.id, userId: req.user.id, isInvalidated: false },
+        transaction
+      });
+      if (existing) {
+        return { acknowledgement: existing, created: false };
+      }
+
+      const currentApproval = await SupervisorApproval.findOne({
+        where: { approvableId: taskHazard.id, approvableType: 'task_hazards', isInvalidated: false },
+        attributes: ['id'],
+        order: [['createdAt', 'DESC']],
+        transaction
+      });
+
+      const newAcknowledgement = await TaskHazardAcknowledgement.create({
+        taskHazardId: taskHazard.id,
+        userId: req.user.id,
+        approvalId: currentApproval ? currentApproval.id : null,
+        acknowledgedAt: new Date(),
+        ...validation.location
+      }, { transaction });
+
+      return { acknowledgement: newAcknowledgement, created: true };
+    });
+
+    sendResponse(res, successResponse(
+      created ? "Task Hazard acknowledged successfully" : "Task Hazard already acknowledged",
+      acknowledgement,
+      created ? 201 : 200
+    ));
+  } catch (error) {
+    console.error('Error acknowledging task hazard:', error);
+
+    if (error.message === "Task Hazard not found") {
+      return sendResponse(res, errorResponse(error.message, 404));
+    }
+
+    sendResponse(res, errorResponse(
+      error.message || "Some error occurred while acknowledging the Task Hazard.",
+      error.statusCode || 500
+    ));
+  }
+};
+
+/**
+ * Get the sign-on status of each individual of a task hazard
+ */
+exports.findAcknowledgements = async (req, res) => {
+  try {
+    const userCompanyId = getCompanyId(req);
+
+    const taskHazard = await TaskHazard.unscoped().findOne({
+      where: { id: req.params.id, companyId: userCompanyId },
+      attributes: ['id', 'status'],
+      include: TASK_HAZARD_PEOPLE_INCLUDE
+    });
+    if (!taskHazard) {
+      return sendResponse(res, errorResponse("Task Hazard not found", 404));
+    }
+
+    const status = (await getAcknowledgementStatus([taskHazard])).get(taskHazard.id);
+
+    sendResponse(res, successResponse("Acknowledgements retrieved successfully", {
+      taskHazardId: taskHazard.id,
+      status: taskHazard.status,
+      ...status
+    }));
+  } catch (error) {
+    console.error('Error retrieving acknowledgements:', error);
+    sendResponse(res, errorResponse(
+      error.message || "Some error occurred while retrieving acknowledgements.",
+      error.statusCode || 500
+    ));
+  }
+};
+
+/**
+ * List Pending and Active task hazards with individuals who haven't signed on
+ * Supervisors see the task hazards they supervise; admins and superusers see the whole company.
+ * Query: page, limit
+ */
+exports.findPendingAcknowledgements = async (req, res) => {
+  try {
+    const userCompanyId = getCompanyId(req);
+    const { page, limit, offset } = req.query;
+
+    const where = {
+      companyId: userCompanyId,
+      status: ACKNOWLEDGEABLE_STATUSES,
+      ...buildPendingAcknowledgementWhere()
+    };
+    if (req.user.role === 'supervisor') {
+      where.supervisorId = req.user.id;
+    }
+
+    const { count, rows } = await TaskHazard.unscoped().findAndCountAll({
+      where,
+      attributes: ['id', 'date', 'time', 'scopeOfWork', 'location', 'status'],
+      include: TASK_HAZARD_PEOPLE_INCLUDE,
+      order: [['date', 'ASC'], ['time', 'ASC']],
+      limit,
+      offset,
+      distinct: true
+    });
+
+    const statuses = await getAcknowledgementStatus(rows);
+    const data = rows.map(taskHazard => {
+      const { summary, individuals } = statuses.get(taskHazard.id);
+      return {
+        id: taskHazard.id,
+        date: taskHazard.date,
+        time: taskHazard.time,
+        scopeOfWork: taskHazard.scopeOfWork,
+        location: taskHazard.location,
+        status: taskHazard.status,
+        supervisor: taskHazard.supervisor,
+        summary,
+        pendingIndividuals: individuals
+          .filter(individual => !individual.acknowledged)
+          .map(({ user, requiresReacknowledgement }) => ({ ...user, requiresReacknowledgement }))
+      };
+    });
+
+    sendResponse(res, paginatedResponse(data, page, limit, count, "Pending acknowledgements retrieved successfully"));
+  } catch (error) {
+    console.error('Error retrieving pending acknowledgements:', error);
+    sendResponse(res, errorResponse(
+      error.message || "Some error occurred while retrieving pending acknowledgements.",
+      error.statusCode || 500
+    ));
+  }
+};
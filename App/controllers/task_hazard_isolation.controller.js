@@ -0,0 +1,359 @@
+const db = require("../models");
+const TaskHazard = db.task_hazards;
+const TaskHazardIsolationPoint = db.task_hazard_isolation_points;
+const AssetHierarchy = db.asset_hierarchy;
+const User = db.user;
+const Company = db.company;
+const { successResponse, errorResponse, sendResponse, validationErrorResponse } = require('../helper/responseHelper');
+const { getCompanyId } = require('../helper/controllerHelper');
+const {
+  ISOLATION_POINT_FIELDS,
+  getLockStatus,
+  validateIsolationPoint,
+  assertLockNumberAvailable,
+  summarizeIsolationPlan,
+  formatIsolationPoint
+} = require('../helper/isolationPlanHelper');
+
+const USER_ATTRIBUTES = ['id', 'email', 'name'];
+
+const ISOLATION_POINT_INCLUDE = [
+  { model: AssetHierarchy, as: 'asset', attributes: ['id', 'externalId', 'name'] },
+  { model: User, as: 'appliedByUser', attributes: USER_ATTRIBUTES },
+  { model: User, as: 'verifiedByUser', attributes: USER_ATTRIBUTES },
+  { model: User, as: 'removedByUser', attributes: USER_ATTRIBUTES }
+];
+
+/**
+ * Helper function to find a task hazard with company validation
+ * The isolation plan can't be changed once the task hazard is completed
+ * Pass a transaction to lock the task hazard, so it can't be completed while a lock action runs
+ */
+const findTaskHazardForPlan = async (id, companyId, editable = false, transaction = null) => {
+  const taskHazard = await TaskHazard.unscoped().findOne({
+    where: { id, companyId },
+    attributes: ['id', 'companyId', 'status', 'systemLockoutRequired'],
+    ...(transaction ? { transaction, lock: transaction.LOCK.UPDATE } : {})
+  });
+
+  if (!taskHazard) {
+    throw new Error("Task Hazard not found");
+  }
+
+  if (editable && taskHazard.status === 'Completed') {
+    const error = new Error("The isolation plan of a completed task hazard can't be changed");
+    error.statusCode = 400;
+    throw error;
+  }
+
+  return taskHazard;
+};
+
+/**
+ * Helper function to find an isolation point of a task hazard
+ * Pass a transaction to lock the point while it is changed
+ */
+const findIsolationPoint = async (taskHazardId, pointId, transaction = null) => {
+  const point = await TaskHazardIsolationPoint.findOne({
+    where: { id: pointId, taskHazardId },
+    ...(transaction ? { transaction, lock: transaction.LOCK.UPDATE } : {})
+  });
+
+  if (!point) {
+    throw new Error("Isolation point not found");
+  }
+
+  return point;
+};
+
+/**
+ * Helper function to reload an isolation point with its asset and users
+ */
+const loadFormattedPoint = async (pointId) => {
+  const point = await TaskHazardIsolationPoint.findByPk(pointId, { include: ISOLATION_POINT_INCLUDE });
+  return formatIsolationPoint(point);
+};
+
+/**
+ * Helper function to validate the isolation point asset belongs to the company
+ */
+const assertIsolationAsset = async (assetHierarchyId, companyId) => {
+  const asset = await AssetHierarchy.findOne({
+    where: { id: assetHierarchyId, companyId },
+    attributes: ['id']
+  });
+
+  if (!asset) {
+    const error = new Error("Isolation point asset not found");
+    error.statusCode = 404;
+    throw error;
+  }
+};
+
+/**
+ * Helper function to send isolation plan errors with the right status
+ */
+const sendIsolationError = (res, error, fallbackMessage) => {
+  if (error.message === "Task Hazard not found" || error.message === "Isolation point not found") {
+    return sendResponse(res, errorResponse(error.message, 404));
+  }
+
+  sendResponse(res, errorResponse(
+    error.message || fallbackMessage,
+    error.statusCode || 500,
+    error.details || null
+  ));
+};
+
+/**
+ * Helper function to run a lock action on an isolation point
+ * check(point) returns an error message when the action isn't allowed in the point's state
+ */
+const runLockAction = async (req, res, { check, changes, message, errorMessage }) => {
+  try {
+    const userCompanyId = getCompanyId(req);
+
+    const pointId = await db.sequelize.transaction(async (transaction) => {
+      const taskHazard = await findTaskHazardForPlan(req.params.id, userCompanyId, true, transaction);
+      const point = await findIsolationPoint(taskHazard.id, req.params.pointId, transaction);
+
+      const notAllowed = check(point);
+      if (notAllowed) {
+        const error = new Error(notAllowed);
+        error.statusCode = 400;
+        throw error;
+      }
+
+      await point.update(await changes(point, userCompanyId, transaction), { transaction });
+      return point.id;
+    });
+
+    sendResponse(res, successResponse(message, await loadFormattedPoint(pointId)));
+  } catch (error) {
+    console.error(`Error ${errorMessage}:`, error);
+    sendIsolationError(res, error, `Some error occurred while ${errorMessage}.`);
+  }
+};
+
+/**
+ * Get the isolation plan of a task hazard, in isolation order, with a summary
+ */
+exports.getIsolationPlan = async (req, res) => {
+  try {
+    const userCompanyId = getCompanyId(req);
+    const taskHazard = await findTaskHazardForPlan(req.params.id, userCompanyId);
+
+    const points = await TaskHazardIsolationPoint.findAll({
+      where: { taskHazardId: taskHazard.id },
+      include: ISOLATION_POINT_INCLUDE,
+      order: [['sequence', 'ASC'], ['id', 'ASC']]
+    });
+
+    sendResponse(res, successResponse("Isolation plan retrieved successfully", {
+      taskHazardId: taskHazard.id,
+      systemLockoutRequired: taskHazard.systemLockoutRequired,
+      summary: summarizeIsolationPlan(points),
+      points: points.map(formatIsolationPoint)
+    }));
+  } catch (error) {
+    console.error('Error retrieving isolation plan:', error);
+    sendIsolationError(res, error, "Some error occurred while retrieving the isolation plan.");
+  }
+};
+
+/**
+ * Add an isolation point to a task hazard that requires system lockout
+ *
+ * Body parameters:
+ * - energySource: 'electrical' | 'mechanical' | 'hydraulic' | 'pneumatic' | 'chemical' |
+ *   'thermal' | 'gravitational' | 'radiation' | 'other' (required)
+ * - assetHierarchyId: Asset where the energy is isolated (required)
+ * - isolationMethod: How the energy is isolated (required)
+ * - energyMagnitude, description: string (optional)
+ * - sequence: Isolation order (optional, defaults to after the last point)
+ * The task hazard is locked while the point is added, so it can't be completed at the same time
+ */
+exports.createIsolationPoint = async (req, res) => {
+  try {
+    const userCompanyId = getCompanyId(req);
+
+    const validation = validateIsolationPoint(req.body);
+    if (!validation.valid) {
+      return sendResponse(res, validationErrorResponse(validation.errors, 'Invalid isolation point'));
+    }
+
+    const { rejected, pointId } = await db.sequelize.transaction(async (transaction) => {
+      const taskHazard = await findTaskHazardForPlan(req.params.id, userCompanyId, true, transaction);
+
+      if (!taskHazard.systemLockoutRequired) {
+        return { rejected: errorResponse("Isolation points can only be added when system lockout is required", 400) };
+      }
+
+      await assertIsolationAsset(req.body.assetHierarchyId, userCompanyId);
+
+      const lastSequence = await TaskHazardIsolationPoint.max('sequence', {
+        where: { taskHazardId: taskHazard.id },
+        transaction
+      });
+
+      const point = await TaskHazardIsolationPoint.create({
+        companyId: userCompanyId,
+        taskHazardId: taskHazard.id,
+        sequence: req.body.sequence || (lastSequence || 0) + 1,
+        energySource: req.body.energySource,
+        energyMagnitude: req.body.energyMagnitude || null,
+        assetHierarchyId: req.body.assetHierarchyId,
+        isolationMethod: req.body.isolationMethod,
+        description: req.body.description || null,
+        createdBy: req.user.id
+      }, { transaction });
+
+      return { pointId: point.id };
+    });
+    if (rejected) {
+      return sendResponse(res, rejected);
+    }
+
+    sendResponse(res, successResponse("Isolation point created successfully", await loadFormattedPoint(pointId), 201));
+  } catch (error) {
+    console.error('Error creating isolation point:', error);
+    sendIsolationError(res, error, "Some error occurred while creating the isolation point.");
+  }
+};
+
+/**
+ * Update an isolation point that hasn't been locked yet
+ * Accepts the create fields
+ */
+exports.updateIsolationPoint = async (req, res) => {
+  try {
+    const userCompanyId = getCompanyId(req);
+
+    const { rejected, pointId } = await db.sequelize.transaction(async (transaction) => {
+      const taskHazard = await findTaskHazardForPlan(req.params.id, userCompanyId, true, transaction);
+      const point = await findIsolationPoint(taskHazard.id, req.params.pointId, transaction);
+
+      if (getLockStatus(point) !== 'planned') {
+        return { rejected: errorResponse("Isolation points can't be changed once their lock is applied", 400) };
+      }
+
+      const definition = {};
+      ISOLATION_POINT_FIELDS.forEach(field => {
+        definition[field] = req.body[field] !== undefined ? req.body[field] : point[field];
+      });
+
+      const validation = validateIsolationPoint(definition);
+      if (!validation.valid) {
+        return { rejected: validationErrorResponse(validation.errors, 'Invalid isolation point') };
+      }
+      if (definition.assetHierarchyId !== point.assetHierarchyId) {
+        await assertIsolationAsset(definition.assetHierarchyId, userCompanyId);
+      }
+
+      await point.update(definition, { transaction });
+      return { pointId: point.id };
+    });
+    if (rejected) {
+      return sendResponse(res, rejected);
+    }
+
+    sendResponse(res, successResponse("Isolation point updated successfully", await loadFormattedPoint(pointId)));
+  } catch (error) {
+    console.error('Error updating isolation point:', error);
+    sendIsolationError(res, error, "Some error occurred while updating the isolation point.");
+  }
+};
+
+/**
+ * Delete an isolation point that hasn't been locked yet
+ */
+exports.deleteIsolationPoint = async (req, res) => {
+  try {
+    const userCompanyId = getCompanyId(req);
+
+    const rejected = await db.sequelize.transaction(async (transaction) => {
+      const taskHazard = await findTaskHazardForPlan(req.params.id, userCompanyId, true, transaction);
+      const point = await findIsolationPoint(taskHazard.id, req.params.pointId, transaction);
+
+      if (getLockStatus(point) !== 'planned') {
+        return errorResponse("Isolation points can't be deleted once their lock is applied", 400);
+      }
+
+      await point.destroy({ transaction });
+      return null;
+    });
+    if (rejected) {
+      return sendResponse(res, rejected);
+    }
+
+    sendResponse(res, successResponse("Isolation point deleted successfully"));
+  } catch (error) {
+    console.error('Error deleting isolation point:', error);
+    sendIsolationError(res, error, "Some error occurred while deleting the isolation point.");
+  }
+};
+
+/**
+ * Record the lock applied at an isolation point by the current user
+ * Body: lockNumber (required), notes (optional)
+ * A lock number can only be applied at one isolation point at a time within the company
+ */
+exports.applyLock = (req, res) => runLockAction(req, res, {
+  check: point => getLockStatus(point) !== 'planned' ? `Lock is already ${getLockStatus(point)}` : null,
+  changes: async (point, companyId, transaction) => {
+    const lockNumber = typeof req.body.lockNumber === 'string' || typeof req.body.lockNumber === 'number'
+      ? String(req.body.lockNumber).trim()
+      : '';
+    if (!lockNumber) {
+      const error = new Error("lockNumber is required");
+      error.statusCode = 400;
+      throw error;
+    }
+
+    // Serialize lock applications per company so a lock number can't be applied twice
+    await Company.findByPk(companyId, { attributes: ['id'], lock: transaction.LOCK.UPDATE, transaction });
+    await assertLockNumberAvailable(companyId, lockNumber, point.id, transaction);
+    return {
+      lockNumber,
+      appliedBy: req.user.id,
+      appliedAt: new Date(),
+      notes: req.body.notes !== undefined ? req.body.notes : point.notes
+    };
+  },
+  message: "Lock applied successfully",
+  errorMessage: "applying the lock"
+});
+
+/**
+ * Record that the current user verified (tried out) the isolation of an applied lock
+ * Body: notes (optional)
+ */
+exports.verifyLock = (req, res) => runLockAction(req, res, {
+  check: point => getLockStatus(point) !== 'applied'
+    ? `Only applied locks can be verified; the lock is ${getLockStatus(point)}`
+    : null,
+  changes: async (point) => ({
+    verifiedBy: req.user.id,
+    verifiedAt: new Date(),
+    notes: req.body.notes !== undefined ? req.body.notes : point.notes
+  }),
+  message: "Lock verified successfully",
+  errorMessage: "verifying the lock"
+});
+
+/**
+ * Record that the current user removed the lock of an isolation point
+ * Body: notes (optional)
+ */
+exports.removeLock = (req, res) => runLockAction(req, res, {
+  check: point => !['applied', 'verified'].includes(getLockStatus(point))
+    ? `Only applied locks can be removed; the lock is ${getLockStatus(point)}`
+    : null,
+  changes: async (point) => ({
+    removedBy: req.user.id,
+    removedAt: new Date(),
+    notes: req.body.notes !== undefined ? req.body.notes : point.notes
+  }),
+  message: "Lock removed successfully",
+  errorMessage: "removing the lock"
+});
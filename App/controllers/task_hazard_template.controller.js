@@ -0,0 +1,303 @@
+const db = require("../models");
+const TaskHazardTemplate = db.task_hazard_templates;
+const TaskHazardTemplateVersion = db.task_hazard_template_versions;
+const AssetHierarchy = db.asset_hierarchy;
+const { Op } = require('sequelize');
+const { successResponse, errorResponse, sendResponse, validationErrorResponse } = require('../helper/responseHelper');
+const { getCompanyId } = require('../helper/controllerHelper');
+const {
+  TEMPLATE_CONTENT_FIELDS,
+  TEMPLATE_METADATA_FIELDS,
+  validateTemplateDefinition,
+  createTemplate,
+  updateTemplate,
+  findTemplateVersion,
+  buildApplicableTemplatesWhere,
+  formatTemplateVersion,
+  formatTemplate
+} = require('../helper/taskHazardTemplateHelper');
+
+const TEMPLATE_ASSET_INCLUDE = { model: AssetHierarchy, as: 'asset', attributes: ['id', 'externalId', 'name'] };
+
+/**
+ * Helper function to find a template with company validation
+ */
+const findTemplateByIdAndCompany = async (id, companyId) => {
+  const template = await TaskHazardTemplate.findOne({
+    where: { id, companyId },
+    include: [TEMPLATE_ASSET_INCLUDE]
+  });
+
+  if (!template) {
+    throw new Error("Task hazard template not found");
+  }
+
+  return template;
+};
+
+/**
+ * Helper function to load the current version of each template
+ */
+const loadCurrentVersions = async (templates) => {
+  if (templates.length === 0) return new Map();
+
+  const versions = await TaskHazardTemplateVersion.findAll({
+    where: {
+      [Op.or]: templates.map(template => ({ templateId: template.id, version: template.currentVersion }))
+    }
+  });
+  return new Map(versions.map(version => [version.templateId, version]));
+};
+
+/**
+ * Retrieve the task hazard templates of the user's company
+ *
+ * Query parameters:
+ * - assetHierarchyId: only active templates that apply to this asset (its object type and subtree)
+ * - objectType: only templates for this object type
+ * - search: name contains
+ * - includeInactive: 'true' to include inactive templates
+ */
+exports.findAll = async (req, res) => {
+  try {
+    const userCompanyId = getCompanyId(req);
+    const { assetHierarchyId, objectType, search, includeInactive } = req.query;
+
+    let where = { companyId: userCompanyId };
+    if (assetHierarchyId) {
+      const asset = await AssetHierarchy.findOne({
+        where: { id: assetHierarchyId, companyId: userCompanyId },
+        attributes: ['id', 'companyId', 'parent', 'objectType']
+      });
+      if (!asset) {
+        return sendResponse(res, errorResponse("Asset not found", 404));
+      }
+      where = await buildApplicableTemplatesWhere(asset);
+    } else if (includeInactive !== 'true') {
+      where.isActive = true;
+    }
+    if (objectType) {
+      where.objectType = objectType;
+    }
+    if (search) {
+      where.name = { [Op.like]: `%${search}%` };
+    }
+
+    const templates = await TaskHazardTemplate.findAll({
+      where,
+      include: [TEMPLATE_ASSET_INCLUDE],
+      order: [['name', 'ASC']]
+    });
+    const versions = await loadCurrentVersions(templates);
+
+    sendResponse(res, successResponse(
+      "Task hazard templates retrieved successfully",
+      templates.map(template => formatTemplate(template, versions.get(template.id)))
+    ));
+  } catch (error) {
+    console.error('Error retrieving task hazard templates:', error);
+    sendResponse(res, errorResponse(
+      error.message || "Some error occurred while retrieving task hazard templates.",
+      error.statusCode || 500
+    ));
+  }
+};
+
+/**
+ * Retrieve a single template with its current content
+ */
+exports.findOne = async (req, res) => {
+  try {
+    const userCompanyId = getCompanyId(req);
+    const template = await findTemplateByIdAndCompany(req.params.id, userCompanyId);
+    const versions = await loadCurrentVersions([template]);
+
+    sendResponse(res, successResponse(
+      "Task hazard template retrieved successfully",
+      formatTemplate(template, versions.get(template.id))
+    ));
+  } catch (error) {
+    console.error('Error retrieving task hazard template:', error);
+
+    if (error.message === "Task hazard template not found") {
+      return sendResponse(res, errorResponse(error.message, 404));
+    }
+
+    sendResponse(res, errorResponse(
+      error.message || "Some error occurred while retrieving the task hazard template.",
+      error.statusCode || 500
+    ));
+  }
+};
+
+/**
+ * List all versions of a template, newest first
+ */
+exports.findVersions = async (req, res) => {
+  try {
+    const userCompanyId = getCompanyId(req);
+    const template = await findTemplateByIdAndCompany(req.params.id, userCompanyId);
+
+    const versions = await TaskHazardTemplateVersion.findAll({
+      where: { templateId: template.id },
+      order: [['version', 'DESC']]
+    });
+
+    sendResponse(res, successResponse(
+      "Task hazard template versions retrieved successfully",
+      versions.map(formatTemplateVersion)
+    ));
+  } catch (error) {
+    console.error('Error retrieving task hazard template versions:', error);
+
+    if (error.message === "Task hazard template not found") {
+      return sendResponse(res, errorResponse(error.message, 404));
+    }
+
+    sendResponse(res, errorResponse(
+      error.message || "Some error occurred while retrieving task hazard template versions.",
+      error.statusCode || 500
+    ));
+  }
+};
+
+/**
+ * Get a specific version of a template
+ */
+exports.findVersion = async (req, res) => {
+  try {
+    const userCompanyId = getCompanyId(req);
+    const found = await findTemplateVersion(userCompanyId, req.params.id, parseInt(req.params.version));
+
+    if (!found) {
+      return sendResponse(res, errorResponse("Task hazard template version not found", 404));
+    }
+
+    sendResponse(res, successResponse(
+      "Task hazard template version retrieved successfully",
+      formatTemplate(found.template, found.version)
+    ));
+  } catch (error) {
+    console.error('Error retrieving task hazard template version:', error);
+    sendResponse(res, errorResponse(
+      error.message || "Some error occurred while retrieving the task hazard template version.",
+      error.statusCode || 500
+    ));
+  }
+};
+
+/**
+ * Create a task hazard template (admin/superuser/supervisor)
+ *
+ * Body parameters:
+ * - name: Template name (required)
+ * - description: string (optional)
+ * - objectType: Asset object type the template applies to, null for any (optional)
+ * - assetHierarchyId: Root of the asset subtree the template applies to, null for any (optional)
+ * - scopeOfWork: Default scope of work (required)
+ * - systemLockoutRequired, trainedWorkforce: Default flags (optional, default false)
+ * - risks: [{ riskDescription, riskType, asIsLikelihood, asIsConsequence, mitigatingAction,
+ *   mitigatingActionType, mitigatedLikelihood, mitigatedConsequence }] (required)
+ */
+exports.create = async (req, res) => {
+  try {
+    const userCompanyId = getCompanyId(req);
+
+    const validation = await validateTemplateDefinition(req.body, userCompanyId);
+    if (!validation.valid) {
+      return sendResponse(res, validationErrorResponse(validation.errors, 'Invalid task hazard template'));
+    }
+
+    const templateId = await createTemplate(userCompanyId, req.body, validation.risks, req.user.id);
+    const template = await findTemplateByIdAndCompany(templateId, userCompanyId);
+    const versions = await loadCurrentVersions([template]);
+
+    sendResponse(res, successResponse(
+      "Task hazard template created successfully",
+      formatTemplate(template, versions.get(template.id)),
+      201
+    ));
+  } catch (error) {
+    console.error('Error creating task hazard template:', error);
+    sendResponse(res, errorResponse(
+      error.message || "Some error occurred while creating the task hazard template.",
+      error.statusCode || 500
+    ));
+  }
+};
+
+/**
+ * Update a task hazard template (admin/superuser/supervisor)
+ * Changing scopeOfWork, the flags or risks creates a new version; task hazards already
+ * created keep pointing at the version they were created from.
+ * Accepts the create fields plus isActive and changeNote (describes the new version).
+ */
+exports.update = async (req, res) => {
+  try {
+    const userCompanyId = getCompanyId(req);
+    const existing = await findTemplateByIdAndCompany(req.params.id, userCompanyId);
+    const current = (await loadCurrentVersions([existing])).get(existing.id);
+
+    const definition = {};
+    TEMPLATE_METADATA_FIELDS.forEach(field => {
+      definition[field] = req.body[field] !== undefined ? req.body[field] : existing[field];
+    });
+    TEMPLATE_CONTENT_FIELDS.forEach(field => {
+      definition[field] = req.body[field] !== undefined ? req.body[field] : current?.[field];
+    });
+
+    const validation = await validateTemplateDefinition(definition, userCompanyId);
+    if (!validation.valid) {
+      return sendResponse(res, validationErrorResponse(validation.errors, 'Invalid task hazard template'));
+    }
+
+    const versioned = await updateTemplate(existing, definition, validation.risks, req.body, req.user.id);
+
+    const template = await findTemplateByIdAndCompany(existing.id, userCompanyId);
+    const versions = await loadCurrentVersions([template]);
+
+    sendResponse(res, successResponse(
+      versioned
+        ? `Task hazard template version ${template.currentVersion} created successfully`
+        : "Task hazard template updated successfully",
+      formatTemplate(template, versions.get(template.id))
+    ));
+  } catch (error) {
+    console.error('Error updating task hazard template:', error);
+
+    if (error.message === "Task hazard template not found") {
+      return sendResponse(res, errorResponse(error.message, 404));
+    }
+
+    sendResponse(res, errorResponse(
+      error.message || "Some error occurred while updating the task hazard template.",
+      error.statusCode || 500
+    ));
+  }
+};
+
+/**
+ * Delete a task hazard template (admin/superuser)
+ * Versions are kept so task hazards created from the template still resolve their version
+ */
+exports.delete = async (req, res) => {
+  try {
+    const userCompanyId = getCompanyId(req);
+    const template = await findTemplateByIdAndCompany(req.params.id, userCompanyId);
+
+    await template.destroy();
+
+    sendResponse(res, successResponse("Task hazard template deleted successfully"));
+  } catch (error) {
+    console.error('Error deleting task hazard template:', error);
+
+    if (error.message === "Task hazard template not found") {
+      return sendResponse(res, errorResponse(error.message, 404));
+    }
+
+    sendResponse(res, errorResponse(
+      error.message || "Some error occurred while deleting the task hazard template.",
+      error.statusCode || 500
+    ));
+  }
+};
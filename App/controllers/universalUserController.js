@@ -5,7 +5,7 @@ const { Op } = require('sequelize');
 const bcrypt = require("bcryptjs");
 const crypto = require('crypto');
 const { successResponse, errorResponse, sendResponse } = require('../helper/responseHelper');
-const { isValidEmail, isValidRole } = require('../helper/validationHelper');
+const { isValidEmail, isValidRole, isValidHexColor, isValidImageDataUrl } = require('../helper/validationHelper');
 const { sendMail } = require('../helper/mail.helper.js');
 
 // Universal User Management - Create users of any role across all companies
@@ -303,7 +303,7 @@ module.exports.updateCompany = async (req, res) => {
     }
 
     const { companyId } = req.params;
-    const { name, description } = req.body;
+    const { name, description, brandColor, logo } = req.body;
 
     // Find company
     const company = await Company.findOne({
@@ -321,6 +321,17 @@ module.exports.updateCompany = async (req, res) => {
       return sendResponse(res, response);
     }
 
+    // Validate branding if provided (null clears it)
+    if (brandColor && !isValidHexColor(brandColor)) {
+      const response = errorResponse('Brand colour must be a hex colour such as #1F4E79', 400);
+      return sendResponse(res, response);
+    }
+
+    if (logo && !isValidImageDataUrl(logo)) {
+      const response = errorResponse('Logo must be a PNG or JPEG data URL of at most 512 KB', 400);
+      return sendResponse(res, response);
+    }
+
     // Check name uniqueness if changing name
     if (name && name.trim() !== company.name) {
       const existingCompany = await Company.findOne({
@@ -341,6 +352,8 @@ module.exports.updateCompany = async (req, res) => {
     const updateData = {};
     if (name !== undefined) updateData.name = name.trim();
     if (description !== undefined) updateData.description = description || null;
+    if (brandColor !== undefined) updateData.brandColor = brandColor || null;
+    if (logo !== undefined) updateData.logo = logo || null;
 
     await company.update(updateData);
 
@@ -348,6 +361,8 @@ module.exports.updateCompany = async (req, res) => {
       id: company.id,
       name: company.name,
       description: company.description,
+      brandColor: company.brandColor,
+      hasLogo: Boolean(company.logo),
       createdAt: company.createdAt,
       updatedAt: company.updatedAt
     });
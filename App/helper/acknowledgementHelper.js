@@ -0,0 +1,146 @@
+/**
+ * Acknowledgement Helper
+ * Tracks which individuals of a task hazard have signed on (acknowledged the JHA)
+ *
+ * An individual is signed on when they have an acknowledgement that is not invalidated.
+ * Re-approval of an edited task hazard invalidates its acknowledgements, so the workers
+ * have to acknowledge the new version again.
+ */
+
+const db = require('../models');
+const { Op, literal } = require('sequelize');
+
+const TaskHazardAcknowledgement = db.task_hazard_acknowledgements;
+
+// Task hazard statuses workers can sign on to
+const ACKNOWLEDGEABLE_STATUSES = ['Pending', 'Active'];
+
+/**
+ * Validate the optional GPS location sent with an acknowledgement
+ * @param {Object} body - { latitude, longitude, locationAccuracy }
+ * @returns {Object} { valid, errors, location: { latitude, longitude, locationAccuracy } }
+ */
+const validateAcknowledgementLocation = (body) => {
+  const errors = [];
+  const { latitude, longitude, locationAccuracy } = body || {};
+  const isSet = (value) => value !== undefined && value !== null && value !== '';
+  const location = { latitude: null, longitude: null, locationAccuracy: null };
+
+  if (isSet(latitude) !== isSet(longitude)) {
+    errors.push('latitude and longitude must be sent together');
+  } else if (isSet(latitude)) {
+    location.latitude = Number(latitude);
+    location.longitude = Number(longitude);
+    if (!Number.isFinite(location.latitude) || location.latitude < -90 || location.latitude > 90) {
+      errors.push('latitude must be a number between -90 and 90');
+    }
+    if (!Number.isFinite(location.longitude) || location.longitude < -180 || location.longitude > 180) {
+      errors.push('longitude must be a number between -180 and 180');
+    }
+  }
+
+  if (isSet(locationAccuracy)) {
+    location.locationAccuracy = Number(locationAccuracy);
+    if (!Number.isFinite(location.locationAccuracy) || location.locationAccuracy < 0) {
+      errors.push('locationAccuracy must be a positive number of meters');
+    }
+  }
+
+  return { valid: errors.length === 0, errors, location };
+};
+
+/**
+ * Invalidate the current acknowledgements of a task hazard
+ * @param {number} taskHazardId - Task hazard ID
+ * @param {Object} transaction - Sequelize transaction (optional)
+ * @returns {Promise<Array<number>>} IDs of the users whose acknowledgement was invalidated
+ */
+const invalidateAcknowledgements = async (taskHazardId, transaction = null) => {
+  const acknowledgements = await TaskHazardAcknowledgement.findAll({
+    where: { taskHazardId, isInvalidated: false },
+    attributes: ['id', 'userId'],
+    transaction
+  });
+  if (acknowledgements.length === 0) return [];
+
+  await TaskHazardAcknowledgement.update(
+    { isInvalidated: true, invalidatedAt: new Date() },
+    { where: { id: acknowledgements.map(acknowledgement => acknowledgement.id) }, transaction }
+  );
+
+  return [...new Set(acknowledgements.map(acknowledgement => acknowledgement.userId))];
+};
+
+/**
+ * Work out the sign-on status of each individual of the given task hazards
+ * @param {Array<Object>} taskHazards - Task hazards with individuals loaded
+ * @returns {Promise<Map<number, Object>>} taskHazardId -> { summary, individuals }
+ */
+const getAcknowledgementStatus = async (taskHazards) => {
+  const statuses = new Map();
+  if (taskHazards.length === 0) return statuses;
+
+  const acknowledgements = await TaskHazardAcknowledgement.findAll({
+    where: { taskHazardId: taskHazards.map(taskHazard => taskHazard.id) },
+    order: [['acknowledgedAt', 'DESC']]
+  });
+
+  taskHazards.forEach(taskHazard => {
+    const own = acknowledgements.filter(acknowledgement => acknowledgement.taskHazardId === taskHazard.id);
+
+    const individuals = (taskHazard.individuals || []).map(user => {
+      const userAcknowledgements = own.filter(acknowledgement => acknowledgement.userId === user.id);
+      const current = userAcknowledgements.find(acknowledgement => !acknowledgement.isInvalidated) || null;
+
+      return {
+        user: { id: user.id, email: user.email, name: user.name },
+        acknowledged: Boolean(current),
+        // Signed on before the task hazard was changed, but not since
+        requiresReacknowledgement: !current && userAcknowledgements.length > 0,
+        acknowledgement: current ? {
+          id: current.id,
+          acknowledgedAt: current.acknowledgedAt,
+          latitude: current.latitude,
+          longitude: current.longitude,
+          locationAccuracy: current.locationAccuracy,
+          approvalId: current.approvalId
+        } : null
+      };
+    });
+
+    const acknowledged = individuals.filter(individual => individual.acknowledged).length;
+    statuses.set(taskHazard.id, {
+      summary: { total: individuals.length, acknowledged, pending: individuals.length - acknowledged },
+      individuals
+    });
+  });
+
+  return statuses;
+};
+
+/**
+ * Where clause matching task hazards with at least one individual who hasn't signed on
+ * @returns {Object} Sequelize where clause on the task hazard ID
+ */
+const buildPendingAcknowledgementWhere = () => ({
+  id: {
+    [Op.in]: literal(`(
+      SELECT thi.task_hazard_id FROM task_hazard_individuals thi
+      WHERE thi.deleted_at IS NULL
+        AND NOT EXISTS (
+          SELECT 1 FROM task_hazard_acknowledgements tha
+          WHERE tha.task_hazard_id = thi.task_hazard_id
+            AND tha.user_id = thi.user_id
+            AND tha.is_invalidated = false
+        )
+    )`)
+  }
+});
+
+module.exports = {
+  ACKNOWLEDGEABLE_STATUSES,
+  validateAcknowledgementLocation,
+  invalidateAcknowledgements,
+  getAcknowledgementStatus,
+  buildPendingAcknowledgementWhere
+};
@@ -0,0 +1,236 @@
+/**
+ * Approval Chain Helper
+ * Resolves company approval chains into the ordered steps of a supervisor approval
+ */
+
+const db = require('../models');
+const { Op } = require('sequelize');
+const { getCompanyScheme } = require('./assetCriticalityHelper');
+
+const ApprovalChain = db.approval_chains;
+const ApprovalChainStep = db.approval_chain_steps;
+const SupervisorApprovalStep = db.supervisor_approval_steps;
+const User = db.user;
+
+const APPROVER_TYPES = ['assigned_supervisor', 'supervisor_manager', 'user'];
+const APPROVABLE_TYPES = ['task_hazards', 'risk_assessments'];
+
+/**
+ * Find the most specific active chain for an approvable
+ * A chain for the exact asset criticality beats one for any criticality, then a chain for the
+ * exact risk level beats a default (any level) chain, and a chain for the exact approvable
+ * type beats one that applies to both types.
+ * @param {number} companyId - Company ID
+ * @param {string} approvableType - 'task_hazards' or 'risk_assessments'
+ * @param {string|null} riskLevel - Highest residual risk level of the approvable
+ * @param {string|null} criticalityLevel - Criticality level of the approvable's asset
+ * @param {Object} transaction - Sequelize transaction (optional)
+ * @returns {Promise<Object|null>} approval_chains instance with steps, or null
+ */
+const findApplicableChain = async (companyId, approvableType, riskLevel, criticalityLevel = null, transaction = null) => {
+  const chains = await ApprovalChain.findAll({
+    where: {
+      companyId,
+      isActive: true,
+      approvableType: { [Op.or]: [approvableType, null] },
+      riskLevel: riskLevel ? { [Op.or]: [riskLevel, null] } : null,
+      criticalityLevel: criticalityLevel ? { [Op.or]: [criticalityLevel, null] } : null
+    },
+    include: [{ model: ApprovalChainStep, as: 'steps' }],
+    order: [['id', 'ASC']],
+    transaction
+  });
+
+  if (chains.length === 0) {
+    return null;
+  }
+
+  const specificity = (chain) => (chain.criticalityLevel ? 4 : 0) + (chain.riskLevel ? 2 : 0) + (chain.approvableType ? 1 : 0);
+  return chains.reduce((best, chain) => (specificity(chain) > specificity(best) ? chain : best));
+};
+
+/**
+ * Resolve the approver of every step for an approval
+ * Without a chain the approval has a single step for the assigned supervisor
+ * @param {Object|null} chain - approval_chains instance with steps
+ * @param {number} supervisorId - Supervisor assigned on the approvable
+ * @param {Object} transaction - Sequelize transaction (optional)
+ * @returns {Promise<Array<Object>>} [{ stepOrder, name, approverId }]
+ * @throws {Error} With statusCode 400 when a step approver cannot be resolved
+ */
+const resolveApprovalSteps = async (chain, supervisorId, transaction = null) => {
+  if (!chain || !chain.steps || chain.steps.length === 0) {
+    return [{ stepOrder: 1, name: 'Supervisor', approverId: supervisorId }];
+  }
+
+  const orderedSteps = [...chain.steps].sort((a, b) => a.stepOrder - b.stepOrder);
+  const resolved = [];
+
+  for (const step of orderedSteps) {
+    let approverId = null;
+
+    if (step.approverType === 'assigned_supervisor') {
+      approverId = supervisorId;
+    } else if (step.approverType === 'supervisor_manager') {
+      const supervisor = await User.findByPk(supervisorId, { attributes: ['id', 'supervisor_id'], transaction });
+      approverId = supervisor?.supervisor_id || null;
+    } else {
+      approverId = step.approverId;
+    }
+
+    if (!approverId) {
+      const error = new Error(`Approval chain "${chain.name}" step "${step.name}" has no approver. The assigned supervisor has no supervisor configured.`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    resolved.push({ stepOrder: resolved.length + 1, name: step.name, approverId });
+  }
+
+  return resolved;
+};
+
+/**
+ * Create the step rows of an approval; the first step starts pending
+ * @param {number} approvalId - supervisor_approvals ID
+ * @param {Array<Object>} steps - Resolved steps from resolveApprovalSteps
+ * @param {Object} transaction - Sequelize transaction (optional)
+ * @returns {Promise<Array<Object>>} Created supervisor_approval_steps instances
+ */
+const createApprovalSteps = async (approvalId, steps, transaction = null) => {
+  return SupervisorApprovalStep.bulkCreate(steps.map((step, index) => ({
+    approvalId,
+    stepOrder: step.stepOrder,
+    name: step.name,
+    approverId: step.approverId,
+    status: index === 0 ? 'pending' : 'waiting'
+  })), { transaction });
+};
+
+/**
+ * Validate an approval chain submitted by an admin
+ * @param {Object} definition - { name, approvableType, riskLevel, criticalityLevel, steps }
+ * @param {number} companyId - Company the chain belongs to
+ * @returns {Promise<Object>} { valid: boolean, errors: Array<string> }
+ */
+const validateChainDefinition = async (definition, companyId) => {
+  const errors = [];
+  const { name, approvableType, criticalityLevel, steps } = definition || {};
+
+  if (!name || String(name).trim() === '') {
+    errors.push('name is required');
+  }
+
+  if (approvableType !== undefined && approvableType !== null && !APPROVABLE_TYPES.includes(approvableType)) {
+    errors.push(`approvableType must be one of: ${APPROVABLE_TYPES.join(', ')} (or null for both)`);
+  }
+
+  if (criticalityLevel !== undefined && criticalityLevel !== null && criticalityLevel !== '') {
+    const scheme = await getCompanyScheme(companyId);
+    const levelNames = scheme.levels.map(level => level.name);
+    if (!levelNames.includes(String(criticalityLevel).trim())) {
+      errors.push(`criticalityLevel must be one of the company's criticality levels: ${levelNames.join(', ')} (or null for any)`);
+    }
+  }
+
+  if (!Array.isArray(steps) || steps.length === 0) {
+    errors.push('steps must be a non-empty array');
+    return { valid: false, errors };
+  }
+
+  const userIds = [];
+  steps.forEach((step, index) => {
+    if (!step || !step.name || String(step.name).trim() === '') {
+      errors.push(`steps[${index}] is missing a name`);
+    }
+    const approverType = step?.approverType || 'assigned_supervisor';
+    if (!APPROVER_TYPES.includes(approverType)) {
+      errors.push(`steps[${index}].approverType must be one of: ${APPROVER_TYPES.join(', ')}`);
+    }
+    if (approverType === 'user') {
+      if (!step.approverId || isNaN(parseInt(step.approverId))) {
+        errors.push(`steps[${index}].approverId is required when approverType is 'user'`);
+      } else {
+        userIds.push(parseInt(step.approverId));
+      }
+    }
+  });
+
+  if (userIds.length > 0) {
+    const users = await User.findAll({
+      where: { id: userIds, company_id: companyId },
+      attributes: ['id', 'role']
+    });
+    const found = new Map(users.map(user => [user.id, user]));
+    for (const userId of new Set(userIds)) {
+      const user = found.get(userId);
+      if (!user) {
+        errors.push(`Approver ${userId} not found in this company`);
+      } else if (user.role === 'user') {
+        errors.push(`Approver ${userId} must have supervisor, admin or superuser role`);
+      }
+    }
+  }
+
+  return { valid: errors.length === 0, errors };
+};
+
+/**
+ * Normalize chain steps into the stored shape
+ * @param {Array<Object>} steps - Validated steps in approval order
+ * @returns {Array<Object>} [{ stepOrder, name, approverType, approverId }]
+ */
+const normalizeChainSteps = (steps) => steps.map((step, index) => {
+  const approverType = step.approverType || 'assigned_supervisor';
+  return {
+    stepOrder: index + 1,
+    name: String(step.name).trim(),
+    approverType,
+    approverId: approverType === 'user' ? parseInt(step.approverId) : null
+  };
+});
+
+/**
+ * Format a chain for API responses
+ * @param {Object} chain - approval_chains instance with steps
+ * @returns {Object} Plain chain object
+ */
+const formatChain = (chain) => ({
+  id: chain.id,
+  companyId: chain.companyId,
+  name: chain.name,
+  approvableType: chain.approvableType,
+  riskLevel: chain.riskLevel,
+  criticalityLevel: chain.criticalityLevel,
+  isActive: chain.isActive,
+  steps: (chain.steps || [])
+    .slice()
+    .sort((a, b) => a.stepOrder - b.stepOrder)
+    .map(step => ({
+      id: step.id,
+      stepOrder: step.stepOrder,
+      name: step.name,
+      approverType: step.approverType,
+      approverId: step.approverId,
+      approver: step.approver ? {
+        id: step.approver.id,
+        email: step.approver.email,
+        name: step.approver.name,
+        role: step.approver.role
+      } : null
+    })),
+  createdBy: chain.createdBy,
+  createdAt: chain.createdAt,
+  updatedAt: chain.updatedAt
+});
+
+module.exports = {
+  APPROVER_TYPES,
+  APPROVABLE_TYPES,
+  findApplicableChain,
+  resolveApprovalSteps,
+  createApprovalSteps,
+  validateChainDefinition,
+  normalizeChainSteps,
+  formatChain
+};
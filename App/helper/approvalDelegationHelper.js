@@ -0,0 +1,110 @@
+/**
+ * Approval Delegation Helper
+ * Resolves who may act on an approval step while its approver is away
+ */
+
+const db = require('../models');
+const { Op } = require('sequelize');
+
+const ApprovalDelegation = db.approval_delegations;
+const User = db.user;
+
+const APPROVER_ROLES = ['supervisor', 'admin', 'superuser'];
+
+/**
+ * Build the where clause for delegations covering a point in time
+ * @param {Date} at - Point in time
+ * @returns {Object} Sequelize where fragment
+ */
+const activeAt = (at) => ({
+  startsAt: { [Op.lte]: at },
+  endsAt: { [Op.gte]: at }
+});
+
+/**
+ * Find an active delegation from one user to another
+ * @param {number} delegatorId - Approver whose authority is delegated
+ * @param {number} delegateId - User acting on the approval
+ * @param {Date} at - Point in time (defaults to now)
+ * @param {Object} transaction - Sequelize transaction (optional)
+ * @returns {Promise<Object|null>} approval_delegations instance with delegator, or null
+ */
+const findActiveDelegation = async (delegatorId, delegateId, at = new Date(), transaction = null) => {
+  return ApprovalDelegation.findOne({
+    where: { delegatorId, delegateId, ...activeAt(at) },
+    include: [{ model: User, as: 'delegator', attributes: ['id', 'email', 'name', 'role'] }],
+    order: [['createdAt', 'DESC']],
+    transaction
+  });
+};
+
+/**
+ * Get the users who currently delegate their approvals to a user
+ * @param {number} delegateId - Delegate user ID
+ * @param {Date} at - Point in time (defaults to now)
+ * @returns {Promise<Array<number>>} Delegator user IDs
+ */
+const getActiveDelegatorIds = async (delegateId, at = new Date()) => {
+  const delegations = await ApprovalDelegation.findAll({
+    where: { delegateId, ...activeAt(at) },
+    attributes: ['delegatorId']
+  });
+  return [...new Set(delegations.map(delegation => delegation.delegatorId))];
+};
+
+/**
+ * Validate a delegation submitted by a supervisor or admin
+ * @param {Object} definition - { delegatorId, delegateId, startsAt, endsAt }
+ * @param {number} companyId - Company both users must belong to
+ * @returns {Promise<Object>} { valid: boolean, errors: Array<string> }
+ */
+const validateDelegation = async (definition, companyId) => {
+  const errors = [];
+  const delegatorId = parseInt(definition.delegatorId);
+  const delegateId = parseInt(definition.delegateId);
+  const startsAt = new Date(definition.startsAt);
+  const endsAt = new Date(definition.endsAt);
+
+  if (isNaN(delegateId)) {
+    errors.push('delegateId must be a valid user ID');
+  }
+  if (isNaN(startsAt.getTime())) {
+    errors.push('startsAt must be a valid date');
+  }
+  if (isNaN(endsAt.getTime())) {
+    errors.push('endsAt must be a valid date');
+  }
+  if (errors.length === 0 && endsAt <= startsAt) {
+    errors.push('endsAt must be after startsAt');
+  }
+  if (!isNaN(delegateId) && delegateId === delegatorId) {
+    errors.push('A user cannot delegate approvals to themselves');
+  }
+  if (errors.length > 0) {
+    return { valid: false, errors };
+  }
+
+  const users = await User.findAll({
+    where: { id: [delegatorId, delegateId], company_id: companyId },
+    attributes: ['id', 'role']
+  });
+  const found = new Map(users.map(user => [user.id, user]));
+
+  if (!found.has(delegatorId)) {
+    errors.push(`Delegator ${delegatorId} not found in this company`);
+  }
+  const delegate = found.get(delegateId);
+  if (!delegate) {
+    errors.push(`Delegate ${delegateId} not found in this company`);
+  } else if (!APPROVER_ROLES.includes(delegate.role)) {
+    errors.push(`Delegate ${delegateId} must have supervisor, admin or superuser role`);
+  }
+
+  return { valid: errors.length === 0, errors };
+};
+
+module.exports = {
+  findActiveDelegation,
+  getActiveDelegatorIds,
+  validateDelegation
+};
@@ -0,0 +1,151 @@
+/**
+ * Approval Diff Helper
+ * Compares approval snapshots field by field and risk by risk
+ */
+
+const { canonicalize } = require('./approvalSealHelper');
+const { summarizeResidualRisk } = require('./riskMatrixHelper');
+
+// Snapshot bookkeeping that is not part of the approved content
+const IGNORED_FIELDS = ['id', 'type', 'snapshotTakenAt', 'individuals', 'supervisor'];
+
+const RISK_FIELDS = [
+  'riskDescription',
+  'riskType',
+  'asIsLikelihood',
+  'asIsConsequence',
+  'mitigatingAction',
+  'mitigatingActionType',
+  'mitigatedLikelihood',
+  'mitigatedConsequence',
+  'requiresSupervisorSignature',
+  'riskMatrixId',
+  'asIsScore',
+  'asIsLevel',
+  'mitigatedScore',
+  'mitigatedLevel'
+];
+
+const isEqual = (a, b) => canonicalize(a ?? null) === canonicalize(b ?? null);
+
+const has = (object, key) => Object.prototype.hasOwnProperty.call(object || {}, key);
+
+/**
+ * Compare the fields of two approvable snapshots
+ * Fields missing from either snapshot (older snapshot formats) are not compared
+ * @param {Object} before - Earlier approvableSnapshot
+ * @param {Object} after - Later approvableSnapshot
+ * @returns {Array<Object>} [{ field, before, after }]
+ */
+const diffFields = (before = {}, after = {}) => {
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  const changes = [];
+
+  for (const field of fields) {
+    if (IGNORED_FIELDS.includes(field) || !has(before, field) || !has(after, field)) continue;
+    if (!isEqual(before[field], after[field])) {
+      changes.push({ field, before: before[field] ?? null, after: after[field] ?? null });
+    }
+  }
+
+  if (!isEqual(before?.supervisor?.id, after?.supervisor?.id)) {
+    changes.push({ field: 'supervisor', before: before?.supervisor || null, after: after?.supervisor || null });
+  }
+
+  return changes;
+};
+
+/**
+ * Compare the individuals of two approvable snapshots by user ID
+ * @param {Array<Object>} before - Earlier individuals
+ * @param {Array<Object>} after - Later individuals
+ * @returns {Object} { added, removed }
+ */
+const diffIndividuals = (before = [], after = []) => {
+  const beforeIds = new Set((before || []).map(individual => individual.id));
+  const afterIds = new Set((after || []).map(individual => individual.id));
+
+  return {
+    added: (after || []).filter(individual => !beforeIds.has(individual.id)),
+    removed: (before || []).filter(individual => !afterIds.has(individual.id))
+  };
+};
+
+/**
+ * Compare two risk snapshots
+ * Risks are matched by ID (risk updates keep their ID), falling back to the
+ * description for risks without an ID
+ * @param {Array<Object>} before - Earlier risksSnapshot
+ * @param {Array<Object>} after - Later risksSnapshot
+ * @returns {Object} { added, removed, modified: [{ id, riskDescription, changes }], unchangedCount }
+ */
+const diffRisks = (before = [], after = []) => {
+  const remaining = [...(after || [])];
+  const result = { added: [], removed: [], modified: [], unchangedCount: 0 };
+
+  const takeMatch = (risk) => {
+    let index = risk.id ? remaining.findIndex(candidate => candidate.id === risk.id) : -1;
+    if (index === -1) {
+      index = remaining.findIndex(candidate => !candidate.id && candidate.riskDescription === risk.riskDescription);
+    }
+    return index === -1 ? null : remaining.splice(index, 1)[0];
+  };
+
+  for (const risk of before || []) {
+    const match = takeMatch(risk);
+    if (!match) {
+      result.removed.push(risk);
+      continue;
+    }
+
+    const changes = RISK_FIELDS
+      .filter(field => has(risk, field) && has(match, field) && !isEqual(risk[field], match[field]))
+      .map(field => ({ field, before: risk[field] ?? null, after: match[field] ?? null }));
+
+    if (changes.length > 0) {
+      result.modified.push({
+        id: match.id || risk.id || null,
+        riskDescription: match.riskDescription,
+        changes
+      });
+    } else {
+      result.unchangedCount++;
+    }
+  }
+
+  result.added = remaining;
+  return result;
+};
+
+/**
+ * Diff two approval snapshots
+ * @param {Object} before - { approvableSnapshot, risksSnapshot }
+ * @param {Object} after - { approvableSnapshot, risksSnapshot }
+ * @returns {Object} { hasChanges, fields, individuals, risks, residualRisk }
+ */
+const diffSnapshots = (before, after) => {
+  const fields = diffFields(before.approvableSnapshot, after.approvableSnapshot);
+  const individuals = diffIndividuals(before.approvableSnapshot?.individuals, after.approvableSnapshot?.individuals);
+  const risks = diffRisks(before.risksSnapshot, after.risksSnapshot);
+
+  return {
+    hasChanges: fields.length > 0 ||
+      individuals.added.length > 0 || individuals.removed.length > 0 ||
+      risks.added.length > 0 || risks.removed.length > 0 || risks.modified.length > 0,
+    fields,
+    individuals,
+    risks,
+    residualRisk: {
+      before: summarizeResidualRisk(before.risksSnapshot),
+      after: summarizeResidualRisk(after.risksSnapshot)
+    }
+  };
+};
+
+module.exports = {
+  RISK_FIELDS,
+  diffFields,
+  diffIndividuals,
+  diffRisks,
+  diffSnapshots
+};
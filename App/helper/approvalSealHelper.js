@@ -0,0 +1,257 @@
+/**
+ * Approval Seal Helper
+ * Seals processed supervisor approvals into a per-company hash chain and verifies it
+ */
+
+const crypto = require('crypto');
+const db = require('../models');
+const { Op } = require('sequelize');
+
+const ApprovalSeal = db.approval_seals;
+const SupervisorApproval = db.supervisor_approvals;
+const SupervisorApprovalStep = db.supervisor_approval_steps;
+const Company = db.company;
+
+const SEAL_ALGORITHM = 'sha256';
+const VERIFY_BATCH_SIZE = 500;
+
+/**
+ * Serialize a value as JSON with object keys sorted, so equal content always hashes the same
+ * @param {*} value - Value to serialize
+ * @returns {string} Canonical JSON
+ */
+const canonicalize = (value) => {
+  if (value instanceof Date) {
+    return JSON.stringify(value.toISOString());
+  }
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalize).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+/**
+ * Build the sealed content of an approval
+ * Covers the snapshots, approver identity, decision time, comments and every step decision
+ * @param {Object} approval - supervisor_approvals instance as stored
+ * @param {Array<Object>} steps - supervisor_approval_steps instances as stored
+ * @param {string|null} previousHash - Hash of the previous seal in the chain
+ * @returns {Object} Content to hash
+ */
+const buildSealContent = (approval, steps, previousHash) => ({
+  approvalId: approval.id,
+  approvableType: approval.approvableType,
+  approvableId: approval.approvableId,
+  approvableSnapshot: approval.approvableSnapshot,
+  risksSnapshot: approval.risksSnapshot,
+  status: approval.status,
+  approverId: approval.supervisorId,
+  processedById: approval.processedById ?? null,
+  onBehalfOfId: approval.onBehalfOfId ?? null,
+  processedAt: approval.processedAt,
+  comments: approval.comments ?? null,
+  steps: [...(steps || [])]
+    .sort((a, b) => a.stepOrder - b.stepOrder)
+    .map(step => ({
+      stepOrder: step.stepOrder,
+      name: step.name,
+      approverId: step.approverId,
+      status: step.status,
+      processedById: step.processedById ?? null,
+      onBehalfOfId: step.onBehalfOfId ?? null,
+      processedAt: step.processedAt,
+      comments: step.comments ?? null
+    })),
+  previousHash: previousHash || null
+});
+
+/**
+ * Compute the seal hash of an approval
+ * @param {Object} approval - supervisor_approvals instance as stored
+ * @param {Array<Object>} steps - supervisor_approval_steps instances as stored
+ * @param {string|null} previousHash - Hash of the previous seal in the chain
+ * @returns {string} Hex digest
+ */
+const computeSealHash = (approval, steps, previousHash) => {
+  return crypto
+    .createHash(SEAL_ALGORITHM)
+    .update(canonicalize(buildSealContent(approval, steps, previousHash)))
+    .digest('hex');
+};
+
+/**
+ * Resolve the company of an approval through its approvable entity
+ * @param {Object} approval - supervisor_approvals instance
+ * @param {Object} transaction - Sequelize transaction (optional)
+ * @returns {Promise<number|null>} Company ID
+ */
+const resolveApprovalCompanyId = async (approval, transaction = null) => {
+  const Model = approval.approvableType === 'task_hazards' ? db.task_hazards : db.risk_assessments;
+  const approvable = await Model.unscoped().findByPk(approval.approvableId, {
+    attributes: ['id', 'companyId'],
+    paranoid: false,
+    transaction
+  });
+  return approvable ? approvable.companyId : null;
+};
+
+/**
+ * Seal a processed approval as the next link of its company's chain
+ * Must run inside the transaction that processed the approval. The company row is
+ * locked so concurrent seals of the same company are appended one after another.
+ * @param {Object} approval - Processed supervisor_approvals instance
+ * @param {Object} transaction - Sequelize transaction (required)
+ * @returns {Promise<Object>} Created approval_seals instance
+ */
+const sealApproval = async (approval, transaction) => {
+  const companyId = await resolveApprovalCompanyId(approval, transaction);
+  if (!companyId) {
+    throw new Error(`Cannot seal approval ${approval.id}: approvable entity not found`);
+  }
+
+  await Company.findByPk(companyId, { attributes: ['id'], lock: transaction.LOCK.UPDATE, transaction });
+
+  const previous = await ApprovalSeal.findOne({
+    where: { companyId },
+    order: [['sequence', 'DESC']],
+    lock: transaction.LOCK.UPDATE,
+    transaction
+  });
+
+  // Hash the values as stored (the database drops sub-second precision from dates)
+  const stored = await SupervisorApproval.findByPk(approval.id, { transaction });
+  const steps = await SupervisorApprovalStep.findAll({ where: { approvalId: approval.id }, transaction });
+  const previousHash = previous ? previous.hash : null;
+
+  return ApprovalSeal.create({
+    companyId,
+    approvalId: approval.id,
+    sequence: previous ? previous.sequence + 1 : 1,
+    hash: computeSealHash(stored, steps, previousHash),
+    previousHash,
+    algorithm: SEAL_ALGORITHM,
+    sealedAt: new Date()
+  }, { transaction });
+};
+
+/**
+ * Find processed approvals of a company that have no seal
+ * @param {number} companyId - Company ID
+ * @returns {Promise<Array<number>>} Approval IDs in processing order
+ */
+const findUnsealedApprovalIds = async (companyId) => {
+  const rows = await db.sequelize.query(`
+    SELECT sa.id
+    FROM supervisor_approvals sa
+    LEFT JOIN approval_seals s ON s.approval_id = sa.id
+    LEFT JOIN task_hazards th ON sa.approvable_type = 'task_hazards' AND th.id = sa.approvable_id
+    LEFT JOIN risk_assessments ra ON sa.approvable_type = 'risk_assessments' AND ra.id = sa.approvable_id
+    WHERE sa.status IN ('approved', 'rejected')
+      AND s.id IS NULL
+      AND COALESCE(th.company_id, ra.company_id) = :companyId
+    ORDER BY sa.processed_at ASC, sa.id ASC
+  `, {
+    replacements: { companyId },
+    type: db.Sequelize.QueryTypes.SELECT
+  });
+  return rows.map(row => row.id);
+};
+
+/**
+ * Verify the seal chain of a company
+ * Recomputes every seal from the stored approval and checks the links between seals.
+ *
+ * Reasons reported per seal:
+ * - content_mismatch: the stored approval, snapshots or steps no longer match the seal
+ * - chain_broken: previousHash does not match the hash of the preceding seal
+ * - sequence_gap: one or more seals before this one are missing
+ * - approval_missing: the sealed approval no longer exists
+ * - approval_deleted: the sealed approval was soft-deleted
+ *
+ * @param {number} companyId - Company ID
+ * @returns {Promise<Object>} { totalSeals, validSeals, broken, unsealedApprovalIds, headHash }
+ */
+const verifyCompanySeals = async (companyId) => {
+  const broken = [];
+  let totalSeals = 0;
+  let previousHash = null;
+  let expectedSequence = 1;
+
+  while (true) {
+    const seals = await ApprovalSeal.findAll({
+      where: { companyId, sequence: { [Op.gte]: expectedSequence } },
+      order: [['sequence', 'ASC']],
+      limit: VERIFY_BATCH_SIZE
+    });
+    if (seals.length === 0) break;
+
+    const approvalIds = seals.map(seal => seal.approvalId);
+    const approvals = await SupervisorApproval.findAll({ where: { id: approvalIds }, paranoid: false });
+    const steps = await SupervisorApprovalStep.findAll({ where: { approvalId: approvalIds }, paranoid: false });
+    const approvalsById = new Map(approvals.map(approval => [approval.id, approval]));
+
+    for (const seal of seals) {
+      const reasons = [];
+      const approval = approvalsById.get(seal.approvalId);
+
+      if (seal.sequence !== expectedSequence) {
+        reasons.push('sequence_gap');
+      }
+      if ((seal.previousHash || null) !== previousHash) {
+        reasons.push('chain_broken');
+      }
+
+      if (!approval) {
+        reasons.push('approval_missing');
+      } else {
+        if (approval.deletedAt) {
+          reasons.push('approval_deleted');
+        }
+        const approvalSteps = steps.filter(step => step.approvalId === approval.id);
+        if (computeSealHash(approval, approvalSteps, seal.previousHash) !== seal.hash) {
+          reasons.push('content_mismatch');
+        }
+      }
+
+      if (reasons.length > 0) {
+        broken.push({
+          approvalId: seal.approvalId,
+          approvableType: approval ? approval.approvableType : null,
+          approvableId: approval ? approval.approvableId : null,
+          sequence: seal.sequence,
+          sealedAt: seal.sealedAt,
+          reasons
+        });
+      }
+
+      totalSeals++;
+      previousHash = seal.hash;
+      expectedSequence = seal.sequence + 1;
+    }
+  }
+
+  return {
+    totalSeals,
+    validSeals: totalSeals - broken.length,
+    broken,
+    unsealedApprovalIds: await findUnsealedApprovalIds(companyId),
+    headHash: previousHash
+  };
+};
+
+module.exports = {
+  SEAL_ALGORITHM,
+  canonicalize,
+  computeSealHash,
+  resolveApprovalCompanyId,
+  sealApproval,
+  findUnsealedApprovalIds,
+  verifyCompanySeals
+};
@@ -0,0 +1,162 @@
+/**
+ * Approval SLA Helper
+ * SLA state of pending supervisor approvals, shared by the SLA scheduler and report
+ */
+
+const db = require('../models');
+
+const SupervisorApproval = db.supervisor_approvals;
+const User = db.user;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Compute the SLA state of a pending approval
+ * @param {Object} approval - supervisor_approvals instance
+ * @param {Object} policy - approval_sla_policies instance
+ * @param {Date} now - Point in time (defaults to now)
+ * @returns {Object} { pendingSince, dueAt, remindAt, state: 'on_track'|'at_risk'|'breached', hoursRemaining }
+ */
+const getSlaStatus = (approval, policy, now = new Date()) => {
+  const pendingSince = new Date(approval.pendingSince || approval.createdAt);
+  const dueAt = new Date(pendingSince.getTime() + policy.slaHours * HOUR_MS);
+  const remindAt = new Date(dueAt.getTime() - policy.reminderBeforeHours * HOUR_MS);
+
+  let state = 'on_track';
+  if (now >= dueAt) {
+    state = 'breached';
+  } else if (now >= remindAt) {
+    state = 'at_risk';
+  }
+
+  return {
+    pendingSince,
+    dueAt,
+    remindAt,
+    state,
+    hoursRemaining: Math.round(((dueAt - now) / HOUR_MS) * 10) / 10
+  };
+};
+
+/**
+ * Find the pending approvals of a company with their current approver
+ * @param {number} companyId - Company ID
+ * @returns {Promise<Array<Object>>} supervisor_approvals instances with supervisor
+ */
+const findPendingApprovals = async (companyId) => {
+  return SupervisorApproval.findAll({
+    where: { status: 'pending', isInvalidated: false },
+    include: [
+      {
+        model: User,
+        as: 'supervisor',
+        where: { company_id: companyId },
+        attributes: ['id', 'email', 'name', 'role', 'supervisor_id']
+      },
+      {
+        model: User,
+        as: 'slaEscalatedTo',
+        required: false,
+        attributes: ['id', 'email', 'name', 'role']
+      }
+    ],
+    order: [['pendingSince', 'ASC']]
+  });
+};
+
+/**
+ * Validate an SLA policy submitted by an admin
+ * @param {Object} definition - { slaHours, reminderBeforeHours, escalateOnBreach, isActive }
+ * @returns {Object} { valid: boolean, errors: Array<string> }
+ */
+const validateSlaPolicy = (definition) => {
+  const errors = [];
+  const slaHours = parseInt(definition.slaHours);
+  const reminderBeforeHours = parseInt(definition.reminderBeforeHours);
+
+  if (isNaN(slaHours) || slaHours < 1) {
+    errors.push('slaHours must be a positive integer');
+  }
+  if (isNaN(reminderBeforeHours) || reminderBeforeHours < 0) {
+    errors.push('reminderBeforeHours must be zero or a positive integer');
+  }
+  if (errors.length === 0 && reminderBeforeHours >= slaHours) {
+    errors.push('reminderBeforeHours must be less than slaHours');
+  }
+
+  return { valid: errors.length === 0, errors };
+};
+
+/**
+ * Format a pending approval with its SLA state for the report
+ * @param {Object} approval - supervisor_approvals instance
+ * @param {Object} sla - Result of getSlaStatus
+ * @returns {Object} Report item
+ */
+const formatSlaItem = (approval, sla) => ({
+  approvalId: approval.id,
+  approvableId: approval.approvableId,
+  approvableType: approval.approvableType,
+  scopeOfWork: approval.approvableSnapshot?.scopeOfWork || null,
+  date: approval.approvableSnapshot?.date || null,
+  currentStep: approval.currentStep,
+  pendingSince: sla.pendingSince,
+  dueAt: sla.dueAt,
+  hoursRemaining: sla.hoursRemaining,
+  reminderSentAt: approval.slaReminderSentAt,
+  escalatedAt: approval.slaEscalatedAt,
+  escalatedTo: approval.slaEscalatedTo ? {
+    id: approval.slaEscalatedTo.id,
+    email: approval.slaEscalatedTo.email,
+    name: approval.slaEscalatedTo.name
+  } : null
+});
+
+/**
+ * Group breached and at-risk approvals by their current approver
+ * @param {Array<Object>} approvals - Pending approvals from findPendingApprovals
+ * @param {Object} policy - approval_sla_policies instance
+ * @param {Date} now - Point in time (defaults to now)
+ * @returns {Array<Object>} [{ supervisor, breached, atRisk, breachedCount, atRiskCount }]
+ */
+const buildSlaReport = (approvals, policy, now = new Date()) => {
+  const bySupervisor = new Map();
+
+  for (const approval of approvals) {
+    const sla = getSlaStatus(approval, policy, now);
+    if (sla.state === 'on_track') continue;
+
+    if (!bySupervisor.has(approval.supervisorId)) {
+      bySupervisor.set(approval.supervisorId, {
+        supervisor: {
+          id: approval.supervisor.id,
+          email: approval.supervisor.email,
+          name: approval.supervisor.name,
+          role: approval.supervisor.role,
+          supervisorId: approval.supervisor.supervisor_id || null
+        },
+        breached: [],
+        atRisk: []
+      });
+    }
+
+    const group = bySupervisor.get(approval.supervisorId);
+    (sla.state === 'breached' ? group.breached : group.atRisk).push(formatSlaItem(approval, sla));
+  }
+
+  return Array.from(bySupervisor.values())
+    .map(group => ({
+      ...group,
+      breachedCount: group.breached.length,
+      atRiskCount: group.atRisk.length
+    }))
+    .sort((a, b) => b.breachedCount - a.breachedCount || b.atRiskCount - a.atRiskCount);
+};
+
+module.exports = {
+  HOUR_MS,
+  getSlaStatus,
+  findPendingApprovals,
+  validateSlaPolicy,
+  buildSlaReport
+};
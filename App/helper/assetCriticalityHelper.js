@@ -0,0 +1,498 @@
+/**
+ * Asset Criticality Helper
+ * Scores assets against company criticality schemes and maintains their effective criticality
+ *
+ * An asset's effective criticality is its own assessment, or else that of its nearest assessed
+ * ancestor. It is stored on asset_hierarchy (criticality_score, criticality_level and
+ * criticality_source_id) so lists can filter on it, and is recalculated for the affected
+ * subtrees whenever assessments, the scheme or the hierarchy change.
+ */
+
+const db = require('../models');
+const { Op } = require('sequelize');
+
+const AssetHierarchy = db.asset_hierarchy;
+const AssetCriticalityScheme = db.asset_criticality_schemes;
+const AssetCriticalityAssessment = db.asset_criticality_assessments;
+const Company = db.company;
+
+const MAX_CRITICALITY_SCORE = 100;
+const CRITICALITY_UPDATE_BATCH_SIZE = 1000;
+
+const DEFAULT_CRITICALITY_FACTORS = [
+  { key: 'safety', name: 'Safety', description: 'Impact of a failure on people', weight: 1, maxScore: 5 },
+  { key: 'production', name: 'Production', description: 'Impact of a failure on output', weight: 1, maxScore: 5 },
+  { key: 'environmental', name: 'Environmental', description: 'Impact of a failure on the environment', weight: 1, maxScore: 5 }
+];
+
+const DEFAULT_CRITICALITY_LEVELS = [
+  { name: 'Low', minScore: 0, color: '#22c55e' },
+  { name: 'Medium', minScore: 40, color: '#eab308' },
+  { name: 'High', minScore: 60, color: '#f97316' },
+  { name: 'Critical', minScore: 80, color: '#ef4444' }
+];
+
+/**
+ * Scheme definition used when a company has not configured one
+ * @returns {Object} { factors, levels }
+ */
+const buildDefaultSchemeDefinition = () => ({
+  factors: DEFAULT_CRITICALITY_FACTORS.map(factor => ({ ...factor })),
+  levels: DEFAULT_CRITICALITY_LEVELS.map(level => ({ ...level }))
+});
+
+/**
+ * Validate a criticality scheme submitted by an admin
+ * @param {Object} definition - { factors, levels }
+ * @returns {Object} { valid: boolean, errors: Array<string> }
+ */
+const validateSchemeDefinition = (definition) => {
+  const errors = [];
+  const { factors, levels } = definition || {};
+
+  if (!Array.isArray(factors) || factors.length === 0 || factors.length > 20) {
+    errors.push('factors must be an array of 1 to 20 factors');
+  } else {
+    const keys = new Set();
+    factors.forEach((factor, index) => {
+      if (!factor || !factor.name || String(factor.name).trim() === '') {
+        errors.push(`factors[${index}] is missing a name`);
+      }
+      const key = factor?.key ? String(factor.key).trim() : '';
+      if (!/^[a-z][a-z0-9_]*$/.test(key)) {
+        errors.push(`factors[${index}].key must start with a letter and contain only lowercase letters, digits and underscores`);
+      } else if (keys.has(key)) {
+        errors.push(`factors[${index}].key "${key}" is used more than once`);
+      }
+      keys.add(key);
+
+      const weight = Number(factor?.weight ?? 1);
+      if (!Number.isFinite(weight) || weight <= 0) {
+        errors.push(`factors[${index}].weight must be a positive number`);
+      }
+      const maxScore = parseInt(factor?.maxScore);
+      if (isNaN(maxScore) || maxScore < 1 || maxScore > 100) {
+        errors.push(`factors[${index}].maxScore must be an integer between 1 and 100`);
+      }
+    });
+  }
+
+  if (!Array.isArray(levels) || levels.length === 0 || levels.length > 10) {
+    errors.push('levels must be an array of 1 to 10 levels');
+  } else {
+    const names = new Set();
+    let previousMin = null;
+    levels.forEach((level, index) => {
+      const name = level?.name ? String(level.name).trim() : '';
+      if (!name) {
+        errors.push(`levels[${index}] is missing a name`);
+      } else if (name.length > 50) {
+        errors.push(`levels[${index}].name must be at most 50 characters`);
+      } else if (names.has(name.toLowerCase())) {
+        errors.push(`levels[${index}].name "${name}" is used more than once`);
+      }
+      names.add(name.toLowerCase());
+
+      const minScore = parseInt(level?.minScore);
+      if (isNaN(minScore) || minScore < 0 || minScore > MAX_CRITICALITY_SCORE) {
+        errors.push(`levels[${index}].minScore must be an integer between 0 and ${MAX_CRITICALITY_SCORE}`);
+        return;
+      }
+      if (index === 0 && minScore !== 0) {
+        errors.push('levels[0].minScore must be 0 so every score has a level');
+      }
+      if (previousMin !== null && minScore <= previousMin) {
+        errors.push(`levels[${index}].minScore must be higher than the previous level's`);
+      }
+      previousMin = minScore;
+    });
+  }
+
+  return { valid: errors.length === 0, errors };
+};
+
+/**
+ * Normalize an admin-submitted scheme into the stored shape
+ * @param {Object} definition - Validated scheme definition
+ * @returns {Object} { factors, levels }
+ */
+const normalizeSchemeDefinition = (definition) => ({
+  factors: definition.factors.map(factor => ({
+    key: String(factor.key).trim(),
+    name: String(factor.name).trim(),
+    description: factor.description ? String(factor.description).trim() : '',
+    weight: Number(factor.weight ?? 1),
+    maxScore: parseInt(factor.maxScore)
+  })),
+  levels: definition.levels.map(level => ({
+    name: String(level.name).trim(),
+    minScore: parseInt(level.minScore),
+    color: level.color || null
+  }))
+});
+
+/**
+ * Get the criticality scheme of a company
+ * Seeds the default scheme if the company has none yet
+ * @param {number} companyId - Company ID
+ * @param {Object} transaction - Sequelize transaction (optional)
+ * @returns {Promise<Object>} asset_criticality_schemes instance
+ */
+const getCompanyScheme = async (companyId, transaction = null) => {
+  const [scheme] = await AssetCriticalityScheme.findOrCreate({
+    where: { companyId },
+    defaults: buildDefaultSchemeDefinition(),
+    transaction
+  });
+  return scheme;
+};
+
+/**
+ * Get the level a criticality score falls into
+ * @param {Array<Object>} levels - Scheme levels, lowest first
+ * @param {number} score - Criticality score
+ * @returns {Object|null} { name, minScore, color } or null
+ */
+const findCriticalityLevel = (levels, score) => {
+  let match = null;
+  for (const level of levels || []) {
+    if (score >= level.minScore) match = level;
+  }
+  return match;
+};
+
+/**
+ * Validate factor scores against a scheme
+ * @param {Object} scheme - Scheme with factors
+ * @param {Object} factorScores - { factorKey: score }
+ * @returns {Array<string>} Errors
+ */
+const validateFactorScores = (scheme, factorScores) => {
+  if (!factorScores || typeof factorScores !== 'object' || Array.isArray(factorScores)) {
+    return ['factorScores must be an object of factor key to score'];
+  }
+
+  const errors = [];
+  const keys = new Set(scheme.factors.map(factor => factor.key));
+  Object.keys(factorScores)
+    .filter(key => !keys.has(key))
+    .forEach(key => errors.push(`Unknown criticality factor "${key}"`));
+
+  scheme.factors.forEach(factor => {
+    const value = factorScores[factor.key];
+    if (value === undefined || value === null || value === '') {
+      errors.push(`${factor.name} (${factor.key}) score is required`);
+      return;
+    }
+    const score = Number(value);
+    if (!Number.isInteger(score) || score < 0 || score > factor.maxScore) {
+      errors.push(`${factor.name} (${factor.key}) score must be an integer between 0 and ${factor.maxScore}`);
+    }
+  });
+
+  return errors;
+};
+
+/**
+ * Score factor scores against a scheme
+ * The score is the weighted average of each factor's share of its maximum, scaled to 0-100.
+ * Factors without a score count as 0 (assessments entered before the factor was added).
+ * @param {Object} scheme - Scheme with factors and levels
+ * @param {Object} factorScores - { factorKey: score }
+ * @returns {Object} { score, level }
+ */
+const scoreCriticality = (scheme, factorScores) => {
+  const totalWeight = scheme.factors.reduce((sum, factor) => sum + factor.weight, 0);
+  const weighted = scheme.factors.reduce((sum, factor) => {
+    const value = Math.min(Math.max(Number(factorScores?.[factor.key]) || 0, 0), factor.maxScore);
+    return sum + factor.weight * (value / factor.maxScore);
+  }, 0);
+
+  const score = totalWeight > 0 ? Math.round((weighted / totalWeight) * MAX_CRITICALITY_SCORE) : 0;
+  const level = findCriticalityLevel(scheme.levels, score);
+  return { score, level: level ? level.name : null };
+};
+
+/**
+ * Rescore every assessment of a company against its scheme
+ * @param {Object} scheme - asset_criticality_schemes instance
+ * @param {Object} transaction - Sequelize transaction
+ * @returns {Promise<number>} Number of assessments whose score or level changed
+ */
+const rescoreAssessments = async (scheme, transaction) => {
+  const assessments = await AssetCriticalityAssessment.findAll({
+    where: { companyId: scheme.companyId },
+    transaction
+  });
+
+  let rescored = 0;
+  for (const assessment of assessments) {
+    const { score, level } = scoreCriticality(scheme, assessment.factorScores);
+    if (score !== assessment.score || level !== assessment.level) {
+      await assessment.update({ score, level }, { transaction });
+      rescored++;
+    }
+  }
+  return rescored;
+};
+
+/**
+ * Recalculate the effective criticality of assets from the assessments
+ * @param {number} companyId - Company ID
+ * @param {Array<string>|null} assetIds - Assets whose subtrees changed, or null for the whole company
+ * @param {Object} transaction - Sequelize transaction
+ * @returns {Promise<number>} Number of assets updated
+ */
+const recalculateCriticality = async (companyId, assetIds = null, transaction = null) => {
+  const assets = await AssetHierarchy.findAll({
+    where: { companyId },
+    attributes: ['id', 'parent', 'criticalityScore', 'criticalityLevel', 'criticalitySourceId'],
+    raw: true,
+    transaction
+  });
+  const assessments = await AssetCriticalityAssessment.findAll({
+    where: { companyId },
+    attributes: ['assetId', 'score', 'level'],
+    raw: true,
+    transaction
+  });
+
+  const assetsById = new Map(assets.map(asset => [asset.id, asset]));
+  const assessmentsByAsset = new Map(assessments.map(assessment => [assessment.assetId, assessment]));
+
+  const effective = new Map();
+  const effectiveOf = (id) => {
+    // Walk up to the nearest asset whose criticality is known, then fill in the chain
+    const chain = [];
+    const visited = new Set();
+    let current = id;
+    let result = null;
+    while (current && assetsById.has(current) && !visited.has(current)) {
+      if (effective.has(current)) {
+        result = effective.get(current);
+        break;
+      }
+      const assessment = assessmentsByAsset.get(current);
+      if (assessment) {
+        result = { sourceId: current, score: assessment.score, level: assessment.level };
+        effective.set(current, result);
+        break;
+      }
+      visited.add(current);
+      chain.push(current);
+      current = assetsById.get(current).parent;
+    }
+    chain.forEach(chainId => effective.set(chainId, result));
+    return effective.get(id);
+  };
+
+  let targetIds;
+  if (assetIds === null) {
+    targetIds = assets.map(asset => asset.id);
+  } else {
+    const childrenMap = new Map();
+    for (const asset of assets) {
+      if (!asset.parent) continue;
+      if (!childrenMap.has(asset.parent)) childrenMap.set(asset.parent, []);
+      childrenMap.get(asset.parent).push(asset.id);
+    }
+    const targets = new Set();
+    const queue = assetIds.filter(id => assetsById.has(id));
+    for (let next = 0; next < queue.length; next++) {
+      const id = queue[next];
+      if (targets.has(id)) continue;
+      targets.add(id);
+      for (const childId of childrenMap.get(id) || []) {
+        if (!targets.has(childId)) queue.push(childId);
+      }
+    }
+    targetIds = [...targets];
+  }
+
+  // Assets inheriting from the same source share their values, so they are updated together
+  const groups = new Map();
+  for (const id of targetIds) {
+    const asset = assetsById.get(id);
+    const result = effectiveOf(id);
+    const sourceId = result ? result.sourceId : null;
+    if (
+      asset.criticalitySourceId === sourceId &&
+      asset.criticalityScore === (result ? result.score : null) &&
+      asset.criticalityLevel === (result ? result.level : null)
+    ) {
+      continue;
+    }
+    if (!groups.has(sourceId)) groups.set(sourceId, { result, ids: [] });
+    groups.get(sourceId).ids.push(id);
+  }
+
+  let updated = 0;
+  for (const [sourceId, { result, ids }] of groups) {
+    for (let i = 0; i < ids.length; i += CRITICALITY_UPDATE_BATCH_SIZE) {
+      await AssetHierarchy.update(
+        {
+          criticalityScore: result ? result.score : null,
+          criticalityLevel: result ? result.level : null,
+          criticalitySourceId: sourceId
+        },
+        { where: { id: { [Op.in]: ids.slice(i, i + CRITICALITY_UPDATE_BATCH_SIZE) }, companyId }, transaction }
+      );
+    }
+    updated += ids.length;
+  }
+
+  return updated;
+};
+
+/**
+ * Replace a company's criticality scheme and rescore its assets
+ * @param {number} companyId - Company ID
+ * @param {Object} definition - Normalized scheme definition
+ * @param {number} userId - ID of the updating user
+ * @returns {Promise<Object>} { scheme, rescoredCount, assetsUpdated }
+ */
+const updateCompanyScheme = async (companyId, definition, userId) => {
+  return db.sequelize.transaction(async (transaction) => {
+    await Company.findByPk(companyId, { attributes: ['id'], lock: transaction.LOCK.UPDATE, transaction });
+
+    const scheme = await getCompanyScheme(companyId, transaction);
+    await scheme.update({
+      ...definition,
+      version: scheme.version + 1,
+      updatedBy: userId
+    }, { transaction });
+
+    const rescoredCount = await rescoreAssessments(scheme, transaction);
+    const assetsUpdated = rescoredCount > 0 ? await recalculateCriticality(companyId, null, transaction) : 0;
+
+    return { scheme, rescoredCount, assetsUpdated };
+  });
+};
+
+/**
+ * Assess an asset, overriding any criticality it inherits
+ * @param {number} companyId - Company ID
+ * @param {string} assetId - Internal asset ID
+ * @param {Object} input - { factorScores, notes, userId }
+ * @returns {Promise<Object|null>} { assessment, assetsUpdated }, or null if the asset was not found
+ * @throws {Error} With statusCode 400 and details when the factor scores are invalid
+ */
+const assessAsset = async (companyId, assetId, { factorScores, notes = null, userId = null }) => {
+  return db.sequelize.transaction(async (transaction) => {
+    await Company.findByPk(companyId, { attributes: ['id'], lock: transaction.LOCK.UPDATE, transaction });
+
+    const asset = await AssetHierarchy.findOne({ where: { id: assetId, companyId }, attributes: ['id'], transaction });
+    if (!asset) {
+      return null;
+    }
+
+    const scheme = await getCompanyScheme(companyId, transaction);
+    const errors = validateFactorScores(scheme, factorScores);
+    if (errors.length > 0) {
+      const error = new Error('Invalid criticality assessment');
+      error.statusCode = 400;
+      error.details = errors;
+      throw error;
+    }
+
+    const normalizedScores = {};
+    scheme.factors.forEach(factor => { normalizedScores[factor.key] = Number(factorScores[factor.key]); });
+    const { score, level } = scoreCriticality(scheme, normalizedScores);
+
+    const values = {
+      factorScores: normalizedScores,
+      score,
+      level,
+      schemeVersion: scheme.version,
+      notes,
+      assessedBy: userId
+    };
+    let assessment = await AssetCriticalityAssessment.findOne({ where: { assetId }, transaction });
+    if (assessment) {
+      await assessment.update(values, { transaction });
+    } else {
+      assessment = await AssetCriticalityAssessment.create({ companyId, assetId, ...values }, { transaction });
+    }
+
+    const assetsUpdated = await recalculateCriticality(companyId, [assetId], transaction);
+    return { assessment, assetsUpdated };
+  });
+};
+
+/**
+ * Remove an asset's own assessment so it inherits its criticality again
+ * @param {number} companyId - Company ID
+ * @param {string} assetId - Internal asset ID
+ * @returns {Promise<Object|null>} { assetsUpdated }, or null if the asset has no assessment
+ */
+const removeAssetAssessment = async (companyId, assetId) => {
+  return db.sequelize.transaction(async (transaction) => {
+    await Company.findByPk(companyId, { attributes: ['id'], lock: transaction.LOCK.UPDATE, transaction });
+
+    const removed = await AssetCriticalityAssessment.destroy({ where: { assetId, companyId }, transaction });
+    if (!removed) {
+      return null;
+    }
+
+    const assetsUpdated = await recalculateCriticality(companyId, [assetId], transaction);
+    return { assetsUpdated };
+  });
+};
+
+/**
+ * Build the where condition for criticality list filters on records linked to an asset
+ * Expects query values normalized by the validateCriticalityFilters middleware
+ * @param {Object} query - { criticalityLevels, minCriticalityScore }
+ * @returns {Object} Where conditions on assetHierarchyId (empty without filters)
+ */
+const buildCriticalityQuery = (query = {}) => {
+  const conditions = [];
+  if (query.criticalityLevels && query.criticalityLevels.length > 0) {
+    conditions.push(`criticality_level IN (${query.criticalityLevels.map(level => db.sequelize.escape(level)).join(', ')})`);
+  }
+  if (query.minCriticalityScore !== undefined) {
+    conditions.push(`criticality_score >= ${parseInt(query.minCriticalityScore)}`);
+  }
+  if (conditions.length === 0) {
+    return {};
+  }
+
+  return {
+    assetHierarchyId: {
+      [Op.in]: db.sequelize.literal(`(SELECT id FROM asset_hierarchy WHERE deleted_at IS NULL AND ${conditions.join(' AND ')})`)
+    }
+  };
+};
+
+/**
+ * Format a scheme for API responses
+ * @param {Object} scheme - asset_criticality_schemes instance
+ * @returns {Object} Plain scheme object
+ */
+const formatScheme = (scheme) => ({
+  id: scheme.id,
+  companyId: scheme.companyId,
+  version: scheme.version,
+  factors: scheme.factors,
+  levels: scheme.levels,
+  updatedBy: scheme.updatedBy,
+  updatedAt: scheme.updatedAt
+});
+
+module.exports = {
+  MAX_CRITICALITY_SCORE,
+  buildDefaultSchemeDefinition,
+  validateSchemeDefinition,
+  normalizeSchemeDefinition,
+  getCompanyScheme,
+  findCriticalityLevel,
+  validateFactorScores,
+  scoreCriticality,
+  rescoreAssessments,
+  recalculateCriticality,
+  updateCompanyScheme,
+  assessAsset,
+  removeAssetAssessment,
+  buildCriticalityQuery,
+  formatScheme
+};
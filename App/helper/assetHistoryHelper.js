@@ -0,0 +1,281 @@
+/**
+ * Asset History Helper
+ * Records field-level asset changes and rebuilds assets as they were at a point in time
+ *
+ * Changes are written in the same transaction as the asset writes they describe, so a rolled
+ * back upload or move leaves no history behind. An asset at time T is its current row with
+ * every change made after T undone: for each field, the oldValue of the first later change.
+ * Changes made before history was recorded cannot be undone, so older points in time show
+ * the values current when recording started.
+ */
+
+const { Op } = require('sequelize');
+const db = require('../models');
+const { MAX_TREE_NODES } = require('./assetTreeHelper');
+
+const AssetHierarchy = db.asset_hierarchy;
+const AssetChange = db.asset_changes;
+
+const HISTORY_BATCH_SIZE = 1000;
+
+// Asset fields whose changes are recorded (level and uploadOrder are derived from the hierarchy and the file)
+const TRACKED_ASSET_FIELDS = [
+  'name',
+  'description',
+  'cmmsInternalId',
+  'functionalLocation',
+  'functionalLocationDesc',
+  'functionalLocationLongDesc',
+  'maintenancePlant',
+  'cmmsSystem',
+  'objectType',
+  'systemStatus',
+  'make',
+  'manufacturer',
+  'serialNumber',
+  'parent'
+];
+
+/**
+ * Convert a field value to its stored text form
+ * @param {*} value - Field value
+ * @returns {string|null} Text value
+ */
+const serializeHistoryValue = (value) => {
+  if (value === null || value === undefined) return null;
+  if (value instanceof Date) return value.toISOString();
+  return String(value);
+};
+
+/**
+ * List the tracked fields that differ between two versions of an asset
+ * Fields absent from after are not compared.
+ * @param {Object} before - Asset values before the change
+ * @param {Object} after - Asset values after the change
+ * @returns {Array<Object>} [{ fieldName, oldValue, newValue }]
+ */
+const diffAssetFields = (before, after) => {
+  const changes = [];
+  for (const fieldName of TRACKED_ASSET_FIELDS) {
+    if (!(fieldName in after)) continue;
+    const oldValue = serializeHistoryValue(before[fieldName]);
+    const newValue = serializeHistoryValue(after[fieldName]);
+    if (oldValue !== newValue) {
+      changes.push({ fieldName, oldValue, newValue });
+    }
+  }
+  return changes;
+};
+
+/**
+ * Store asset changes
+ * @param {Array<Object>} changes - [{ assetId, changeType, fieldName, oldValue, newValue }]
+ * @param {Object} context - { companyId, source, fileUploadId, changedBy }
+ * @param {Object} transaction - Sequelize transaction
+ * @returns {Promise<number>} Number of changes stored
+ */
+const recordAssetChanges = async (changes, context, transaction = null) => {
+  const { companyId, source, fileUploadId = null, changedBy = null } = context;
+
+  for (let i = 0; i < changes.length; i += HISTORY_BATCH_SIZE) {
+    await AssetChange.bulkCreate(changes.slice(i, i + HISTORY_BATCH_SIZE).map(change => ({
+      companyId,
+      assetId: change.assetId,
+      changeType: change.changeType,
+      fieldName: change.fieldName || null,
+      oldValue: change.oldValue ?? null,
+      newValue: change.newValue ?? null,
+      source,
+      fileUploadId,
+      changedBy
+    })), { transaction });
+  }
+
+  return changes.length;
+};
+
+/**
+ * Build 'create' changes for new assets
+ * @param {Array<string>} assetIds - Internal IDs of the created assets
+ * @returns {Array<Object>} Changes
+ */
+const buildCreateChanges = (assetIds) => assetIds.map(assetId => ({ assetId, changeType: 'create' }));
+
+/**
+ * Build 'update' changes for an asset
+ * @param {string} assetId - Internal ID
+ * @param {Object} before - Asset values before the change
+ * @param {Object} after - Asset values after the change
+ * @returns {Array<Object>} Changes
+ */
+const buildUpdateChanges = (assetId, before, after) => diffAssetFields(before, after)
+  .map(change => ({ assetId, changeType: 'update', ...change }));
+
+/**
+ * Build the change that soft-deletes or restores an asset
+ * @param {string} assetId - Internal ID
+ * @param {Date|null} deletedAt - Deletion time, or null for a restore
+ * @param {Date|null} previousDeletedAt - Deletion time being cleared by a restore
+ * @returns {Object} Change
+ */
+const buildDeletionChange = (assetId, deletedAt, previousDeletedAt = null) => ({
+  assetId,
+  changeType: deletedAt ? 'delete' : 'restore',
+  fieldName: 'deletedAt',
+  oldValue: serializeHistoryValue(previousDeletedAt),
+  newValue: serializeHistoryValue(deletedAt)
+});
+
+/**
+ * Load changes made after a point in time, oldest first
+ * @param {Object} where - Additional conditions
+ * @param {Date} at - Point in time
+ * @returns {Promise<Array<Object>>} Raw change rows
+ */
+const findChangesAfter = (where, at) => AssetChange.findAll({
+  attributes: ['assetId', 'fieldName', 'oldValue'],
+  where: { fieldName: { [Op.ne]: null }, ...where, createdAt: { [Op.gt]: at } },
+  order: [['createdAt', 'ASC'], ['id', 'ASC']],
+  raw: true
+});
+
+/**
+ * Map each (asset, field) to its value at a point in time, for fields changed since
+ * @param {Array<Object>} changes - Changes after the point in time, oldest first
+ * @returns {Map<string, Map<string, string|null>>} Asset ID -> field -> value
+ */
+const collectValuesAt = (changes) => {
+  const values = new Map();
+  for (const change of changes) {
+    if (!values.has(change.assetId)) values.set(change.assetId, new Map());
+    const fields = values.get(change.assetId);
+    if (!fields.has(change.fieldName)) fields.set(change.fieldName, change.oldValue);
+  }
+  return values;
+};
+
+/**
+ * Rebuild an asset, or the subtree below it, as it was at a point in time
+ * @param {number} companyId - Company ID
+ * @param {string} assetId - Internal ID of the asset
+ * @param {Date} at - Point in time
+ * @param {number} depth - Levels to include below the asset (0 for the asset only)
+ * @returns {Promise<Object|null>} { ancestors, node, nodeCount, truncated }, or null if the asset did not exist then
+ */
+const loadAssetAt = async (companyId, assetId, at, depth) => {
+  // Hierarchy at the point in time, from every asset ever created and the later parent/deletion changes
+  const assets = await AssetHierarchy.findAll({
+    attributes: ['id', 'parent', 'createdAt', 'deletedAt'],
+    where: { companyId },
+    paranoid: false,
+    raw: true
+  });
+  const structureAt = collectValuesAt(await findChangesAfter({
+    companyId,
+    fieldName: { [Op.in]: ['parent', 'deletedAt'] }
+  }, at));
+
+  const parentAt = new Map();
+  for (const asset of assets) {
+    const fields = structureAt.get(asset.id);
+    const deletedAt = fields?.has('deletedAt') ? fields.get('deletedAt') : asset.deletedAt;
+    const existed = new Date(asset.createdAt) <= at && !(deletedAt && new Date(deletedAt) <= at);
+    if (existed) {
+      parentAt.set(asset.id, fields?.has('parent') ? fields.get('parent') : asset.parent);
+    }
+  }
+
+  if (!parentAt.has(assetId)) {
+    return null;
+  }
+
+  const childrenAt = new Map();
+  for (const [id, parentId] of parentAt) {
+    if (!parentId) continue;
+    if (!childrenAt.has(parentId)) childrenAt.set(parentId, []);
+    childrenAt.get(parentId).push(id);
+  }
+
+  const ancestorIds = [];
+  const visited = new Set([assetId]);
+  let ancestorId = parentAt.get(assetId);
+  while (ancestorId && parentAt.has(ancestorId) && !visited.has(ancestorId)) {
+    visited.add(ancestorId);
+    ancestorIds.unshift(ancestorId);
+    ancestorId = parentAt.get(ancestorId);
+  }
+
+  // Nodes to rebuild, level by level, within the depth and node limits
+  const levels = [[assetId]];
+  let nodeCount = 1;
+  let truncated = false;
+  for (let currentDepth = 0; currentDepth < depth; currentDepth++) {
+    const nextLevel = levels[levels.length - 1].flatMap(id => childrenAt.get(id) || []);
+    if (nextLevel.length === 0) break;
+    if (nodeCount + nextLevel.length > MAX_TREE_NODES) {
+      truncated = true;
+      break;
+    }
+    levels.push(nextLevel);
+    nodeCount += nextLevel.length;
+  }
+
+  const ids = [...ancestorIds, ...levels.flat()];
+  const rows = new Map();
+  const changes = [];
+  for (let i = 0; i < ids.length; i += HISTORY_BATCH_SIZE) {
+    const chunk = ids.slice(i, i + HISTORY_BATCH_SIZE);
+    const chunkRows = await AssetHierarchy.findAll({
+      where: { id: { [Op.in]: chunk }, companyId },
+      paranoid: false
+    });
+    chunkRows.forEach(row => rows.set(row.id, row));
+    changes.push(...await findChangesAfter({ assetId: { [Op.in]: chunk } }, at));
+  }
+  // Each asset's changes come from a single chunk, so they stay oldest first
+  const valuesAt = collectValuesAt(changes);
+
+  const toNodeAt = (id, level) => {
+    const row = rows.get(id);
+    const fields = valuesAt.get(id);
+    const node = { id, externalId: row.externalId };
+    TRACKED_ASSET_FIELDS.forEach(fieldName => {
+      node[fieldName] = fields?.has(fieldName) ? fields.get(fieldName) : row.get(fieldName);
+    });
+    node.parent = parentAt.get(id) || null;
+    node.level = level;
+    node.childCount = (childrenAt.get(id) || []).length;
+    return node;
+  };
+
+  const ancestors = ancestorIds.map((id, index) => {
+    const node = toNodeAt(id, index);
+    return { id: node.id, externalId: node.externalId, name: node.name, level: node.level };
+  });
+
+  const rootLevel = ancestorIds.length;
+  const node = toNodeAt(assetId, rootLevel);
+  let frontier = [node];
+  for (let index = 1; index < levels.length; index++) {
+    const byId = new Map(frontier.map(parentNode => [parentNode.id, parentNode]));
+    frontier.forEach(parentNode => { parentNode.children = []; });
+    frontier = levels[index].map(id => {
+      const child = toNodeAt(id, rootLevel + index);
+      byId.get(child.parent).children.push(child);
+      return child;
+    });
+  }
+
+  return { ancestors, node, nodeCount, truncated };
+};
+
+module.exports = {
+  TRACKED_ASSET_FIELDS,
+  serializeHistoryValue,
+  diffAssetFields,
+  recordAssetChanges,
+  buildCreateChanges,
+  buildUpdateChanges,
+  buildDeletionChange,
+  loadAssetAt
+};
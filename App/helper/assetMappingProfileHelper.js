@@ -0,0 +1,102 @@
+/**
+ * Asset Mapping Profile Helper
+ * Validates saved column-mapping profiles and resolves the mappings of an upload
+ */
+
+const db = require('../models');
+const { ASSET_UPLOAD_FIELDS, validateColumnTransforms } = require('./fileParser');
+
+const AssetMappingProfile = db.asset_mapping_profiles;
+
+const REQUIRED_MAPPED_FIELDS = ['id', 'name'];
+
+/**
+ * Validate a mapping profile definition
+ * @param {Object} definition - { name, columnMappings, transforms }
+ * @returns {Object} { valid, errors }
+ */
+const validateMappingProfile = (definition) => {
+  const errors = [];
+  const name = typeof definition.name === 'string' ? definition.name.trim() : '';
+
+  if (!name) {
+    errors.push('name is required');
+  } else if (name.length > 100) {
+    errors.push('name must be at most 100 characters');
+  }
+
+  const { columnMappings } = definition;
+  if (!columnMappings || typeof columnMappings !== 'object' || Array.isArray(columnMappings)) {
+    errors.push('columnMappings must be an object mapping upload fields to file columns');
+  } else {
+    for (const field of REQUIRED_MAPPED_FIELDS) {
+      if (!columnMappings[field]) {
+        errors.push(`columnMappings must map the '${field}' field`);
+      }
+    }
+    for (const [field, column] of Object.entries(columnMappings)) {
+      if (!ASSET_UPLOAD_FIELDS[field]) {
+        errors.push(`Unknown field '${field}' in columnMappings`);
+      } else if (column !== null && typeof column !== 'string') {
+        errors.push(`Column for field '${field}' must be a string`);
+      }
+    }
+  }
+
+  errors.push(...validateColumnTransforms(definition.transforms));
+
+  return { valid: errors.length === 0, errors };
+};
+
+/**
+ * Resolve the column mappings of an upload request
+ * Uploads send either columnMappings (JSON string, or an object in JSON bodies) or the name of a saved mappingProfile
+ * @param {Object} body - Request body
+ * @param {number} companyId - Company ID
+ * @returns {Promise<Object>} { columnMappings, transforms, profileName } or { error, statusCode }
+ */
+const resolveUploadMappings = async (body, companyId) => {
+  const profileName = typeof body.mappingProfile === 'string' ? body.mappingProfile.trim() : '';
+
+  if (profileName) {
+    if (body.columnMappings) {
+      return { error: 'Send either columnMappings or mappingProfile, not both', statusCode: 400 };
+    }
+
+    const profile = await AssetMappingProfile.findOne({ where: { companyId, name: profileName } });
+    if (!profile) {
+      return { error: `Mapping profile '${profileName}' not found`, statusCode: 404 };
+    }
+
+    return {
+      columnMappings: profile.columnMappings,
+      transforms: profile.transforms || {},
+      profileName: profile.name
+    };
+  }
+
+  let columnMappings;
+  try {
+    columnMappings = typeof body.columnMappings === 'string'
+      ? JSON.parse(body.columnMappings)
+      : body.columnMappings || null;
+  } catch (parseError) {
+    return { error: 'Invalid column mappings format. Expected JSON.', statusCode: 400 };
+  }
+
+  if (!columnMappings || typeof columnMappings !== 'object') {
+    return { error: 'Column mappings are required', statusCode: 400 };
+  }
+
+  // Frontend sends 'id' and 'name' - we keep this interface for backward compatibility
+  if (!columnMappings.id || !columnMappings.name) {
+    return { error: 'Column mappings must include "id" and "name" fields', statusCode: 400 };
+  }
+
+  return { columnMappings, transforms: {}, profileName: null };
+};
+
+module.exports = {
+  validateMappingProfile,
+  resolveUploadMappings
+};
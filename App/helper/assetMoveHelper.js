@@ -0,0 +1,235 @@
+/**
+ * Asset Move Helper
+ * Moves assets under a new parent, recalculates the levels and inherited criticality of the moved
+ * subtrees and audits the move
+ *
+ * Moves are validated against the whole company hierarchy with the same cycle detection as
+ * uploads, and applied in one transaction holding the company row lock, so concurrent moves
+ * cannot combine into a cycle.
+ */
+
+const { Op } = require('sequelize');
+const { v4: uuidv4 } = require('uuid');
+const db = require('../models');
+const { createValidationError, detectCyclicDependencies } = require('./assetUploadValidator');
+const { recordAssetChanges, buildUpdateChanges } = require('./assetHistoryHelper');
+const { recalculateCriticality } = require('./assetCriticalityHelper');
+
+const AssetHierarchy = db.asset_hierarchy;
+const AssetMove = db.asset_moves;
+const Company = db.company;
+
+const MAX_BATCH_MOVES = 1000;
+
+/**
+ * Create an error carrying validation details for the response
+ * @param {string} message - Error message
+ * @param {Array<Object>} details - Validation errors
+ * @returns {Error} Error with statusCode 400
+ */
+const createMoveError = (message, details = null) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  error.details = details;
+  return error;
+};
+
+/**
+ * Check the shape of a batch of moves
+ * Error rows are the 1-based position of the move in the batch.
+ * @param {Array<Object>} moves - [{ assetId, parentId }] (parentId null moves the asset to the top level)
+ * @returns {Array<Object>} Validation errors
+ */
+const validateMoveRequests = (moves) => {
+  if (!Array.isArray(moves) || moves.length === 0) {
+    return [createValidationError(null, 'moves', null, 'At least one move is required')];
+  }
+  if (moves.length > MAX_BATCH_MOVES) {
+    return [createValidationError(null, 'moves', moves.length, `At most ${MAX_BATCH_MOVES} assets can be moved at once`)];
+  }
+
+  const errors = [];
+  const seen = new Set();
+  moves.forEach((move, index) => {
+    const row = index + 1;
+    if (!move || typeof move.assetId !== 'string' || !move.assetId) {
+      errors.push(createValidationError(row, 'assetId', move?.assetId, 'assetId is required'));
+      return;
+    }
+    if (move.parentId !== null && move.parentId !== undefined && typeof move.parentId !== 'string') {
+      errors.push(createValidationError(row, 'parentId', move.parentId, 'parentId must be an asset ID or null'));
+    }
+    if (seen.has(move.assetId)) {
+      errors.push(createValidationError(row, 'assetId', move.assetId, 'Asset is moved more than once in this request'));
+    }
+    seen.add(move.assetId);
+  });
+
+  return errors;
+};
+
+/**
+ * Collect the IDs of assets in the subtree below an asset, the asset included
+ * @param {string} rootId - Asset ID
+ * @param {Map<string, Array<string>>} childrenMap - Parent ID -> child IDs
+ * @returns {Array<string>} Asset IDs
+ */
+const collectSubtree = (rootId, childrenMap) => {
+  // Breadth-first, reading the array through an index so it stays linear on large subtrees
+  const ids = [rootId];
+  for (let next = 0; next < ids.length; next++) {
+    for (const childId of childrenMap.get(ids[next]) || []) {
+      ids.push(childId);
+    }
+  }
+  return ids;
+};
+
+/**
+ * Move assets under new parents
+ * @param {number} companyId - Company ID
+ * @param {Array<Object>} moves - [{ assetId, parentId }] (parentId null moves the asset to the top level)
+ * @param {Object} options - { userId, reason }
+ * @returns {Promise<Object>} { batchId, moves, unchangedCount, levelsUpdated }
+ */
+const moveAssets = async (companyId, moves, { userId = null, reason = null } = {}) => {
+  const requestErrors = validateMoveRequests(moves);
+  if (requestErrors.length > 0) {
+    throw createMoveError('Invalid move request', requestErrors);
+  }
+
+  return db.sequelize.transaction(async (transaction) => {
+    await Company.findByPk(companyId, { attributes: ['id'], lock: transaction.LOCK.UPDATE, transaction });
+
+    const assets = await AssetHierarchy.findAll({
+      where: { companyId },
+      attributes: ['id', 'externalId', 'parent', 'level'],
+      transaction
+    });
+    const assetsById = new Map(assets.map(asset => [asset.id, asset]));
+
+    const errors = [];
+    moves.forEach((move, index) => {
+      const row = index + 1;
+      if (!assetsById.has(move.assetId)) {
+        errors.push(createValidationError(row, 'assetId', move.assetId, 'Asset not found'));
+      } else if (move.parentId && !assetsById.has(move.parentId)) {
+        errors.push(createValidationError(row, 'parentId', move.parentId, 'Parent asset not found'));
+      } else if (move.parentId === move.assetId) {
+        errors.push(createValidationError(row, 'parentId', move.parentId, 'An asset cannot be its own parent'));
+      }
+    });
+    if (errors.length > 0) {
+      throw createMoveError('Invalid move request', errors);
+    }
+
+    const changedMoves = moves.filter(move => (move.parentId || null) !== assetsById.get(move.assetId).parent);
+    const unchangedCount = moves.length - changedMoves.length;
+    if (changedMoves.length === 0) {
+      return { batchId: null, moves: [], unchangedCount, levelsUpdated: 0 };
+    }
+
+    // Cycle detection works on external IDs, as for uploads, so errors name assets the way users know them
+    const externalIdOf = (id) => (id && assetsById.has(id) ? assetsById.get(id).externalId : null);
+    const existingParentMap = new Map(assets.map(asset => [asset.externalId, externalIdOf(asset.parent)]));
+    const parentMap = new Map(changedMoves.map(move => [externalIdOf(move.assetId), externalIdOf(move.parentId)]));
+
+    const cycleErrors = detectCyclicDependencies(parentMap, existingParentMap);
+    if (cycleErrors.length > 0) {
+      throw createMoveError('Move would create a cyclic dependency', cycleErrors);
+    }
+
+    // Hierarchy after the move
+    const finalParents = new Map(assets.map(asset => [asset.id, asset.parent]));
+    changedMoves.forEach(move => finalParents.set(move.assetId, move.parentId || null));
+
+    const childrenMap = new Map();
+    for (const [id, parentId] of finalParents) {
+      if (!parentId) continue;
+      if (!childrenMap.has(parentId)) childrenMap.set(parentId, []);
+      childrenMap.get(parentId).push(id);
+    }
+
+    // Levels outside the moved subtrees are unchanged; inside them they follow the new parents
+    const subtrees = new Map(changedMoves.map(move => [move.assetId, collectSubtree(move.assetId, childrenMap)]));
+    const affectedIds = new Set([...subtrees.values()].flat());
+    const newLevels = new Map();
+    const levelOf = (id) => {
+      if (!affectedIds.has(id)) return assetsById.get(id).level || 0;
+      if (!newLevels.has(id)) {
+        const parentId = finalParents.get(id);
+        newLevels.set(id, parentId ? levelOf(parentId) + 1 : 0);
+      }
+      return newLevels.get(id);
+    };
+    affectedIds.forEach(levelOf);
+
+    const parentGroups = new Map();
+    changedMoves.forEach(move => {
+      const parentId = move.parentId || null;
+      if (!parentGroups.has(parentId)) parentGroups.set(parentId, []);
+      parentGroups.get(parentId).push(move.assetId);
+    });
+    for (const [parentId, ids] of parentGroups) {
+      await AssetHierarchy.update(
+        { parent: parentId },
+        { where: { id: { [Op.in]: ids }, companyId }, transaction }
+      );
+    }
+
+    const levelGroups = new Map();
+    for (const [id, level] of newLevels) {
+      if (level === assetsById.get(id).level) continue;
+      if (!levelGroups.has(level)) levelGroups.set(level, []);
+      levelGroups.get(level).push(id);
+    }
+    let levelsUpdated = 0;
+    for (const [level, ids] of levelGroups) {
+      await AssetHierarchy.update(
+        { level },
+        { where: { id: { [Op.in]: ids }, companyId }, transaction }
+      );
+      levelsUpdated += ids.length;
+    }
+
+    const batchId = uuidv4();
+    const records = await AssetMove.bulkCreate(changedMoves.map(move => {
+      const asset = assetsById.get(move.assetId);
+      return {
+        batchId,
+        companyId,
+        assetId: asset.id,
+        fromParentId: asset.parent,
+        fromParentExternalId: externalIdOf(asset.parent),
+        toParentId: move.parentId || null,
+        toParentExternalId: externalIdOf(move.parentId),
+        fromLevel: asset.level || 0,
+        toLevel: newLevels.get(asset.id),
+        descendantCount: subtrees.get(asset.id).length - 1,
+        reason,
+        movedBy: userId
+      };
+    }), { transaction });
+
+    await recordAssetChanges(
+      changedMoves.flatMap(move => buildUpdateChanges(
+        move.assetId,
+        assetsById.get(move.assetId),
+        { parent: move.parentId || null }
+      )),
+      { companyId, source: 'api', changedBy: userId },
+      transaction
+    );
+
+    // Moved subtrees now inherit their criticality from the new ancestors
+    await recalculateCriticality(companyId, changedMoves.map(move => move.assetId), transaction);
+
+    return { batchId, moves: records, unchangedCount, levelsUpdated };
+  });
+};
+
+module.exports = {
+  MAX_BATCH_MOVES,
+  validateMoveRequests,
+  moveAssets
+};
@@ -0,0 +1,184 @@
+/**
+ * Asset Search Helper
+ * Full-text and faceted search over the asset hierarchy
+ *
+ * Text search uses the asset_hierarchy_search FULLTEXT index in boolean mode: every word of the
+ * query must match the start of a word in one of the searchable columns. Queries without any
+ * word long enough for the index (e.g. "P1") fall back to a prefix match on the ID columns.
+ * Facet counts are computed per facet with the filters of the other facets applied, so a client
+ * can offer the remaining choices of every facet.
+ */
+
+const { Op } = require('sequelize');
+const db = require('../models');
+const { getAssetPaths } = require('./assetTreeHelper');
+
+const AssetHierarchy = db.asset_hierarchy;
+
+// Column order must match the asset_hierarchy_search index
+const SEARCH_COLUMNS = [
+  'name',
+  'description',
+  'functional_location',
+  'functional_location_desc',
+  'serial_number',
+  'manufacturer',
+  'cmms_internal_id',
+  'external_id'
+];
+
+// Fields searched by prefix when the query has no word the full-text index can match
+const PREFIX_SEARCH_FIELDS = ['externalId', 'cmmsInternalId', 'functionalLocation', 'serialNumber'];
+
+const FACET_FIELDS = ['objectType', 'systemStatus', 'maintenancePlant', 'cmmsSystem'];
+
+// InnoDB default innodb_ft_min_token_size; shorter words are not in the index
+const MIN_TOKEN_LENGTH = 3;
+const MAX_QUERY_TOKENS = 10;
+
+const DEFAULT_SEARCH_LIMIT = 25;
+const MAX_SEARCH_LIMIT = 100;
+const FACET_VALUE_LIMIT = 50;
+
+const SEARCH_RESULT_ATTRIBUTES = [
+  'id',
+  'externalId',
+  'name',
+  'description',
+  'parent',
+  'level',
+  'functionalLocation',
+  'serialNumber',
+  'manufacturer',
+  'cmmsInternalId',
+  'criticalityLevel',
+  'criticalityScore',
+  ...FACET_FIELDS
+];
+
+/**
+ * Build a boolean-mode full-text query requiring every indexable word as a prefix
+ * @param {string} text - Search text
+ * @returns {string|null} Full-text query, or null if no word can be matched by the index
+ */
+const buildFullTextQuery = (text) => {
+  const tokens = text
+    .split(/[^\p{L}\p{N}_]+/u)
+    .filter(token => token.length >= MIN_TOKEN_LENGTH)
+    .slice(0, MAX_QUERY_TOKENS);
+
+  return tokens.length > 0 ? tokens.map(token => `+${token}*`).join(' ') : null;
+};
+
+/**
+ * Build the condition and relevance ordering for a text search
+ * @param {string} text - Search text
+ * @returns {Object} { condition, relevance } (relevance is null for prefix searches)
+ */
+const buildTextSearch = (text) => {
+  const fullTextQuery = buildFullTextQuery(text);
+
+  if (!fullTextQuery) {
+    const prefix = `${text.replace(/[\\%_]/g, match => `\\${match}`)}%`;
+    return {
+      condition: { [Op.or]: PREFIX_SEARCH_FIELDS.map(field => ({ [field]: { [Op.like]: prefix } })) },
+      relevance: null
+    };
+  }
+
+  const match = `MATCH (${SEARCH_COLUMNS.join(', ')}) AGAINST (${db.sequelize.escape(fullTextQuery)} IN BOOLEAN MODE)`;
+  return {
+    condition: db.sequelize.literal(match),
+    relevance: db.sequelize.literal(match)
+  };
+};
+
+/**
+ * Read facet filters from query parameters (comma-separated values per facet)
+ * @param {Object} query - Request query
+ * @returns {Object} Facet field -> array of values
+ */
+const parseFacetFilters = (query) => {
+  const filters = {};
+  for (const field of FACET_FIELDS) {
+    const raw = query[field];
+    if (raw === undefined || raw === null || raw === '') continue;
+    const values = (Array.isArray(raw) ? raw : String(raw).split(','))
+      .map(value => String(value).trim())
+      .filter(Boolean);
+    if (values.length > 0) filters[field] = values;
+  }
+  return filters;
+};
+
+/**
+ * Search assets
+ * @param {Object} params - { companyId, text, filters, limit, offset }
+ *   companyId: company to search (null searches all companies)
+ *   text: search text (optional, filters only when empty)
+ *   filters: result of parseFacetFilters
+ * @returns {Promise<Object>} { total, results, facets }
+ */
+const searchAssets = async ({ companyId = null, text = '', filters = {}, limit = DEFAULT_SEARCH_LIMIT, offset = 0 }) => {
+  const baseConditions = [];
+  if (companyId) baseConditions.push({ companyId });
+
+  let relevance = null;
+  const trimmedText = (text || '').trim();
+  if (trimmedText) {
+    const textSearch = buildTextSearch(trimmedText);
+    baseConditions.push(textSearch.condition);
+    relevance = textSearch.relevance;
+  }
+
+  const facetConditions = (excludedField = null) => Object.entries(filters)
+    .filter(([field]) => field !== excludedField)
+    .map(([field, values]) => ({ [field]: { [Op.in]: values } }));
+
+  const where = { [Op.and]: [...baseConditions, ...facetConditions()] };
+
+  const order = relevance
+    ? [[relevance, 'DESC'], ['name', 'ASC']]
+    : [['name', 'ASC'], ['id', 'ASC']];
+
+  const [total, assets] = await Promise.all([
+    AssetHierarchy.count({ where }),
+    AssetHierarchy.findAll({
+      attributes: SEARCH_RESULT_ATTRIBUTES,
+      where,
+      order,
+      limit,
+      offset,
+      raw: true
+    })
+  ]);
+
+  const facets = {};
+  const facetCounts = await Promise.all(FACET_FIELDS.map(async (field) => {
+    const column = AssetHierarchy.rawAttributes[field].field;
+    const rows = await AssetHierarchy.findAll({
+      attributes: [[db.sequelize.col(column), 'value'], [db.sequelize.fn('COUNT', db.sequelize.col('id')), 'count']],
+      where: { [Op.and]: [...baseConditions, ...facetConditions(field)] },
+      group: [column],
+      order: [[db.sequelize.literal('`count`'), 'DESC']],
+      limit: FACET_VALUE_LIMIT,
+      raw: true
+    });
+    return rows.map(row => ({ value: row.value, count: parseInt(row.count) }));
+  }));
+  FACET_FIELDS.forEach((field, index) => { facets[field] = facetCounts[index]; });
+
+  const paths = await getAssetPaths(assets);
+  const results = assets.map(asset => ({ ...asset, path: paths.get(asset.id) || [] }));
+
+  return { total, results, facets };
+};
+
+module.exports = {
+  FACET_FIELDS,
+  DEFAULT_SEARCH_LIMIT,
+  MAX_SEARCH_LIMIT,
+  buildFullTextQuery,
+  parseFacetFilters,
+  searchAssets
+};
@@ -0,0 +1,253 @@
+/**
+ * Asset Tree Helper
+ * Loads company-scoped slices of the asset hierarchy for tree views
+ *
+ * Trees are loaded one level at a time (parent IN (...)) down to a requested depth, and every
+ * node carries its child count so a client can lazily expand the nodes that were not loaded.
+ * This keeps each request bounded no matter how large the plant is.
+ */
+
+const { Op } = require('sequelize');
+const db = require('../models');
+
+const AssetHierarchy = db.asset_hierarchy;
+
+const DEFAULT_TREE_DEPTH = 1;
+const MAX_TREE_DEPTH = 10;
+
+// Levels that would take a response past this many nodes are left for lazy expansion
+const MAX_TREE_NODES = 5000;
+
+const TREE_NODE_ATTRIBUTES = [
+  'id',
+  'externalId',
+  'name',
+  'description',
+  'parent',
+  'level',
+  'objectType',
+  'systemStatus',
+  'functionalLocation',
+  'criticalityLevel',
+  'criticalityScore'
+];
+
+/**
+ * Parse the requested tree depth
+ * @param {*} value - Raw query value
+ * @returns {Object} { depth } or { error }
+ */
+const parseTreeDepth = (value) => {
+  if (value === undefined || value === null || value === '') {
+    return { depth: DEFAULT_TREE_DEPTH };
+  }
+
+  const depth = Number(value);
+  if (!Number.isInteger(depth) || depth < 0 || depth > MAX_TREE_DEPTH) {
+    return { error: `depth must be an integer between 0 and ${MAX_TREE_DEPTH}` };
+  }
+
+  return { depth };
+};
+
+/**
+ * Count the active children of each given asset
+ * @param {Array<string>} parentIds - Asset IDs
+ * @param {number} companyId - Company ID
+ * @returns {Promise<Map<string, number>>} Child count per asset ID (absent when zero)
+ */
+const getChildCounts = async (parentIds, companyId) => {
+  const counts = new Map();
+  if (parentIds.length === 0) return counts;
+
+  const rows = await AssetHierarchy.findAll({
+    attributes: ['parent', [db.sequelize.fn('COUNT', db.sequelize.col('id')), 'childCount']],
+    where: { companyId, parent: { [Op.in]: parentIds } },
+    group: ['parent'],
+    raw: true
+  });
+
+  rows.forEach(row => counts.set(row.parent, parseInt(row.childCount)));
+  return counts;
+};
+
+/**
+ * Convert an asset into a tree node
+ * @param {Object} asset - Asset record
+ * @param {Map<string, number>} childCounts - Child count per asset ID
+ * @returns {Object} Tree node
+ */
+const toTreeNode = (asset, childCounts) => {
+  const node = {};
+  TREE_NODE_ATTRIBUTES.forEach(attribute => {
+    node[attribute] = asset.get ? asset.get(attribute) : asset[attribute];
+  });
+  node.childCount = childCounts.get(node.id) || 0;
+  return node;
+};
+
+/**
+ * Load the descendants of a set of nodes, level by level, and attach them as children
+ * Nodes whose children were loaded get a children array; the others only carry childCount.
+ * @param {Array<Object>} nodes - Tree nodes to expand
+ * @param {number} companyId - Company ID
+ * @param {number} depth - Number of levels to load below the nodes
+ * @returns {Promise<Object>} { nodeCount, truncated }
+ */
+const expandTreeNodes = async (nodes, companyId, depth) => {
+  let frontier = nodes;
+  let nodeCount = nodes.length;
+  let truncated = false;
+
+  for (let currentDepth = 0; currentDepth < depth; currentDepth++) {
+    const expandable = frontier.filter(node => node.childCount > 0);
+    if (expandable.length === 0) break;
+
+    const levelSize = expandable.reduce((sum, node) => sum + node.childCount, 0);
+    if (nodeCount + levelSize > MAX_TREE_NODES) {
+      truncated = true;
+      break;
+    }
+
+    const children = await AssetHierarchy.findAll({
+      attributes: TREE_NODE_ATTRIBUTES,
+      where: { companyId, parent: { [Op.in]: expandable.map(node => node.id) } },
+      order: [['upload_order', 'ASC'], ['name', 'ASC']]
+    });
+    const childCounts = await getChildCounts(children.map(child => child.id), companyId);
+
+    const byParent = new Map(expandable.map(node => [node.id, node]));
+    expandable.forEach(node => { node.children = []; });
+
+    frontier = children.map(child => {
+      const node = toTreeNode(child, childCounts);
+      byParent.get(node.parent).children.push(node);
+      return node;
+    });
+    nodeCount += frontier.length;
+  }
+
+  return { nodeCount, truncated };
+};
+
+/**
+ * Load the subtree below an asset
+ * @param {Object} asset - Root asset of the subtree
+ * @param {number} depth - Number of levels to load below the asset
+ * @returns {Promise<Object>} { node, nodeCount, truncated }
+ */
+const loadAssetSubtree = async (asset, depth) => {
+  const childCounts = await getChildCounts([asset.id], asset.companyId);
+  const node = toTreeNode(asset, childCounts);
+  const { nodeCount, truncated } = await expandTreeNodes([node], asset.companyId, depth);
+  return { node, nodeCount, truncated };
+};
+
+/**
+ * Load the top-level assets of a company and the levels below them
+ * @param {number} companyId - Company ID
+ * @param {number} depth - Number of levels to load below the top-level assets
+ * @returns {Promise<Object>} { nodes, nodeCount, truncated }
+ */
+const loadRootTree = async (companyId, depth) => {
+  const roots = await AssetHierarchy.findAll({
+    attributes: TREE_NODE_ATTRIBUTES,
+    where: { companyId, parent: null },
+    order: [['upload_order', 'ASC'], ['name', 'ASC']]
+  });
+  const childCounts = await getChildCounts(roots.map(root => root.id), companyId);
+  const nodes = roots.map(root => toTreeNode(root, childCounts));
+
+  if (nodes.length > MAX_TREE_NODES) {
+    return { nodes, nodeCount: nodes.length, truncated: true };
+  }
+
+  const { nodeCount, truncated } = await expandTreeNodes(nodes, companyId, depth);
+  return { nodes, nodeCount, truncated };
+};
+
+/**
+ * Get the ancestors of an asset, from the top-level asset down to its parent
+ * @param {Object} asset - Asset record
+ * @returns {Promise<Array<Object>>} [{ id, externalId, name, level }]
+ */
+const getAssetAncestors = async (asset) => {
+  const ancestors = [];
+  const visited = new Set([asset.id]);
+  let parentId = asset.parent;
+
+  // Parent links are validated on write, but a corrupted chain must not loop forever
+  while (parentId && !visited.has(parentId)) {
+    visited.add(parentId);
+    const parent = await AssetHierarchy.findOne({
+      attributes: ['id', 'externalId', 'name', 'level', 'parent'],
+      where: { id: parentId, companyId: asset.companyId }
+    });
+    if (!parent) break;
+
+    ancestors.unshift({
+      id: parent.id,
+      externalId: parent.externalId,
+      name: parent.name,
+      level: parent.level
+    });
+    parentId = parent.parent;
+  }
+
+  return ancestors;
+};
+
+/**
+ * Get the path from the top-level asset down to each of a set of assets
+ * Ancestors are loaded one level at a time for all assets together.
+ * @param {Array<Object>} assets - Assets with id, externalId, name and parent
+ * @returns {Promise<Map<string, Array<Object>>>} Asset ID -> [{ id, externalId, name }], top-level asset first, asset itself last
+ */
+const getAssetPaths = async (assets) => {
+  const known = new Map(assets.map(asset => [asset.id, {
+    id: asset.id,
+    externalId: asset.externalId,
+    name: asset.name,
+    parent: asset.parent
+  }]));
+
+  let pending = [...new Set(assets.map(asset => asset.parent).filter(id => id && !known.has(id)))];
+  while (pending.length > 0) {
+    const parents = await AssetHierarchy.findAll({
+      attributes: ['id', 'externalId', 'name', 'parent'],
+      where: { id: { [Op.in]: pending } },
+      raw: true
+    });
+    parents.forEach(parent => known.set(parent.id, parent));
+    // Missing (deleted) ancestors end the path instead of being looked up again
+    pending.filter(id => !known.has(id)).forEach(id => known.set(id, null));
+    pending = [...new Set(parents.map(parent => parent.parent).filter(id => id && !known.has(id)))];
+  }
+
+  const paths = new Map();
+  for (const asset of assets) {
+    const path = [];
+    const visited = new Set();
+    let current = known.get(asset.id);
+    while (current && !visited.has(current.id)) {
+      visited.add(current.id);
+      path.unshift({ id: current.id, externalId: current.externalId, name: current.name });
+      current = current.parent ? known.get(current.parent) : null;
+    }
+    paths.set(asset.id, path);
+  }
+
+  return paths;
+};
+
+module.exports = {
+  DEFAULT_TREE_DEPTH,
+  MAX_TREE_DEPTH,
+  MAX_TREE_NODES,
+  parseTreeDepth,
+  getChildCounts,
+  loadAssetSubtree,
+  loadRootTree,
+  getAssetAncestors,
+  getAssetPaths
+};
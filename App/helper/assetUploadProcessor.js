@@ -4,12 +4,37 @@
  * Updated for Internal/External ID System
  */
 
+const crypto = require('crypto');
 const db = require('../models');
 const { Op } = require('sequelize');
 const { v7: uuidv7 } = require('uuid');
 
 const AssetHierarchy = db.asset_hierarchy;
+const FileUpload = db.file_uploads;
 const { createNotification } = require('../controllers/notificationController');
+const { createValidationError } = require('./assetUploadValidator');
+const {
+  recordAssetChanges,
+  buildCreateChanges,
+  buildUpdateChanges,
+  buildDeletionChange
+} = require('./assetHistoryHelper');
+const { recalculateCriticality } = require('./assetCriticalityHelper');
+
+/**
+ * What a full upload does with active assets that are missing from the file
+ * - keep: leave them untouched (default, the file only adds and updates)
+ * - retire: set their systemStatus to RETIRED_STATUS
+ * - delete: soft-delete them
+ */
+const MISSING_ASSET_ACTIONS = ['keep', 'retire', 'delete'];
+const RETIRED_STATUS = 'Retired';
+
+// Task hazards / risk assessments are closed once completed; in any other status
+// (including Inactive and Rejected, which can still be resubmitted) they depend on their asset
+const CLOSED_RECORD_STATUSES = ['Completed'];
+
+const ID_CHUNK_SIZE = 1000;
 
 /**
  * Fields to compare when detecting changes
@@ -70,10 +95,14 @@ const fetchExistingAssets = async (companyId, transaction = null) => {
       _isSoftDeleted: isSoftDeleted
     });
     
-    existingByExternalId.set(plainAsset.externalId, {
-      ...plainAsset,
-      _isSoftDeleted: isSoftDeleted
-    });
+    // An active asset takes precedence over soft-deleted ones with the same external ID
+    const current = existingByExternalId.get(plainAsset.externalId);
+    if (!current || current._isSoftDeleted) {
+      existingByExternalId.set(plainAsset.externalId, {
+        ...plainAsset,
+        _isSoftDeleted: isSoftDeleted
+      });
+    }
     
     if (!isSoftDeleted) {
       existingAssetIds.add(plainAsset.externalId);
@@ -120,33 +149,40 @@ const valuesEqual = (newVal, oldVal) => {
 };
 
 /**
- * Check if an asset has changes compared to existing data
+ * List the field-level changes of an asset compared to existing data
  * @param {Object} newAsset - New asset data from upload
  * @param {Object} existingAsset - Existing asset data from database
  * @param {string|null} newParentExternalId - New parent's external ID
  * @param {string|null} existingParentExternalId - Existing parent's external ID
- * @returns {boolean} True if asset has changes
+ * @returns {Array<Object>} [{ field, before, after }] (empty when unchanged)
  */
-const hasChanges = (newAsset, existingAsset, newParentExternalId, existingParentExternalId) => {
+const getAssetChanges = (newAsset, existingAsset, newParentExternalId, existingParentExternalId) => {
+  const changes = [];
+  
   // Soft-deleted assets always need updating (to restore them)
   if (existingAsset._isSoftDeleted) {
-    return true;
+    changes.push({ field: 'deletedAt', before: existingAsset.deletedAt, after: null });
   }
   
   // Check parent change (compare external IDs)
   if (!valuesEqual(newParentExternalId, existingParentExternalId)) {
-    return true;
+    changes.push({ field: 'parent', before: existingParentExternalId || null, after: newParentExternalId || null });
   }
   
   for (const [newField, dbColumn] of Object.entries(COMPARABLE_FIELDS)) {
     const newVal = newAsset[newField];
     const oldVal = existingAsset[dbColumn];
     
+    // A default filled into a blank cell is not a change against an empty stored value
+    if (newAsset._defaultedFields?.includes(newField) && valuesEqual(null, oldVal)) {
+      continue;
+    }
+    
     if (!valuesEqual(newVal, oldVal)) {
-      return true;
+      changes.push({ field: newField, before: oldVal ?? null, after: newVal ?? null });
     }
   }
-  return false;
+  return changes;
 };
 
 /**
@@ -189,6 +225,7 @@ const sortByDependencyOrder = (assets) => {
 
 /**
  * Categorize assets into new, changed, and unchanged
+ * Changed assets carry their field-level changes in _changes
  * @param {Array<Object>} assetData - Asset data with externalId and parentExternalId fields
  * @param {Map<string, Object>} existingByExternalId - Existing assets by external ID
  * @param {Map<string, string>} existingParentMap - Existing parent relationships (external ID -> parent external ID)
@@ -205,12 +242,14 @@ const categorizeAssets = (assetData, existingByExternalId, existingParentMap) =>
       newAssets.push(asset);
     } else {
       const existingParentExternalId = existingParentMap.get(asset.externalId) || null;
+      const changes = getAssetChanges(asset, existingAsset, asset.parentExternalId, existingParentExternalId);
       
-      if (hasChanges(asset, existingAsset, asset.parentExternalId, existingParentExternalId)) {
+      if (changes.length > 0) {
         // Attach internal ID for update
         changedAssets.push({
           ...asset,
-          id: existingAsset.id  // Use existing internal ID
+          id: existingAsset.id,  // Use existing internal ID
+          _changes: changes
         });
       } else {
         unchangedCount++;
@@ -221,6 +260,267 @@ const categorizeAssets = (assetData, existingByExternalId, existingParentMap) =>
   return { newAssets, changedAssets, unchangedCount };
 };
 
+/**
+ * Find active company assets that are not part of an upload
+ * @param {Array<Object>} assetData - Asset data with externalId fields
+ * @param {Map<string, Object>} existingByInternalId - Existing assets by internal ID
+ * @returns {Array<Object>} Existing asset data missing from the upload
+ */
+const findMissingAssets = (assetData, existingByInternalId) => {
+  const uploadedIds = new Set(assetData.map(asset => asset.externalId));
+  const missing = [];
+  
+  for (const [, asset] of existingByInternalId) {
+    if (!asset._isSoftDeleted && !uploadedIds.has(asset.externalId)) {
+      missing.push(asset);
+    }
+  }
+  
+  return missing;
+};
+
+/**
+ * Build a dry-run preview of an upload without writing anything
+ * Orphaned assets are active assets of the company that the file does not contain.
+ * planHash fingerprints the new and changed assets, so a later commit can detect
+ * that the database changed since the preview was taken.
+ * @param {Array<Object>} assetData - Validated asset data objects
+ * @param {Object} existingData - Data from fetchExistingAssets
+ * @param {number} sampleSize - Maximum number of samples per category
+ * @param {string} missingAssetAction - One of MISSING_ASSET_ACTIONS
+ * @returns {Object} { counts, samples, missingAssetAction, planHash }
+ */
+const buildUploadPreview = (assetData, existingData, sampleSize = 50, missingAssetAction = 'keep') => {
+  const { existingByExternalId, existingByInternalId, existingParentMap } = existingData;
+  const { newAssets, changedAssets, unchangedCount } = categorizeAssets(
+    assetData,
+    existingByExternalId,
+    existingParentMap
+  );
+  const changedIds = new Set(changedAssets.map(asset => asset.externalId));
+  const newIds = new Set(newAssets.map(asset => asset.externalId));
+  const orphanedAssets = findMissingAssets(assetData, existingByInternalId);
+  
+  const summarize = (asset) => ({
+    externalId: asset.externalId,
+    name: asset.name,
+    parentExternalId: asset.parentExternalId ?? existingParentMap.get(asset.externalId) ?? null
+  });
+  
+  const plan = {
+    newAssets: newAssets.map(asset => asset.externalId),
+    changedAssets: changedAssets.map(asset => [asset.externalId, asset._changes])
+  };
+  if (missingAssetAction !== 'keep') {
+    plan.missingAssetAction = missingAssetAction;
+    plan.missingAssets = orphanedAssets.map(asset => asset.externalId);
+  }
+  
+  return {
+    counts: {
+      total: assetData.length,
+      new: newAssets.length,
+      changed: changedAssets.length,
+      unchanged: unchangedCount,
+      orphaned: orphanedAssets.length
+    },
+    samples: {
+      new: newAssets.slice(0, sampleSize).map(summarize),
+      changed: changedAssets.slice(0, sampleSize).map(asset => ({
+        ...summarize(asset),
+        changes: asset._changes
+      })),
+      unchanged: assetData
+        .filter(asset => !newIds.has(asset.externalId) && !changedIds.has(asset.externalId))
+        .slice(0, sampleSize)
+        .map(summarize),
+      orphaned: orphanedAssets.slice(0, sampleSize).map(summarize)
+    },
+    missingAssetAction,
+    planHash: crypto.createHash('sha256').update(JSON.stringify(plan)).digest('hex')
+  };
+};
+
+/**
+ * Find the assets a full upload will retire or delete
+ * Assets that are already retired are left alone by the 'retire' action
+ * @param {Array<Object>} assetData - Asset data with externalId fields
+ * @param {Map<string, Object>} existingByInternalId - Existing assets by internal ID
+ * @param {string} missingAssetAction - 'retire' or 'delete'
+ * @returns {Array<Object>} Existing asset data to retire or delete
+ */
+const findAssetsToRetire = (assetData, existingByInternalId, missingAssetAction) => {
+  return findMissingAssets(assetData, existingByInternalId)
+    .filter(asset => missingAssetAction === 'delete' || asset.systemStatus !== RETIRED_STATUS);
+};
+
+/**
+ * Find missing assets that still have task hazards or risk assessments that aren't completed
+ * @param {Array<Object>} missingAssets - Assets from findAssetsToRetire
+ * @param {Object} transaction - Sequelize transaction (optional)
+ * @returns {Promise<Array<Object>>} [{ id, externalId, name, taskHazards, riskAssessments }]
+ */
+const findMissingAssetBlockers = async (missingAssets, transaction = null) => {
+  if (missingAssets.length === 0) return [];
+  
+  const countOpenRecords = async (Model) => {
+    const counts = new Map();
+    for (let i = 0; i < missingAssets.length; i += ID_CHUNK_SIZE) {
+      const ids = missingAssets.slice(i, i + ID_CHUNK_SIZE).map(asset => asset.id);
+      const rows = await Model.unscoped().findAll({
+        attributes: ['assetHierarchyId', [db.sequelize.fn('COUNT', db.sequelize.col('id')), 'count']],
+        where: { assetHierarchyId: ids, status: { [Op.notIn]: CLOSED_RECORD_STATUSES } },
+        group: ['assetHierarchyId'],
+        raw: true,
+        transaction
+      });
+      for (const row of rows) {
+        counts.set(row.assetHierarchyId, Number(row.count));
+      }
+    }
+    return counts;
+  };
+  
+  const taskHazardCounts = await countOpenRecords(db.task_hazards);
+  const riskAssessmentCounts = await countOpenRecords(db.risk_assessments);
+  
+  return missingAssets
+    .filter(asset => taskHazardCounts.has(asset.id) || riskAssessmentCounts.has(asset.id))
+    .map(asset => ({
+      id: asset.id,
+      externalId: asset.externalId,
+      name: asset.name,
+      taskHazards: taskHazardCounts.get(asset.id) || 0,
+      riskAssessments: riskAssessmentCounts.get(asset.id) || 0
+    }));
+};
+
+/**
+ * Build the error that refuses a full upload because missing assets are still in use
+ * @param {Array<Object>} blockers - Result of findMissingAssetBlockers
+ * @returns {Error} ValidationError with a readable message and structured errors
+ */
+const createMissingAssetsInUseError = (blockers) => {
+  const maxToShow = 20;
+  const errors = blockers.map(blocker => createValidationError(
+    null,
+    'id',
+    blocker.externalId,
+    `Asset "${blocker.externalId}" (${blocker.name}) is missing from the file but still has ` +
+    `${blocker.taskHazards} task hazard(s) and ${blocker.riskAssessments} risk assessment(s) that aren't completed`
+  ));
+  
+  let message = `Upload refused: ${blockers.length} asset(s) missing from the file still have task hazards or risk assessments that aren't completed\n\n`;
+  for (const error of errors.slice(0, maxToShow)) {
+    message += `• ${error.message}\n`;
+  }
+  if (errors.length > maxToShow) {
+    message += `\n... and ${errors.length - maxToShow} more asset(s).\n`;
+  }
+  message += '\nComplete or reassign these records, or include the assets in the file, and re-upload.';
+  
+  const error = new Error(message);
+  error.name = 'ValidationError';
+  error.errors = errors;
+  return error;
+};
+
+/**
+ * Find live assets that would be left under a soft-deleted parent
+ * Run after the upload wrote its own assets, so children the file moved elsewhere are not counted
+ * @param {Array<Object>} targets - Assets from findAssetsToRetire
+ * @param {number} companyId - Company ID
+ * @param {Object} transaction - Sequelize transaction
+ * @returns {Promise<Array<Object>>} Children that are not deleted themselves: [{ id, externalId, name, parent }]
+ */
+const findLiveChildren = async (targets, companyId, transaction) => {
+  const targetIds = new Set(targets.map(asset => asset.id));
+  const liveChildren = [];
+  
+  for (let i = 0; i < targets.length; i += ID_CHUNK_SIZE) {
+    const ids = targets.slice(i, i + ID_CHUNK_SIZE).map(asset => asset.id);
+    const children = await AssetHierarchy.findAll({
+      attributes: ['id', 'externalId', 'name', 'parent'],
+      where: { parent: { [Op.in]: ids }, companyId },
+      raw: true,
+      transaction
+    });
+    liveChildren.push(...children.filter(child => !targetIds.has(child.id)));
+  }
+  
+  return liveChildren;
+};
+
+/**
+ * Build the error that refuses a full upload because deleted assets still have live children
+ * @param {Array<Object>} liveChildren - Result of findLiveChildren
+ * @param {Array<Object>} targets - Assets from findAssetsToRetire
+ * @returns {Error} ValidationError with a readable message and structured errors
+ */
+const createLiveChildrenError = (liveChildren, targets) => {
+  const maxToShow = 20;
+  const targetsById = new Map(targets.map(asset => [asset.id, asset]));
+  const errors = liveChildren.map(child => createValidationError(
+    null,
+    'parent_id',
+    targetsById.get(child.parent)?.externalId,
+    `Asset "${child.externalId}" (${child.name}) would be left under deleted asset "${targetsById.get(child.parent)?.externalId}"`
+  ));
+  
+  let message = `Upload refused: ${liveChildren.length} asset(s) would be left under assets missing from the file\n\n`;
+  for (const error of errors.slice(0, maxToShow)) {
+    message += `• ${error.message}\n`;
+  }
+  if (errors.length > maxToShow) {
+    message += `\n... and ${errors.length - maxToShow} more asset(s).\n`;
+  }
+  message += '\nInclude the missing parents in the file, or move or remove their children, and re-upload.';
+  
+  const error = new Error(message);
+  error.name = 'ValidationError';
+  error.errors = errors;
+  return error;
+};
+
+/**
+ * Retire or soft-delete assets missing from a full upload
+ * Soft-deletes skip the asset destroy hooks: deletion history is recorded with the rest of the
+ * upload by buildUploadChanges, and task hazards and risk assessments (all completed at this point)
+ * are kept for history. Deletion is refused when it would leave live children under a deleted asset,
+ * so only whole subtrees are deleted.
+ * @param {Array<Object>} targets - Assets from findAssetsToRetire
+ * @param {string} missingAssetAction - 'retire' or 'delete'
+ * @param {number} companyId - Company ID
+ * @param {Object} transaction - Sequelize transaction
+ * @returns {Promise<number>} Number of assets retired or deleted
+ */
+const retireMissingAssets = async (targets, missingAssetAction, companyId, transaction) => {
+  if (missingAssetAction === 'delete') {
+    const liveChildren = await findLiveChildren(targets, companyId, transaction);
+    if (liveChildren.length > 0) {
+      throw createLiveChildrenError(liveChildren, targets);
+    }
+  }
+  
+  for (let i = 0; i < targets.length; i += ID_CHUNK_SIZE) {
+    const ids = targets.slice(i, i + ID_CHUNK_SIZE).map(asset => asset.id);
+    
+    if (missingAssetAction === 'retire') {
+      await AssetHierarchy.update(
+        { systemStatus: RETIRED_STATUS },
+        { where: { id: { [Op.in]: ids }, companyId }, transaction }
+      );
+    } else {
+      await AssetHierarchy.destroy({
+        where: { id: { [Op.in]: ids }, companyId },
+        transaction
+      });
+    }
+  }
+  
+  return targets.length;
+};
+
 /**
  * Resolve parent external IDs to internal IDs
  * @param {Array<Object>} assets - Assets with parentExternalId
@@ -254,18 +554,20 @@ const resolveParentIds = (assets, externalToInternalMap, newAssetIdMap) => {
  * @param {number} companyId - Company ID
  * @param {Map<string, string>} externalToInternalMap - Existing external to internal ID mapping
  * @param {Object} transaction - Sequelize transaction
+ * @param {Function} onChunk - Optional callback with the number of assets written by each chunk
+ * @param {Map<string, string>} assignedIds - Optional internal IDs assigned up front (external -> internal)
  * @returns {Object} { count: number, idMap: Map<string, string> }
  */
-const bulkInsertAssets = async (newAssets, companyId, externalToInternalMap, transaction) => {
+const bulkInsertAssets = async (newAssets, companyId, externalToInternalMap, transaction, onChunk = null, assignedIds = null) => {
   if (newAssets.length === 0) return { count: 0, idMap: new Map() };
   
   // Sort so parents are inserted first
   const sortedAssets = sortByDependencyOrder(newAssets);
   
-  // Generate internal IDs for all new assets
+  // Generate internal IDs for all new assets, unless they were assigned up front
   const newAssetIdMap = new Map();
   for (const asset of sortedAssets) {
-    newAssetIdMap.set(asset.externalId, uuidv7());
+    newAssetIdMap.set(asset.externalId, assignedIds?.get(asset.externalId) || uuidv7());
   }
   
   // Resolve parent IDs
@@ -307,6 +609,7 @@ const bulkInsertAssets = async (newAssets, companyId, externalToInternalMap, tra
     });
     
     totalCreated += chunk.length;
+    if (onChunk) await onChunk(chunk.length);
   }
   
   return { count: totalCreated, idMap: newAssetIdMap };
@@ -318,9 +621,10 @@ const bulkInsertAssets = async (newAssets, companyId, externalToInternalMap, tra
  * @param {Map<string, string>} externalToInternalMap - Existing external to internal ID mapping
  * @param {Map<string, string>} newAssetIdMap - New assets' external -> internal ID mapping
  * @param {Object} transaction - Sequelize transaction
+ * @param {Function} onChunk - Optional callback with the number of assets written by each chunk
  * @returns {number} Number of assets updated
  */
-const bulkUpdateAssets = async (changedAssets, externalToInternalMap, newAssetIdMap, transaction) => {
+const bulkUpdateAssets = async (changedAssets, externalToInternalMap, newAssetIdMap, transaction, onChunk = null) => {
   if (changedAssets.length === 0) return 0;
   
   const sortedAssets = sortByDependencyOrder(changedAssets);
@@ -360,6 +664,7 @@ const bulkUpdateAssets = async (changedAssets, externalToInternalMap, newAssetId
     ));
     
     totalUpdated += chunk.length;
+    if (onChunk) await onChunk(chunk.length);
   }
   
   return totalUpdated;
@@ -436,55 +741,200 @@ const recalculateHierarchyLevels = async (companyId, transaction) => {
 };
 
 /**
- * Process the validated asset upload
- * @param {Array<Object>} assetData - Validated asset data objects with externalId and parentExternalId
+ * Build the history of an upload: created assets, changed fields, restores and retirements
+ * @param {Map<string, string>} newAssetIdMap - New assets' external -> internal ID mapping
+ * @param {Array<Object>} changedAssets - Changed assets with parent resolved to an internal ID
+ * @param {Map<string, Object>} existingByInternalId - Existing assets by internal ID, before the upload
+ * @param {Array<Object>} retiredAssets - Assets retired or deleted by a full upload
+ * @param {string} missingAssetAction - One of MISSING_ASSET_ACTIONS
+ * @returns {Array<Object>} Asset changes
+ */
+const buildUploadChanges = (newAssetIdMap, changedAssets, existingByInternalId, retiredAssets, missingAssetAction) => {
+  const changes = buildCreateChanges([...newAssetIdMap.values()]);
+  const deletedAt = new Date();
+
+  for (const asset of changedAssets) {
+    const existing = existingByInternalId.get(asset.id);
+    changes.push(...buildUpdateChanges(asset.id, existing, asset));
+    if (existing._isSoftDeleted) {
+      changes.push(buildDeletionChange(asset.id, null, existing.deletedAt));
+    }
+  }
+
+  for (const asset of retiredAssets) {
+    if (missingAssetAction === 'retire') {
+      changes.push(...buildUpdateChanges(asset.id, asset, { systemStatus: RETIRED_STATUS }));
+    } else {
+      changes.push(buildDeletionChange(asset.id, deletedAt));
+    }
+  }
+
+  return changes;
+};
+
+/**
+ * Link assets written before their parent to that parent
+ * @param {Array<Object>} deferredParents - [{ id, parent }] with internal IDs
+ * @param {Object} transaction - Sequelize transaction
+ */
+const linkDeferredParents = async (deferredParents, transaction) => {
+  const CHUNK_SIZE = 100;
+  
+  for (let i = 0; i < deferredParents.length; i += CHUNK_SIZE) {
+    const chunk = deferredParents.slice(i, i + CHUNK_SIZE);
+    await Promise.all(chunk.map(({ id, parent }) =>
+      AssetHierarchy.update({ parent }, { where: { id }, transaction })
+    ));
+  }
+};
+
+/**
+ * Process the validated asset upload, one batch of rows at a time
+ * Each batch is categorized, written and recorded in the asset history before the next one
+ * is read, all in one transaction. Internal IDs of new assets are assigned up front from the
+ * row keys, so an asset can reference a parent from any batch: assets written before their
+ * parent are linked to it once every batch is written.
+ *
+ * With a missingAssetAction other than 'keep' the file is the full source of truth:
+ * active assets missing from it are retired or soft-deleted, and the upload is refused
+ * when any of them still has task hazards or risk assessments that aren't completed, or when
+ * deleting them would leave live children under a deleted asset.
+ * @param {Function} readAssetBatches - Returns an (async) iterable of validated asset data batches
+ *   (see buildAssetDataObjects), in file order; called once
  * @param {number} companyId - Company ID
  * @param {Object} existingData - Data from fetchExistingAssets
+ * @param {Object} options - { rowKeys, missingAssetAction, onProgress, history }
+ *   rowKeys: keys of every validated row of the upload (see toRowKeys)
+ *   missingAssetAction: one of MISSING_ASSET_ACTIONS (default 'keep')
+ *   onProgress: optional callback with the number of rows processed so far
+ *   history: optional { fileUploadId, userId } the recorded asset changes are attributed to
  * @returns {Object} Processing results
  */
-const processAssetUpload = async (assetData, companyId, existingData) => {
+const processAssetUpload = async (readAssetBatches, companyId, existingData, options = {}) => {
   const startTime = Date.now();
-  const { existingByExternalId, existingParentMap, externalToInternalMap } = existingData;
+  const { existingByExternalId, existingByInternalId, existingParentMap, externalToInternalMap } = existingData;
+  const { rowKeys, missingAssetAction = 'keep', onProgress = null, history = {} } = options;
+  const historyOptions = { companyId, source: 'upload', fileUploadId: history.fileUploadId, changedBy: history.userId };
   
   const result = await db.sequelize.transaction(async (transaction) => {
-    // Categorize assets
-    const { newAssets, changedAssets, unchangedCount } = categorizeAssets(
-      assetData, 
-      existingByExternalId, 
-      existingParentMap
-    );
+    // Refuse full uploads that would retire assets still in use
+    let missingAssets = [];
+    if (missingAssetAction !== 'keep') {
+      missingAssets = findAssetsToRetire(rowKeys, existingByInternalId, missingAssetAction);
+      const blockers = await findMissingAssetBlockers(missingAssets, transaction);
+      if (blockers.length > 0) {
+        throw createMissingAssetsInUseError(blockers);
+      }
+    }
     
-    console.log(`Categorized ${assetData.length} assets: ${newAssets.length} new, ${changedAssets.length} changed, ${unchangedCount} unchanged`);
+    // Assign the internal IDs of new assets, and note the row of each one to know when it is written
+    const assignedIds = new Map();
+    const newAssetRows = new Map();
+    for (const key of rowKeys) {
+      if (!existingByExternalId.has(key.externalId)) {
+        assignedIds.set(key.externalId, uuidv7());
+        newAssetRows.set(key.externalId, key._originalRowIndex);
+      }
+    }
+    const allExternalToInternalMap = new Map([...externalToInternalMap, ...assignedIds]);
     
-    // Insert new assets (returns map of new external -> internal IDs)
-    const { count: createdCount, idMap: newAssetIdMap } = await bulkInsertAssets(
-      newAssets, 
-      companyId, 
-      externalToInternalMap, 
-      transaction
-    );
+    let createdCount = 0;
+    let updatedCount = 0;
+    let unchangedCount = 0;
+    let totalProcessed = 0;
+    let processedRows = 0;
+    const reportChunk = onProgress
+      ? async (count) => {
+          processedRows += count;
+          await onProgress(processedRows);
+        }
+      : null;
+    const deferredParents = [];
     
-    // Merge new IDs into the mapping for update phase
-    const allExternalToInternalMap = new Map([...externalToInternalMap, ...newAssetIdMap]);
+    for await (const assetBatch of readAssetBatches()) {
+      const { newAssets, changedAssets, unchangedCount: batchUnchanged } = categorizeAssets(
+        assetBatch, 
+        existingByExternalId, 
+        existingParentMap
+      );
+      totalProcessed += assetBatch.length;
+      unchangedCount += batchUnchanged;
+      
+      // Unchanged rows need no writes and count as processed straight away
+      processedRows += batchUnchanged;
+      if (onProgress) await onProgress(processedRows);
+      
+      // A new parent further down the file is not written yet; link to it after the last batch
+      const lastRow = Math.max(...assetBatch.map(asset => asset.uploadOrder + 1));
+      const withWrittenParent = (asset, id) => {
+        const parentRow = newAssetRows.get(asset.parentExternalId);
+        if (parentRow === undefined || parentRow <= lastRow) return asset;
+        deferredParents.push({ id, parent: allExternalToInternalMap.get(asset.parentExternalId) });
+        return { ...asset, parentExternalId: null };
+      };
+      
+      // Insert new assets
+      const { count: batchCreated, idMap: newAssetIdMap } = await bulkInsertAssets(
+        newAssets.map(asset => withWrittenParent(asset, assignedIds.get(asset.externalId))), 
+        companyId, 
+        allExternalToInternalMap, 
+        transaction,
+        reportChunk,
+        assignedIds
+      );
+      createdCount += batchCreated;
+      
+      // Update changed assets
+      updatedCount += await bulkUpdateAssets(
+        changedAssets.map(asset => withWrittenParent(asset, asset.id)), 
+        allExternalToInternalMap, 
+        newAssetIdMap, 
+        transaction,
+        reportChunk
+      );
+      
+      // Record field-level history of the batch, with the parents the assets end up with
+      await recordAssetChanges(
+        buildUploadChanges(
+          newAssetIdMap,
+          resolveParentIds(changedAssets, allExternalToInternalMap, newAssetIdMap),
+          existingByInternalId,
+          [],
+          missingAssetAction
+        ),
+        historyOptions,
+        transaction
+      );
+    }
     
-    // Update changed assets
-    const updatedCount = await bulkUpdateAssets(
-      changedAssets, 
-      allExternalToInternalMap, 
-      newAssetIdMap, 
-      transaction
-    );
+    await linkDeferredParents(deferredParents, transaction);
     
-    // Recalculate hierarchy levels (only if we made changes)
-    if (createdCount > 0 || updatedCount > 0) {
+    console.log(`Processed ${totalProcessed} assets: ${createdCount} new, ${updatedCount} changed, ${unchangedCount} unchanged`);
+    
+    // Retire or delete assets missing from a full upload
+    let retiredCount = 0;
+    if (missingAssetAction !== 'keep') {
+      retiredCount = await retireMissingAssets(missingAssets, missingAssetAction, companyId, transaction);
+      await recordAssetChanges(
+        buildUploadChanges(new Map(), [], existingByInternalId, missingAssets, missingAssetAction),
+        historyOptions,
+        transaction
+      );
+    }
+    
+    // Recalculate hierarchy levels and inherited criticality (only if we made changes)
+    if (createdCount > 0 || updatedCount > 0 || (missingAssetAction === 'delete' && retiredCount > 0)) {
       await recalculateHierarchyLevels(companyId, transaction);
+      await recalculateCriticality(companyId, null, transaction);
     }
     
     return {
       createdCount,
       updatedCount,
       unchangedCount,
-      totalProcessed: assetData.length
+      retiredCount,
+      missingAssetAction,
+      totalProcessed
     };
   });
   
@@ -514,6 +964,9 @@ const createUploadNotification = async (userId, status, fileName, details = {})
       if (details.createdCount > 0) parts.push(`${details.createdCount} created`);
       if (details.updatedCount > 0) parts.push(`${details.updatedCount} updated`);
       if (details.unchangedCount > 0) parts.push(`${details.unchangedCount} unchanged`);
+      if (details.retiredCount > 0) {
+        parts.push(`${details.retiredCount} ${details.missingAssetAction === 'delete' ? 'deleted' : 'retired'}`);
+      }
       
       const summary = parts.length > 0 ? parts.join(', ') : 'No changes';
       message = `Your file "${fileName}" was processed successfully. ${summary}.`;
@@ -549,14 +1002,53 @@ const updateUploadStatus = async (fileUpload, status, details = {}) => {
   await fileUpload.update(updateData);
 };
 
+/**
+ * Create a progress reporter that records processed rows on the upload record
+ * Writes are throttled so large uploads do not issue an update for every chunk;
+ * they run outside the import transaction so upload-status sees them immediately.
+ * @param {Object} fileUpload - File upload record
+ * @param {number} intervalMs - Minimum time between writes
+ * @returns {Function} async (processedRows, { totalRows, force }) => void
+ */
+const createProgressReporter = (fileUpload, intervalMs = 1000) => {
+  let lastWrite = 0;
+
+  return async (processedRows, { totalRows, force = false } = {}) => {
+    const now = Date.now();
+    if (!force && now - lastWrite < intervalMs) return;
+    lastWrite = now;
+
+    const updateData = { processedRows };
+    if (totalRows !== undefined) {
+      updateData.totalRows = totalRows;
+    }
+
+    try {
+      await FileUpload.update(updateData, { where: { id: fileUpload.id } });
+    } catch (error) {
+      // Progress is informational; never fail the upload because of it
+      console.error(`Error recording progress of upload ${fileUpload.id}:`, error);
+    }
+  };
+};
+
 module.exports = {
+  MISSING_ASSET_ACTIONS,
+  RETIRED_STATUS,
   fetchExistingAssets,
   sortByDependencyOrder,
+  getAssetChanges,
   categorizeAssets,
+  findMissingAssets,
+  findAssetsToRetire,
+  findMissingAssetBlockers,
+  buildUploadPreview,
+  retireMissingAssets,
   bulkInsertAssets,
   bulkUpdateAssets,
   recalculateHierarchyLevels,
   processAssetUpload,
   createUploadNotification,
-  updateUploadStatus
+  updateUploadStatus,
+  createProgressReporter
 };
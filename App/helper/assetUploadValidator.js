@@ -218,9 +218,26 @@ const detectCyclicDependencies = (parentMap, existingParentMap) => {
   return errors;
 };
 
+/**
+ * Asset fields that fall back to a default when their column is blank
+ * Maps asset field names to upload field names
+ */
+const DEFAULTED_FIELDS = {
+  cmmsInternalId: 'cmms_internal_id',
+  functionalLocation: 'functional_location',
+  functionalLocationDesc: 'functional_location_desc',
+  functionalLocationLongDesc: 'functional_location_long_desc',
+  maintenancePlant: 'maintenance_plant',
+  cmmsSystem: 'cmms_system',
+  objectType: 'object_type',
+  systemStatus: 'system_status'
+};
+
 /**
  * Build asset data objects from mapped rows with defaults
  * Returns objects with externalId and parentExternalId (internal naming)
+ * _defaultedFields lists the fields that were filled with a default, so change
+ * detection can tell them apart from values present in the file
  * @param {Array<Object>} rows - Mapped rows
  * @returns {Array<Object>} Array of asset data objects ready for database
  */
@@ -246,49 +263,68 @@ const buildAssetDataObjects = (rows) => {
       manufacturer: row.manufacturer?.trim() || null,
       serialNumber: row.serial_number?.trim() || null,
       parentExternalId: row.parentExternalId?.trim() || null,
-      uploadOrder: row._originalRowIndex - 1 // 0-based upload order
+      uploadOrder: row._originalRowIndex - 1, // 0-based upload order
+      _defaultedFields: Object.keys(DEFAULTED_FIELDS).filter(field => !row[DEFAULTED_FIELDS[field]]?.trim())
     };
   });
 };
 
 /**
- * Run all validations on the upload data
- * @param {Array<Object>} mappedRows - Rows with system field names (externalId, parentExternalId)
+ * Reduce mapped rows to the fields the checks spanning the whole file need
+ * Streamed uploads keep only these keys between batches, not the rows themselves
+ * @param {Array<Object>} rows - Mapped rows
+ * @returns {Array<Object>} [{ externalId, parentExternalId, _originalRowIndex }] with trimmed IDs
+ */
+const toRowKeys = (rows) => {
+  return rows.map(row => ({
+    externalId: row.externalId?.trim(),
+    parentExternalId: row.parentExternalId?.trim() || null,
+    _originalRowIndex: row._originalRowIndex
+  }));
+};
+
+/**
+ * Run the validations that span the whole file: ID uniqueness, parent references and cycles
+ * @param {Array<Object>} rowKeys - Mapped rows, or their keys from toRowKeys
  * @param {Set<string>} existingAssetIds - Existing asset external IDs from database
  * @param {Map<string, string>} existingParentMap - Existing parent relationships (external IDs)
- * @returns {Object} { valid: boolean, errors: Array, assetData: Array }
+ * @returns {Array<Object>} Array of validation errors
  */
-const validateUploadData = (mappedRows, existingAssetIds, existingParentMap) => {
-  const allErrors = [];
-  
-  // 1. Validate ID uniqueness
-  const idErrors = validateIdUniqueness(mappedRows);
-  allErrors.push(...idErrors);
-  
-  // 2. Validate required fields
-  const requiredErrors = validateRequiredFields(mappedRows);
-  allErrors.push(...requiredErrors);
-  
-  // 3. Validate parent references
-  const { errors: parentErrors, parentMap } = validateParentReferences(
-    mappedRows, 
-    existingAssetIds
-  );
-  allErrors.push(...parentErrors);
+const validateRowKeys = (rowKeys, existingAssetIds, existingParentMap) => {
+  const idErrors = validateIdUniqueness(rowKeys);
+  const { errors: parentErrors, parentMap } = validateParentReferences(rowKeys, existingAssetIds);
   
-  // 4. Detect cyclic dependencies (only if no parent reference errors)
-  if (parentErrors.length === 0) {
-    const cycleErrors = detectCyclicDependencies(parentMap, existingParentMap);
-    allErrors.push(...cycleErrors);
-  }
+  // Detect cyclic dependencies (only if no parent reference errors)
+  const cycleErrors = parentErrors.length === 0 ? detectCyclicDependencies(parentMap, existingParentMap) : [];
   
-  // Sort errors by row number
-  allErrors.sort((a, b) => {
+  return idErrors.concat(parentErrors, cycleErrors);
+};
+
+/**
+ * Sort validation errors by row number, errors without a row last
+ * @param {Array<Object>} errors - Validation errors
+ * @returns {Array<Object>} The same array, sorted
+ */
+const sortValidationErrors = (errors) => {
+  return errors.sort((a, b) => {
     if (a.row === null && b.row === null) return 0;
     if (a.row === null) return 1;
     if (b.row === null) return -1;
     return a.row - b.row;
   });
+};
+
+/**
+ * Run all validations on the upload data
+ * @param {Array<Object>} mappedRows - Rows with system field names (externalId, parentExternalId)
+ * @param {Set<string>} existingAssetIds - Existing asset external IDs from database
+ * @param {Map<string, string>} existingParentMap - Existing parent relationships (external IDs)
+ * @returns {Object} { valid: boolean, errors: Array, assetData: Array }
+ */
+const validateUploadData = (mappedRows, existingAssetIds, existingParentMap) => {
+  const allErrors = sortValidationErrors(
+    validateRequiredFields(mappedRows).concat(validateRowKeys(mappedRows, existingAssetIds, existingParentMap))
+  );
   
   // Build asset data if validation passes
   let assetData = [];
@@ -347,6 +383,96 @@ const generateErrorReport = (errors, totalRows) => {
   return report;
 };
 
+/**
+ * Validate mapped rows against the company's assets
+ * A full upload (missing assets retired or deleted) is the source of truth, so parents
+ * must be in the file itself rather than only in the database
+ * @param {Array<Object>} mappedRows - Mapped rows
+ * @param {Object} existingData - Data from fetchExistingAssets
+ * @param {string} missingAssetAction - One of MISSING_ASSET_ACTIONS
+ * @returns {Object} Result of validateUploadData
+ */
+const validateMappedRows = (mappedRows, existingData, missingAssetAction = 'keep') => {
+  const isFullUpload = missingAssetAction !== 'keep';
+  return validateUploadData(
+    mappedRows,
+    isFullUpload ? new Set() : existingData.existingAssetIds,
+    isFullUpload ? new Map() : existingData.existingParentMap
+  );
+};
+
+/**
+ * Validate the keys of every row of a streamed upload against the company's assets
+ * Same rules as validateMappedRows; required fields are checked batch by batch while streaming
+ * @param {Array<Object>} rowKeys - Result of toRowKeys for every row of the file
+ * @param {Object} existingData - Data from fetchExistingAssets
+ * @param {string} missingAssetAction - One of MISSING_ASSET_ACTIONS
+ * @returns {Array<Object>} Array of validation errors
+ */
+const validateUploadRowKeys = (rowKeys, existingData, missingAssetAction = 'keep') => {
+  const isFullUpload = missingAssetAction !== 'keep';
+  return validateRowKeys(
+    rowKeys,
+    isFullUpload ? new Set() : existingData.existingAssetIds,
+    isFullUpload ? new Map() : existingData.existingParentMap
+  );
+};
+
+/**
+ * Generate user-friendly error messages for system/processing errors
+ * @param {Error} error - The error that occurred
+ * @returns {string} Message for the uploader
+ */
+const generateSystemErrorReport = (error) => {
+  const errorType = error.name || 'UnknownError';
+  const errorMessage = error.message || 'An unexpected error occurred';
+  
+  // Handle specific error types with actionable messages
+  if (errorType === 'SequelizeUniqueConstraintError') {
+    if (errorMessage.includes('PRIMARY')) {
+      return 'Duplicate asset IDs found. Each asset must have a unique ID.';
+    } else if (errorMessage.includes('external_id')) {
+      return 'Duplicate external IDs found. Each asset must have a unique ID within your company.';
+    } else if (errorMessage.includes('cmms_internal_id')) {
+      return 'Duplicate CMMS Internal IDs found. Each asset must have a unique CMMS Internal ID.';
+    } else if (errorMessage.includes('functional_location')) {
+      return 'Duplicate Functional Locations found. Each asset must have a unique Functional Location.';
+    }
+    return 'Duplicate values found. Check that all required fields have unique values.';
+  }
+  
+  if (errorType === 'SequelizeForeignKeyConstraintError') {
+    return 'Invalid parent reference found. Ensure all parent IDs exist in the file or database.';
+  }
+  
+  if (errorMessage.includes('empty') || errorMessage.includes('no valid data')) {
+    return 'File is empty or contains no data rows.';
+  }
+  
+  if (errorMessage.includes('parse') || errorMessage.includes('CSV') || errorMessage.includes('Excel')) {
+    return 'File format error. Check file format, encoding (use UTF-8), and ensure proper column headers.';
+  }
+  
+  if (errorMessage.includes('timeout') || errorMessage.includes('ETIMEDOUT')) {
+    return 'Processing timeout. Try uploading a smaller file or split large files into multiple uploads.';
+  }
+  
+  if (errorMessage.includes('memory') || errorMessage.includes('ENOMEM')) {
+    return 'File too large to process. Split the file into smaller parts (recommended: under 5000 rows per file).';
+  }
+  
+  if (errorMessage.includes('permission') || errorMessage.includes('access')) {
+    return 'Permission denied. Contact your administrator to verify your upload permissions.';
+  }
+  
+  if (errorMessage.includes('Column mappings')) {
+    return errorMessage; // Column mapping errors are already user-friendly
+  }
+  
+  // For unknown errors, provide the basic error message
+  return `Processing error: ${errorMessage.split('\n')[0]}. Contact support if this persists.`;
+};
+
 module.exports = {
   createValidationError,
   validateIdUniqueness,
@@ -354,6 +480,11 @@ module.exports = {
   validateParentReferences,
   detectCyclicDependencies,
   buildAssetDataObjects,
+  toRowKeys,
+  sortValidationErrors,
   validateUploadData,
-  generateErrorReport
+  validateMappedRows,
+  validateUploadRowKeys,
+  generateErrorReport,
+  generateSystemErrorReport
 };
@@ -0,0 +1,197 @@
+/**
+ * Chunked Upload Helper
+ * Stores the parts of resumable asset uploads on disk and reads them back as one stream
+ *
+ * Parts are kept per upload in CHUNK_DIR/<uploadId>/<partNumber>.part. A part is written to a
+ * temporary file first and renamed, so a part interrupted mid-transfer is never seen as received
+ * and can simply be sent again. Single-request uploads are stored the same way as one part, so
+ * queued uploads survive a restart. CHUNK_DIR must be shared by every process that runs the
+ * upload job worker.
+ */
+
+const fs = require('fs');
+const fsp = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+
+const CHUNK_DIR = process.env.ASSET_UPLOAD_CHUNK_DIR || path.join(os.tmpdir(), 'asset-upload-chunks');
+
+const MAX_PART_SIZE = 10 * 1024 * 1024; // 10MB per request
+const MAX_PARTS = 1000;
+const MAX_CHUNKED_FILE_SIZE = 1024 * 1024 * 1024; // 1GB
+
+// Chunked uploads that are not completed within this many hours are rejected
+const CHUNKED_UPLOAD_TTL_HOURS = 24;
+
+const PART_FILE_PATTERN = /^(\d+)\.part$/;
+
+/**
+ * Directory holding the parts of an upload
+ * @param {string} uploadId - File upload ID
+ * @returns {string} Directory path
+ */
+const getUploadDir = (uploadId) => path.join(CHUNK_DIR, uploadId);
+
+/**
+ * Write one part of an upload to a temporary file, without making it visible yet
+ * @param {string} uploadId - File upload ID
+ * @param {number} partNumber - 1-based part number
+ * @param {Buffer} data - Part contents
+ * @returns {Promise<Object>} Staged part { temporary, target }
+ */
+const stageUploadPart = async (uploadId, partNumber, data) => {
+  const dir = getUploadDir(uploadId);
+  await fsp.mkdir(dir, { recursive: true });
+
+  const target = path.join(dir, `${partNumber}.part`);
+  const temporary = `${target}.${process.pid}.${Date.now()}.tmp`;
+  await fsp.writeFile(temporary, data);
+  return { temporary, target };
+};
+
+/**
+ * Make a staged part visible, replacing any earlier copy of the same part
+ * @param {Object} staged - Result of stageUploadPart
+ */
+const commitUploadPart = async ({ temporary, target }) => {
+  await fsp.rename(temporary, target);
+};
+
+/**
+ * Remove a staged part that was not committed (does nothing once it has been)
+ * @param {Object} staged - Result of stageUploadPart
+ */
+const discardUploadPart = async ({ temporary }) => {
+  await fsp.rm(temporary, { force: true });
+};
+
+/**
+ * Store one part of an upload, replacing any earlier copy of the same part
+ * @param {string} uploadId - File upload ID
+ * @param {number} partNumber - 1-based part number
+ * @param {Buffer} data - Part contents
+ */
+const writeUploadPart = async (uploadId, partNumber, data) => {
+  await commitUploadPart(await stageUploadPart(uploadId, partNumber, data));
+};
+
+/**
+ * List the parts received so far
+ * @param {string} uploadId - File upload ID
+ * @returns {Promise<Array<Object>>} [{ partNumber, size }] ordered by part number
+ */
+const listUploadParts = async (uploadId) => {
+  let entries;
+  try {
+    entries = await fsp.readdir(getUploadDir(uploadId));
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  const parts = [];
+  for (const entry of entries) {
+    const match = entry.match(PART_FILE_PATTERN);
+    if (!match) continue;
+    const { size } = await fsp.stat(path.join(getUploadDir(uploadId), entry));
+    parts.push({ partNumber: parseInt(match[1]), size });
+  }
+
+  return parts.sort((a, b) => a.partNumber - b.partNumber);
+};
+
+/**
+ * Summarize which parts of an upload are still missing
+ * @param {Array<Object>} parts - Result of listUploadParts
+ * @param {number} totalParts - Expected number of parts
+ * @returns {Object} { receivedParts, missingParts, receivedBytes }
+ */
+const summarizeUploadParts = (parts, totalParts) => {
+  const received = new Set(parts.map(part => part.partNumber));
+  const missingParts = [];
+  for (let partNumber = 1; partNumber <= totalParts; partNumber++) {
+    if (!received.has(partNumber)) missingParts.push(partNumber);
+  }
+
+  return {
+    receivedParts: parts.map(part => part.partNumber),
+    missingParts,
+    receivedBytes: parts.reduce((sum, part) => sum + part.size, 0)
+  };
+};
+
+/**
+ * Read all parts of an upload, in order, as a single stream
+ * @param {string} uploadId - File upload ID
+ * @param {number} totalParts - Number of parts
+ * @returns {Readable} File stream
+ */
+const createUploadStream = (uploadId, totalParts) => {
+  const dir = getUploadDir(uploadId);
+
+  async function* readParts() {
+    for (let partNumber = 1; partNumber <= totalParts; partNumber++) {
+      for await (const chunk of fs.createReadStream(path.join(dir, `${partNumber}.part`))) {
+        yield chunk;
+      }
+    }
+  }
+
+  return Readable.from(readParts(), { objectMode: false });
+};
+
+/**
+ * Read all parts of an upload into a single buffer
+ * Used for single-request uploads, which are parsed from a buffer (.xls files cannot be streamed)
+ * @param {string} uploadId - File upload ID
+ * @param {number} totalParts - Number of parts
+ * @returns {Promise<Buffer>} File contents
+ */
+const readUploadFile = async (uploadId, totalParts = 1) => {
+  const buffers = [];
+  for (let partNumber = 1; partNumber <= totalParts; partNumber++) {
+    buffers.push(await fsp.readFile(path.join(getUploadDir(uploadId), `${partNumber}.part`)));
+  }
+  return Buffer.concat(buffers);
+};
+
+/**
+ * Delete the stored parts of an upload
+ * @param {string} uploadId - File upload ID
+ */
+const removeUploadParts = async (uploadId) => {
+  try {
+    await fsp.rm(getUploadDir(uploadId), { recursive: true, force: true });
+  } catch (error) {
+    console.error(`Error removing parts of upload ${uploadId}:`, error);
+  }
+};
+
+/**
+ * Check whether a chunked upload is past its completion deadline
+ * @param {Object} fileUpload - File upload record
+ * @param {Date} now - Reference time
+ * @returns {boolean}
+ */
+const isChunkedUploadExpired = (fileUpload, now = new Date()) => {
+  const deadline = new Date(fileUpload.createdAt).getTime() + CHUNKED_UPLOAD_TTL_HOURS * 60 * 60 * 1000;
+  return deadline <= now.getTime();
+};
+
+module.exports = {
+  MAX_PART_SIZE,
+  MAX_PARTS,
+  MAX_CHUNKED_FILE_SIZE,
+  CHUNKED_UPLOAD_TTL_HOURS,
+  stageUploadPart,
+  commitUploadPart,
+  discardUploadPart,
+  writeUploadPart,
+  listUploadParts,
+  summarizeUploadParts,
+  createUploadStream,
+  readUploadFile,
+  removeUploadParts,
+  isChunkedUploadExpired
+};
@@ -0,0 +1,227 @@
+/**
+ * Export Helper
+ * Streams CSV or XLSX downloads; task hazards and risk assessments are flattened to one row per risk
+ */
+
+const { stringify } = require('csv');
+const ExcelJS = require('exceljs');
+const { once } = require('events');
+const { CONTROL_TYPE_LABELS } = require('./riskCatalogueHelper');
+
+const EXPORT_FORMATS = ['csv', 'xlsx'];
+const EXPORT_BATCH_SIZE = 200;
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+// Risk columns shared by task hazard and risk assessment exports
+const RISK_COLUMNS = [
+  { header: 'Risk ID', value: (parent, risk) => risk?.id },
+  { header: 'Risk Description', value: (parent, risk) => risk?.riskDescription },
+  { header: 'Risk Type', value: (parent, risk) => risk?.riskType },
+  { header: 'As-Is Likelihood', value: (parent, risk) => risk?.asIsLikelihood },
+  { header: 'As-Is Consequence', value: (parent, risk) => risk?.asIsConsequence },
+  { header: 'As-Is Score', value: (parent, risk) => risk?.asIsScore },
+  { header: 'As-Is Level', value: (parent, risk) => risk?.asIsLevel },
+  { header: 'Mitigating Action', value: (parent, risk) => risk?.mitigatingAction },
+  { header: 'Mitigating Action Type', value: (parent, risk) => risk?.mitigatingActionType },
+  { header: 'Control Type', value: (parent, risk) => CONTROL_TYPE_LABELS[risk?.controlType] },
+  { header: 'Mitigated Likelihood', value: (parent, risk) => risk?.mitigatedLikelihood },
+  { header: 'Mitigated Consequence', value: (parent, risk) => risk?.mitigatedConsequence },
+  { header: 'Mitigated Score', value: (parent, risk) => risk?.mitigatedScore },
+  { header: 'Mitigated Level', value: (parent, risk) => risk?.mitigatedLevel },
+  { header: 'Requires Supervisor Signature', value: (parent, risk) => risk ? (risk.requiresSupervisorSignature ? 'Yes' : 'No') : null }
+];
+
+/**
+ * Normalize the requested export format
+ * @param {string} format - Requested format (defaults to csv)
+ * @returns {string} Lowercase format
+ * @throws {Error} With statusCode 400 for unsupported formats
+ */
+const resolveExportFormat = (format) => {
+  const resolved = String(format || 'csv').toLowerCase();
+  if (!EXPORT_FORMATS.includes(resolved)) {
+    const error = new Error(`Invalid export format. Supported formats: ${EXPORT_FORMATS.join(', ')}`);
+    error.statusCode = 400;
+    throw error;
+  }
+  return resolved;
+};
+
+/**
+ * Convert a cell value to something both CSV and XLSX can hold
+ * @param {*} value - Raw value
+ * @returns {string|number|Date|null} Cell value
+ */
+const toCell = (value) => {
+  if (value === undefined || value === null) return null;
+  if (value instanceof Date || typeof value === 'number' || typeof value === 'string') return value;
+  if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+  return JSON.stringify(value);
+};
+
+// Leading characters that make spreadsheet applications read a cell as a formula
+const FORMULA_PREFIXES = ['=', '+', '-', '@', '\t', '\r'];
+
+/**
+ * Convert a cell value like toCell, neutralising text a spreadsheet would run as a formula
+ * User-entered text is prefixed with a quote so it opens as text (CSV/formula injection)
+ * @param {*} value - Raw value
+ * @returns {string|number|Date|null} Cell value
+ */
+const toSafeCell = (value) => {
+  const cell = toCell(value);
+  if (typeof cell === 'string' && FORMULA_PREFIXES.includes(cell.charAt(0))) {
+    return `'${cell}`;
+  }
+  return cell;
+};
+
+/**
+ * Undo toSafeCell on a value read back from an exported file
+ * Used by the asset uploader so a re-uploaded asset export still round-trips unchanged
+ * @param {string|null} value - Cell text
+ * @returns {string|null} Cell text without the formula guard
+ */
+const fromSafeCell = (value) => {
+  if (typeof value === 'string' && value.charAt(0) === "'" && FORMULA_PREFIXES.includes(value.charAt(1))) {
+    return value.slice(1);
+  }
+  return value;
+};
+
+/**
+ * Flatten one parent record into rows, one per risk
+ * Records without risks still produce a single row with empty risk columns
+ * @param {Object} parent - Task hazard or risk assessment instance with risks loaded
+ * @param {Array<Object>} columns - [{ header, value(parent, risk) }]
+ * @returns {Array<Array>} Rows of cell values
+ */
+const flattenRows = (parent, columns) => {
+  const risks = parent.risks && parent.risks.length > 0
+    ? [...parent.risks].sort((a, b) => a.id - b.id)
+    : [null];
+  return risks.map(risk => columns.map(column => toSafeCell(column.value(parent, risk))));
+};
+
+/**
+ * Set the content type and attachment headers of a download
+ * @param {Object} res - Express response
+ * @param {string} format - csv or xlsx
+ * @param {string} fileName - Download file name without extension
+ */
+const setDownloadHeaders = (res, format, fileName) => {
+  res.setHeader('Content-Type', CONTENT_TYPES[format]);
+  res.setHeader('Content-Disposition', `attachment; filename="${fileName}.${format}"`);
+};
+
+/**
+ * Create a row writer that streams the export to the response
+ * @param {Object} res - Express response
+ * @param {string} format - csv or xlsx
+ * @param {Array<string>} headers - Column headers
+ * @param {string} sheetName - Worksheet name (xlsx only)
+ * @returns {Object} { writeRow(row), end() }
+ */
+const createRowWriter = (res, format, headers, sheetName) => {
+  if (format === 'xlsx') {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+    const worksheet = workbook.addWorksheet(sheetName);
+    worksheet.columns = headers.map(header => ({ header, width: Math.max(12, header.length + 2) }));
+    worksheet.getRow(1).font = { bold: true };
+
+    return {
+      writeRow: async (row) => {
+        worksheet.addRow(row).commit();
+      },
+      end: async () => {
+        worksheet.commit();
+        await workbook.commit();
+      }
+    };
+  }
+
+  const stringifier = stringify({
+    header: true,
+    columns: headers,
+    cast: { date: value => value.toISOString() }
+  });
+  stringifier.pipe(res);
+
+  return {
+    writeRow: async (row) => {
+      if (!stringifier.write(row)) {
+        await once(stringifier, 'drain');
+      }
+    },
+    end: async () => {
+      stringifier.end();
+      await once(res, 'finish');
+    }
+  };
+};
+
+/**
+ * Stream a risk export to the response
+ * Parent records are read in batches with the caller's where clause and order, so
+ * memory stays bounded by the batch size regardless of the number of records.
+ * @param {Object} res - Express response
+ * @param {Object} options
+ * @param {string} options.format - csv or xlsx
+ * @param {Object} options.model - Sequelize model (unscoped) of the parent records
+ * @param {Object} options.where - Where clause (company scoping and filters)
+ * @param {Array} options.order - Order clause; id is appended as a tie-breaker
+ * @param {Array<Object>} options.include - Includes; must load risks as 'risks'
+ * @param {Array<Object>} options.columns - Parent columns [{ header, value(parent, risk) }]
+ * @param {string} options.fileName - Download file name without extension
+ * @param {string} options.sheetName - Worksheet name (xlsx only)
+ * @returns {Promise<number>} Number of rows written
+ */
+const streamRiskExport = async (res, { format, model, where, order = [], include, columns, fileName, sheetName }) => {
+  const allColumns = [...columns, ...RISK_COLUMNS];
+  setDownloadHeaders(res, format, fileName);
+
+  const writer = createRowWriter(res, format, allColumns.map(column => column.header), sheetName);
+  let rowCount = 0;
+  let offset = 0;
+
+  while (true) {
+    const parents = await model.findAll({
+      where,
+      include,
+      order: [...order, ['id', 'DESC']],
+      limit: EXPORT_BATCH_SIZE,
+      offset
+    });
+    if (parents.length === 0) break;
+
+    for (const parent of parents) {
+      for (const row of flattenRows(parent, allColumns)) {
+        await writer.writeRow(row);
+        rowCount++;
+      }
+    }
+
+    if (parents.length < EXPORT_BATCH_SIZE) break;
+    offset += EXPORT_BATCH_SIZE;
+  }
+
+  await writer.end();
+  return rowCount;
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  RISK_COLUMNS,
+  resolveExportFormat,
+  toCell,
+  toSafeCell,
+  fromSafeCell,
+  flattenRows,
+  setDownloadHeaders,
+  createRowWriter,
+  streamRiskExport
+};
@@ -5,7 +5,10 @@
  */
 
 const csv = require('csv-parse/sync');
+const { parse: parseCSVStream } = require('csv-parse');
 const XLSX = require('xlsx');
+const ExcelJS = require('exceljs');
+const { fromSafeCell } = require('./exportHelper');
 
 /**
  * Supported file types and their MIME types
@@ -18,6 +21,102 @@ const SUPPORTED_TYPES = {
   ]
 };
 
+/**
+ * Upload field names and the asset attributes they populate
+ * Exports use the field names as column headers, so an exported file maps onto itself on re-upload
+ */
+const ASSET_UPLOAD_FIELDS = {
+  id: 'externalId',
+  parent_id: 'parentExternalId',
+  name: 'name',
+  description: 'description',
+  cmms_internal_id: 'cmmsInternalId',
+  functional_location: 'functionalLocation',
+  functional_location_desc: 'functionalLocationDesc',
+  functional_location_long_desc: 'functionalLocationLongDesc',
+  maintenance_plant: 'maintenancePlant',
+  cmms_system: 'cmmsSystem',
+  object_type: 'objectType',
+  system_status: 'systemStatus',
+  make: 'make',
+  manufacturer: 'manufacturer',
+  serial_number: 'serialNumber'
+};
+
+/**
+ * Per-column transforms that mapping profiles can apply to uploaded values
+ * - trim: remove surrounding whitespace
+ * - uppercase / lowercase: change the case of the value
+ * - valueMap: replace values found in step.values (e.g. { "ACTV": "Active" }); others are kept
+ */
+const COLUMN_TRANSFORM_TYPES = ['trim', 'uppercase', 'lowercase', 'valueMap'];
+
+/**
+ * Apply transform steps to a single value, in order
+ * @param {string|null} value - Mapped cell value
+ * @param {Array<Object>} steps - [{ type, values }]
+ * @returns {string|null} Transformed value (null when blank)
+ */
+const applyColumnTransforms = (value, steps = []) => {
+  let result = value;
+  
+  for (const step of steps) {
+    if (result === null || result === undefined) break;
+    
+    if (step.type === 'trim') {
+      result = result.trim();
+    } else if (step.type === 'uppercase') {
+      result = result.toUpperCase();
+    } else if (step.type === 'lowercase') {
+      result = result.toLowerCase();
+    } else if (step.type === 'valueMap' && Object.prototype.hasOwnProperty.call(step.values || {}, result)) {
+      result = step.values[result];
+    }
+  }
+  
+  return result === '' || result === undefined ? null : result;
+};
+
+/**
+ * Validate column transforms
+ * @param {Object} transforms - { systemField: [{ type, values }] }
+ * @returns {Array<string>} Validation errors
+ */
+const validateColumnTransforms = (transforms) => {
+  const errors = [];
+  
+  if (transforms === null || transforms === undefined) return errors;
+  if (typeof transforms !== 'object' || Array.isArray(transforms)) {
+    return ['transforms must be an object keyed by field'];
+  }
+  
+  for (const [systemField, steps] of Object.entries(transforms)) {
+    if (!ASSET_UPLOAD_FIELDS[systemField]) {
+      errors.push(`Unknown field '${systemField}' in transforms`);
+      continue;
+    }
+    if (!Array.isArray(steps)) {
+      errors.push(`Transforms for field '${systemField}' must be an array`);
+      continue;
+    }
+    
+    steps.forEach((step, index) => {
+      if (!step || !COLUMN_TRANSFORM_TYPES.includes(step.type)) {
+        errors.push(`Transform ${index + 1} for field '${systemField}' must have a type of: ${COLUMN_TRANSFORM_TYPES.join(', ')}`);
+      } else if (step.type === 'valueMap') {
+        const values = step.values;
+        const validValues = values && typeof values === 'object' && !Array.isArray(values) &&
+          Object.values(values).every(value => value === null || typeof value === 'string');
+        if (!validValues) {
+          errors.push(`Transform ${index + 1} for field '${systemField}' needs values mapping strings to strings`);
+        }
+      }
+    });
+  }
+  
+  return errors;
+};
+
 /**
  * Detect file type from MIME type and extension
  * @param {string} mimeType - File MIME type
@@ -110,6 +209,105 @@ const parseFileBuffer = (buffer, mimeType, fileName) => {
   return { rows, fileType };
 };
 
+/**
+ * Rows read per batch when streaming a file
+ */
+const STREAM_BATCH_SIZE = 1000;
+
+/**
+ * Convert a streamed Excel cell value to the string the buffer parser would produce
+ * @param {*} value - ExcelJS cell value
+ * @returns {string} Cell text ('' when empty)
+ */
+const excelCellToString = (value) => {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString().slice(0, 10);
+  if (typeof value === 'object') {
+    if (value.richText) return value.richText.map(part => part.text).join('');
+    if (value.text !== undefined) return excelCellToString(value.text);
+    if (value.result !== undefined) return excelCellToString(value.result);
+    if (value.error) return value.error;
+    return '';
+  }
+  return String(value);
+};
+
+/**
+ * Stream rows of the first Excel (.xlsx) sheet as objects keyed by header
+ * @param {Readable} stream - File stream
+ */
+async function* streamExcelRows(stream) {
+  const workbookReader = new ExcelJS.stream.xlsx.WorkbookReader(stream, {
+    sharedStrings: 'cache',
+    styles: 'cache', // Needed to recognise date cells
+    hyperlinks: 'ignore',
+    worksheets: 'emit'
+  });
+
+  for await (const worksheetReader of workbookReader) {
+    let headers = null;
+
+    for await (const row of worksheetReader) {
+      const values = row.values.map(excelCellToString);
+
+      if (!headers) {
+        headers = values;
+        continue;
+      }
+      if (values.every(value => value === '')) continue;
+
+      const record = {};
+      headers.forEach((header, index) => {
+        if (header) record[header] = values[index] ?? '';
+      });
+      yield record;
+    }
+
+    // Only the first sheet is imported, as with parseExcelBuffer
+    break;
+  }
+}
+
+/**
+ * Read a file stream in batches of row objects, so the whole file never sits in memory
+ * Supports CSV and .xlsx (legacy .xls files cannot be streamed)
+ * @param {Readable} stream - File stream
+ * @param {string} fileType - 'csv' or 'excel' (see detectFileType)
+ * @param {number} batchSize - Rows per batch
+ * @returns {AsyncGenerator<Array<Object>>} Batches of row objects with headers as keys
+ */
+async function* readRowBatches(stream, fileType, batchSize = STREAM_BATCH_SIZE) {
+  let rows;
+  if (fileType === 'csv') {
+    rows = parseCSVStream({
+      columns: true,
+      skip_empty_lines: true,
+      trim: true,
+      relax_column_count: true
+    });
+    // pipe() does not forward source errors; without this a failed read would never finish
+    stream.on('error', (error) => rows.destroy(error));
+    stream.pipe(rows);
+  } else if (fileType === 'excel') {
+    rows = streamExcelRows(stream);
+  } else {
+    throw new Error('Unsupported file type. Please upload a CSV (.csv) or Excel (.xlsx) file.');
+  }
+
+  let batch = [];
+  for await (const row of rows) {
+    batch.push(row);
+    if (batch.length >= batchSize) {
+      yield batch;
+      batch = [];
+    }
+  }
+
+  if (batch.length > 0) {
+    yield batch;
+  }
+}
+
 /**
  * Extract column headers from file
  * @param {Buffer} buffer - File buffer
@@ -151,27 +349,34 @@ const extractHeaders = (buffer, mimeType, fileName) => {
  * Frontend sends 'id' and 'parent_id', we convert to 'externalId' and 'parentExternalId'
  * @param {Array<Object>} rows - Parsed rows with original headers
  * @param {Object} columnMappings - Mapping of system fields to file columns (from frontend)
+ * @param {Object} transforms - Optional per-field transforms { systemField: [{ type, values }] }
+ * @param {number} rowOffset - Rows before this batch when the file is mapped in batches
  * @returns {Array<Object>} Rows with system field names as keys
  */
-const applyColumnMappings = (rows, columnMappings) => {
+const applyColumnMappings = (rows, columnMappings, transforms = {}, rowOffset = 0) => {
   if (!columnMappings || Object.keys(columnMappings).length === 0) {
     throw new Error('Column mappings are required');
   }
   
   return rows.map((row, index) => {
-    const mappedRow = { _originalRowIndex: index + 2 }; // +2 for 1-based index + header row
+    const mappedRow = { _originalRowIndex: rowOffset + index + 2 }; // +2 for 1-based index + header row
     
     for (const [systemField, fileColumn] of Object.entries(columnMappings)) {
       if (fileColumn && row.hasOwnProperty(fileColumn)) {
+        const value = applyColumnTransforms(
+          fromSafeCell(row[fileColumn]?.toString())?.trim() || null,
+          transforms?.[systemField]
+        );
+        
         // Map frontend field names to internal field names
         if (systemField === 'id') {
           // User's 'id' becomes our 'externalId'
-          mappedRow.externalId = row[fileColumn]?.toString().trim() || null;
+          mappedRow.externalId = value;
         } else if (systemField === 'parent_id') {
           // User's 'parent_id' becomes our 'parentExternalId'
-          mappedRow.parentExternalId = row[fileColumn]?.toString().trim() || null;
+          mappedRow.parentExternalId = value;
         } else {
-          mappedRow[systemField] = row[fileColumn]?.toString().trim() || null;
+          mappedRow[systemField] = value;
         }
       } else {
         // Set appropriate null values for unmapped fields
@@ -193,10 +398,12 @@ const applyColumnMappings = (rows, columnMappings) => {
  * Validate that required column mappings are present
  * @param {Object} columnMappings - Mapping of system fields to file columns
  * @param {Array<string>} fileHeaders - Headers present in the file
- * @returns {Object} { valid: boolean, errors: Array<string> }
+ * @param {string|null} profileName - Name of the mapping profile the mappings come from
+ * @returns {Object} { valid: boolean, errors: Array<string>, missingColumns: Array<string> }
  */
-const validateColumnMappings = (columnMappings, fileHeaders) => {
+const validateColumnMappings = (columnMappings, fileHeaders, profileName = null) => {
   const errors = [];
+  const missingColumns = [];
   const requiredFields = ['id', 'name'];
   
   // Check required fields are mapped
@@ -210,18 +417,103 @@ const validateColumnMappings = (columnMappings, fileHeaders) => {
   const headerSet = new Set(fileHeaders);
   for (const [systemField, fileColumn] of Object.entries(columnMappings)) {
     if (fileColumn && !headerSet.has(fileColumn)) {
-      errors.push(
-        `Mapped column '${fileColumn}' for field '${systemField}' does not exist in file`
+      missingColumns.push(fileColumn);
+      errors.push(profileName
+        ? `Column '${fileColumn}' for field '${systemField}' in mapping profile '${profileName}' does not exist in file`
+        : `Mapped column '${fileColumn}' for field '${systemField}' does not exist in file`
       );
     }
   }
   
   return {
     valid: errors.length === 0,
-    errors
+    errors,
+    missingColumns
   };
 };
 
+/**
+ * Parse an upload file and apply column mappings (steps 1-4 of processing)
+ * @param {Buffer} fileBuffer - File buffer
+ * @param {string} mimeType - File MIME type
+ * @param {string} fileName - Original file name
+ * @param {Object} mapping - Result of resolveUploadMappings { columnMappings, transforms, profileName }
+ * @returns {Array<Object>} Mapped rows (with externalId and parentExternalId)
+ */
+const prepareMappedRows = (fileBuffer, mimeType, fileName, mapping) => {
+  const { columnMappings, transforms, profileName } = mapping;
+
+  // Step 1: Parse the file (CSV or Excel)
+  const { rows } = parseFileBuffer(fileBuffer, mimeType, fileName);
+  console.log(`Parsed ${rows.length} rows from ${fileName}`);
+
+  if (rows.length === 0) {
+    throw new Error('File is empty or contains no valid data rows.');
+  }
+
+  // Steps 2-3: Validate column mappings against the file headers
+  assertColumnMappings(columnMappings, Object.keys(rows[0]), profileName);
+
+  // Step 4: Apply column mappings to rows (converts 'id' to 'externalId', 'parent_id' to 'parentExternalId')
+  return applyColumnMappings(rows, columnMappings, transforms);
+};
+
+/**
+ * Throw a ValidationError when the column mappings do not fit the file headers
+ * @param {Object} columnMappings - Column mappings
+ * @param {Array<string>} fileHeaders - Headers present in the file
+ * @param {string|null} profileName - Mapping profile the mappings come from
+ */
+const assertColumnMappings = (columnMappings, fileHeaders, profileName) => {
+  const mappingValidation = validateColumnMappings(columnMappings, fileHeaders, profileName);
+  if (!mappingValidation.valid) {
+    const error = new Error(`Column mappings invalid:\n${mappingValidation.errors.join('\n')}`);
+    error.name = 'ValidationError';
+    throw error;
+  }
+};
+
+/**
+ * Stream an upload file and apply column mappings batch by batch (steps 1-4 of processing)
+ * Each batch is handed to the caller before the next one is read, so the whole file never
+ * sits in memory. Callers open a new stream for every pass over the file.
+ * @param {Readable} stream - File stream
+ * @param {string} mimeType - File MIME type
+ * @param {string} fileName - Original file name
+ * @param {Object} mapping - Result of resolveUploadMappings { columnMappings, transforms, profileName }
+ * @returns {AsyncGenerator<Array<Object>>} Batches of mapped rows (with externalId and parentExternalId)
+ */
+async function* readMappedRowBatches(stream, mimeType, fileName, mapping) {
+  const { columnMappings, transforms, profileName } = mapping;
+  let rowsRead = 0;
+
+  for await (const batch of readRowBatches(stream, detectFileType(mimeType, fileName))) {
+    if (rowsRead === 0) {
+      assertColumnMappings(columnMappings, Object.keys(batch[0]), profileName);
+    }
+
+    const mappedBatch = applyColumnMappings(batch, columnMappings, transforms, rowsRead);
+    rowsRead += batch.length;
+    yield mappedBatch;
+  }
+
+  if (rowsRead === 0) {
+    throw new Error('File is empty or contains no valid data rows.');
+  }
+}
+
+/**
+ * Split rows already in memory into batches, for code that processes streamed batches
+ * @param {Array<Object>} rows - Rows
+ * @param {number} batchSize - Rows per batch
+ * @returns {Generator<Array<Object>>} Batches of rows
+ */
+function* splitIntoBatches(rows, batchSize = STREAM_BATCH_SIZE) {
+  for (let i = 0; i < rows.length; i += batchSize) {
+    yield rows.slice(i, i + batchSize);
+  }
+}
+
 /**
  * Check if file type is supported
  * @param {string} mimeType - File MIME type
@@ -238,8 +530,17 @@ module.exports = {
   parseCSVBuffer,
   parseExcelBuffer,
   extractHeaders,
+  readRowBatches,
   applyColumnMappings,
+  applyColumnTransforms,
   validateColumnMappings,
+  prepareMappedRows,
+  readMappedRowBatches,
+  splitIntoBatches,
+  validateColumnTransforms,
   isFileTypeSupported,
-  SUPPORTED_TYPES
+  SUPPORTED_TYPES,
+  STREAM_BATCH_SIZE,
+  ASSET_UPLOAD_FIELDS,
+  COLUMN_TRANSFORM_TYPES
 };
@@ -0,0 +1,159 @@
+/**
+ * Isolation Plan Helper
+ * Validates and tracks the lockout/tagout (LOTO) isolation plans of task hazards
+ *
+ * Each isolation point moves through planned -> applied -> verified -> removed. The status is
+ * derived from the applied/verified/removed timestamps, which are only set by the lock actions.
+ */
+
+const db = require('../models');
+const { Op } = require('sequelize');
+
+const TaskHazardIsolationPoint = db.task_hazard_isolation_points;
+
+const ENERGY_SOURCES = ['electrical', 'mechanical', 'hydraulic', 'pneumatic', 'chemical',
+  'thermal', 'gravitational', 'radiation', 'other'];
+
+// Fields describing an isolation point; editable until its lock is applied
+const ISOLATION_POINT_FIELDS = ['sequence', 'energySource', 'energyMagnitude', 'assetHierarchyId',
+  'isolationMethod', 'description'];
+
+const LOCK_STATUSES = ['planned', 'applied', 'verified', 'removed'];
+
+/**
+ * Derive the lock status of an isolation point
+ * @param {Object} point - task_hazard_isolation_points instance or plain object
+ * @returns {string} One of LOCK_STATUSES
+ */
+const getLockStatus = (point) => {
+  if (point.removedAt) return 'removed';
+  if (point.verifiedAt) return 'verified';
+  if (point.appliedAt) return 'applied';
+  return 'planned';
+};
+
+/**
+ * Validate an isolation point definition
+ * @param {Object} definition - { sequence, energySource, assetHierarchyId, isolationMethod, ... }
+ * @returns {Object} { valid: boolean, errors: Array<string> }
+ */
+const validateIsolationPoint = (definition) => {
+  const errors = [];
+  const { sequence, energySource, assetHierarchyId, isolationMethod } = definition || {};
+
+  if (!ENERGY_SOURCES.includes(energySource)) {
+    errors.push(`energySource must be one of: ${ENERGY_SOURCES.join(', ')}`);
+  }
+  if (!assetHierarchyId) {
+    errors.push('assetHierarchyId is required');
+  }
+  if (!isolationMethod || String(isolationMethod).trim() === '') {
+    errors.push('isolationMethod is required');
+  }
+  if (sequence !== undefined && sequence !== null && (!Number.isInteger(Number(sequence)) || Number(sequence) < 1)) {
+    errors.push('sequence must be a positive integer');
+  }
+
+  return { valid: errors.length === 0, errors };
+};
+
+/**
+ * Make sure a physical lock isn't recorded as applied at another isolation point
+ * @param {number} companyId - Company ID
+ * @param {string} lockNumber - Lock number
+ * @param {number} excludeId - Isolation point the lock is being applied to
+ * @param {Object} transaction - Sequelize transaction (optional)
+ * @throws {Error} 409 error naming the task hazard that holds the lock
+ */
+const assertLockNumberAvailable = async (companyId, lockNumber, excludeId, transaction = null) => {
+  const inUse = await TaskHazardIsolationPoint.findOne({
+    where: {
+      companyId,
+      lockNumber,
+      id: { [Op.ne]: excludeId },
+      appliedAt: { [Op.ne]: null },
+      removedAt: null
+    },
+    attributes: ['id', 'taskHazardId'],
+    transaction
+  });
+
+  if (inUse) {
+    const error = new Error(`Lock ${lockNumber} is already applied on task hazard ${inUse.taskHazardId}`);
+    error.statusCode = 409;
+    throw error;
+  }
+};
+
+/**
+ * Make sure every isolation point of a task hazard has had its lock removed
+ * A task hazard that requires system lockout must also have at least one isolation point,
+ * so an empty plan can't be completed
+ * @param {number} taskHazardId - Task hazard ID
+ * @param {Object} transaction - Sequelize transaction (optional)
+ * @param {boolean} systemLockoutRequired - Whether the task hazard requires system lockout
+ * @throws {Error} 400 error listing the points that are not removed, or when a required plan is empty
+ */
+const assertIsolationPointsRemoved = async (taskHazardId, transaction = null, systemLockoutRequired = false) => {
+  if (systemLockoutRequired) {
+    const total = await TaskHazardIsolationPoint.count({ where: { taskHazardId }, transaction });
+    if (total === 0) {
+      const error = new Error("Task hazard requires system lockout and can't be completed until its isolation plan has points whose locks are removed");
+      error.statusCode = 400;
+      throw error;
+    }
+  }
+
+  const pending = await TaskHazardIsolationPoint.findAll({
+    where: { taskHazardId, removedAt: null },
+    attributes: ['id', 'sequence', 'energySource', 'isolationMethod', 'lockNumber', 'appliedAt', 'verifiedAt', 'removedAt'],
+    order: [['sequence', 'ASC'], ['id', 'ASC']],
+    transaction
+  });
+
+  if (pending.length > 0) {
+    const details = pending.map(point =>
+      `Isolation point ${point.sequence} (${point.energySource}, ${point.isolationMethod}) is ${getLockStatus(point)}`);
+    const error = new Error(`Task hazard can't be completed until all isolation points are removed:\n${details.join('\n')}`);
+    error.statusCode = 400;
+    error.details = details;
+    throw error;
+  }
+};
+
+/**
+ * Summarize an isolation plan
+ * @param {Array<Object>} points - Isolation points
+ * @returns {Object} { total, planned, applied, verified, removed, allRemoved, energySources }
+ */
+const summarizeIsolationPlan = (points) => {
+  const summary = { total: points.length };
+  LOCK_STATUSES.forEach(status => { summary[status] = 0; });
+  points.forEach(point => { summary[getLockStatus(point)]++; });
+
+  summary.allRemoved = summary.removed === summary.total;
+  summary.energySources = ENERGY_SOURCES.filter(source => points.some(point => point.energySource === source));
+  return summary;
+};
+
+/**
+ * Format an isolation point for API responses
+ * @param {Object} point - task_hazard_isolation_points instance
+ * @returns {Object} Plain point with its lock status
+ */
+const formatIsolationPoint = (point) => ({
+  ...point.get({ plain: true }),
+  lockStatus: getLockStatus(point)
+});
+
+module.exports = {
+  ENERGY_SOURCES,
+  ISOLATION_POINT_FIELDS,
+  LOCK_STATUSES,
+  getLockStatus,
+  validateIsolationPoint,
+  assertLockNumberAvailable,
+  assertIsolationPointsRemoved,
+  summarizeIsolationPlan,
+  formatIsolationPoint
+};
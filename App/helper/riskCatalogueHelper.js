@@ -0,0 +1,383 @@
+/**
+ * Risk Catalogue Helper
+ * Links task hazard and risk assessment risks to the company hazard and control catalogue
+ *
+ * A risk can reference a hazard category and a control directly by ID. Otherwise its free-text
+ * riskType and mitigatingAction are matched (case-insensitively) against the names and aliases
+ * of the company's active catalogue entries. Values that match nothing are still accepted, but
+ * the risk is flagged (freeTextHazard / freeTextControl) so they can be reviewed and mapped.
+ */
+
+const db = require('../models');
+const { Op } = require('sequelize');
+
+const HazardCategory = db.hazard_categories;
+const HazardControl = db.hazard_controls;
+
+// Hierarchy of controls, most effective first
+const CONTROL_TYPES = ['elimination', 'substitution', 'engineering', 'administrative', 'ppe'];
+
+const CONTROL_TYPE_LABELS = {
+  elimination: 'Elimination',
+  substitution: 'Substitution',
+  engineering: 'Engineering Controls',
+  administrative: 'Administrative Controls',
+  ppe: 'PPE'
+};
+
+// Free-text mitigating action types seen in existing risks, keyed by normalized text
+const CONTROL_TYPE_ALIASES = {
+  eliminate: 'elimination',
+  substitute: 'substitution',
+  admin: 'administrative',
+  'personal protective equipment': 'ppe'
+};
+
+// Risk tables linked to the catalogue, with the parent table that holds the company
+const CATALOGUE_RISK_TABLES = [
+  { key: 'taskHazards', riskTable: 'task_risks', parentTable: 'task_hazards', parentKey: 'task_hazard_id' },
+  { key: 'riskAssessments', riskTable: 'risk_assessment_risks', parentTable: 'risk_assessments', parentKey: 'risk_assessment_id' }
+];
+
+const MAX_ALIASES = 50;
+
+/**
+ * Normalize free text for catalogue matching
+ * @param {*} value - Free-text value
+ * @returns {string} Lowercased value with whitespace collapsed ('' for empty values)
+ */
+const normalizeCatalogueText = (value) => {
+  if (value === undefined || value === null) return '';
+  return String(value).trim().toLowerCase().replace(/\s+/g, ' ');
+};
+
+/**
+ * Resolve a hierarchy-of-controls type from its key, label or a common variant
+ * @param {*} value - e.g. 'engineering', 'Engineering Controls', 'PPE'
+ * @returns {string|null} One of CONTROL_TYPES or null
+ */
+const resolveControlType = (value) => {
+  const normalized = normalizeCatalogueText(value).replace(/s$/, '');
+  if (!normalized) return null;
+  if (CONTROL_TYPES.includes(normalized)) return normalized;
+
+  const byLabel = CONTROL_TYPES.find(type => normalizeCatalogueText(CONTROL_TYPE_LABELS[type]).replace(/s$/, '') === normalized);
+  return byLabel || CONTROL_TYPE_ALIASES[normalized] || null;
+};
+
+/**
+ * Trim and de-duplicate aliases
+ * @param {Array<string>} aliases - Aliases from the client
+ * @returns {Array<string>} Cleaned aliases
+ */
+const normalizeAliases = (aliases) => {
+  const seen = new Set();
+  return (aliases || [])
+    .map(alias => String(alias).trim())
+    .filter(alias => {
+      const key = normalizeCatalogueText(alias);
+      if (!key || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+};
+
+/**
+ * Validate a hazard category or control submitted by an admin
+ * @param {Object} definition - { name, aliases, controlType, ... }
+ * @param {boolean} isControl - Whether the definition is a control
+ * @returns {Object} { valid: boolean, errors: Array<string> }
+ */
+const validateCatalogueEntry = (definition, isControl) => {
+  const errors = [];
+  const { name, aliases, controlType } = definition || {};
+
+  if (!name || String(name).trim() === '') {
+    errors.push('name is required');
+  }
+
+  if (aliases !== undefined && aliases !== null) {
+    if (!Array.isArray(aliases) || aliases.length > MAX_ALIASES) {
+      errors.push(`aliases must be an array of at most ${MAX_ALIASES} values`);
+    } else if (aliases.some(alias => typeof alias !== 'string' || alias.trim() === '')) {
+      errors.push('aliases must be non-empty strings');
+    }
+  }
+
+  if (isControl && !CONTROL_TYPES.includes(controlType)) {
+    errors.push(`controlType must be one of: ${CONTROL_TYPES.join(', ')}`);
+  }
+
+  return { valid: errors.length === 0, errors };
+};
+
+/**
+ * Make sure a catalogue entry's name and aliases don't collide with another active entry,
+ * which would make free-text matching ambiguous
+ * @param {Object} Model - HazardCategory or HazardControl
+ * @param {number} companyId - Company ID
+ * @param {string} name - Entry name
+ * @param {Array<string>} aliases - Entry aliases
+ * @param {number|null} excludeId - ID of the entry being updated (optional)
+ * @param {Object} transaction - Sequelize transaction (optional)
+ * @throws {Error} 409 error listing the conflicting values
+ */
+const assertUniqueCatalogueText = async (Model, companyId, name, aliases, excludeId = null, transaction = null) => {
+  const where = { companyId, isActive: true };
+  if (excludeId) where.id = { [Op.ne]: excludeId };
+
+  const entries = await Model.findAll({ where, attributes: ['id', 'name', 'aliases'], transaction });
+  const taken = new Map();
+  entries.forEach(entry => {
+    [entry.name, ...(entry.aliases || [])].forEach(text => taken.set(normalizeCatalogueText(text), entry.name));
+  });
+
+  const conflicts = [name, ...(aliases || [])]
+    .filter(text => taken.has(normalizeCatalogueText(text)))
+    .map(text => `'${text}' is already used by '${taken.get(normalizeCatalogueText(text))}'`);
+
+  if (conflicts.length > 0) {
+    const error = new Error(`Catalogue names and aliases must be unique:\n${conflicts.join('\n')}`);
+    error.statusCode = 409;
+    error.details = conflicts;
+    throw error;
+  }
+};
+
+/**
+ * Index catalogue entries by ID and by normalized name/alias
+ * Only active entries are matched from free text; any entry can be referenced by ID
+ * @param {Array<Object>} entries - hazard_categories or hazard_controls instances
+ * @returns {Object} { byId: Map, byText: Map }
+ */
+const buildCatalogueIndex = (entries) => {
+  const byId = new Map();
+  const byText = new Map();
+
+  entries.forEach(entry => {
+    byId.set(entry.id, entry);
+    if (!entry.isActive) return;
+    [entry.name, ...(entry.aliases || [])].forEach(text => {
+      const key = normalizeCatalogueText(text);
+      if (key && !byText.has(key)) byText.set(key, entry);
+    });
+  });
+
+  return { byId, byText };
+};
+
+/**
+ * Load a company's hazard and control catalogue
+ * @param {number} companyId - Company ID
+ * @param {Object} transaction - Sequelize transaction (optional)
+ * @returns {Promise<Object>} { hazards: index, controls: index }
+ */
+const loadRiskCatalogue = async (companyId, transaction = null) => {
+  const [hazards, controls] = await Promise.all([
+    HazardCategory.findAll({ where: { companyId }, transaction }),
+    HazardControl.findAll({ where: { companyId }, transaction })
+  ]);
+
+  return {
+    hazards: buildCatalogueIndex(hazards),
+    controls: buildCatalogueIndex(controls)
+  };
+};
+
+/**
+ * Link risks to catalogue entries
+ *
+ * - hazardCategoryId / hazardControlId sent by the client must exist in the company catalogue
+ * - Without an ID, riskType and mitigatingAction are matched against names and aliases
+ * - A control fills in the mitigating action if it is missing, and always sets the
+ *   mitigating action type to its hierarchy-of-controls label
+ * - A control's hazard category is used when the risk has none, and a category fills in
+ *   the risk type if it is missing
+ * - Unmatched free text is kept and flagged with freeTextHazard / freeTextControl
+ *
+ * @param {Array<Object>} risks - Risks from the client
+ * @param {Object} catalogue - Result of loadRiskCatalogue
+ * @returns {Array<Object>} Risks with hazardCategoryId, hazardControlId, controlType and flags set
+ * @throws {Error} 400 error when a referenced entry doesn't exist
+ */
+const applyCatalogueToRisks = (risks, catalogue) => {
+  if (!Array.isArray(risks)) return risks;
+
+  const errors = [];
+  const linked = risks.map((risk, index) => {
+    let category = null;
+    let control = null;
+
+    if (risk.hazardCategoryId) {
+      category = catalogue.hazards.byId.get(Number(risk.hazardCategoryId)) || null;
+      if (!category) errors.push(`Risk ${index + 1}: hazard category ${risk.hazardCategoryId} not found`);
+    } else {
+      category = catalogue.hazards.byText.get(normalizeCatalogueText(risk.riskType)) || null;
+    }
+
+    if (risk.hazardControlId) {
+      control = catalogue.controls.byId.get(Number(risk.hazardControlId)) || null;
+      if (!control) errors.push(`Risk ${index + 1}: control ${risk.hazardControlId} not found`);
+    } else {
+      control = catalogue.controls.byText.get(normalizeCatalogueText(risk.mitigatingAction)) || null;
+    }
+
+    if (!category && control?.hazardCategoryId) {
+      category = catalogue.hazards.byId.get(control.hazardCategoryId) || null;
+    }
+
+    const riskType = risk.riskType || category?.name;
+    const mitigatingAction = risk.mitigatingAction || control?.name;
+    const controlType = control ? control.controlType : resolveControlType(risk.mitigatingActionType);
+
+    return {
+      ...risk,
+      riskType,
+      mitigatingAction,
+      mitigatingActionType: control ? CONTROL_TYPE_LABELS[control.controlType] : risk.mitigatingActionType,
+      hazardCategoryId: category ? category.id : null,
+      hazardControlId: control ? control.id : null,
+      controlType,
+      freeTextHazard: !category && normalizeCatalogueText(riskType) !== '',
+      freeTextControl: !control && normalizeCatalogueText(mitigatingAction) !== ''
+    };
+  });
+
+  if (errors.length > 0) {
+    const error = new Error(`Invalid catalogue references:\n${errors.join('\n')}`);
+    error.statusCode = 400;
+    error.details = errors;
+    throw error;
+  }
+
+  return linked;
+};
+
+/**
+ * List the distinct free-text values that matched no catalogue entry, most used first
+ * @param {number} companyId - Company ID
+ * @param {string} kind - 'hazard' (risk types) or 'control' (mitigating actions)
+ * @param {number} limit - Maximum number of values
+ * @returns {Promise<Array<Object>>} [{ value, taskHazards, riskAssessments, total }]
+ */
+const findUnmatchedValues = async (companyId, kind, limit = 100) => {
+  const column = kind === 'control' ? 'mitigating_action' : 'risk_type';
+  const flag = kind === 'control' ? 'free_text_control' : 'free_text_hazard';
+  const values = new Map();
+
+  for (const { key, riskTable, parentTable, parentKey } of CATALOGUE_RISK_TABLES) {
+    const rows = await db.sequelize.query(`
+      SELECT r.${column} AS value, COUNT(*) AS count
+      FROM ${riskTable} r
+      INNER JOIN ${parentTable} p ON p.id = r.${parentKey}
+      WHERE p.company_id = :companyId
+        AND p.deleted_at IS NULL
+        AND r.deleted_at IS NULL
+        AND r.${flag} = true
+      GROUP BY r.${column}
+    `, { replacements: { companyId }, type: db.Sequelize.QueryTypes.SELECT });
+
+    rows.forEach(row => {
+      const normalized = normalizeCatalogueText(row.value);
+      const entry = values.get(normalized) || { value: row.value, taskHazards: 0, riskAssessments: 0, total: 0 };
+      entry[key] += Number(row.count);
+      entry.total += Number(row.count);
+      values.set(normalized, entry);
+    });
+  }
+
+  return [...values.values()]
+    .sort((a, b) => b.total - a.total || String(a.value).localeCompare(String(b.value)))
+    .slice(0, limit);
+};
+
+/**
+ * Count risks per hazard category, control and control type for reporting
+ * @param {number} companyId - Company ID
+ * @returns {Promise<Object>} { hazardCategories, controls, controlTypes, freeText }
+ */
+const summarizeCatalogueUsage = async (companyId) => {
+  const hazardCounts = new Map();
+  const controlCounts = new Map();
+  const controlTypeCounts = new Map(CONTROL_TYPES.map(type => [type, 0]));
+  const freeText = { hazards: 0, controls: 0, unknownControlType: 0 };
+
+  const addCount = (counts, id, count) => counts.set(id, (counts.get(id) || 0) + count);
+
+  for (const { riskTable, parentTable, parentKey } of CATALOGUE_RISK_TABLES) {
+    const rows = await db.sequelize.query(`
+      SELECT r.hazard_category_id AS hazardCategoryId, r.hazard_control_id AS hazardControlId,
+        r.control_type AS controlType, COUNT(*) AS count
+      FROM ${riskTable} r
+      INNER JOIN ${parentTable} p ON p.id = r.${parentKey}
+      WHERE p.company_id = :companyId
+        AND p.deleted_at IS NULL
+        AND r.deleted_at IS NULL
+      GROUP BY r.hazard_category_id, r.hazard_control_id, r.control_type
+    `, { replacements: { companyId }, type: db.Sequelize.QueryTypes.SELECT });
+
+    rows.forEach(row => {
+      const count = Number(row.count);
+      if (row.hazardCategoryId) addCount(hazardCounts, row.hazardCategoryId, count);
+      else freeText.hazards += count;
+      if (row.hazardControlId) addCount(controlCounts, row.hazardControlId, count);
+      else freeText.controls += count;
+      if (row.controlType) addCount(controlTypeCounts, row.controlType, count);
+      else freeText.unknownControlType += count;
+    });
+  }
+
+  const [categories, controls] = await Promise.all([
+    HazardCategory.findAll({ where: { companyId }, attributes: ['id', 'name'], paranoid: false }),
+    HazardControl.findAll({ where: { companyId }, attributes: ['id', 'name', 'controlType'], paranoid: false })
+  ]);
+
+  return {
+    hazardCategories: categories
+      .filter(category => hazardCounts.has(category.id))
+      .map(category => ({ id: category.id, name: category.name, count: hazardCounts.get(category.id) }))
+      .sort((a, b) => b.count - a.count),
+    controls: controls
+      .filter(control => controlCounts.has(control.id))
+      .map(control => ({
+        id: control.id,
+        name: control.name,
+        controlType: control.controlType,
+        count: controlCounts.get(control.id)
+      }))
+      .sort((a, b) => b.count - a.count),
+    controlTypes: CONTROL_TYPES.map(type => ({
+      controlType: type,
+      label: CONTROL_TYPE_LABELS[type],
+      count: controlTypeCounts.get(type)
+    })),
+    freeText
+  };
+};
+
+/**
+ * Format a catalogue control for API responses
+ * @param {Object} control - hazard_controls instance
+ * @returns {Object} Plain control with its control type label
+ */
+const formatControl = (control) => ({
+  ...control.get({ plain: true }),
+  controlTypeLabel: CONTROL_TYPE_LABELS[control.controlType]
+});
+
+module.exports = {
+  CONTROL_TYPES,
+  CONTROL_TYPE_LABELS,
+  CATALOGUE_RISK_TABLES,
+  normalizeCatalogueText,
+  resolveControlType,
+  normalizeAliases,
+  validateCatalogueEntry,
+  assertUniqueCatalogueText,
+  buildCatalogueIndex,
+  loadRiskCatalogue,
+  applyCatalogueToRisks,
+  findUnmatchedValues,
+  summarizeCatalogueUsage,
+  formatControl
+};
@@ -0,0 +1,531 @@
+/**
+ * Risk Matrix Helper
+ * Resolves, validates and applies company-scoped risk matrices
+ */
+
+const db = require('../models');
+const { Op } = require('sequelize');
+
+const CompanyRiskMatrix = db.company_risk_matrices;
+
+/**
+ * Supported matrix types (matches the company_risk_matrices.mat_type enum)
+ */
+const MAT_TYPES = ['personel', 'maintainance', 'revenue', 'process', 'environmental'];
+
+/**
+ * Map of normalized risk type names to matrix types
+ * Risk rows store a free-text riskType ('Personnel', 'Maintenance', ...)
+ */
+const RISK_TYPE_TO_MAT_TYPE = {
+  personel: 'personel',
+  personnel: 'personel',
+  maintainance: 'maintainance',
+  maintenance: 'maintainance',
+  revenue: 'revenue',
+  process: 'process',
+  environmental: 'environmental',
+  environment: 'environmental'
+};
+
+const DEFAULT_MAT_TYPE = 'personel';
+
+const DEFAULT_LIKELIHOODS = [
+  { value: 1, label: 'Very Unlikely', description: '' },
+  { value: 2, label: 'Slight Chance', description: '' },
+  { value: 3, label: 'Feasible', description: '' },
+  { value: 4, label: 'Likely', description: '' },
+  { value: 5, label: 'Very Likely', description: '' }
+];
+
+const DEFAULT_CONSEQUENCES = [
+  { value: 1, label: 'Minor', description: '' },
+  { value: 2, label: 'Significant', description: '' },
+  { value: 3, label: 'Serious', description: '' },
+  { value: 4, label: 'Major', description: '' },
+  { value: 5, label: 'Catastrophic', description: '' }
+];
+
+const BAND_COLORS = ['#22c55e', '#eab308', '#f97316', '#ef4444'];
+const BAND_NAMES = ['Low', 'Medium', 'High', 'Extreme'];
+
+/**
+ * Build four evenly split score bands (Low/Medium/High/Extreme) up to maxScore
+ * @param {number} maxScore - Highest score in the matrix
+ * @returns {Array<Object>} Bands ordered from lowest to highest
+ */
+const buildDefaultBands = (maxScore) => {
+  // 5x5 matrix keeps the familiar 1-4 / 5-9 / 10-16 / 17-25 split
+  if (maxScore === 25) {
+    return [
+      { name: 'Low', minScore: 1, maxScore: 4, color: BAND_COLORS[0] },
+      { name: 'Medium', minScore: 5, maxScore: 9, color: BAND_COLORS[1] },
+      { name: 'High', minScore: 10, maxScore: 16, color: BAND_COLORS[2] },
+      { name: 'Extreme', minScore: 17, maxScore: 25, color: BAND_COLORS[3] }
+    ];
+  }
+
+  const step = Math.max(1, Math.ceil(maxScore / BAND_NAMES.length));
+  const bands = [];
+  let min = 1;
+  BAND_NAMES.forEach((name, index) => {
+    if (min > maxScore) return;
+    const max = index === BAND_NAMES.length - 1 ? maxScore : Math.min(maxScore, min + step - 1);
+    bands.push({ name, minScore: min, maxScore: max, color: BAND_COLORS[index] });
+    min = max + 1;
+  });
+  return bands;
+};
+
+/**
+ * Build cells where score = likelihood x consequence, coloured by band
+ * @param {number} likelihoodLevels - Number of likelihood rows
+ * @param {number} consequenceLevels - Number of consequence columns
+ * @param {Array<Object>} bands - Score bands used for colouring
+ * @returns {Array<Array<Object>>} cells[likelihood - 1][consequence - 1]
+ */
+const buildDefaultCells = (likelihoodLevels, consequenceLevels, bands) => {
+  const cells = [];
+  for (let l = 1; l <= likelihoodLevels; l++) {
+    const row = [];
+    for (let c = 1; c <= consequenceLevels; c++) {
+      const score = l * c;
+      const band = bands.find(b => score >= b.minScore && score <= b.maxScore);
+      row.push({ score, color: band ? band.color : '#ffffff' });
+    }
+    cells.push(row);
+  }
+  return cells;
+};
+
+/**
+ * Default 5x5 matrix definition used when a company has not configured one
+ * @returns {Object} Matrix definition
+ */
+const buildDefaultMatrixDefinition = () => {
+  const bands = buildDefaultBands(25);
+  return {
+    likelihoodLevels: DEFAULT_LIKELIHOODS.length,
+    consequenceLevels: DEFAULT_CONSEQUENCES.length,
+    likelihoods: DEFAULT_LIKELIHOODS.map(l => ({ ...l })),
+    consequences: DEFAULT_CONSEQUENCES.map(c => ({ ...c })),
+    cells: buildDefaultCells(DEFAULT_LIKELIHOODS.length, DEFAULT_CONSEQUENCES.length, bands),
+    bands
+  };
+};
+
+/**
+ * Resolve the matrix type for a risk's free-text riskType
+ * @param {string} riskType - Risk type from the risk row
+ * @returns {string} One of MAT_TYPES
+ */
+const resolveMatType = (riskType) => {
+  if (!riskType) return DEFAULT_MAT_TYPE;
+  const normalized = String(riskType).trim().toLowerCase();
+  return RISK_TYPE_TO_MAT_TYPE[normalized] || DEFAULT_MAT_TYPE;
+};
+
+/**
+ * Validate a matrix definition submitted by an admin
+ * @param {Object} definition - { likelihoods, consequences, cells, bands }
+ * @returns {Object} { valid: boolean, errors: Array<string> }
+ */
+const validateMatrixDefinition = (definition) => {
+  const errors = [];
+  const { likelihoods, consequences, cells, bands } = definition || {};
+
+  if (!Array.isArray(likelihoods) || likelihoods.length < 2 || likelihoods.length > 10) {
+    errors.push('likelihoods must be an array of 2 to 10 levels');
+  }
+  if (!Array.isArray(consequences) || consequences.length < 2 || consequences.length > 10) {
+    errors.push('consequences must be an array of 2 to 10 levels');
+  }
+  if (errors.length > 0) {
+    return { valid: false, errors };
+  }
+
+  likelihoods.forEach((level, index) => {
+    if (!level || !level.label || String(level.label).trim() === '') {
+      errors.push(`likelihoods[${index}] is missing a label`);
+    }
+  });
+  consequences.forEach((level, index) => {
+    if (!level || !level.label || String(level.label).trim() === '') {
+      errors.push(`consequences[${index}] is missing a label`);
+    }
+  });
+
+  if (cells !== undefined) {
+    if (!Array.isArray(cells) || cells.length !== likelihoods.length) {
+      errors.push(`cells must have ${likelihoods.length} rows (one per likelihood level)`);
+    } else {
+      cells.forEach((row, l) => {
+        if (!Array.isArray(row) || row.length !== consequences.length) {
+          errors.push(`cells[${l}] must have ${consequences.length} columns (one per consequence level)`);
+          return;
+        }
+        row.forEach((cell, c) => {
+          if (!cell || isNaN(parseInt(cell.score))) {
+            errors.push(`cells[${l}][${c}] must have a numeric score`);
+          }
+        });
+      });
+    }
+  }
+
+  if (bands !== undefined) {
+    if (!Array.isArray(bands) || bands.length === 0) {
+      errors.push('bands must be a non-empty array');
+    } else {
+      let previousMax = null;
+      bands.forEach((band, index) => {
+        if (!band || !band.name) {
+          errors.push(`bands[${index}] is missing a name`);
+        }
+        const min = parseInt(band?.minScore);
+        const max = parseInt(band?.maxScore);
+        if (isNaN(min) || isNaN(max) || min > max) {
+          errors.push(`bands[${index}] must have a minScore less than or equal to maxScore`);
+          return;
+        }
+        if (previousMax !== null && min <= previousMax) {
+          errors.push(`bands[${index}] overlaps the previous band`);
+        }
+        previousMax = max;
+      });
+    }
+  }
+
+  if (definition?.signatureThreshold !== undefined && definition.signatureThreshold !== null) {
+    const threshold = parseInt(definition.signatureThreshold);
+    if (isNaN(threshold) || threshold < 0) {
+      errors.push('signatureThreshold must be a non-negative integer');
+    }
+  }
+
+  // Every cell score must land in a band so each risk gets a level
+  if (errors.length === 0 && Array.isArray(cells) && Array.isArray(bands)) {
+    const uncovered = new Set();
+    cells.flat().forEach(cell => {
+      const score = parseInt(cell.score);
+      const covered = bands.some(band => score >= parseInt(band.minScore) && score <= parseInt(band.maxScore));
+      if (!covered) uncovered.add(score);
+    });
+    if (uncovered.size > 0) {
+      errors.push(`bands do not cover cell score(s): ${[...uncovered].sort((a, b) => a - b).join(', ')}`);
+    }
+  }
+
+  return { valid: errors.length === 0, errors };
+};
+
+/**
+ * Normalize an admin-submitted definition into the stored shape
+ * Missing cells/bands fall back to likelihood x consequence scoring
+ * @param {Object} definition - Validated matrix definition
+ * @returns {Object} Normalized definition
+ */
+const normalizeMatrixDefinition = (definition) => {
+  const likelihoods = definition.likelihoods.map((level, index) => ({
+    value: index + 1,
+    label: String(level.label).trim(),
+    description: level.description ? String(level.description).trim() : ''
+  }));
+  const consequences = definition.consequences.map((level, index) => ({
+    value: index + 1,
+    label: String(level.label).trim(),
+    description: level.description ? String(level.description).trim() : ''
+  }));
+
+  const maxScore = definition.cells
+    ? Math.max(...definition.cells.flat().map(cell => parseInt(cell.score)))
+    : likelihoods.length * consequences.length;
+
+  const bands = definition.bands
+    ? definition.bands.map(band => ({
+      name: String(band.name).trim(),
+      minScore: parseInt(band.minScore),
+      maxScore: parseInt(band.maxScore),
+      color: band.color || null
+    }))
+    : buildDefaultBands(maxScore);
+
+  const cells = definition.cells
+    ? definition.cells.map(row => row.map(cell => ({
+      score: parseInt(cell.score),
+      color: cell.color || null
+    })))
+    : buildDefaultCells(likelihoods.length, consequences.length, bands);
+
+  const signatureThreshold = definition.signatureThreshold !== undefined && definition.signatureThreshold !== null
+    ? parseInt(definition.signatureThreshold)
+    : null;
+
+  return {
+    likelihoodLevels: likelihoods.length,
+    consequenceLevels: consequences.length,
+    likelihoods,
+    consequences,
+    cells,
+    bands,
+    signatureThreshold
+  };
+};
+
+/**
+ * Get the active matrix for a company and type
+ * Seeds version 1 from the default definition if the company has none yet
+ * @param {number} companyId - Company ID
+ * @param {string} matType - One of MAT_TYPES
+ * @param {Object} transaction - Sequelize transaction (optional)
+ * @returns {Promise<Object>} company_risk_matrices instance
+ */
+const getActiveMatrix = async (companyId, matType, transaction = null) => {
+  const activeMatrix = await CompanyRiskMatrix.findOne({
+    where: { companyId, matType, isActive: true },
+    order: [['version', 'DESC']],
+    transaction
+  });
+
+  if (activeMatrix) {
+    return activeMatrix;
+  }
+
+  const [matrix] = await CompanyRiskMatrix.findOrCreate({
+    where: { companyId, matType, version: 1 },
+    defaults: {
+      ...buildDefaultMatrixDefinition(),
+      isActive: true
+    },
+    transaction
+  });
+
+  return matrix;
+};
+
+/**
+ * Load the active matrices needed to score a list of raw risks
+ * @param {number} companyId - Company ID
+ * @param {Array<Object>} risks - Raw risks from the request body
+ * @param {Object} transaction - Sequelize transaction (optional)
+ * @returns {Promise<Map<string, Object>>} Map of matType -> matrix instance
+ */
+const loadMatricesForRisks = async (companyId, risks, transaction = null) => {
+  const matTypes = new Set((risks || []).map(risk => resolveMatType(risk.riskType)));
+  const matrices = new Map();
+
+  for (const matType of matTypes) {
+    matrices.set(matType, await getActiveMatrix(companyId, matType, transaction));
+  }
+
+  return matrices;
+};
+
+/**
+ * Find the matrix level value for a label (case-insensitive)
+ * @param {*} value - Label or numeric value from the client
+ * @param {Array<Object>} levels - Matrix likelihoods or consequences
+ * @returns {number|null} Matching level value or null
+ */
+const findLevelValue = (value, levels) => {
+  if (!levels || value === undefined || value === null || typeof value !== 'string') {
+    return null;
+  }
+  const normalized = value.trim().toLowerCase();
+  const level = levels.find(l => String(l.label).toLowerCase() === normalized);
+  return level ? level.value : null;
+};
+
+/**
+ * Score a processed risk against its matrix
+ * @param {Object} risk - Risk with integer likelihood/consequence values
+ * @param {Object} matrix - company_risk_matrices instance
+ * @returns {Object} { asIsScore, asIsLevel, mitigatedScore, mitigatedLevel }
+ */
+const scoreRisk = (risk, matrix) => {
+  const asIsScore = matrix?.getCell(risk.asIsLikelihood, risk.asIsConsequence)?.score ?? null;
+  const mitigatedScore = matrix?.getCell(risk.mitigatedLikelihood, risk.mitigatedConsequence)?.score ?? null;
+
+  return {
+    asIsScore,
+    asIsLevel: matrix?.getBand(asIsScore)?.name || null,
+    mitigatedScore,
+    mitigatedLevel: matrix?.getBand(mitigatedScore)?.name || null
+  };
+};
+
+/**
+ * Check whether a scored risk needs a supervisor signature under the company policy
+ * @param {Object} scoredRisk - Risk with mitigatedScore
+ * @param {Object} matrix - company_risk_matrices instance
+ * @returns {boolean} True when the residual score is above the matrix threshold
+ */
+const requiresSignatureForRisk = (scoredRisk, matrix) => {
+  const threshold = matrix?.getSignatureThreshold();
+  if (threshold === null || threshold === undefined) return false;
+  if (scoredRisk.mitigatedScore === null || scoredRisk.mitigatedScore === undefined) return false;
+  return scoredRisk.mitigatedScore > threshold;
+};
+
+/**
+ * Work out the status to save when a task hazard or risk assessment is edited
+ * While any risk requires a supervisor signature, edits go back to Pending for re-approval,
+ * and the record can only be completed once its current approval is approved.
+ * @param {string} requestedStatus - Status sent by the client
+ * @param {boolean} requiresSignature - Whether any scored risk requires a supervisor signature
+ * @param {Object|null} currentApproval - Latest supervisor_approvals instance, if any
+ * @returns {string} Status to save
+ */
+const resolveSignatureStatus = (requestedStatus, requiresSignature, currentApproval) => {
+  if (!requiresSignature) return requestedStatus;
+
+  const approved = Boolean(currentApproval) && !currentApproval.isInvalidated && currentApproval.status === 'approved';
+  return requestedStatus === 'Completed' && approved ? 'Completed' : 'Pending';
+};
+
+/**
+ * Find the highest residual (mitigated) risk across scored risks
+ * @param {Array<Object>} scoredRisks - Risks with mitigatedScore/mitigatedLevel
+ * @returns {Object} { maxResidualScore, maxResidualLevel }
+ */
+const summarizeResidualRisk = (scoredRisks) => {
+  let highest = null;
+  for (const risk of scoredRisks || []) {
+    if (risk.mitigatedScore === null || risk.mitigatedScore === undefined) continue;
+    if (!highest || risk.mitigatedScore > highest.mitigatedScore) {
+      highest = risk;
+    }
+  }
+
+  return {
+    maxResidualScore: highest ? highest.mitigatedScore : null,
+    maxResidualLevel: highest ? highest.mitigatedLevel : null
+  };
+};
+
+/**
+ * Build where conditions and ordering for residual risk list filters
+ * Expects query values normalized by the validateResidualRiskFilters middleware
+ * @param {Object} query - { minResidualScore, maxResidualScore, residualLevels, sortBy, sortOrder }
+ * @returns {Object} { where, order }
+ */
+const buildResidualRiskQuery = (query = {}) => {
+  const where = {};
+
+  if (query.minResidualScore !== undefined || query.maxResidualScore !== undefined) {
+    where.maxResidualScore = {};
+    if (query.minResidualScore !== undefined) where.maxResidualScore[Op.gte] = query.minResidualScore;
+    if (query.maxResidualScore !== undefined) where.maxResidualScore[Op.lte] = query.maxResidualScore;
+  }
+
+  if (query.residualLevels && query.residualLevels.length > 0) {
+    where.maxResidualLevel = { [Op.in]: query.residualLevels };
+  }
+
+  const direction = query.sortOrder === 'asc' ? 'ASC' : 'DESC';
+  const order = query.sortBy === 'residualRisk'
+    ? [['maxResidualScore', direction], ['createdAt', 'DESC']]
+    : [['createdAt', direction]];
+
+  return { where, order };
+};
+
+/**
+ * Ensure processed risks fit their matrices
+ * Values must be within the matrix dimensions and the mitigated score may not exceed the as-is score
+ * @param {Array<Object>} processedRisks - Risks with integer likelihood/consequence values and scores
+ * @param {Map<string, Object>} matrices - Map of matType -> matrix instance
+ * @throws {Error} With statusCode 400 and details when any risk is invalid
+ */
+const assertRisksWithinMatrices = (processedRisks, matrices) => {
+  const errors = [];
+
+  processedRisks.forEach((risk, index) => {
+    const matrix = matrices.get(resolveMatType(risk.riskType));
+    if (!matrix) return;
+
+    const checks = [
+      ['asIsLikelihood', matrix.likelihoodLevels],
+      ['asIsConsequence', matrix.consequenceLevels],
+      ['mitigatedLikelihood', matrix.likelihoodLevels],
+      ['mitigatedConsequence', matrix.consequenceLevels]
+    ];
+
+    let inRange = true;
+    for (const [field, max] of checks) {
+      const value = risk[field];
+      if (!Number.isInteger(value) || value < 1 || value > max) {
+        errors.push(`Risk ${index + 1}: ${field} must be between 1 and ${max} for the ${matrix.matType} matrix`);
+        inRange = false;
+      }
+    }
+
+    if (inRange && risk.mitigatedScore > risk.asIsScore) {
+      errors.push(`Risk ${index + 1}: mitigated score (${risk.mitigatedScore}) cannot be higher than the as-is score (${risk.asIsScore})`);
+    }
+  });
+
+  if (errors.length > 0) {
+    const error = new Error(`Invalid risk values:\n${errors.join('\n')}`);
+    error.statusCode = 400;
+    error.details = errors;
+    throw error;
+  }
+};
+
+/**
+ * Summarize the matrix versions used to score an entity
+ * @param {Map<string, Object>} matrices - Map of matType -> matrix instance
+ * @returns {Object} { [matType]: version }
+ */
+const summarizeMatrixVersions = (matrices) => {
+  const versions = {};
+  for (const [matType, matrix] of matrices) {
+    versions[matType] = matrix.version;
+  }
+  return versions;
+};
+
+/**
+ * Format a matrix for API responses
+ * @param {Object} matrix - company_risk_matrices instance
+ * @returns {Object} Plain matrix object
+ */
+const formatMatrix = (matrix) => ({
+  id: matrix.id,
+  companyId: matrix.companyId,
+  matType: matrix.matType,
+  version: matrix.version,
+  isActive: matrix.isActive,
+  likelihoodLevels: matrix.likelihoodLevels,
+  consequenceLevels: matrix.consequenceLevels,
+  likelihoods: matrix.likelihoods,
+  consequences: matrix.consequences,
+  cells: matrix.cells,
+  bands: matrix.bands,
+  signatureThreshold: matrix.getSignatureThreshold(),
+  createdBy: matrix.createdBy,
+  createdAt: matrix.createdAt
+});
+
+module.exports = {
+  MAT_TYPES,
+  DEFAULT_MAT_TYPE,
+  buildDefaultBands,
+  buildDefaultCells,
+  buildDefaultMatrixDefinition,
+  resolveMatType,
+  validateMatrixDefinition,
+  normalizeMatrixDefinition,
+  getActiveMatrix,
+  loadMatricesForRisks,
+  findLevelValue,
+  scoreRisk,
+  requiresSignatureForRisk,
+  resolveSignatureStatus,
+  summarizeResidualRisk,
+  buildResidualRiskQuery,
+  assertRisksWithinMatrices,
+  summarizeMatrixVersions,
+  formatMatrix
+};
@@ -0,0 +1,369 @@
+/**
+ * Task Hazard PDF Helper
+ * Renders a printable job hazard analysis (JHA) locally with pdfkit
+ */
+
+const PDFDocument = require('pdfkit');
+const QRCode = require('qrcode');
+
+const PAGE_MARGIN = 40;
+const DEFAULT_BRAND_COLOR = '#1f2937';
+const BORDER_COLOR = '#d1d5db';
+const MUTED_COLOR = '#6b7280';
+
+/**
+ * Pick black or white text for a background colour
+ * @param {string} hex - Background colour (#RRGGBB)
+ * @returns {string} '#000000' or '#ffffff'
+ */
+const textColorFor = (hex) => {
+  const match = /^#?([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(hex || '');
+  if (!match) return '#000000';
+  const [r, g, b] = match.slice(1).map(value => parseInt(value, 16));
+  return (0.299 * r + 0.587 * g + 0.114 * b) > 150 ? '#000000' : '#ffffff';
+};
+
+/**
+ * Decode a base64 image data URL
+ * @param {string} dataUrl - data:image/...;base64,...
+ * @returns {Buffer|null} Image bytes or null
+ */
+const decodeDataUrl = (dataUrl) => {
+  const match = /^data:image\/[a-z+]+;base64,(.+)$/i.exec(dataUrl || '');
+  return match ? Buffer.from(match[1], 'base64') : null;
+};
+
+const formatDateTime = (value) => {
+  if (!value) return '';
+  const date = new Date(value);
+  return isNaN(date) ? String(value) : date.toISOString().replace('T', ' ').slice(0, 16) + ' UTC';
+};
+
+const yesNo = (value) => (value === true || value === 'Yes' ? 'Yes' : value === false || value === 'No' ? 'No' : (value || ''));
+
+const userLabel = (user) => (user ? (user.name ? `${user.name} (${user.email})` : user.email) : '');
+
+/**
+ * Start a new page when the next block does not fit
+ */
+const ensureSpace = (doc, height) => {
+  if (doc.y + height > doc.page.height - doc.page.margins.bottom) {
+    doc.addPage();
+  }
+};
+
+const drawSectionTitle = (doc, title, brandColor) => {
+  ensureSpace(doc, 40);
+  doc.moveDown(0.8);
+  doc.font('Helvetica-Bold').fontSize(12).fillColor(brandColor).text(title, PAGE_MARGIN);
+  const y = doc.y + 2;
+  doc.moveTo(PAGE_MARGIN, y).lineTo(doc.page.width - PAGE_MARGIN, y).lineWidth(1).strokeColor(brandColor).stroke();
+  doc.moveDown(0.5);
+  doc.fillColor('#000000');
+};
+
+/**
+ * Draw a table with wrapped cells, repeating the header on new pages
+ * @param {Object} doc - PDFDocument
+ * @param {Array<Object>} columns - [{ header, width }] widths sum to the content width
+ * @param {Array<Array<Object|string>>} rows - Cells as strings or { text, fill }
+ * @param {string} headerColor - Header background colour
+ */
+const drawTable = (doc, columns, rows, headerColor) => {
+  const padding = 4;
+  const fontSize = 8;
+
+  const measure = (cells, font) => {
+    doc.font(font).fontSize(fontSize);
+    return Math.max(...cells.map((cell, index) => doc.heightOfString(
+      typeof cell === 'object' && cell !== null ? String(cell.text ?? '') : String(cell ?? ''),
+      { width: columns[index].width - padding * 2 }
+    ))) + padding * 2;
+  };
+
+  const drawRow = (cells, font, defaultFill) => {
+    const height = measure(cells, font);
+    let x = PAGE_MARGIN;
+    const y = doc.y;
+
+    cells.forEach((cell, index) => {
+      const width = columns[index].width;
+      const text = typeof cell === 'object' && cell !== null ? String(cell.text ?? '') : String(cell ?? '');
+      const fill = (typeof cell === 'object' && cell !== null && cell.fill) || defaultFill;
+
+      if (fill) {
+        doc.rect(x, y, width, height).fill(fill);
+      }
+      doc.rect(x, y, width, height).lineWidth(0.5).strokeColor(BORDER_COLOR).stroke();
+      doc.font(font).fontSize(fontSize).fillColor(fill ? textColorFor(fill) : '#000000')
+        .text(text, x + padding, y + padding, { width: width - padding * 2 });
+      x += width;
+    });
+
+    doc.x = PAGE_MARGIN;
+    doc.y = y + height;
+    doc.fillColor('#000000');
+  };
+
+  const headers = columns.map(column => column.header);
+  ensureSpace(doc, measure(headers, 'Helvetica-Bold') + 20);
+  drawRow(headers, 'Helvetica-Bold', headerColor);
+
+  for (const row of rows) {
+    const height = measure(row, 'Helvetica');
+    if (doc.y + height > doc.page.height - doc.page.margins.bottom) {
+      doc.addPage();
+      drawRow(headers, 'Helvetica-Bold', headerColor);
+    }
+    drawRow(row, 'Helvetica', null);
+  }
+};
+
+/**
+ * Draw label/value pairs in two columns
+ */
+const drawDetails = (doc, pairs) => {
+  const labelWidth = 110;
+  const valueWidth = doc.page.width - PAGE_MARGIN * 2 - labelWidth;
+
+  for (const [label, value] of pairs) {
+    const text = String(value ?? '') || '-';
+    doc.font('Helvetica').fontSize(9);
+    const height = Math.max(doc.heightOfString(text, { width: valueWidth }), 12);
+    ensureSpace(doc, height + 4);
+
+    const y = doc.y;
+    doc.font('Helvetica-Bold').fontSize(9).fillColor(MUTED_COLOR).text(label, PAGE_MARGIN, y, { width: labelWidth });
+    doc.font('Helvetica').fontSize(9).fillColor('#000000').text(text, PAGE_MARGIN + labelWidth, y, { width: valueWidth });
+    doc.y = y + height + 4;
+  }
+  doc.x = PAGE_MARGIN;
+};
+
+/**
+ * Draw the header band with company branding and the QR code
+ */
+const drawHeader = (doc, { company, taskHazard, brandColor, qrImage }) => {
+  const width = doc.page.width;
+  const bandHeight = 90;
+
+  doc.rect(0, 0, width, bandHeight).fill(brandColor);
+
+  let textX = PAGE_MARGIN;
+  const logo = decodeDataUrl(company?.logo);
+  if (logo) {
+    try {
+      doc.image(logo, PAGE_MARGIN, 15, { fit: [60, 60] });
+      textX += 70;
+    } catch (error) {
+      console.warn('Task hazard PDF: company logo could not be rendered:', error.message);
+    }
+  }
+
+  const headerText = textColorFor(brandColor);
+  doc.fillColor(headerText).font('Helvetica-Bold').fontSize(16)
+    .text(company?.name || '', textX, 20, { width: width - textX - 130 });
+  doc.font('Helvetica').fontSize(11)
+    .text('Job Hazard Analysis', textX, doc.y + 2, { width: width - textX - 130 });
+  doc.fontSize(9)
+    .text(`Task Hazard #${taskHazard.id}  |  Status: ${taskHazard.status || ''}`, textX, doc.y + 2, { width: width - textX - 130 });
+
+  // QR code on a white tile so it scans on dark brand colours
+  const qrSize = 76;
+  const qrX = width - PAGE_MARGIN - qrSize;
+  doc.rect(qrX - 3, 7, qrSize + 6, qrSize + 6).fill('#ffffff');
+  doc.image(qrImage, qrX, 10, { width: qrSize, height: qrSize });
+
+  doc.fillColor('#000000');
+  doc.x = PAGE_MARGIN;
+  doc.y = bandHeight + 15;
+};
+
+/**
+ * Number every page and stamp the generation time
+ */
+const drawFooters = (doc, { recordUrl, generatedAt }) => {
+  const range = doc.bufferedPageRange();
+  for (let index = range.start; index < range.start + range.count; index++) {
+    doc.switchToPage(index);
+    const bottom = doc.page.margins.bottom;
+    doc.page.margins.bottom = 0;
+    doc.font('Helvetica').fontSize(7).fillColor(MUTED_COLOR).text(
+      `Generated ${formatDateTime(generatedAt)}  |  ${recordUrl}  |  Page ${index + 1} of ${range.count}`,
+      PAGE_MARGIN,
+      doc.page.height - 25,
+      { width: doc.page.width - PAGE_MARGIN * 2, align: 'center', lineBreak: false }
+    );
+    doc.page.margins.bottom = bottom;
+  }
+};
+
+/**
+ * Render a task hazard as a PDF
+ * @param {Object} params
+ * @param {Object} params.taskHazard - Plain task hazard with supervisor, individuals, risks and assetName
+ * @param {Object} params.company - { name, brandColor, logo }
+ * @param {Map<number, Object>} params.matrices - company_risk_matrices by ID, used to colour risk levels
+ * @param {Array<Object>} params.approvals - supervisor_approvals with steps, seal and users (newest first)
+ * @param {string} params.recordUrl - Link back to the record, encoded in the QR code
+ * @returns {Promise<Buffer>} PDF bytes
+ */
+const generateTaskHazardPdf = async ({ taskHazard, company, matrices = new Map(), approvals = [], recordUrl }) => {
+  const brandColor = company?.brandColor || DEFAULT_BRAND_COLOR;
+  const generatedAt = new Date();
+  const qrImage = await QRCode.toBuffer(recordUrl, { margin: 1, width: 200 });
+
+  const doc = new PDFDocument({
+    size: 'A4',
+    margins: { top: PAGE_MARGIN, bottom: PAGE_MARGIN + 10, left: PAGE_MARGIN, right: PAGE_MARGIN },
+    bufferPages: true,
+    info: {
+      Title: `Job Hazard Analysis #${taskHazard.id}`,
+      Author: company?.name || '',
+      Subject: taskHazard.scopeOfWork || ''
+    }
+  });
+
+  const chunks = [];
+  const done = new Promise((resolve, reject) => {
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+  });
+
+  const contentWidth = doc.page.width - PAGE_MARGIN * 2;
+
+  drawHeader(doc, { company, taskHazard, brandColor, qrImage });
+
+  // Task details
+  drawSectionTitle(doc, 'Task Details', brandColor);
+  drawDetails(doc, [
+    ['Date / Time', [taskHazard.date, taskHazard.time].filter(Boolean).join(' ')],
+    ['Scope of Work', taskHazard.scopeOfWork],
+    ['Asset', taskHazard.assetName],
+    ['Location', taskHazard.location],
+    ['Supervisor', userLabel(taskHazard.supervisor)],
+    ['Individuals', (taskHazard.individuals || []).map(userLabel).join(', ')],
+    ['System Lockout Required', yesNo(taskHazard.systemLockoutRequired)],
+    ['Trained Workforce', yesNo(taskHazard.trainedWorkforce)],
+    ['Geo-fence Limit', taskHazard.geofenceLimit ? `${taskHazard.geofenceLimit} m` : ''],
+    ['Highest Residual Risk', taskHazard.maxResidualLevel
+      ? `${taskHazard.maxResidualLevel} (${taskHazard.maxResidualScore})`
+      : '']
+  ]);
+
+  // Risk table coloured by the company matrix the risk was scored with
+  drawSectionTitle(doc, 'Risks and Controls', brandColor);
+  const levelCell = (risk, score, level) => {
+    const matrix = risk.riskMatrixId ? matrices.get(risk.riskMatrixId) : null;
+    const band = matrix && score !== null && score !== undefined ? matrix.getBand(score) : null;
+    const text = [level, score !== null && score !== undefined ? `(${score})` : ''].filter(Boolean).join(' ');
+    return { text: text || '-', fill: band?.color || null };
+  };
+
+  const risks = taskHazard.risks || [];
+  if (risks.length === 0) {
+    doc.font('Helvetica').fontSize(9).fillColor(MUTED_COLOR).text('No risks recorded.').fillColor('#000000');
+  } else {
+    const unit = contentWidth / 100;
+    drawTable(doc, [
+      { header: '#', width: unit * 4 },
+      { header: 'Hazard / Risk', width: unit * 22 },
+      { header: 'Type', width: unit * 10 },
+      { header: 'As-is L / C', width: unit * 12 },
+      { header: 'As-is Risk', width: unit * 10 },
+      { header: 'Mitigating Action', width: unit * 20 },
+      { header: 'Residual L / C', width: unit * 12 },
+      { header: 'Residual Risk', width: unit * 10 }
+    ], risks.map((risk, index) => [
+      String(index + 1),
+      risk.riskDescription + (risk.requiresSupervisorSignature ? '\n[Supervisor signature required]' : ''),
+      risk.riskType,
+      `${risk.asIsLikelihood || '-'} / ${risk.asIsConsequence || '-'}`,
+      levelCell(risk, risk.asIsScore, risk.asIsLevel),
+      [risk.mitigatingAction, risk.mitigatingActionType ? `(${risk.mitigatingActionType})` : ''].filter(Boolean).join(' '),
+      `${risk.mitigatedLikelihood || '-'} / ${risk.mitigatedConsequence || '-'}`,
+      levelCell(risk, risk.mitigatedScore, risk.mitigatedLevel)
+    ]), brandColor);
+  }
+
+  // Signatures of the current approval
+  const [currentApproval] = approvals.filter(approval => !approval.isInvalidated);
+  drawSectionTitle(doc, 'Approval Signatures', brandColor);
+  if (!currentApproval) {
+    doc.font('Helvetica').fontSize(9).fillColor(MUTED_COLOR).text('No supervisor approval required.').fillColor('#000000');
+  } else {
+    const steps = [...(currentApproval.steps || [])].sort((a, b) => a.stepOrder - b.stepOrder);
+    const signatureRows = steps.length > 0
+      ? steps.map(step => [
+        step.name,
+        userLabel(step.approver),
+        step.status,
+        step.processedBy && step.onBehalfOf
+          ? `${userLabel(step.processedBy)} on behalf of ${userLabel(step.onBehalfOf)}`
+          : userLabel(step.processedBy),
+        formatDateTime(step.processedAt)
+      ])
+      : [[
+        'Supervisor',
+        userLabel(currentApproval.supervisor),
+        currentApproval.status,
+        userLabel(currentApproval.processedBy),
+        formatDateTime(currentApproval.processedAt)
+      ]];
+
+    const unit = contentWidth / 100;
+    drawTable(doc, [
+      { header: 'Step', width: unit * 18 },
+      { header: 'Approver', width: unit * 27 },
+      { header: 'Status', width: unit * 11 },
+      { header: 'Signed By', width: unit * 27 },
+      { header: 'Signed At', width: unit * 17 }
+    ], signatureRows, brandColor);
+
+    if (currentApproval.seal) {
+      doc.moveDown(0.4);
+      doc.font('Helvetica').fontSize(7).fillColor(MUTED_COLOR)
+        .text(`Seal #${currentApproval.seal.sequence} (${currentApproval.seal.algorithm}): ${currentApproval.seal.hash}`, PAGE_MARGIN)
+        .fillColor('#000000');
+    }
+  }
+
+  // Approval history, including invalidated approvals
+  if (approvals.length > 0) {
+    drawSectionTitle(doc, 'Approval History', brandColor);
+    const unit = contentWidth / 100;
+    drawTable(doc, [
+      { header: 'Requested', width: unit * 16 },
+      { header: 'Approver', width: unit * 22 },
+      { header: 'Status', width: unit * 12 },
+      { header: 'Processed', width: unit * 16 },
+      { header: 'Comments', width: unit * 34 }
+    ], approvals.map(approval => [
+      formatDateTime(approval.createdAt),
+      userLabel(approval.supervisor),
+      approval.isInvalidated ? `${approval.status} (superseded)` : approval.status,
+      formatDateTime(approval.processedAt),
+      [approval.comments, approval.invalidationReason].filter(Boolean).join('\n')
+    ]), brandColor);
+  }
+
+  // Worksite sign-on for the crew on the printed copy
+  drawSectionTitle(doc, 'Worker Sign-on', brandColor);
+  const crew = (taskHazard.individuals || []).length > 0 ? taskHazard.individuals : [null, null, null];
+  const unit = contentWidth / 100;
+  drawTable(doc, [
+    { header: 'Name', width: unit * 40 },
+    { header: 'Signature', width: unit * 40 },
+    { header: 'Date / Time', width: unit * 20 }
+  ], crew.map(individual => [individual ? userLabel(individual) : '\n', '', '']), brandColor);
+
+  drawFooters(doc, { recordUrl, generatedAt });
+  doc.end();
+
+  return done;
+};
+
+module.exports = {
+  generateTaskHazardPdf
+};
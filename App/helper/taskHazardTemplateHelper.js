@@ -0,0 +1,388 @@
+/**
+ * Task Hazard Template Helper
+ * Validates, versions and applies company task hazard templates
+ *
+ * A template's content is versioned: editing the scope of work, flags or risks creates a new
+ * version, while name, description, targeting and isActive are edited in place. Task hazards
+ * created from a template keep the ID of the version they were created from.
+ */
+
+const db = require('../models');
+const { Op } = require('sequelize');
+const { resolveMatType, loadMatricesForRisks, findLevelValue } = require('./riskMatrixHelper');
+const { getAssetAncestors } = require('./assetTreeHelper');
+
+const TaskHazardTemplate = db.task_hazard_templates;
+const TaskHazardTemplateVersion = db.task_hazard_template_versions;
+const AssetHierarchy = db.asset_hierarchy;
+
+// Fields stored on template versions; changing any of them creates a new version
+const TEMPLATE_CONTENT_FIELDS = ['scopeOfWork', 'systemLockoutRequired', 'trainedWorkforce', 'risks'];
+
+// Fields stored on the template itself
+const TEMPLATE_METADATA_FIELDS = ['name', 'description', 'objectType', 'assetHierarchyId', 'isActive'];
+
+const RISK_TEXT_FIELDS = ['riskDescription', 'riskType', 'mitigatingAction', 'mitigatingActionType'];
+const RISK_LIKELIHOOD_FIELDS = ['asIsLikelihood', 'mitigatedLikelihood'];
+const RISK_CONSEQUENCE_FIELDS = ['asIsConsequence', 'mitigatedConsequence'];
+
+/**
+ * Resolve a likelihood or consequence to its matrix level value
+ * @param {*} value - Label or numeric value
+ * @param {Array<Object>} levels - Matrix likelihoods or consequences
+ * @returns {number|null} Level value or null if it is not on the matrix
+ */
+const resolveLevel = (value, levels) => {
+  const labelValue = findLevelValue(value, levels);
+  if (labelValue !== null) return labelValue;
+
+  const numeric = Number(value);
+  if (value === null || value === '' || !Number.isInteger(numeric)) return null;
+  return numeric >= 1 && numeric <= levels.length ? numeric : null;
+};
+
+/**
+ * Validate template risks against the company's active matrices
+ * @param {Array<Object>} risks - Raw template risks
+ * @param {Map<string, Object>} matrices - Map of matType -> matrix instance
+ * @returns {Array<string>} Errors
+ */
+const validateTemplateRisks = (risks, matrices) => {
+  const errors = [];
+
+  risks.forEach((risk, index) => {
+    if (!risk || typeof risk !== 'object') {
+      errors.push(`risks[${index}] must be an object`);
+      return;
+    }
+    RISK_TEXT_FIELDS.forEach(field => {
+      if (!risk[field] || String(risk[field]).trim() === '') {
+        errors.push(`risks[${index}].${field} is required`);
+      }
+    });
+
+    const matrix = matrices.get(resolveMatType(risk.riskType));
+    RISK_LIKELIHOOD_FIELDS.forEach(field => {
+      if (resolveLevel(risk[field], matrix.likelihoods) === null) {
+        errors.push(`risks[${index}].${field} is not a likelihood on the ${matrix.matType} matrix`);
+      }
+    });
+    RISK_CONSEQUENCE_FIELDS.forEach(field => {
+      if (resolveLevel(risk[field], matrix.consequences) === null) {
+        errors.push(`risks[${index}].${field} is not a consequence on the ${matrix.matType} matrix`);
+      }
+    });
+  });
+
+  return errors;
+};
+
+/**
+ * Normalize validated template risks into the stored shape
+ * @param {Array<Object>} risks - Validated template risks
+ * @param {Map<string, Object>} matrices - Map of matType -> matrix instance
+ * @returns {Array<Object>} Risks with likelihood/consequence as level values
+ */
+const normalizeTemplateRisks = (risks, matrices) => risks.map(risk => {
+  const matrix = matrices.get(resolveMatType(risk.riskType));
+  const normalized = {};
+  RISK_TEXT_FIELDS.forEach(field => { normalized[field] = String(risk[field]).trim(); });
+  RISK_LIKELIHOOD_FIELDS.forEach(field => { normalized[field] = resolveLevel(risk[field], matrix.likelihoods); });
+  RISK_CONSEQUENCE_FIELDS.forEach(field => { normalized[field] = resolveLevel(risk[field], matrix.consequences); });
+  return normalized;
+});
+
+/**
+ * Validate a template submitted by a user
+ * @param {Object} definition - Template metadata and content
+ * @param {number} companyId - Company the template belongs to
+ * @returns {Promise<Object>} { valid, errors, risks } (risks normalized when valid)
+ */
+const validateTemplateDefinition = async (definition, companyId) => {
+  const errors = [];
+  const { name, scopeOfWork, risks, objectType, assetHierarchyId } = definition || {};
+
+  if (!name || String(name).trim() === '') {
+    errors.push('name is required');
+  } else if (String(name).trim().length > 255) {
+    errors.push('name must be at most 255 characters');
+  }
+  if (!scopeOfWork || String(scopeOfWork).trim() === '') {
+    errors.push('scopeOfWork is required');
+  }
+  if (objectType !== undefined && objectType !== null && (typeof objectType !== 'string' || objectType.length > 255)) {
+    errors.push('objectType must be a string of at most 255 characters (or null for any type)');
+  }
+  ['systemLockoutRequired', 'trainedWorkforce', 'isActive'].forEach(field => {
+    if (definition?.[field] !== undefined && typeof definition[field] !== 'boolean') {
+      errors.push(`${field} must be a boolean`);
+    }
+  });
+
+  if (assetHierarchyId) {
+    const asset = await AssetHierarchy.findOne({ where: { id: assetHierarchyId, companyId }, attributes: ['id'] });
+    if (!asset) {
+      errors.push('assetHierarchyId does not match an asset in this company');
+    }
+  }
+
+  if (!Array.isArray(risks) || risks.length === 0) {
+    errors.push('risks must be a non-empty array');
+    return { valid: false, errors, risks: null };
+  }
+
+  const matrices = await loadMatricesForRisks(companyId, risks);
+  errors.push(...validateTemplateRisks(risks, matrices));
+
+  return {
+    valid: errors.length === 0,
+    errors,
+    risks: errors.length === 0 ? normalizeTemplateRisks(risks, matrices) : null
+  };
+};
+
+/**
+ * Build the stored template metadata from a validated definition
+ * @param {Object} definition - Validated definition
+ * @returns {Object} Template attributes
+ */
+const buildTemplateMetadata = (definition) => ({
+  name: String(definition.name).trim(),
+  description: definition.description ? String(definition.description).trim() : null,
+  objectType: definition.objectType ? definition.objectType.trim() : null,
+  assetHierarchyId: definition.assetHierarchyId || null
+});
+
+/**
+ * Build the stored version content from a validated definition
+ * @param {Object} definition - Validated definition
+ * @param {Array<Object>} risks - Normalized risks
+ * @returns {Object} Version attributes
+ */
+const buildTemplateContent = (definition, risks) => ({
+  scopeOfWork: String(definition.scopeOfWork).trim(),
+  systemLockoutRequired: Boolean(definition.systemLockoutRequired),
+  trainedWorkforce: Boolean(definition.trainedWorkforce),
+  risks
+});
+
+/**
+ * Create a template with its first version
+ * @param {number} companyId - Company ID
+ * @param {Object} definition - Validated definition
+ * @param {Array<Object>} risks - Normalized risks
+ * @param {number} userId - ID of the creating user
+ * @returns {Promise<number>} Template ID
+ */
+const createTemplate = async (companyId, definition, risks, userId) => {
+  return db.sequelize.transaction(async (transaction) => {
+    const template = await TaskHazardTemplate.create({
+      companyId,
+      ...buildTemplateMetadata(definition),
+      currentVersion: 1,
+      isActive: definition.isActive !== undefined ? definition.isActive : true,
+      createdBy: userId
+    }, { transaction });
+
+    await TaskHazardTemplateVersion.create({
+      templateId: template.id,
+      version: 1,
+      ...buildTemplateContent(definition, risks),
+      changeNote: definition.changeNote || null,
+      createdBy: userId
+    }, { transaction });
+
+    return template.id;
+  });
+};
+
+/**
+ * Update a template, creating a new version when its content changes
+ * @param {Object} template - task_hazard_templates instance
+ * @param {Object} definition - Validated definition (current values merged with the changes)
+ * @param {Array<Object>} risks - Normalized risks
+ * @param {Object} changes - Raw request body, used to tell which fields were sent
+ * @param {number} userId - ID of the updating user
+ * @returns {Promise<boolean>} True if a new version was created
+ */
+const updateTemplate = async (template, definition, risks, changes, userId) => {
+  return db.sequelize.transaction(async (transaction) => {
+    // Lock the template so concurrent edits cannot create the same version twice
+    const locked = await TaskHazardTemplate.findByPk(template.id, { lock: transaction.LOCK.UPDATE, transaction });
+    const current = await TaskHazardTemplateVersion.findOne({
+      where: { templateId: locked.id, version: locked.currentVersion },
+      transaction
+    });
+
+    const content = buildTemplateContent(definition, risks);
+    const contentChanged = !current || TEMPLATE_CONTENT_FIELDS
+      .filter(field => changes[field] !== undefined)
+      .some(field => JSON.stringify(content[field]) !== JSON.stringify(current[field]));
+
+    let nextVersion = locked.currentVersion;
+    if (contentChanged) {
+      nextVersion = locked.currentVersion + 1;
+      await TaskHazardTemplateVersion.create({
+        templateId: locked.id,
+        version: nextVersion,
+        ...content,
+        changeNote: changes.changeNote || null,
+        createdBy: userId
+      }, { transaction });
+    }
+
+    await locked.update({
+      ...buildTemplateMetadata(definition),
+      isActive: definition.isActive !== undefined ? definition.isActive : locked.isActive,
+      currentVersion: nextVersion
+    }, { transaction });
+
+    return contentChanged;
+  });
+};
+
+/**
+ * Find a version of a company template
+ * @param {number} companyId - Company ID
+ * @param {number} templateId - Template ID
+ * @param {number|null} version - Version number, or null for the current version
+ * @returns {Promise<Object|null>} { template, version } or null if either is not found
+ */
+const findTemplateVersion = async (companyId, templateId, version = null) => {
+  const template = await TaskHazardTemplate.findOne({ where: { id: templateId, companyId } });
+  if (!template) return null;
+
+  const templateVersion = await TaskHazardTemplateVersion.findOne({
+    where: { templateId: template.id, version: version ?? template.currentVersion }
+  });
+  if (!templateVersion) return null;
+
+  return { template, version: templateVersion };
+};
+
+/**
+ * Build the where condition for the active templates that apply to an asset
+ * A template applies when its object type (if any) is the asset's and its subtree (if any)
+ * contains the asset.
+ * @param {Object} asset - Asset with id, companyId, parent and objectType
+ * @returns {Promise<Object>} Where conditions
+ */
+const buildApplicableTemplatesWhere = async (asset) => {
+  const ancestors = await getAssetAncestors(asset);
+  const subtreeRoots = [asset.id, ...ancestors.map(ancestor => ancestor.id)];
+
+  return {
+    companyId: asset.companyId,
+    isActive: true,
+    [Op.and]: [
+      { [Op.or]: [{ objectType: null }, ...(asset.objectType ? [{ objectType: asset.objectType }] : [])] },
+      { [Op.or]: [{ assetHierarchyId: null }, { assetHierarchyId: { [Op.in]: subtreeRoots } }] }
+    ]
+  };
+};
+
+/**
+ * Check that a template can be used to create a task hazard for an asset
+ * Uses the same conditions as the list of templates that apply to an asset, so only active
+ * templates whose object type and subtree (if any) match the asset can be used.
+ * @param {Object} template - task_hazard_templates instance
+ * @param {string|null} assetId - Asset of the task hazard (assetSystem)
+ * @returns {Promise<string|null>} Why the template can't be used, or null when it can
+ */
+const checkTemplateApplies = async (template, assetId) => {
+  if (!template.isActive) {
+    return "Task hazard template is inactive";
+  }
+  if (!template.objectType && !template.assetHierarchyId) {
+    return null;
+  }
+
+  const asset = assetId
+    ? await AssetHierarchy.findOne({
+      where: { id: assetId, companyId: template.companyId },
+      attributes: ['id', 'companyId', 'parent', 'objectType']
+    })
+    : null;
+  if (!asset) {
+    return "This task hazard template is limited to specific assets; assetSystem must be one of them";
+  }
+
+  const applies = await TaskHazardTemplate.count({
+    where: { ...(await buildApplicableTemplatesWhere(asset)), id: template.id }
+  });
+  return applies > 0 ? null : "Task hazard template does not apply to the selected asset";
+};
+
+/**
+ * Fill a task hazard request body from a template version
+ * Values sent in the body take precedence over the template's.
+ * @param {Object} version - task_hazard_template_versions instance
+ * @param {Object} body - Request body
+ * @returns {Object} Task hazard request body
+ */
+const applyTemplateToTaskHazard = (version, body) => ({
+  ...body,
+  scopeOfWork: body.scopeOfWork || version.scopeOfWork,
+  systemLockoutRequired: body.systemLockoutRequired ?? version.systemLockoutRequired,
+  trainedWorkforce: body.trainedWorkforce ?? version.trainedWorkforce,
+  risks: Array.isArray(body.risks) && body.risks.length > 0
+    ? body.risks
+    : version.risks.map(risk => ({ ...risk }))
+});
+
+/**
+ * Format a template version for API responses
+ * @param {Object} version - task_hazard_template_versions instance
+ * @returns {Object} Plain version object
+ */
+const formatTemplateVersion = (version) => ({
+  id: version.id,
+  version: version.version,
+  scopeOfWork: version.scopeOfWork,
+  systemLockoutRequired: version.systemLockoutRequired,
+  trainedWorkforce: version.trainedWorkforce,
+  risks: version.risks,
+  changeNote: version.changeNote,
+  createdBy: version.createdBy,
+  createdAt: version.createdAt
+});
+
+/**
+ * Format a template for API responses
+ * @param {Object} template - task_hazard_templates instance
+ * @param {Object|null} version - Version to include as the template content (optional)
+ * @returns {Object} Plain template object
+ */
+const formatTemplate = (template, version = null) => ({
+  id: template.id,
+  companyId: template.companyId,
+  name: template.name,
+  description: template.description,
+  objectType: template.objectType,
+  assetHierarchyId: template.assetHierarchyId,
+  asset: template.asset ? {
+    id: template.asset.id,
+    externalId: template.asset.externalId,
+    name: template.asset.name
+  } : null,
+  currentVersion: template.currentVersion,
+  isActive: template.isActive,
+  createdBy: template.createdBy,
+  createdAt: template.createdAt,
+  updatedAt: template.updatedAt,
+  ...(version ? { content: formatTemplateVersion(version) } : {})
+});
+
+module.exports = {
+  TEMPLATE_CONTENT_FIELDS,
+  TEMPLATE_METADATA_FIELDS,
+  validateTemplateDefinition,
+  createTemplate,
+  updateTemplate,
+  findTemplateVersion,
+  buildApplicableTemplatesWhere,
+  checkTemplateApplies,
+  applyTemplateToTaskHazard,
+  formatTemplateVersion,
+  formatTemplate
+};
@@ -145,4 +145,26 @@ exports.isValidDate = (dateString) => {
 exports.isValidTime = (timeString) => {
   const timeRegex = /^([01]?[0-9]|2[0-3]):[0-5][0-9]?(:[0-5][0-9])?$/;
   return timeRegex.test(timeString)
-};
\ No newline at end of file
+};
+
+/**
+ * Validate hex colour format (#RRGGBB)
+ * @param {string} color - Colour string to validate
+ * @returns {boolean} True if valid hex colour
+ */
+exports.isValidHexColor = (color) => {
+  return typeof color === 'string' && /^#[0-9a-fA-F]{6}$/.test(color);
+};
+
+/**
+ * Validate a PNG or JPEG image data URL within a size limit
+ * @param {string} dataUrl - data:image/png;base64,... or data:image/jpeg;base64,...
+ * @param {number} maxBytes - Maximum decoded image size
+ * @returns {boolean} True if valid image data URL
+ */
+exports.isValidImageDataUrl = (dataUrl, maxBytes = 512 * 1024) => {
+  if (typeof dataUrl !== 'string') return false;
+  const match = /^data:image\/(png|jpe?g);base64,([A-Za-z0-9+/=]+)$/.exec(dataUrl);
+  if (!match) return false;
+  return Buffer.from(match[2], 'base64').length <= maxBytes;
+};
@@ -0,0 +1,197 @@
+/**
+ * Approval SLA Scheduler
+ * Periodically reminds approvers before a pending approval breaches its company SLA
+ * and escalates breached approvals to the approver's own supervisor.
+ *
+ * Every server process runs the scheduler (PM2 cluster mode). Each reminder and
+ * escalation is claimed with a conditional update, so only one process sends it.
+ *
+ * Environment:
+ * - APPROVAL_SLA_SCHEDULER_ENABLED: 'false' disables the scheduler (default enabled)
+ * - APPROVAL_SLA_INTERVAL_MINUTES: minutes between checks (default 15)
+ */
+
+const db = require('../models');
+const { createNotificationWithEmail } = require('../controllers/notificationController');
+const { getSlaStatus, findPendingApprovals } = require('../helper/approvalSlaHelper');
+
+const ApprovalSlaPolicy = db.approval_sla_policies;
+const SupervisorApproval = db.supervisor_approvals;
+const User = db.user;
+
+const DEFAULT_INTERVAL_MINUTES = 15;
+
+let timer = null;
+let running = false;
+
+const describeApproval = (approval) => {
+  const entityName = approval.approvableType === 'task_hazards' ? 'task hazard' : 'risk assessment';
+  const scope = approval.approvableSnapshot?.scopeOfWork;
+  return scope ? `${entityName} "${scope}"` : `${entityName} #${approval.approvableId}`;
+};
+
+/**
+ * Claim an SLA action for an approval and send its notifications
+ * The claim and the notifications share a transaction, so a failed send is retried on the next run
+ * @param {Object} approval - supervisor_approvals instance
+ * @param {string} claimField - 'slaReminderSentAt' or 'slaEscalatedAt'
+ * @param {Object} values - Values to set with the claim
+ * @param {Function} notify - async (transaction) => void
+ * @returns {Promise<boolean>} True when this process claimed and sent the action
+ */
+const claimAndNotify = async (approval, claimField, values, notify) => {
+  return db.sequelize.transaction(async (transaction) => {
+    const [claimed] = await SupervisorApproval.update(values, {
+      where: {
+        id: approval.id,
+        status: 'pending',
+        isInvalidated: false,
+        currentStep: approval.currentStep,
+        [claimField]: null
+      },
+      transaction
+    });
+
+    if (claimed !== 1) {
+      return false;
+    }
+
+    await notify(transaction);
+    return true;
+  });
+};
+
+/**
+ * Remind the current approver that an approval is about to breach its SLA
+ */
+const sendReminder = async (approval, sla, now) => {
+  return claimAndNotify(approval, 'slaReminderSentAt', { slaReminderSentAt: now }, async (transaction) => {
+    await createNotificationWithEmail({
+      userId: approval.supervisorId,
+      title: 'Approval Due Soon',
+      message: `The ${describeApproval(approval)} awaiting your approval is due by ${sla.dueAt.toISOString()}. Please review it before it is escalated.`,
+      type: 'approval',
+      transaction
+    });
+  });
+};
+
+/**
+ * Escalate a breached approval to the approver's own supervisor
+ */
+const sendEscalation = async (approval, sla, now) => {
+  const approver = await User.findByPk(approval.supervisorId, {
+    attributes: ['id', 'email', 'name', 'supervisor_id']
+  });
+  const escalateToId = approver?.supervisor_id || null;
+  const approverName = approver ? (approver.name || approver.email) : `user #${approval.supervisorId}`;
+
+  return claimAndNotify(approval, 'slaEscalatedAt', {
+    slaEscalatedAt: now,
+    slaEscalatedToId: escalateToId
+  }, async (transaction) => {
+    await createNotificationWithEmail({
+      userId: approval.supervisorId,
+      title: 'Approval Overdue',
+      message: `The ${describeApproval(approval)} awaiting your approval breached its SLA at ${sla.dueAt.toISOString()}.${escalateToId ? ' It has been escalated to your supervisor.' : ''}`,
+      type: 'approval',
+      transaction
+    });
+
+    if (escalateToId) {
+      await createNotificationWithEmail({
+        userId: escalateToId,
+        title: 'Approval Escalated',
+        message: `The ${describeApproval(approval)} assigned to ${approverName} has been pending since ${sla.pendingSince.toISOString()} and breached its SLA. Please follow up or reassign it.`,
+        type: 'approval',
+        transaction
+      });
+    } else {
+      console.warn(`Approval SLA: approver ${approval.supervisorId} of approval ${approval.id} has no supervisor to escalate to`);
+    }
+  });
+};
+
+/**
+ * Run one SLA check over every company with an active SLA policy
+ * @param {Date} now - Point in time (defaults to now)
+ * @returns {Promise<Object>} { reminders, escalations }
+ */
+const runApprovalSlaCheck = async (now = new Date()) => {
+  const result = { reminders: 0, escalations: 0 };
+  const policies = await ApprovalSlaPolicy.findAll({ where: { isActive: true } });
+
+  for (const policy of policies) {
+    const approvals = await findPendingApprovals(policy.companyId);
+
+    for (const approval of approvals) {
+      try {
+        const sla = getSlaStatus(approval, policy, now);
+
+        if (sla.state === 'breached' && policy.escalateOnBreach && !approval.slaEscalatedAt) {
+          if (await sendEscalation(approval, sla, now)) result.escalations++;
+        } else if (sla.state !== 'on_track' && !approval.slaReminderSentAt && !approval.slaEscalatedAt) {
+          if (await sendReminder(approval, sla, now)) result.reminders++;
+        }
+      } catch (error) {
+        console.error(`Approval SLA: error processing approval ${approval.id}:`, error);
+      }
+    }
+  }
+
+  return result;
+};
+
+/**
+ * Start the periodic SLA check in this process
+ * @returns {Object|null} Interval handle, or null when disabled
+ */
+const startApprovalSlaScheduler = () => {
+  if (process.env.APPROVAL_SLA_SCHEDULER_ENABLED === 'false') {
+    console.log('Approval SLA scheduler disabled');
+    return null;
+  }
+  if (timer) {
+    return timer;
+  }
+
+  const minutes = parseInt(process.env.APPROVAL_SLA_INTERVAL_MINUTES) || DEFAULT_INTERVAL_MINUTES;
+
+  const tick = async () => {
+    // Skip a run while the previous one is still going
+    if (running) return;
+    running = true;
+    try {
+      const { reminders, escalations } = await runApprovalSlaCheck();
+      if (reminders || escalations) {
+        console.log(`Approval SLA check: ${reminders} reminder(s), ${escalations} escalation(s) sent`);
+      }
+    } catch (error) {
+      console.error('Approval SLA check failed:', error);
+    } finally {
+      running = false;
+    }
+  };
+
+  timer = setInterval(tick, minutes * 60 * 1000);
+  timer.unref();
+  console.log(`Approval SLA scheduler started (every ${minutes} minute(s))`);
+
+  return timer;
+};
+
+/**
+ * Stop the periodic SLA check
+ */
+const stopApprovalSlaScheduler = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
+
+module.exports = {
+  runApprovalSlaCheck,
+  startApprovalSlaScheduler,
+  stopApprovalSlaScheduler
+};
@@ -0,0 +1,730 @@
+/**
+ * Asset Upload Queue
+ * Database-backed queue that processes asset uploads in the background.
+ *
+ * Every upload is recorded as an upload_jobs row and picked up by the worker running in
+ * each server process (PM2 cluster mode). A job is claimed with a conditional update, so
+ * only one process runs it, and the worker refreshes the job's heartbeat while it runs.
+ * Jobs whose heartbeat stops (the process restarted or crashed) are detected and run again,
+ * as are jobs that fail with a system error, with exponential backoff. Validation errors
+ * are final. The uploaded file stays on disk (see chunkedUploadHelper) until the job ends.
+ *
+ * Environment:
+ * - UPLOAD_JOB_WORKER_ENABLED: 'false' disables the worker in this process (default enabled)
+ * - UPLOAD_JOB_POLL_SECONDS: seconds between checks for queued jobs (default 5)
+ */
+
+const os = require('os');
+const { Op } = require('sequelize');
+const db = require('../models');
+const { prepareMappedRows, readMappedRowBatches, splitIntoBatches } = require('../helper/fileParser');
+const {
+  validateRequiredFields,
+  toRowKeys,
+  validateUploadRowKeys,
+  sortValidationErrors,
+  buildAssetDataObjects,
+  generateErrorReport,
+  generateSystemErrorReport
+} = require('../helper/assetUploadValidator');
+const {
+  fetchExistingAssets,
+  processAssetUpload,
+  createUploadNotification,
+  updateUploadStatus,
+  createProgressReporter
+} = require('../helper/assetUploadProcessor');
+const {
+  createUploadStream,
+  readUploadFile,
+  removeUploadParts,
+  isChunkedUploadExpired
+} = require('../helper/chunkedUploadHelper');
+
+const UploadJob = db.upload_jobs;
+const FileUpload = db.file_uploads;
+const AssetUploadPreview = db.asset_upload_previews;
+
+const DEFAULT_POLL_SECONDS = 5;
+const HEARTBEAT_SECONDS = 30;
+// A running job whose heartbeat is older than this is considered abandoned
+const STALE_AFTER_SECONDS = 120;
+const RECOVERY_INTERVAL_SECONDS = 60;
+const RETRY_BASE_SECONDS = 30;
+const RETRY_MAX_SECONDS = 15 * 60;
+
+/**
+ * Threshold in seconds for considering an upload "long-running"
+ * Notifications are sent for uploads that exceed this duration or fail
+ */
+const LONG_RUNNING_THRESHOLD_SECONDS = 30;
+
+// PM2 keeps NODE_APP_INSTANCE across restarts, so a restarted process recognises its own jobs
+const WORKER_ID = `${os.hostname()}:${process.env.NODE_APP_INSTANCE ?? process.pid}`;
+
+let timer = null;
+let running = false;
+let lastRecoveryAt = 0;
+
+/**
+ * Error thrown inside a running job once its cancellation has been requested
+ */
+const createCancelledError = () => {
+  const error = new Error('Upload cancelled');
+  error.name = 'UploadCancelledError';
+  return error;
+};
+
+/**
+ * Error thrown inside a running job once another worker has taken it over
+ * (its heartbeat went stale and recovery requeued it)
+ */
+const createJobLostError = () => {
+  const error = new Error('Upload job was taken over by another worker');
+  error.name = 'UploadJobLostError';
+  return error;
+};
+
+/**
+ * Delay before the next attempt of a failed job
+ * @param {number} attempts - Attempts made so far
+ * @returns {number} Delay in seconds (30s, 60s, 120s, ... capped at 15 minutes)
+ */
+const getRetryDelaySeconds = (attempts) => {
+  return Math.min(RETRY_BASE_SECONDS * Math.pow(2, Math.max(0, attempts - 1)), RETRY_MAX_SECONDS);
+};
+
+/**
+ * Add an upload to the queue
+ * @param {Object} fileUpload - File upload record
+ * @param {Object} job - { source: 'file' | 'parts' | 'preview', payload, requestedBy }
+ * @param {Object} transaction - Sequelize transaction (optional)
+ * @returns {Promise<Object>} upload_jobs instance
+ */
+const enqueueUploadJob = async (fileUpload, { source, payload = null, requestedBy }, transaction = null) => {
+  return UploadJob.create({
+    fileUploadId: fileUpload.id,
+    companyId: fileUpload.companyId,
+    requestedBy,
+    source,
+    payload,
+    status: 'queued',
+    runAt: new Date()
+  }, { transaction });
+};
+
+/**
+ * Claim the next queued job that is due
+ * @param {Date} now - Reference time
+ * @returns {Promise<Object|null>} Claimed job, or null when none is due
+ */
+const claimNextJob = async (now = new Date()) => {
+  const candidates = await UploadJob.findAll({
+    where: { status: 'queued', runAt: { [Op.lte]: now } },
+    order: [['runAt', 'ASC'], ['id', 'ASC']],
+    limit: 5
+  });
+
+  for (const candidate of candidates) {
+    const [claimed] = await UploadJob.update({
+      status: 'running',
+      attempts: candidate.attempts + 1,
+      lockedBy: WORKER_ID,
+      lockedAt: now,
+      heartbeatAt: now
+    }, {
+      where: { id: candidate.id, status: 'queued', attempts: candidate.attempts }
+    });
+
+    if (claimed === 1) {
+      return candidate.reload();
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Create a check that throws once cancellation of the job has been requested
+ * The job row is read at most once per interval
+ * @param {Object} job - upload_jobs instance
+ * @param {number} intervalMs - Minimum time between reads
+ * @returns {Function} async ({ force }) => void
+ */
+const createCancellationCheck = (job, intervalMs = 2000) => {
+  let lastCheck = 0;
+
+  return async ({ force = false } = {}) => {
+    const now = Date.now();
+    if (!force && now - lastCheck < intervalMs) return;
+    lastCheck = now;
+
+    const current = await UploadJob.findByPk(job.id, { attributes: ['id', 'cancelRequestedAt'] });
+    if (current?.cancelRequestedAt) {
+      throw createCancelledError();
+    }
+  };
+};
+
+/**
+ * Create a heartbeat refresher for a running job
+ * Called between batches, so the heartbeat keeps moving while long synchronous parsing or
+ * validation passes block the event loop (and with it the heartbeat interval)
+ * The job row is written at most once per interval. Once a write finds the job no longer
+ * running under this worker, every later call throws, so the import stops at its next checkpoint.
+ * @param {Object} job - upload_jobs instance
+ * @param {number} intervalMs - Minimum time between writes
+ * @returns {Function} async ({ force }) => void
+ * @throws {Error} UploadJobLostError once the job was taken over
+ */
+const createHeartbeat = (job, intervalMs = HEARTBEAT_SECONDS * 1000) => {
+  let lastBeat = Date.now();
+  let lost = false;
+
+  return async ({ force = false } = {}) => {
+    if (lost) throw createJobLostError();
+
+    const now = Date.now();
+    if (!force && now - lastBeat < intervalMs) return;
+    lastBeat = now;
+
+    let updated;
+    try {
+      [updated] = await UploadJob.update(
+        { heartbeatAt: new Date(now) },
+        { where: { id: job.id, status: 'running', lockedBy: WORKER_ID } }
+      );
+    } catch (error) {
+      console.error(`Error refreshing heartbeat of upload job ${job.id}:`, error);
+      return;
+    }
+
+    if (updated === 0) {
+      lost = true;
+      throw createJobLostError();
+    }
+  };
+};
+
+/**
+ * Create a reader for the mapped rows of a job, from wherever its upload is stored
+ * Chunked uploads are streamed from disk on every read, so their rows are never all in memory.
+ * Previews and single-request uploads are small enough to be held in memory and are read in
+ * batches the same way.
+ * @param {Object} job - upload_jobs instance
+ * @param {Object} fileUpload - File upload record
+ * @param {Object} mapping - { columnMappings, transforms, profileName }
+ * @returns {Promise<Function>} Returns an (async) iterable of mapped row batches on each call
+ */
+const createMappedBatchReader = async (job, fileUpload, mapping) => {
+  if (job.source === 'parts') {
+    return () => readMappedRowBatches(
+      createUploadStream(fileUpload.id, fileUpload.totalParts),
+      fileUpload.fileType,
+      fileUpload.originalName,
+      mapping
+    );
+  }
+
+  let mappedRows;
+  if (job.source === 'preview') {
+    const preview = await AssetUploadPreview.scope('withRows').findByPk(job.payload?.previewId);
+    if (!preview) {
+      throw new Error('Upload preview not found');
+    }
+    mappedRows = preview.mappedRows;
+  } else {
+    const buffer = await readUploadFile(fileUpload.id);
+    mappedRows = prepareMappedRows(buffer, fileUpload.fileType, fileUpload.originalName, mapping);
+  }
+  return () => splitIntoBatches(mappedRows);
+};
+
+/**
+ * Import the rows of an upload (parse, validate, write)
+ * The rows are read twice, a batch at a time: the first pass validates each batch and keeps
+ * only the row keys for the checks that span the whole file, the second writes each batch.
+ * @param {Object} job - upload_jobs instance
+ * @param {Object} fileUpload - File upload record
+ * @param {Function} refreshHeartbeat - Heartbeat refresher of the job (see createHeartbeat)
+ * @returns {Promise<Object>} Result of processAssetUpload
+ */
+const importUpload = async (job, fileUpload, refreshHeartbeat) => {
+  const { missingAssetAction = 'keep', ...mapping } = fileUpload.uploadOptions || {};
+  const reportProgress = createProgressReporter(fileUpload);
+  const checkCancelled = createCancellationCheck(job);
+
+  await updateUploadStatus(fileUpload, 'processing');
+
+  // Steps 1-4: Parse the file and apply column mappings, checking required fields batch by batch
+  const readMappedBatches = await createMappedBatchReader(job, fileUpload, mapping);
+  await refreshHeartbeat({ force: true });
+  const rowKeys = [];
+  const rowErrors = [];
+  for await (const batch of readMappedBatches()) {
+    for (const error of validateRequiredFields(batch)) rowErrors.push(error);
+    for (const key of toRowKeys(batch)) rowKeys.push(key);
+    await checkCancelled();
+    await refreshHeartbeat();
+    await reportProgress(rowKeys.length);
+  }
+  console.log(`Parsed ${rowKeys.length} rows from ${fileUpload.originalName}`);
+  await reportProgress(0, { totalRows: rowKeys.length, force: true });
+  await checkCancelled({ force: true });
+
+  // Step 5: Fetch existing company assets for validation and change detection
+  const existingData = await fetchExistingAssets(fileUpload.companyId);
+  await refreshHeartbeat({ force: true });
+
+  // Step 6: Validate IDs, parent references and cycles across the whole file
+  const errors = sortValidationErrors(rowErrors.concat(validateUploadRowKeys(rowKeys, existingData, missingAssetAction)));
+  await refreshHeartbeat({ force: true });
+
+  if (errors.length > 0) {
+    const errorReport = generateErrorReport(errors, rowKeys.length);
+    const error = new Error(errorReport);
+    error.name = 'ValidationError';
+    error.errors = errors; // Attach structured errors
+    throw error;
+  }
+
+  // Step 7: Process the upload batch by batch (bulk create/update, skipping unchanged)
+  // Cancelling while this runs rolls the whole import back
+  const result = await processAssetUpload(
+    async function* () {
+      for await (const batch of readMappedBatches()) {
+        yield buildAssetDataObjects(batch);
+      }
+    },
+    fileUpload.companyId,
+    existingData,
+    {
+      rowKeys,
+      missingAssetAction,
+      history: { fileUploadId: fileUpload.id, userId: job.requestedBy },
+      onProgress: async (processedRows) => {
+        await checkCancelled();
+        await refreshHeartbeat();
+        await reportProgress(processedRows);
+      }
+    }
+  );
+  await reportProgress(rowKeys.length, { force: true });
+  await refreshHeartbeat({ force: true });
+
+  // Step 8: Update file upload status to completed with result summary
+  await updateUploadStatus(fileUpload, 'completed', {
+    resultSummary: {
+      totalProcessed: result.totalProcessed,
+      createdCount: result.createdCount,
+      updatedCount: result.updatedCount,
+      unchangedCount: result.unchangedCount,
+      retiredCount: result.retiredCount,
+      missingAssetAction: result.missingAssetAction,
+      processingTime: result.processingTime
+    }
+  });
+
+  return result;
+};
+
+/**
+ * Record a job as finished
+ * Only a job still running under this worker is changed, so a worker that lost the job
+ * can't overwrite the state of the attempt that took it over
+ * @param {Object} job - upload_jobs instance
+ * @param {string} status - 'completed', 'failed' or 'cancelled'
+ * @param {string|null} lastError - Error of the last attempt
+ * @returns {Promise<boolean>} True when the job was finished
+ */
+const finishJob = async (job, status, lastError = null) => {
+  const [finished] = await UploadJob.update({
+    status,
+    lastError,
+    finishedAt: new Date(),
+    lockedBy: null,
+    heartbeatAt: null
+  }, {
+    where: { id: job.id, status: 'running', lockedBy: WORKER_ID }
+  });
+
+  if (finished === 0) {
+    console.warn(`Upload job ${job.id} is no longer running on this worker; leaving it as it is`);
+  }
+  return finished === 1;
+};
+
+/**
+ * Mark an upload as failed and tell the uploader
+ * @param {Object} fileUpload - File upload record
+ * @param {number} userId - User to notify
+ * @param {string} errorMessage - User-friendly error message
+ */
+const failUpload = async (fileUpload, userId, errorMessage) => {
+  await updateUploadStatus(fileUpload, 'error', { errorMessage });
+
+  // Always notify on failure
+  await createUploadNotification(userId, 'error', fileUpload.originalName, {
+    errorSummary: errorMessage.split('\n')[0]
+  });
+
+  await removeUploadParts(fileUpload.id);
+};
+
+/**
+ * Mark a job and its upload as cancelled
+ * @param {Object} job - upload_jobs instance
+ * @param {Object} fileUpload - File upload record
+ */
+const markCancelled = async (job, fileUpload) => {
+  if (!(await finishJob(job, 'cancelled'))) return;
+  await updateUploadStatus(fileUpload, 'cancelled', { errorMessage: 'Upload cancelled' });
+  await removeUploadParts(fileUpload.id);
+};
+
+/**
+ * Put a job back in the queue for another attempt
+ * @param {Object} job - upload_jobs instance (status running)
+ * @param {string} lastError - Error of the failed attempt
+ * @param {Object} where - Extra conditions the job must still meet
+ * @returns {Promise<boolean>} True when the job was requeued
+ */
+const requeueJob = async (job, lastError, where = {}) => {
+  const delaySeconds = getRetryDelaySeconds(job.attempts);
+  const [requeued] = await UploadJob.update({
+    status: 'queued',
+    runAt: new Date(Date.now() + delaySeconds * 1000),
+    lockedBy: null,
+    lockedAt: null,
+    heartbeatAt: null,
+    lastError
+  }, {
+    where: { id: job.id, status: 'running', ...where }
+  });
+
+  if (requeued === 1) {
+    // Progress starts over with the next attempt
+    await FileUpload.update({ processedRows: 0, totalRows: null }, { where: { id: job.fileUploadId } });
+    console.warn(`Upload job ${job.id} attempt ${job.attempts}/${job.maxAttempts} failed; retrying in ${delaySeconds}s: ${lastError}`);
+  }
+
+  return requeued === 1;
+};
+
+/**
+ * Handle a failed attempt: cancel, retry with backoff, or fail the upload
+ * @param {Object} job - upload_jobs instance
+ * @param {Object} fileUpload - File upload record
+ * @param {Error} error - Error of the attempt
+ */
+const handleJobFailure = async (job, fileUpload, error) => {
+  if (error.name === 'UploadJobLostError') {
+    // The attempt that took the job over owns the job and the upload now
+    console.warn(`Upload job ${job.id} was taken over by another worker; stopped this attempt`);
+    return;
+  }
+
+  if (error.name === 'UploadCancelledError') {
+    console.log(`Upload ${fileUpload.id} cancelled`);
+    await markCancelled(job, fileUpload);
+    return;
+  }
+
+  console.error(`Error processing upload ${fileUpload.id}:`, error);
+
+  // Validation errors need a corrected file; retrying will not help
+  const isValidationError = error.name === 'ValidationError';
+  if (!isValidationError && job.attempts < job.maxAttempts) {
+    if (await requeueJob(job, error.message, { lockedBy: WORKER_ID })) return;
+  }
+
+  // Generate user-friendly error message
+  const userFriendlyErrorMessage = isValidationError
+    ? error.message
+    : generateSystemErrorReport(error);
+
+  if (await finishJob(job, 'failed', error.message)) {
+    await failUpload(fileUpload, job.requestedBy, userFriendlyErrorMessage);
+  }
+};
+
+/**
+ * Run one claimed job to completion
+ * @param {Object} job - upload_jobs instance (status running, locked by this worker)
+ */
+const runUploadJob = async (job) => {
+  const fileUpload = await FileUpload.findByPk(job.fileUploadId);
+  if (!fileUpload) {
+    await finishJob(job, 'failed', 'File upload record not found');
+    return;
+  }
+
+  const startTime = Date.now();
+  // The interval covers long awaits; importUpload also refreshes it between batches
+  const refreshHeartbeat = createHeartbeat(job);
+  const heartbeat = setInterval(() => {
+    // A lost job is noticed by importUpload at its next checkpoint
+    refreshHeartbeat({ force: true }).catch(() => {});
+  }, HEARTBEAT_SECONDS * 1000);
+  heartbeat.unref();
+
+  try {
+    const result = await importUpload(job, fileUpload, refreshHeartbeat);
+    if (!(await finishJob(job, 'completed'))) return;
+    await removeUploadParts(fileUpload.id);
+
+    const processingTimeSeconds = (Date.now() - startTime) / 1000;
+
+    console.log(`File processing completed for ${fileUpload.id}. ` +
+      `Processed ${result.totalProcessed} assets: ` +
+      `${result.createdCount} created, ${result.updatedCount} updated, ${result.unchangedCount} unchanged, ` +
+      `${result.retiredCount} missing assets (${result.missingAssetAction}). ` +
+      `Time: ${result.processingTime}`);
+
+    // Create notification if processing took a long time
+    if (processingTimeSeconds > LONG_RUNNING_THRESHOLD_SECONDS) {
+      await createUploadNotification(job.requestedBy, 'success', fileUpload.originalName, {
+        createdCount: result.createdCount,
+        updatedCount: result.updatedCount,
+        unchangedCount: result.unchangedCount,
+        retiredCount: result.retiredCount,
+        missingAssetAction: result.missingAssetAction
+      });
+    }
+  } catch (error) {
+    await handleJobFailure(job, fileUpload, error);
+  } finally {
+    clearInterval(heartbeat);
+  }
+};
+
+/**
+ * Recover jobs abandoned by a stopped process, and uploads left without a job
+ * - Running jobs with a stale heartbeat (or, at startup, locked by this worker) are retried
+ *   with backoff, or failed once they used all their attempts
+ * - Uploads stuck in 'processing' without a job (started before the queue existed) are failed
+ * - Chunked uploads that were never completed are expired and their parts removed
+ * @param {Object} options - { startup } true when the process has just started
+ * @returns {Promise<Object>} { requeued, failed, orphaned, expired }
+ */
+const recoverStaleUploads = async ({ startup = false } = {}) => {
+  const now = new Date();
+  const staleBefore = new Date(now.getTime() - STALE_AFTER_SECONDS * 1000);
+  const result = { requeued: 0, failed: 0, orphaned: 0, expired: 0 };
+
+  const staleConditions = [{ heartbeatAt: { [Op.lt]: staleBefore } }];
+  if (startup) {
+    staleConditions.push({ lockedBy: WORKER_ID });
+  }
+
+  const staleJobs = await UploadJob.findAll({
+    where: { status: 'running', [Op.or]: staleConditions }
+  });
+
+  for (const job of staleJobs) {
+    try {
+      const lastError = 'Processing stopped unexpectedly (server restart or crash)';
+      // Only recover the job if nobody refreshed it since it was read
+      const unchanged = { heartbeatAt: job.heartbeatAt, lockedBy: job.lockedBy };
+
+      if (job.attempts < job.maxAttempts) {
+        if (await requeueJob(job, lastError, unchanged)) result.requeued++;
+        continue;
+      }
+
+      const [failed] = await UploadJob.update(
+        { status: 'failed', lastError, finishedAt: now, lockedBy: null, heartbeatAt: null },
+        { where: { id: job.id, status: 'running', ...unchanged } }
+      );
+      if (failed === 1) {
+        const fileUpload = await FileUpload.findByPk(job.fileUploadId);
+        if (fileUpload) {
+          await failUpload(fileUpload, job.requestedBy,
+            `Processing stopped unexpectedly ${job.attempts} time(s). Please upload the file again.`);
+        }
+        result.failed++;
+      }
+    } catch (error) {
+      console.error(`Error recovering upload job ${job.id}:`, error);
+    }
+  }
+
+  // Uploads that were processing (or about to) before the queue existed have no job and no stored file
+  const [orphaned] = await FileUpload.update({
+    status: 'error',
+    errorMessage: 'Processing was interrupted by a server restart. Please upload the file again.'
+  }, {
+    where: {
+      [Op.or]: [
+        { status: 'processing' },
+        { status: 'uploading', totalParts: null }
+      ],
+      updatedAt: { [Op.lt]: staleBefore },
+      id: { [Op.notIn]: db.sequelize.literal('(SELECT file_upload_id FROM upload_jobs)') }
+    }
+  });
+  result.orphaned = orphaned;
+
+  // Chunked uploads that were abandoned before completion
+  const openChunkedUploads = await FileUpload.findAll({
+    where: { status: 'uploading', totalParts: { [Op.ne]: null } },
+    attributes: ['id', 'status', 'createdAt']
+  });
+  for (const fileUpload of openChunkedUploads.filter(upload => isChunkedUploadExpired(upload, now))) {
+    const [expired] = await FileUpload.update(
+      { status: 'error', errorMessage: 'Upload was not completed in time' },
+      { where: { id: fileUpload.id, status: 'uploading' } }
+    );
+    if (expired === 1) {
+      await removeUploadParts(fileUpload.id);
+      result.expired++;
+    }
+  }
+
+  return result;
+};
+
+/**
+ * Cancel an upload
+ * Uploads still being sent or waiting in the queue are cancelled at once; a running job
+ * is asked to stop and cancels itself at its next checkpoint, rolling back its import.
+ * @param {Object} fileUpload - File upload record
+ * @returns {Promise<string>} 'cancelled', or 'cancelling' when a running job was asked to stop
+ * @throws {Error} With statusCode 409 when the upload already finished
+ */
+const cancelUpload = async (fileUpload) => {
+  if (fileUpload.status === 'uploading') {
+    const [cancelled] = await FileUpload.update(
+      { status: 'cancelled', errorMessage: 'Upload cancelled' },
+      { where: { id: fileUpload.id, status: 'uploading' } }
+    );
+    if (cancelled === 1) {
+      await removeUploadParts(fileUpload.id);
+      return 'cancelled';
+    }
+  }
+
+  const job = await UploadJob.findOne({ where: { fileUploadId: fileUpload.id } });
+
+  if (job && job.status === 'queued') {
+    const [cancelled] = await UploadJob.update(
+      { status: 'cancelled', cancelRequestedAt: new Date(), finishedAt: new Date() },
+      { where: { id: job.id, status: 'queued' } }
+    );
+    if (cancelled === 1) {
+      await updateUploadStatus(fileUpload, 'cancelled', { errorMessage: 'Upload cancelled' });
+      await removeUploadParts(fileUpload.id);
+      return 'cancelled';
+    }
+    await job.reload();
+  }
+
+  if (job && job.status === 'running') {
+    await UploadJob.update(
+      { cancelRequestedAt: new Date() },
+      { where: { id: job.id, status: 'running' } }
+    );
+    return 'cancelling';
+  }
+
+  const error = new Error(`Upload is ${fileUpload.status} and can no longer be cancelled`);
+  error.statusCode = 409;
+  throw error;
+};
+
+/**
+ * Run queued jobs until none is due
+ * @returns {Promise<number>} Number of jobs run
+ */
+const runQueuedJobs = async () => {
+  let count = 0;
+  let job;
+  while ((job = await claimNextJob())) {
+    await runUploadJob(job);
+    count++;
+  }
+  return count;
+};
+
+/**
+ * One worker run: periodic recovery, then every queued job that is due
+ * @param {boolean} startup - True for the first run after the process started
+ */
+const tick = async (startup = false) => {
+  // Skip a run while the previous one is still going
+  if (running) return;
+  running = true;
+  try {
+    if (startup || Date.now() - lastRecoveryAt >= RECOVERY_INTERVAL_SECONDS * 1000) {
+      lastRecoveryAt = Date.now();
+      const { requeued, failed, orphaned, expired } = await recoverStaleUploads({ startup });
+      if (requeued || failed || orphaned || expired) {
+        console.log(`Upload recovery: ${requeued} job(s) requeued, ${failed} failed, ` +
+          `${orphaned} orphaned upload(s) failed, ${expired} chunked upload(s) expired`);
+      }
+    }
+
+    await runQueuedJobs();
+  } catch (error) {
+    console.error('Upload job worker run failed:', error);
+  } finally {
+    running = false;
+  }
+};
+
+/**
+ * Start the upload job worker in this process
+ * Recovers stale uploads first, then polls the queue
+ * @returns {Object|null} Interval handle, or null when disabled
+ */
+const startUploadJobWorker = () => {
+  if (process.env.UPLOAD_JOB_WORKER_ENABLED === 'false') {
+    console.log('Upload job worker disabled');
+    return null;
+  }
+  if (timer) {
+    return timer;
+  }
+
+  const seconds = parseInt(process.env.UPLOAD_JOB_POLL_SECONDS) || DEFAULT_POLL_SECONDS;
+
+  timer = setInterval(tick, seconds * 1000);
+  timer.unref();
+  setImmediate(() => tick(true));
+  console.log(`Upload job worker started (${WORKER_ID}, polling every ${seconds} second(s))`);
+
+  return timer;
+};
+
+/**
+ * Ask this process's worker to look at the queue now instead of at its next poll
+ * Called after enqueueing; does nothing when the worker is not running here
+ */
+const wakeUploadJobWorker = () => {
+  if (timer) {
+    setImmediate(() => tick());
+  }
+};
+
+/**
+ * Stop the upload job worker
+ */
+const stopUploadJobWorker = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
+
+module.exports = {
+  enqueueUploadJob,
+  cancelUpload,
+  claimNextJob,
+  runUploadJob,
+  runQueuedJobs,
+  recoverStaleUploads,
+  getRetryDelaySeconds,
+  startUploadJobWorker,
+  wakeUploadJobWorker,
+  stopUploadJobWorker
+};
@@ -240,4 +240,76 @@ exports.validateSearch = () => {
     
     next();
   };
-};
\ No newline at end of file
+};
+
+/**
+ * Middleware to validate residual risk filter and sort parameters
+ * Normalizes minResidualScore, maxResidualScore, residualLevel, sortBy and sortOrder
+ * @returns {function} Express middleware function
+ */
+exports.validateResidualRiskFilters = () => {
+  return (req, res, next) => {
+    const { minResidualScore, maxResidualScore, residualLevel, sortBy, sortOrder } = req.query;
+
+    for (const [name, value] of [['minResidualScore', minResidualScore], ['maxResidualScore', maxResidualScore]]) {
+      if (value === undefined || value === '') continue;
+      const parsed = parseInt(value);
+      if (isNaN(parsed) || parsed < 0) {
+        const error = errorResponse(`Invalid ${name} parameter`, 400);
+        return res.status(error.statusCode).json(error);
+      }
+      req.query[name] = parsed;
+    }
+
+    if (residualLevel) {
+      req.query.residualLevels = String(residualLevel)
+        .split(',')
+        .map(level => level.trim().replace(/[<>]/g, ''))
+        .filter(Boolean);
+    }
+
+    if (sortBy && !['createdAt', 'residualRisk'].includes(sortBy)) {
+      const error = errorResponse('Invalid sortBy parameter. Use createdAt or residualRisk', 400);
+      return res.status(error.statusCode).json(error);
+    }
+
+    if (sortOrder && !['asc', 'desc'].includes(String(sortOrder).toLowerCase())) {
+      const error = errorResponse('Invalid sortOrder parameter. Use asc or desc', 400);
+      return res.status(error.statusCode).json(error);
+    }
+    req.query.sortOrder = sortOrder ? String(sortOrder).toLowerCase() : 'desc';
+
+    next();
+  };
+};
+
+/**
+ * Middleware to validate asset criticality filter parameters
+ * Normalizes criticalityLevel (comma-separated) and minCriticalityScore (0-100)
+ * @returns {function} Express middleware function
+ */
+exports.validateCriticalityFilters = () => {
+  return (req, res, next) => {
+    const { criticalityLevel, minCriticalityScore } = req.query;
+
+    if (minCriticalityScore !== undefined && minCriticalityScore !== '') {
+      const parsed = parseInt(minCriticalityScore);
+      if (isNaN(parsed) || parsed < 0 || parsed > 100) {
+        const error = errorResponse('Invalid minCriticalityScore parameter. Must be between 0 and 100', 400);
+        return res.status(error.statusCode).json(error);
+      }
+      req.query.minCriticalityScore = parsed;
+    } else {
+      delete req.query.minCriticalityScore;
+    }
+
+    if (criticalityLevel) {
+      req.query.criticalityLevels = String(criticalityLevel)
+        .split(',')
+        .map(level => level.trim().replace(/[<>]/g, ''))
+        .filter(Boolean);
+    }
+
+    next();
+  };
+};
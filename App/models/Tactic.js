@@ -31,6 +31,15 @@ class Tactic extends Sequelize.Model {
       assetDetails: {
         type: DataTypes.JSON,
         allowNull: false
+      },
+      // Asset the tactic applies to (optional, used for asset criticality filters)
+      assetHierarchyId: {
+        type: DataTypes.CHAR(36),
+        allowNull: true,
+        references: {
+          model: 'asset_hierarchy',
+          key: 'id'
+        }
       }
     }, {
       sequelize,
@@ -54,6 +63,11 @@ class Tactic extends Sequelize.Model {
       foreignKey: 'company_id',
       as: 'company'
     });
+
+    this.belongsTo(models.asset_hierarchy, {
+      foreignKey: 'assetHierarchyId',
+      as: 'asset'
+    });
   }
 }
 
@@ -0,0 +1,78 @@
+const { Sequelize } = require('sequelize');
+
+/**
+ * Ordered step of an approval chain.
+ *
+ * approverType:
+ * - assigned_supervisor: the supervisor assigned on the task hazard / risk assessment
+ * - supervisor_manager: the assigned supervisor's own supervisor (users.supervisor_id)
+ * - user: a specific user (approverId)
+ */
+class ApprovalChainStep extends Sequelize.Model {
+  static init(sequelize, DataTypes) {
+    return super.init({
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        allowNull: false,
+        autoIncrement: true,
+        field: 'id'
+      },
+      chainId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        field: 'chain_id',
+        references: {
+          model: 'approval_chains',
+          key: 'id'
+        }
+      },
+      stepOrder: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        field: 'step_order'
+      },
+      name: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        field: 'name'
+      },
+      approverType: {
+        type: DataTypes.ENUM('assigned_supervisor', 'supervisor_manager', 'user'),
+        allowNull: false,
+        defaultValue: 'assigned_supervisor',
+        field: 'approver_type'
+      },
+      approverId: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        field: 'approver_id',
+        references: {
+          model: 'users',
+          key: 'id'
+        }
+      }
+    }, {
+      sequelize,
+      modelName: 'approval_chain_steps',
+      tableName: 'approval_chain_steps',
+      timestamps: true,
+      underscored: true,
+      paranoid: true
+    });
+  }
+
+  static associate(models) {
+    this.belongsTo(models.approval_chains, {
+      foreignKey: 'chainId',
+      as: 'chain'
+    });
+
+    this.belongsTo(models.user, {
+      foreignKey: 'approverId',
+      as: 'approver'
+    });
+  }
+}
+
+module.exports = ApprovalChainStep;
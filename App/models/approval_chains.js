@@ -0,0 +1,102 @@
+const { Sequelize } = require('sequelize');
+
+/**
+ * Company-configured approval chain.
+ *
+ * A chain applies to an approvable type (or both when null) and a residual risk
+ * level (band name such as 'High'; null is the company default for any level), and
+ * optionally to the criticality level of the asset the approvable is linked to.
+ * Its ordered steps are copied onto each approval when the approval is created,
+ * so editing a chain never changes approvals already in progress.
+ */
+class ApprovalChain extends Sequelize.Model {
+  static init(sequelize, DataTypes) {
+    return super.init({
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        allowNull: false,
+        autoIncrement: true,
+        field: 'id'
+      },
+      companyId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        field: 'company_id',
+        references: {
+          model: 'company',
+          key: 'id'
+        }
+      },
+      name: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        field: 'name'
+      },
+      // 'task_hazards', 'risk_assessments' or null for both
+      approvableType: {
+        type: DataTypes.ENUM('task_hazards', 'risk_assessments'),
+        allowNull: true,
+        field: 'approvable_type'
+      },
+      // Residual risk level (band name) this chain applies to, null for any level
+      riskLevel: {
+        type: DataTypes.STRING,
+        allowNull: true,
+        field: 'risk_level'
+      },
+      // Criticality level of the linked asset this chain applies to, null for any criticality
+      criticalityLevel: {
+        type: DataTypes.STRING(50),
+        allowNull: true,
+        field: 'criticality_level'
+      },
+      isActive: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: true,
+        field: 'is_active'
+      },
+      createdBy: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        field: 'created_by',
+        references: {
+          model: 'users',
+          key: 'id'
+        }
+      }
+    }, {
+      sequelize,
+      modelName: 'approval_chains',
+      tableName: 'approval_chains',
+      timestamps: true,
+      underscored: true,
+      paranoid: true,
+      indexes: [
+        {
+          fields: ['company_id', 'approvable_type', 'risk_level', 'is_active']
+        }
+      ]
+    });
+  }
+
+  static associate(models) {
+    this.belongsTo(models.company, {
+      foreignKey: 'companyId',
+      as: 'company'
+    });
+
+    this.belongsTo(models.user, {
+      foreignKey: 'createdBy',
+      as: 'creator'
+    });
+
+    this.hasMany(models.approval_chain_steps, {
+      foreignKey: 'chainId',
+      as: 'steps'
+    });
+  }
+}
+
+module.exports = ApprovalChain;
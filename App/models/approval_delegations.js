@@ -0,0 +1,152 @@
+const { Sequelize } = require('sequelize');
+
+/**
+ * Delegation of a supervisor's approval authority.
+ *
+ * Between startsAt and endsAt the delegate may process approval steps assigned
+ * to the delegator. Decisions taken this way are recorded on behalf of the
+ * delegator. Revoking a delegation soft-deletes it (paranoid).
+ */
+class ApprovalDelegation extends Sequelize.Model {
+  static init(sequelize, DataTypes) {
+    return super.init({
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        allowNull: false,
+        autoIncrement: true,
+        field: 'id'
+      },
+      companyId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        field: 'company_id',
+        references: {
+          model: 'company',
+          key: 'id'
+        }
+      },
+      // Supervisor whose approvals are delegated
+      delegatorId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        field: 'delegator_id',
+        references: {
+          model: 'users',
+          key: 'id'
+        }
+      },
+      // User acting on behalf of the delegator
+      delegateId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        field: 'delegate_id',
+        references: {
+          model: 'users',
+          key: 'id'
+        }
+      },
+      startsAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        field: 'starts_at'
+      },
+      endsAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        field: 'ends_at'
+      },
+      reason: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+        field: 'reason'
+      },
+      createdBy: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        field: 'created_by',
+        references: {
+          model: 'users',
+          key: 'id'
+        }
+      }
+    }, {
+      sequelize,
+      modelName: 'approval_delegations',
+      tableName: 'approval_delegations',
+      timestamps: true,
+      underscored: true,
+      paranoid: true,
+      indexes: [
+        {
+          fields: ['delegate_id', 'starts_at', 'ends_at']
+        },
+        {
+          fields: ['delegator_id', 'starts_at', 'ends_at']
+        },
+        {
+          fields: ['company_id']
+        }
+      ]
+    });
+  }
+
+  static associate(models) {
+    this.belongsTo(models.company, {
+      foreignKey: 'companyId',
+      as: 'company'
+    });
+
+    this.belongsTo(models.user, {
+      foreignKey: 'delegatorId',
+      as: 'delegator'
+    });
+
+    this.belongsTo(models.user, {
+      foreignKey: 'delegateId',
+      as: 'delegate'
+    });
+
+    this.belongsTo(models.user, {
+      foreignKey: 'createdBy',
+      as: 'creator'
+    });
+  }
+
+  /**
+   * Check whether the delegation covers a point in time
+   * @param {Date} at - Point in time (defaults to now)
+   * @returns {boolean} True when at is within [startsAt, endsAt]
+   */
+  isActiveAt(at = new Date()) {
+    return new Date(this.startsAt) <= at && at <= new Date(this.endsAt);
+  }
+
+  /**
+   * Format delegation for responses
+   * @returns {Object} Plain delegation object
+   */
+  toResponseJSON() {
+    const formatUser = (user, id) => (user ? {
+      id: user.id,
+      email: user.email,
+      name: user.name,
+      role: user.role
+    } : { id });
+
+    return {
+      id: this.id,
+      companyId: this.companyId,
+      delegator: formatUser(this.delegator, this.delegatorId),
+      delegate: formatUser(this.delegate, this.delegateId),
+      startsAt: this.startsAt,
+      endsAt: this.endsAt,
+      reason: this.reason,
+      isActive: this.isActiveAt(),
+      createdBy: this.createdBy,
+      createdAt: this.createdAt
+    };
+  }
+}
+
+module.exports = ApprovalDelegation;
@@ -0,0 +1,113 @@
+const { Sequelize } = require('sequelize');
+
+/**
+ * Tamper-evident seal of a processed supervisor approval.
+ *
+ * The hash covers the approval's snapshots, approver identity, decision time,
+ * comments and steps, plus the hash of the previous seal of the same company.
+ * Seals form one append-only chain per company (ordered by sequence), so editing
+ * or deleting a sealed approval or seal breaks verification.
+ */
+class ApprovalSeal extends Sequelize.Model {
+  static init(sequelize, DataTypes) {
+    return super.init({
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        allowNull: false,
+        autoIncrement: true,
+        field: 'id'
+      },
+      companyId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        field: 'company_id',
+        references: {
+          model: 'company',
+          key: 'id'
+        }
+      },
+      approvalId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        unique: true,
+        field: 'approval_id',
+        references: {
+          model: 'supervisor_approvals',
+          key: 'id'
+        }
+      },
+      // Position in the company's chain, starting at 1
+      sequence: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        field: 'sequence'
+      },
+      hash: {
+        type: DataTypes.STRING(64),
+        allowNull: false,
+        field: 'hash'
+      },
+      // Hash of the previous seal in the chain (null for the first seal)
+      previousHash: {
+        type: DataTypes.STRING(64),
+        allowNull: true,
+        field: 'previous_hash'
+      },
+      algorithm: {
+        type: DataTypes.STRING(20),
+        allowNull: false,
+        defaultValue: 'sha256',
+        field: 'algorithm'
+      },
+      sealedAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        field: 'sealed_at'
+      }
+    }, {
+      sequelize,
+      modelName: 'approval_seals',
+      tableName: 'approval_seals',
+      timestamps: true,
+      underscored: true,
+      // Seals are append-only and never soft-deleted
+      paranoid: false,
+      indexes: [
+        {
+          fields: ['company_id', 'sequence'],
+          unique: true,
+          name: 'approval_seals_company_sequence_unique'
+        }
+      ]
+    });
+  }
+
+  static associate(models) {
+    this.belongsTo(models.company, {
+      foreignKey: 'companyId',
+      as: 'company'
+    });
+
+    this.belongsTo(models.supervisor_approvals, {
+      foreignKey: 'approvalId',
+      as: 'approval'
+    });
+  }
+
+  /**
+   * Format seal for responses
+   * @returns {Object} Plain seal object
+   */
+  toResponseJSON() {
+    return {
+      sequence: this.sequence,
+      hash: this.hash,
+      previousHash: this.previousHash,
+      algorithm: this.algorithm,
+      sealedAt: this.sealedAt
+    };
+  }
+}
+
+module.exports = ApprovalSeal;
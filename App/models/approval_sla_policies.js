@@ -0,0 +1,105 @@
+const { Sequelize } = require('sequelize');
+
+/**
+ * Company SLA for pending supervisor approvals.
+ *
+ * The SLA clock of an approval starts when its current step becomes pending.
+ * Approvers are reminded reminderBeforeHours before the SLA is breached, and a
+ * breached approval is escalated to the approver's own supervisor.
+ */
+class ApprovalSlaPolicy extends Sequelize.Model {
+  static init(sequelize, DataTypes) {
+    return super.init({
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        allowNull: false,
+        autoIncrement: true,
+        field: 'id'
+      },
+      companyId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        unique: true,
+        field: 'company_id',
+        references: {
+          model: 'company',
+          key: 'id'
+        }
+      },
+      // Hours an approval step may stay pending
+      slaHours: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 24,
+        field: 'sla_hours'
+      },
+      // Hours before the breach at which the approver is reminded
+      reminderBeforeHours: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 4,
+        field: 'reminder_before_hours'
+      },
+      escalateOnBreach: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: true,
+        field: 'escalate_on_breach'
+      },
+      isActive: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: true,
+        field: 'is_active'
+      },
+      updatedBy: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        field: 'updated_by',
+        references: {
+          model: 'users',
+          key: 'id'
+        }
+      }
+    }, {
+      sequelize,
+      modelName: 'approval_sla_policies',
+      tableName: 'approval_sla_policies',
+      timestamps: true,
+      underscored: true,
+      paranoid: true
+    });
+  }
+
+  static associate(models) {
+    this.belongsTo(models.company, {
+      foreignKey: 'companyId',
+      as: 'company'
+    });
+
+    this.belongsTo(models.user, {
+      foreignKey: 'updatedBy',
+      as: 'updater'
+    });
+  }
+
+  /**
+   * Format policy for responses
+   * @returns {Object} Plain policy object
+   */
+  toResponseJSON() {
+    return {
+      id: this.id,
+      companyId: this.companyId,
+      slaHours: this.slaHours,
+      reminderBeforeHours: this.reminderBeforeHours,
+      escalateOnBreach: this.escalateOnBreach,
+      isActive: this.isActive,
+      updatedBy: this.updatedBy,
+      updatedAt: this.updatedAt
+    };
+  }
+}
+
+module.exports = ApprovalSlaPolicy;
@@ -0,0 +1,127 @@
+const { Sequelize } = require('sequelize');
+
+/**
+ * Field-level change to an asset.
+ *
+ * Written for every change made through the API or an upload: one 'create' row when
+ * an asset is created, and one row per changed field otherwise (deletion and restore
+ * are changes to deletedAt). Values are stored as text. Rows are never updated, so
+ * undoing the changes made after a point in time gives the asset as it was then.
+ */
+class AssetChange extends Sequelize.Model {
+  static init(sequelize, DataTypes) {
+    return super.init({
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        allowNull: false,
+        autoIncrement: true,
+        field: 'id'
+      },
+      companyId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        field: 'company_id',
+        references: {
+          model: 'company',
+          key: 'id'
+        }
+      },
+      assetId: {
+        type: DataTypes.CHAR(36),
+        allowNull: false,
+        field: 'asset_id',
+        references: {
+          model: 'asset_hierarchy',
+          key: 'id'
+        }
+      },
+      changeType: {
+        type: DataTypes.ENUM('create', 'update', 'delete', 'restore'),
+        allowNull: false,
+        field: 'change_type'
+      },
+      // Changed field (null for 'create')
+      fieldName: {
+        type: DataTypes.STRING(50),
+        allowNull: true,
+        field: 'field_name'
+      },
+      oldValue: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+        field: 'old_value'
+      },
+      newValue: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+        field: 'new_value'
+      },
+      source: {
+        type: DataTypes.ENUM('api', 'upload'),
+        allowNull: false,
+        field: 'source'
+      },
+      // Plain indexed column, no foreign key: upload history is written inside the import
+      // transaction, and a key would lock the file_uploads row against progress updates
+      fileUploadId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        field: 'file_upload_id'
+      },
+      changedBy: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        field: 'changed_by',
+        references: {
+          model: 'users',
+          key: 'id'
+        }
+      }
+    }, {
+      sequelize,
+      modelName: 'asset_changes',
+      tableName: 'asset_changes',
+      timestamps: true,
+      updatedAt: false,
+      underscored: true,
+      paranoid: false,
+      indexes: [
+        {
+          fields: ['asset_id', 'created_at']
+        },
+        {
+          fields: ['company_id', 'field_name', 'created_at']
+        },
+        {
+          fields: ['file_upload_id']
+        }
+      ]
+    });
+  }
+
+  static associate(models) {
+    this.belongsTo(models.company, {
+      foreignKey: 'companyId',
+      as: 'company'
+    });
+
+    this.belongsTo(models.asset_hierarchy, {
+      foreignKey: 'assetId',
+      as: 'asset'
+    });
+
+    this.belongsTo(models.file_uploads, {
+      foreignKey: 'fileUploadId',
+      as: 'fileUpload',
+      constraints: false
+    });
+
+    this.belongsTo(models.user, {
+      foreignKey: 'changedBy',
+      as: 'changer'
+    });
+  }
+}
+
+module.exports = AssetChange;
@@ -0,0 +1,109 @@
+const { Sequelize } = require('sequelize');
+
+/**
+ * Criticality assessment of an asset against its company's criticality scheme.
+ *
+ * An assessment applies to the asset and every descendant without an assessment of
+ * its own, so assessing a descendant overrides the inherited criticality for that
+ * branch. The effective result is denormalized onto asset_hierarchy for filtering.
+ */
+class AssetCriticalityAssessment extends Sequelize.Model {
+  static init(sequelize, DataTypes) {
+    return super.init({
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        allowNull: false,
+        autoIncrement: true,
+        field: 'id'
+      },
+      companyId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        field: 'company_id',
+        references: {
+          model: 'company',
+          key: 'id'
+        }
+      },
+      assetId: {
+        type: DataTypes.CHAR(36),
+        allowNull: false,
+        unique: true,
+        field: 'asset_id',
+        references: {
+          model: 'asset_hierarchy',
+          key: 'id'
+        }
+      },
+      // { factorKey: score } against the scheme's factors
+      factorScores: {
+        type: DataTypes.JSON,
+        allowNull: false,
+        field: 'factor_scores'
+      },
+      // Weighted score 0-100
+      score: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        field: 'score'
+      },
+      level: {
+        type: DataTypes.STRING(50),
+        allowNull: false,
+        field: 'level'
+      },
+      // Scheme version the factor scores were entered against
+      schemeVersion: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        field: 'scheme_version'
+      },
+      notes: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+        field: 'notes'
+      },
+      assessedBy: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        field: 'assessed_by',
+        references: {
+          model: 'users',
+          key: 'id'
+        }
+      }
+    }, {
+      sequelize,
+      modelName: 'asset_criticality_assessments',
+      tableName: 'asset_criticality_assessments',
+      timestamps: true,
+      underscored: true,
+      paranoid: false,
+      indexes: [
+        {
+          fields: ['company_id', 'level']
+        }
+      ]
+    });
+  }
+
+  static associate(models) {
+    this.belongsTo(models.company, {
+      foreignKey: 'companyId',
+      as: 'company'
+    });
+
+    this.belongsTo(models.asset_hierarchy, {
+      foreignKey: 'assetId',
+      as: 'asset'
+    });
+
+    this.belongsTo(models.user, {
+      foreignKey: 'assessedBy',
+      as: 'assessor'
+    });
+  }
+}
+
+module.exports = AssetCriticalityAssessment;
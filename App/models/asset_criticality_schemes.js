@@ -0,0 +1,80 @@
+const { Sequelize } = require('sequelize');
+
+/**
+ * Company-defined asset criticality scheme.
+ *
+ * One row per company. Assets are scored 0-100 as the weighted average of their factor
+ * scores, and the score maps to the named level with the highest minScore it reaches.
+ * Every change to the scheme increments version and rescores the existing assessments.
+ */
+class AssetCriticalityScheme extends Sequelize.Model {
+  static init(sequelize, DataTypes) {
+    return super.init({
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        allowNull: false,
+        autoIncrement: true,
+        field: 'id'
+      },
+      companyId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        unique: true,
+        field: 'company_id',
+        references: {
+          model: 'company',
+          key: 'id'
+        }
+      },
+      version: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 1,
+        field: 'version'
+      },
+      // [{ key, name, description, weight, maxScore }]
+      factors: {
+        type: DataTypes.JSON,
+        allowNull: false,
+        field: 'factors'
+      },
+      // [{ name, minScore, color }] ordered from lowest to highest
+      levels: {
+        type: DataTypes.JSON,
+        allowNull: false,
+        field: 'levels'
+      },
+      updatedBy: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        field: 'updated_by',
+        references: {
+          model: 'users',
+          key: 'id'
+        }
+      }
+    }, {
+      sequelize,
+      modelName: 'asset_criticality_schemes',
+      tableName: 'asset_criticality_schemes',
+      timestamps: true,
+      underscored: true,
+      paranoid: false
+    });
+  }
+
+  static associate(models) {
+    this.belongsTo(models.company, {
+      foreignKey: 'companyId',
+      as: 'company'
+    });
+
+    this.belongsTo(models.user, {
+      foreignKey: 'updatedBy',
+      as: 'updater'
+    });
+  }
+}
+
+module.exports = AssetCriticalityScheme;
@@ -108,6 +108,24 @@ class AssetHierarchy extends Sequelize.Model {
         type: Sequelize.INTEGER,
         field: 'upload_order',
         allowNull: true
+      },
+      // Effective criticality: the asset's own assessment or the nearest assessed ancestor's
+      // (maintained by helper/assetCriticalityHelper.js)
+      criticalityScore: {
+        type: Sequelize.INTEGER,
+        field: 'criticality_score',
+        allowNull: true
+      },
+      criticalityLevel: {
+        type: Sequelize.STRING(50),
+        field: 'criticality_level',
+        allowNull: true
+      },
+      // Asset whose assessment the criticality comes from (the asset itself when assessed directly)
+      criticalitySourceId: {
+        type: Sequelize.CHAR(36),
+        field: 'criticality_source_id',
+        allowNull: true
       }
     },
     {
@@ -116,7 +134,10 @@ class AssetHierarchy extends Sequelize.Model {
       tableName: 'asset_hierarchy',
       timestamps: true,
       underscored: true,
-      paranoid: true
+      paranoid: true,
+      // Note: The asset_hierarchy_search FULLTEXT index and the search facet indexes are
+      // added by migrations/20261019_asset_search_indexes.js, and the (company_id,
+      // criticality_level) index by migrations/20261019_asset_criticality.js
       // Note: Unique constraint on (external_id, company_id) for active records
       // is managed via functional index in scripts/fix-unique-constraints-soft-delete.js
       // Sequelize doesn't support functional indexes, so it's created via raw SQL
@@ -149,9 +170,20 @@ class AssetHierarchy extends Sequelize.Model {
       as: 'riskAssessments'
     });
 
+    this.hasMany(models.tactics, {
+      foreignKey: 'assetHierarchyId',
+      as: 'tactics'
+    });
+
+    this.hasOne(models.asset_criticality_assessments, {
+      foreignKey: 'assetId',
+      as: 'criticalityAssessment'
+    });
+
     // Add hooks after associations are defined
+    // options.changedBy (user ID) attributes the recorded asset history and is passed on to the cascade
     this.addHook('beforeDestroy', async (asset, options) => {
-      const { transaction } = options;
+      const { transaction, changedBy } = options;
 
       try {
         const childAssets = await models.asset_hierarchy.findAll({
@@ -160,7 +192,7 @@ class AssetHierarchy extends Sequelize.Model {
         });
 
         for (const child of childAssets) {
-          await child.destroy({ transaction });
+          await child.destroy({ transaction, changedBy });
         }
 
         await models.task_hazards.destroy({
@@ -180,8 +212,38 @@ class AssetHierarchy extends Sequelize.Model {
       }
     });
 
+    this.addHook('afterDestroy', async (asset, options) => {
+      // A hard-deleted asset has no history left to attach the change to
+      if (options.force) return;
+
+      await models.asset_changes.create({
+        companyId: asset.companyId,
+        assetId: asset.id,
+        changeType: 'delete',
+        fieldName: 'deletedAt',
+        oldValue: null,
+        newValue: (asset.deletedAt || new Date()).toISOString(),
+        source: 'api',
+        changedBy: options.changedBy || null
+      }, { transaction: options.transaction });
+    });
+
+    // Recorded before the restore, while the deletion time being cleared is still known
+    this.addHook('beforeRestore', async (asset, options) => {
+      await models.asset_changes.create({
+        companyId: asset.companyId,
+        assetId: asset.id,
+        changeType: 'restore',
+        fieldName: 'deletedAt',
+        oldValue: asset.deletedAt ? new Date(asset.deletedAt).toISOString() : null,
+        newValue: null,
+        source: 'api',
+        changedBy: options.changedBy || null
+      }, { transaction: options.transaction });
+    });
+
     this.addHook('afterRestore', async (asset, options) => {
-      const { transaction } = options;
+      const { transaction, changedBy } = options;
 
       try {
         const childAssets = await models.asset_hierarchy.unscoped().findAll({
@@ -193,7 +255,7 @@ class AssetHierarchy extends Sequelize.Model {
         });
 
         for (const child of childAssets) {
-          await child.restore({ transaction });
+          await child.restore({ transaction, changedBy });
         }
 
         await models.task_hazards.restore({
@@ -0,0 +1,123 @@
+const { Sequelize } = require('sequelize');
+
+/**
+ * Named column-mapping profile for asset hierarchy uploads.
+ *
+ * Stores the mapping of upload fields to file columns for a recurring export
+ * format (e.g. SAP or Maximo), plus optional per-field transforms applied to the
+ * values. Uploads reference a profile by name instead of sending columnMappings.
+ */
+class AssetMappingProfile extends Sequelize.Model {
+  static init(sequelize, DataTypes) {
+    return super.init({
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        allowNull: false,
+        autoIncrement: true,
+        field: 'id'
+      },
+      companyId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        field: 'company_id',
+        references: {
+          model: 'company',
+          key: 'id'
+        }
+      },
+      name: {
+        type: DataTypes.STRING(100),
+        allowNull: false,
+        field: 'name'
+      },
+      description: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+        field: 'description'
+      },
+      // { systemField: fileColumn }, same shape as the columnMappings of an upload
+      columnMappings: {
+        type: DataTypes.JSON,
+        allowNull: false,
+        field: 'column_mappings'
+      },
+      // { systemField: [{ type: 'trim' | 'uppercase' | 'lowercase' | 'valueMap', values }] }
+      transforms: {
+        type: DataTypes.JSON,
+        allowNull: true,
+        field: 'transforms'
+      },
+      createdBy: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        field: 'created_by',
+        references: {
+          model: 'users',
+          key: 'id'
+        }
+      },
+      updatedBy: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        field: 'updated_by',
+        references: {
+          model: 'users',
+          key: 'id'
+        }
+      }
+    }, {
+      sequelize,
+      modelName: 'asset_mapping_profiles',
+      tableName: 'asset_mapping_profiles',
+      timestamps: true,
+      underscored: true,
+      // Deleted profiles are removed so their name can be reused
+      paranoid: false,
+      indexes: [
+        {
+          fields: ['company_id', 'name'],
+          unique: true,
+          name: 'asset_mapping_profiles_company_name_unique'
+        }
+      ]
+    });
+  }
+
+  static associate(models) {
+    this.belongsTo(models.company, {
+      foreignKey: 'companyId',
+      as: 'company'
+    });
+
+    this.belongsTo(models.user, {
+      foreignKey: 'createdBy',
+      as: 'creator'
+    });
+
+    this.belongsTo(models.user, {
+      foreignKey: 'updatedBy',
+      as: 'updater'
+    });
+  }
+
+  /**
+   * Format profile for responses
+   * @returns {Object} Plain profile object
+   */
+  toResponseJSON() {
+    return {
+      id: this.id,
+      name: this.name,
+      description: this.description,
+      columnMappings: this.columnMappings,
+      transforms: this.transforms || {},
+      createdBy: this.createdBy,
+      updatedBy: this.updatedBy,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt
+    };
+  }
+}
+
+module.exports = AssetMappingProfile;
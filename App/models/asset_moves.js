@@ -0,0 +1,130 @@
+const { Sequelize } = require('sequelize');
+
+/**
+ * Audit record of an asset being moved under a new parent.
+ *
+ * One row per moved asset. Assets moved together in one request share a batchId.
+ * Parent external IDs are stored alongside the internal IDs so the record stays
+ * readable after either parent is deleted.
+ */
+class AssetMove extends Sequelize.Model {
+  static init(sequelize, DataTypes) {
+    return super.init({
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        allowNull: false,
+        autoIncrement: true,
+        field: 'id'
+      },
+      batchId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        field: 'batch_id'
+      },
+      companyId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        field: 'company_id',
+        references: {
+          model: 'company',
+          key: 'id'
+        }
+      },
+      assetId: {
+        type: DataTypes.CHAR(36),
+        allowNull: false,
+        field: 'asset_id',
+        references: {
+          model: 'asset_hierarchy',
+          key: 'id'
+        }
+      },
+      fromParentId: {
+        type: DataTypes.CHAR(36),
+        allowNull: true,
+        field: 'from_parent_id'
+      },
+      fromParentExternalId: {
+        type: DataTypes.STRING,
+        allowNull: true,
+        field: 'from_parent_external_id'
+      },
+      toParentId: {
+        type: DataTypes.CHAR(36),
+        allowNull: true,
+        field: 'to_parent_id'
+      },
+      toParentExternalId: {
+        type: DataTypes.STRING,
+        allowNull: true,
+        field: 'to_parent_external_id'
+      },
+      fromLevel: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        field: 'from_level'
+      },
+      toLevel: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        field: 'to_level'
+      },
+      // Number of assets below the moved asset whose level was recalculated with it
+      descendantCount: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+        field: 'descendant_count'
+      },
+      reason: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+        field: 'reason'
+      },
+      movedBy: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        field: 'moved_by',
+        references: {
+          model: 'users',
+          key: 'id'
+        }
+      }
+    }, {
+      sequelize,
+      modelName: 'asset_moves',
+      tableName: 'asset_moves',
+      timestamps: true,
+      underscored: true,
+      paranoid: false,
+      indexes: [
+        {
+          fields: ['company_id', 'asset_id']
+        },
+        {
+          fields: ['batch_id']
+        }
+      ]
+    });
+  }
+
+  static associate(models) {
+    this.belongsTo(models.company, {
+      foreignKey: 'companyId',
+      as: 'company'
+    });
+
+    this.belongsTo(models.asset_hierarchy, {
+      foreignKey: 'assetId',
+      as: 'asset'
+    });
+
+    this.belongsTo(models.user, {
+      foreignKey: 'movedBy',
+      as: 'mover'
+    });
+  }
+}
+
+module.exports = AssetMove;
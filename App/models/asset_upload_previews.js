@@ -0,0 +1,128 @@
+const { Sequelize } = require('sequelize');
+
+/**
+ * Stored dry run of an asset hierarchy upload.
+ *
+ * Holds the mapped rows of the previewed file and the plan computed from them,
+ * so the same rows can be committed later without uploading the file again.
+ * Committing links the preview to the file_uploads record that processed it.
+ */
+class AssetUploadPreview extends Sequelize.Model {
+  static init(sequelize, DataTypes) {
+    return super.init({
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+      },
+      companyId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'company',
+          key: 'id'
+        }
+      },
+      createdBy: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        }
+      },
+      originalName: {
+        type: DataTypes.STRING,
+        allowNull: false
+      },
+      fileType: {
+        type: DataTypes.STRING,
+        allowNull: false
+      },
+      fileSize: {
+        type: DataTypes.INTEGER,
+        allowNull: false
+      },
+      // Rows after column mapping, as passed to validateUploadData
+      mappedRows: {
+        type: DataTypes.TEXT('long'),
+        allowNull: false,
+        get() {
+          const rawValue = this.getDataValue('mappedRows');
+          return rawValue ? JSON.parse(rawValue) : [];
+        },
+        set(value) {
+          this.setDataValue('mappedRows', JSON.stringify(value || []));
+        }
+      },
+      // Counts, samples and plan hash returned by buildUploadPreview
+      summary: {
+        type: DataTypes.TEXT('long'),
+        allowNull: true,
+        get() {
+          const rawValue = this.getDataValue('summary');
+          return rawValue ? JSON.parse(rawValue) : null;
+        },
+        set(value) {
+          this.setDataValue('summary', value ? JSON.stringify(value) : null);
+        }
+      },
+      expiresAt: {
+        type: DataTypes.DATE,
+        allowNull: false
+      },
+      // Upload that committed this preview (null until committed)
+      fileUploadId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+          model: 'file_uploads',
+          key: 'id'
+        }
+      }
+    }, {
+      sequelize,
+      modelName: 'asset_upload_previews',
+      tableName: 'asset_upload_previews',
+      timestamps: true,
+      underscored: true,
+      paranoid: true
+    });
+  }
+
+  static associate(models) {
+    this.belongsTo(models.company, {
+      foreignKey: 'companyId',
+      as: 'company'
+    });
+
+    this.belongsTo(models.user, {
+      foreignKey: 'createdBy',
+      as: 'creator'
+    });
+
+    this.belongsTo(models.file_uploads, {
+      foreignKey: 'fileUploadId',
+      as: 'fileUpload'
+    });
+  }
+
+  static scopes(models) {
+    // Mapped rows can be large; load them explicitly with the 'withRows' scope
+    this.addScope('defaultScope', {
+      attributes: { exclude: ['mappedRows'] }
+    });
+    this.addScope('withRows', {});
+  }
+
+  /**
+   * Check whether the preview can no longer be committed because it expired
+   * @param {Date} now - Reference time
+   * @returns {boolean}
+   */
+  isExpired(now = new Date()) {
+    return new Date(this.expiresAt) <= now;
+  }
+}
+
+module.exports = AssetUploadPreview;
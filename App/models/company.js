@@ -6,6 +6,18 @@ class Company extends Sequelize.Model {
       name: {
         type: DataTypes.STRING(150),
         allowNull: false
+      },
+      // Branding used on generated documents (e.g. task hazard PDFs)
+      brandColor: {
+        type: DataTypes.STRING(7),
+        allowNull: true,
+        field: 'brand_color'
+      },
+      // PNG or JPEG logo as a base64 data URL
+      logo: {
+        type: DataTypes.TEXT('medium'),
+        allowNull: true,
+        field: 'logo'
       }
     },
     {
@@ -39,6 +51,21 @@ class Company extends Sequelize.Model {
       foreignKey: 'company_id',
       as: 'tactics'
     });
+
+    this.hasMany(models.company_risk_matrices, {
+      foreignKey: 'companyId',
+      as: 'riskMatrices'
+    });
+  }
+
+  static scopes(models) {
+    // The logo can be large; load it explicitly with the 'branding' scope
+    this.addScope('defaultScope', {
+      attributes: { exclude: ['logo'] }
+    });
+    this.addScope('branding', {
+      attributes: ['id', 'name', 'brandColor', 'logo']
+    });
   }
 }
 
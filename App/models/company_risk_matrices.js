@@ -0,0 +1,164 @@
+const { Sequelize } = require('sequelize');
+
+/**
+ * Company-scoped, versioned risk matrix.
+ *
+ * Each row is one immutable version of a company's matrix for a given mat_type.
+ * Publishing a change creates a new version and deactivates the previous one, so
+ * risks that were scored against an older version keep pointing at it.
+ */
+class CompanyRiskMatrix extends Sequelize.Model {
+  static init(sequelize, DataTypes) {
+    return super.init({
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        allowNull: false,
+        autoIncrement: true,
+        field: 'id'
+      },
+      companyId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        field: 'company_id',
+        references: {
+          model: 'company',
+          key: 'id'
+        }
+      },
+      matType: {
+        type: DataTypes.ENUM('personel', 'maintainance', 'revenue', 'process', 'environmental'),
+        allowNull: false,
+        field: 'mat_type'
+      },
+      version: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 1,
+        field: 'version'
+      },
+      // Matrix dimensions (rows = likelihood, columns = consequence)
+      likelihoodLevels: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        field: 'likelihood_levels'
+      },
+      consequenceLevels: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        field: 'consequence_levels'
+      },
+      // [{ value, label, description }] ordered from 1..likelihoodLevels
+      likelihoods: {
+        type: DataTypes.JSON,
+        allowNull: false,
+        field: 'likelihoods'
+      },
+      // [{ value, label, description }] ordered from 1..consequenceLevels
+      consequences: {
+        type: DataTypes.JSON,
+        allowNull: false,
+        field: 'consequences'
+      },
+      // cells[likelihood - 1][consequence - 1] = { score, color }
+      cells: {
+        type: DataTypes.JSON,
+        allowNull: false,
+        field: 'cells'
+      },
+      // [{ name, minScore, maxScore, color }] ordered from lowest to highest
+      bands: {
+        type: DataTypes.JSON,
+        allowNull: false,
+        field: 'bands'
+      },
+      // Residual (mitigated) scores above this need a supervisor signature.
+      // Null falls back to the top of the second band (Medium on the default matrix)
+      signatureThreshold: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        field: 'signature_threshold'
+      },
+      isActive: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: true,
+        field: 'is_active'
+      },
+      createdBy: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        field: 'created_by',
+        references: {
+          model: 'users',
+          key: 'id'
+        }
+      }
+    }, {
+      sequelize,
+      modelName: 'company_risk_matrices',
+      tableName: 'company_risk_matrices',
+      timestamps: true,
+      underscored: true,
+      paranoid: true,
+      indexes: [
+        {
+          fields: ['company_id', 'mat_type', 'version'],
+          unique: true,
+          name: 'company_risk_matrices_version_unique'
+        },
+        {
+          fields: ['company_id', 'mat_type', 'is_active']
+        }
+      ]
+    });
+  }
+
+  static associate(models) {
+    this.belongsTo(models.company, {
+      foreignKey: 'companyId',
+      as: 'company'
+    });
+
+    this.belongsTo(models.user, {
+      foreignKey: 'createdBy',
+      as: 'creator'
+    });
+  }
+
+  /**
+   * Get the cell for a likelihood/consequence pair
+   * @param {number} likelihood - 1-based likelihood value
+   * @param {number} consequence - 1-based consequence value
+   * @returns {Object|null} { score, color } or null if out of range
+   */
+  getCell(likelihood, consequence) {
+    const row = this.cells?.[likelihood - 1];
+    return row?.[consequence - 1] || null;
+  }
+
+  /**
+   * Get the band a score falls into
+   * @param {number} score - Risk score
+   * @returns {Object|null} { name, minScore, maxScore, color } or null
+   */
+  getBand(score) {
+    if (score === null || score === undefined) return null;
+    return (this.bands || []).find(band => score >= band.minScore && score <= band.maxScore) || null;
+  }
+
+  /**
+   * Get the residual score above which a supervisor signature is required
+   * @returns {number|null} Threshold score or null if the matrix has no bands
+   */
+  getSignatureThreshold() {
+    if (this.signatureThreshold !== null && this.signatureThreshold !== undefined) {
+      return this.signatureThreshold;
+    }
+    const bands = this.bands || [];
+    if (bands.length === 0) return null;
+    return bands[Math.min(1, bands.length - 1)].maxScore;
+  }
+}
+
+module.exports = CompanyRiskMatrix;
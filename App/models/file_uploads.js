@@ -25,7 +25,7 @@ class FileUpload extends Sequelize.Model {
         allowNull: false
       },
       status: {
-        type: DataTypes.ENUM('uploading', 'processing', 'completed', 'error'),
+        type: DataTypes.ENUM('uploading', 'processing', 'completed', 'error', 'cancelled'),
         defaultValue: 'uploading'
       },
       errorMessage: {
@@ -43,6 +43,33 @@ class FileUpload extends Sequelize.Model {
           this.setDataValue('resultSummary', value ? JSON.stringify(value) : null);
         }
       },
+      // Number of parts of a chunked upload (null for single-request uploads)
+      totalParts: {
+        type: DataTypes.INTEGER,
+        allowNull: true
+      },
+      // Column mappings and options chosen when a chunked upload was initiated
+      uploadOptions: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+        get() {
+          const rawValue = this.getDataValue('uploadOptions');
+          return rawValue ? JSON.parse(rawValue) : null;
+        },
+        set(value) {
+          this.setDataValue('uploadOptions', value ? JSON.stringify(value) : null);
+        }
+      },
+      // Progress: rows in the file (null until the file has been read) and rows processed so far
+      totalRows: {
+        type: DataTypes.INTEGER,
+        allowNull: true
+      },
+      processedRows: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
       companyId: {
         type: DataTypes.INTEGER,
         allowNull: false,
@@ -79,6 +106,11 @@ class FileUpload extends Sequelize.Model {
       foreignKey: "uploaderId",
       as: 'uploadedBy'
     });
+
+    this.hasOne(models.upload_jobs, {
+      foreignKey: 'fileUploadId',
+      as: 'job'
+    });
   }
 }
 
@@ -0,0 +1,93 @@
+const { Sequelize } = require('sequelize');
+
+/**
+ * Company catalogue entry for a hazard category.
+ *
+ * Risks reference a category so reports can group hazards consistently. Free-text risk
+ * types are matched against the name and aliases of the company's categories.
+ */
+class HazardCategory extends Sequelize.Model {
+  static init(sequelize, DataTypes) {
+    return super.init({
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        allowNull: false,
+        autoIncrement: true,
+        field: 'id'
+      },
+      companyId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        field: 'company_id',
+        references: {
+          model: 'company',
+          key: 'id'
+        }
+      },
+      name: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        field: 'name'
+      },
+      description: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+        field: 'description'
+      },
+      // Other free-text values that mean this category: ['Working at heights', ...]
+      aliases: {
+        type: DataTypes.JSON,
+        allowNull: false,
+        defaultValue: [],
+        field: 'aliases'
+      },
+      isActive: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: true,
+        field: 'is_active'
+      },
+      createdBy: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        field: 'created_by',
+        references: {
+          model: 'users',
+          key: 'id'
+        }
+      }
+    }, {
+      sequelize,
+      modelName: 'hazard_categories',
+      tableName: 'hazard_categories',
+      timestamps: true,
+      underscored: true,
+      paranoid: true,
+      indexes: [
+        {
+          fields: ['company_id', 'name']
+        }
+      ]
+    });
+  }
+
+  static associate(models) {
+    this.belongsTo(models.company, {
+      foreignKey: 'companyId',
+      as: 'company'
+    });
+
+    this.belongsTo(models.user, {
+      foreignKey: 'createdBy',
+      as: 'creator'
+    });
+
+    this.hasMany(models.hazard_controls, {
+      foreignKey: 'hazardCategoryId',
+      as: 'controls'
+    });
+  }
+}
+
+module.exports = HazardCategory;
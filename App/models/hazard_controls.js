@@ -0,0 +1,112 @@
+const { Sequelize } = require('sequelize');
+
+/**
+ * Company catalogue entry for a standard control (mitigating action).
+ *
+ * Each control has its hierarchy-of-controls type, from elimination (most effective)
+ * to PPE (least effective), and can be tied to the hazard category it usually controls.
+ * Free-text mitigating actions are matched against the name and aliases of the company's controls.
+ */
+class HazardControl extends Sequelize.Model {
+  static init(sequelize, DataTypes) {
+    return super.init({
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        allowNull: false,
+        autoIncrement: true,
+        field: 'id'
+      },
+      companyId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        field: 'company_id',
+        references: {
+          model: 'company',
+          key: 'id'
+        }
+      },
+      // Hazard category the control usually applies to, null for any
+      hazardCategoryId: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        field: 'hazard_category_id',
+        references: {
+          model: 'hazard_categories',
+          key: 'id'
+        }
+      },
+      name: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        field: 'name'
+      },
+      description: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+        field: 'description'
+      },
+      controlType: {
+        type: DataTypes.ENUM('elimination', 'substitution', 'engineering', 'administrative', 'ppe'),
+        allowNull: false,
+        field: 'control_type'
+      },
+      // Other free-text values that mean this control: ['Wear harness', ...]
+      aliases: {
+        type: DataTypes.JSON,
+        allowNull: false,
+        defaultValue: [],
+        field: 'aliases'
+      },
+      isActive: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: true,
+        field: 'is_active'
+      },
+      createdBy: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        field: 'created_by',
+        references: {
+          model: 'users',
+          key: 'id'
+        }
+      }
+    }, {
+      sequelize,
+      modelName: 'hazard_controls',
+      tableName: 'hazard_controls',
+      timestamps: true,
+      underscored: true,
+      paranoid: true,
+      indexes: [
+        {
+          fields: ['company_id', 'name']
+        },
+        {
+          fields: ['company_id', 'hazard_category_id']
+        }
+      ]
+    });
+  }
+
+  static associate(models) {
+    this.belongsTo(models.company, {
+      foreignKey: 'companyId',
+      as: 'company'
+    });
+
+    this.belongsTo(models.hazard_categories, {
+      foreignKey: 'hazardCategoryId',
+      as: 'hazardCategory'
+    });
+
+    this.belongsTo(models.user, {
+      foreignKey: 'createdBy',
+      as: 'creator'
+    });
+  }
+}
+
+module.exports = HazardControl;
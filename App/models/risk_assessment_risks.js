@@ -88,9 +88,68 @@ class RiskAssessmentRisk extends Sequelize.Model {
         return consequenceMap[value] || value;
       }
     },
+    // Scores and band names computed server-side from the company risk matrix
+    asIsScore: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    asIsLevel: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    mitigatedScore: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    mitigatedLevel: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
     requiresSupervisorSignature: {
       type: DataTypes.BOOLEAN,
       defaultValue: false
+    },
+    // Company risk matrix version this risk was scored against
+    riskMatrixId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'company_risk_matrices',
+        key: 'id'
+      }
+    },
+    // Company hazard and control catalogue entries the risk type and mitigating action map to
+    hazardCategoryId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'hazard_categories',
+        key: 'id'
+      }
+    },
+    hazardControlId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'hazard_controls',
+        key: 'id'
+      }
+    },
+    // Hierarchy-of-controls type of the mitigating action, null when it could not be determined
+    controlType: {
+      type: DataTypes.ENUM('elimination', 'substitution', 'engineering', 'administrative', 'ppe'),
+      allowNull: true
+    },
+    // Set when the risk type or mitigating action is free text that matched no catalogue entry
+    freeTextHazard: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    },
+    freeTextControl: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
     }
     }, {
       sequelize,
@@ -103,6 +162,21 @@ class RiskAssessmentRisk extends Sequelize.Model {
   }
 
   static associate(models) {
+    this.belongsTo(models.company_risk_matrices, {
+      foreignKey: 'riskMatrixId',
+      as: 'riskMatrix'
+    });
+
+    this.belongsTo(models.hazard_categories, {
+      foreignKey: 'hazardCategoryId',
+      as: 'hazardCategory'
+    });
+
+    this.belongsTo(models.hazard_controls, {
+      foreignKey: 'hazardControlId',
+      as: 'hazardControl'
+    });
+
     this.belongsTo(models.risk_assessments, { 
       foreignKey: 'riskAssessmentId',
       as: 'riskAssessment'
@@ -58,6 +58,23 @@ class RiskAssessment extends Sequelize.Model {
         allowNull: false,
         defaultValue: 'Pending',
         field: 'status'
+      },
+      // { [matType]: version } of the company risk matrices used to score the risks
+      riskMatrixVersions: {
+        type: DataTypes.JSON,
+        allowNull: true,
+        field: 'risk_matrix_versions'
+      },
+      // Highest mitigated (residual) risk across the risks, used for filtering and sorting
+      maxResidualScore: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        field: 'max_residual_score'
+      },
+      maxResidualLevel: {
+        type: DataTypes.STRING,
+        allowNull: true,
+        field: 'max_residual_level'
       }
     }, {
       sequelize,
@@ -66,6 +83,8 @@ class RiskAssessment extends Sequelize.Model {
       timestamps: true,
       underscored: true,
       paranoid: true
+      // Note: The (company_id, max_residual_score) index is added by
+      // migrations/20261019_risk_scores.js along with the column
     });
   }
 
@@ -171,6 +190,9 @@ class RiskAssessment extends Sequelize.Model {
         ['asset_hierarchy_id', 'assetSystem'], 
         'location', 
         'status',
+        'riskMatrixVersions',
+        'maxResidualScore',
+        'maxResidualLevel',
         'createdAt'
       ],
       order: [['createdAt', 'DESC']],
@@ -0,0 +1,148 @@
+const { Sequelize } = require('sequelize');
+
+/**
+ * Step of a single supervisor approval.
+ *
+ * Steps are resolved from the matching approval chain when the approval is
+ * created. Exactly one step is 'pending' while the approval is pending; later
+ * steps wait until the previous one is approved.
+ */
+class SupervisorApprovalStep extends Sequelize.Model {
+  static init(sequelize, DataTypes) {
+    return super.init({
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        allowNull: false,
+        autoIncrement: true,
+        field: 'id'
+      },
+      approvalId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        field: 'approval_id',
+        references: {
+          model: 'supervisor_approvals',
+          key: 'id'
+        }
+      },
+      stepOrder: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        field: 'step_order'
+      },
+      name: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        field: 'name'
+      },
+      approverId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        field: 'approver_id',
+        references: {
+          model: 'users',
+          key: 'id'
+        }
+      },
+      status: {
+        type: DataTypes.ENUM('waiting', 'pending', 'approved', 'rejected', 'skipped'),
+        allowNull: false,
+        defaultValue: 'waiting',
+        field: 'status'
+      },
+      processedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        field: 'processed_at'
+      },
+      comments: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+        field: 'comments'
+      },
+      // User who decided the step (approver, delegate or admin)
+      processedById: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        field: 'processed_by_id',
+        references: {
+          model: 'users',
+          key: 'id'
+        }
+      },
+      // Approver the step was decided on behalf of (set for delegated decisions)
+      onBehalfOfId: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        field: 'on_behalf_of_id',
+        references: {
+          model: 'users',
+          key: 'id'
+        }
+      }
+    }, {
+      sequelize,
+      modelName: 'supervisor_approval_steps',
+      tableName: 'supervisor_approval_steps',
+      timestamps: true,
+      underscored: true,
+      paranoid: true,
+      indexes: [
+        {
+          fields: ['approval_id', 'step_order']
+        },
+        {
+          fields: ['approver_id', 'status']
+        }
+      ]
+    });
+  }
+
+  static associate(models) {
+    this.belongsTo(models.supervisor_approvals, {
+      foreignKey: 'approvalId',
+      as: 'approval'
+    });
+
+    this.belongsTo(models.user, {
+      foreignKey: 'approverId',
+      as: 'approver'
+    });
+
+    this.belongsTo(models.user, {
+      foreignKey: 'processedById',
+      as: 'processedBy'
+    });
+
+    this.belongsTo(models.user, {
+      foreignKey: 'onBehalfOfId',
+      as: 'onBehalfOf'
+    });
+  }
+
+  /**
+   * Format step for responses
+   * @returns {Object} Plain step object
+   */
+  toResponseJSON() {
+    return {
+      id: this.id,
+      stepOrder: this.stepOrder,
+      name: this.name,
+      status: this.status,
+      processedAt: this.processedAt,
+      comments: this.comments,
+      approver: this.approver ? {
+        id: this.approver.id,
+        email: this.approver.email,
+        name: this.approver.name,
+        role: this.approver.role
+      } : { id: this.approverId },
+      processedById: this.processedById,
+      onBehalfOfId: this.onBehalfOfId
+    };
+  }
+}
+
+module.exports = SupervisorApprovalStep;
@@ -83,6 +83,76 @@ class SupervisorApproval extends Sequelize.Model {
           key: 'id'
         }
       },
+      // Approval chain the steps were resolved from (null for a single supervisor step)
+      chainId: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        field: 'chain_id',
+        references: {
+          model: 'approval_chains',
+          key: 'id'
+        }
+      },
+      // stepOrder of the step currently waiting for a decision
+      currentStep: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 1,
+        field: 'current_step'
+      },
+      // User who made the final decision (approver, delegate or admin)
+      processedById: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        field: 'processed_by_id',
+        references: {
+          model: 'users',
+          key: 'id'
+        }
+      },
+      // Approver the final decision was made on behalf of (delegated decisions)
+      onBehalfOfId: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        field: 'on_behalf_of_id',
+        references: {
+          model: 'users',
+          key: 'id'
+        }
+      },
+      // Why the approval was invalidated when it was not replaced by an edit (e.g. reassignment)
+      invalidationReason: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+        field: 'invalidation_reason'
+      },
+      // When the current step became pending; the SLA clock starts here
+      pendingSince: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        defaultValue: DataTypes.NOW,
+        field: 'pending_since'
+      },
+      // SLA reminder/escalation sent for the current step (reset when the step advances)
+      slaReminderSentAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        field: 'sla_reminder_sent_at'
+      },
+      slaEscalatedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        field: 'sla_escalated_at'
+      },
+      slaEscalatedToId: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        field: 'sla_escalated_to_id',
+        references: {
+          model: 'users',
+          key: 'id'
+        }
+      },
       // VIRTUAL fields for backwards compatibility - these don't exist in the database
       // They compute values from the polymorphic fields for legacy API responses
       taskHazardId: {
@@ -128,6 +198,21 @@ class SupervisorApproval extends Sequelize.Model {
       as: 'supervisor'
     });
 
+    this.belongsTo(models.user, {
+      foreignKey: 'processedById',
+      as: 'processedBy'
+    });
+
+    this.belongsTo(models.user, {
+      foreignKey: 'onBehalfOfId',
+      as: 'onBehalfOf'
+    });
+
+    this.belongsTo(models.user, {
+      foreignKey: 'slaEscalatedToId',
+      as: 'slaEscalatedTo'
+    });
+
     // Self-referencing association for replacement tracking
     this.belongsTo(models.supervisor_approvals, {
       foreignKey: 'replacedByApprovalId',
@@ -139,6 +224,23 @@ class SupervisorApproval extends Sequelize.Model {
       as: 'replacesApproval'
     });
 
+    // Ordered approval steps (supervisor, area manager, HSE, ...)
+    this.hasMany(models.supervisor_approval_steps, {
+      foreignKey: 'approvalId',
+      as: 'steps'
+    });
+
+    this.belongsTo(models.approval_chains, {
+      foreignKey: 'chainId',
+      as: 'chain'
+    });
+
+    // Tamper-evident seal written when the approval is processed
+    this.hasOne(models.approval_seals, {
+      foreignKey: 'approvalId',
+      as: 'seal'
+    });
+
     // Add afterFind hook for eager loading support
     this.addHook('afterFind', findResult => {
       if (!findResult) return;
@@ -162,11 +264,14 @@ class SupervisorApproval extends Sequelize.Model {
   }
 
   // Instance method to approve the request
-  async approve(comments = null, transaction = null) {
+  // audit: { processedById, onBehalfOfId } of the user making the decision
+  async approve(comments = null, transaction = null, audit = {}) {
     const updateData = {
       status: 'approved',
       processedAt: new Date(),
-      comments
+      comments,
+      processedById: audit.processedById ?? null,
+      onBehalfOfId: audit.onBehalfOfId ?? null
     };
 
     const options = transaction ? { transaction } : {};
@@ -174,11 +279,14 @@ class SupervisorApproval extends Sequelize.Model {
   }
 
   // Instance method to reject the request
-  async reject(comments = null, transaction = null) {
+  // audit: { processedById, onBehalfOfId } of the user making the decision
+  async reject(comments = null, transaction = null, audit = {}) {
     const updateData = {
       status: 'rejected',
       processedAt: new Date(),
-      comments
+      comments,
+      processedById: audit.processedById ?? null,
+      onBehalfOfId: audit.onBehalfOfId ?? null
     };
 
     const options = transaction ? { transaction } : {};
@@ -219,6 +327,7 @@ class SupervisorApproval extends Sequelize.Model {
         trainedWorkforce: approvable.trainedWorkforce,
         location: approvable.location,
         geoFenceLimit: approvable.geoFenceLimit,
+        riskMatrixVersions: approvable.riskMatrixVersions || null,
         individuals: approvable.individuals ? approvable.individuals.map(ind => ({
           id: ind.id,
           email: ind.email,
@@ -243,6 +352,7 @@ class SupervisorApproval extends Sequelize.Model {
         scopeOfWork: approvable.scopeOfWork,
         assetHierarchyId: approvable.assetHierarchyId,
         location: approvable.location,
+        riskMatrixVersions: approvable.riskMatrixVersions || null,
         individuals: approvable.individuals ? approvable.individuals.map(ind => ({
           id: ind.id,
           email: ind.email,
@@ -273,7 +383,12 @@ class SupervisorApproval extends Sequelize.Model {
       mitigatingActionType: risk.mitigatingActionType,
       mitigatedLikelihood: risk.mitigatedLikelihood,
       mitigatedConsequence: risk.mitigatedConsequence,
-      requiresSupervisorSignature: risk.requiresSupervisorSignature
+      requiresSupervisorSignature: risk.requiresSupervisorSignature,
+      riskMatrixId: risk.riskMatrixId || null,
+      asIsScore: risk.asIsScore ?? null,
+      asIsLevel: risk.asIsLevel || null,
+      mitigatedScore: risk.mitigatedScore ?? null,
+      mitigatedLevel: risk.mitigatedLevel || null
     })) : [];
 
     return {
@@ -302,6 +417,15 @@ class SupervisorApproval extends Sequelize.Model {
       risksSnapshot: this.risksSnapshot,
       isInvalidated: this.isInvalidated,
       replacedByApprovalId: this.replacedByApprovalId,
+      chainId: this.chainId,
+      currentStep: this.currentStep,
+      processedById: this.processedById,
+      onBehalfOfId: this.onBehalfOfId,
+      invalidationReason: this.invalidationReason,
+      pendingSince: this.pendingSince,
+      slaReminderSentAt: this.slaReminderSentAt,
+      slaEscalatedAt: this.slaEscalatedAt,
+      slaEscalatedToId: this.slaEscalatedToId,
       createdAt: this.createdAt,
       updatedAt: this.updatedAt
     };
@@ -322,6 +446,18 @@ class SupervisorApproval extends Sequelize.Model {
       };
     }
 
+    // Include seal if loaded
+    if (this.seal !== undefined) {
+      response.seal = this.seal ? this.seal.toResponseJSON() : null;
+    }
+
+    // Include approval steps if loaded
+    if (this.steps) {
+      response.steps = [...this.steps]
+        .sort((a, b) => a.stepOrder - b.stepOrder)
+        .map(step => step.toResponseJSON());
+    }
+
     return response;
   }
 }
@@ -0,0 +1,113 @@
+const { Sequelize } = require('sequelize');
+
+/**
+ * A worker's sign-on to a task hazard: the individual read and accepted the JHA.
+ *
+ * Acknowledgements are kept as history. When the task hazard is edited and goes through
+ * re-approval, its acknowledgements are invalidated and the workers have to sign on again.
+ */
+class TaskHazardAcknowledgement extends Sequelize.Model {
+  static init(sequelize, DataTypes) {
+    return super.init({
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        allowNull: false,
+        autoIncrement: true,
+        field: 'id'
+      },
+      taskHazardId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        field: 'task_hazard_id',
+        references: {
+          model: 'task_hazards',
+          key: 'id'
+        }
+      },
+      userId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        field: 'user_id',
+        references: {
+          model: 'users',
+          key: 'id'
+        }
+      },
+      // Supervisor approval that was current when the worker signed on, if any
+      approvalId: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        field: 'approval_id',
+        references: {
+          model: 'supervisor_approvals',
+          key: 'id'
+        }
+      },
+      acknowledgedAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        field: 'acknowledged_at'
+      },
+      // Optional GPS position of the device at sign-on
+      latitude: {
+        type: DataTypes.DECIMAL(10, 7),
+        allowNull: true,
+        field: 'latitude'
+      },
+      longitude: {
+        type: DataTypes.DECIMAL(10, 7),
+        allowNull: true,
+        field: 'longitude'
+      },
+      // GPS accuracy in meters
+      locationAccuracy: {
+        type: DataTypes.FLOAT,
+        allowNull: true,
+        field: 'location_accuracy'
+      },
+      isInvalidated: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+        field: 'is_invalidated'
+      },
+      invalidatedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        field: 'invalidated_at'
+      }
+    }, {
+      sequelize,
+      modelName: 'task_hazard_acknowledgements',
+      tableName: 'task_hazard_acknowledgements',
+      timestamps: true,
+      underscored: true,
+      paranoid: false,
+      indexes: [
+        {
+          fields: ['task_hazard_id', 'user_id', 'is_invalidated']
+        }
+      ]
+    });
+  }
+
+  static associate(models) {
+    this.belongsTo(models.task_hazards, {
+      foreignKey: 'taskHazardId',
+      as: 'taskHazard'
+    });
+
+    this.belongsTo(models.user, {
+      foreignKey: 'userId',
+      as: 'user'
+    });
+
+    this.belongsTo(models.supervisor_approvals, {
+      foreignKey: 'approvalId',
+      as: 'approval'
+    });
+  }
+}
+
+module.exports = TaskHazardAcknowledgement;
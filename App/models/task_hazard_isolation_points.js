@@ -0,0 +1,195 @@
+const { Sequelize } = require('sequelize');
+
+/**
+ * One isolation point of a task hazard's lockout/tagout (LOTO) plan.
+ *
+ * A point isolates an energy source at an asset. It is planned first, then its lock is
+ * applied, verified (try-out) and finally removed; the user and time of each step is kept.
+ * A task hazard can only be completed once every isolation point's lock has been removed.
+ */
+class TaskHazardIsolationPoint extends Sequelize.Model {
+  static init(sequelize, DataTypes) {
+    return super.init({
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        allowNull: false,
+        autoIncrement: true,
+        field: 'id'
+      },
+      companyId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        field: 'company_id',
+        references: {
+          model: 'company',
+          key: 'id'
+        }
+      },
+      taskHazardId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        field: 'task_hazard_id',
+        references: {
+          model: 'task_hazards',
+          key: 'id'
+        }
+      },
+      // Order in which the points are isolated
+      sequence: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 1,
+        field: 'sequence'
+      },
+      energySource: {
+        type: DataTypes.ENUM('electrical', 'mechanical', 'hydraulic', 'pneumatic', 'chemical',
+          'thermal', 'gravitational', 'radiation', 'other'),
+        allowNull: false,
+        field: 'energy_source'
+      },
+      // e.g. '480 V', '150 psi'
+      energyMagnitude: {
+        type: DataTypes.STRING,
+        allowNull: true,
+        field: 'energy_magnitude'
+      },
+      // Asset (breaker, valve, ...) where the energy source is isolated
+      assetHierarchyId: {
+        type: DataTypes.CHAR(36),
+        allowNull: false,
+        field: 'asset_hierarchy_id',
+        references: {
+          model: 'asset_hierarchy',
+          key: 'id'
+        }
+      },
+      // e.g. 'Open breaker and rack out', 'Close valve and bleed line'
+      isolationMethod: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        field: 'isolation_method'
+      },
+      description: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+        field: 'description'
+      },
+      lockNumber: {
+        type: DataTypes.STRING(50),
+        allowNull: true,
+        field: 'lock_number'
+      },
+      appliedBy: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        field: 'applied_by',
+        references: {
+          model: 'users',
+          key: 'id'
+        }
+      },
+      appliedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        field: 'applied_at'
+      },
+      verifiedBy: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        field: 'verified_by',
+        references: {
+          model: 'users',
+          key: 'id'
+        }
+      },
+      verifiedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        field: 'verified_at'
+      },
+      removedBy: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        field: 'removed_by',
+        references: {
+          model: 'users',
+          key: 'id'
+        }
+      },
+      removedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        field: 'removed_at'
+      },
+      notes: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+        field: 'notes'
+      },
+      createdBy: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        field: 'created_by',
+        references: {
+          model: 'users',
+          key: 'id'
+        }
+      }
+    }, {
+      sequelize,
+      modelName: 'task_hazard_isolation_points',
+      tableName: 'task_hazard_isolation_points',
+      timestamps: true,
+      underscored: true,
+      paranoid: true,
+      indexes: [
+        {
+          fields: ['task_hazard_id', 'sequence']
+        },
+        {
+          fields: ['company_id', 'lock_number']
+        }
+      ]
+    });
+  }
+
+  static associate(models) {
+    this.belongsTo(models.company, {
+      foreignKey: 'companyId',
+      as: 'company'
+    });
+
+    this.belongsTo(models.task_hazards, {
+      foreignKey: 'taskHazardId',
+      as: 'taskHazard'
+    });
+
+    this.belongsTo(models.asset_hierarchy, {
+      foreignKey: 'assetHierarchyId',
+      as: 'asset'
+    });
+
+    this.belongsTo(models.user, {
+      foreignKey: 'appliedBy',
+      as: 'appliedByUser'
+    });
+
+    this.belongsTo(models.user, {
+      foreignKey: 'verifiedBy',
+      as: 'verifiedByUser'
+    });
+
+    this.belongsTo(models.user, {
+      foreignKey: 'removedBy',
+      as: 'removedByUser'
+    });
+
+    this.belongsTo(models.user, {
+      foreignKey: 'createdBy',
+      as: 'creator'
+    });
+  }
+}
+
+module.exports = TaskHazardIsolationPoint;
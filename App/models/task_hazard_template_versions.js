@@ -0,0 +1,108 @@
+const { Sequelize } = require('sequelize');
+
+/**
+ * One immutable version of a task hazard template's content.
+ *
+ * Editing the content of a template creates a new version, and task hazards created
+ * from a template point at the version they were created from.
+ */
+class TaskHazardTemplateVersion extends Sequelize.Model {
+  static init(sequelize, DataTypes) {
+    return super.init({
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        allowNull: false,
+        autoIncrement: true,
+        field: 'id'
+      },
+      templateId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        field: 'template_id',
+        references: {
+          model: 'task_hazard_templates',
+          key: 'id'
+        }
+      },
+      version: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        field: 'version'
+      },
+      scopeOfWork: {
+        type: DataTypes.TEXT,
+        allowNull: false,
+        field: 'scope_of_work'
+      },
+      systemLockoutRequired: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+        field: 'system_lockout_required'
+      },
+      trainedWorkforce: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+        field: 'trained_workforce'
+      },
+      // Standard risks: [{ riskDescription, riskType, asIsLikelihood, asIsConsequence,
+      //   mitigatingAction, mitigatingActionType, mitigatedLikelihood, mitigatedConsequence }]
+      // with likelihood/consequence stored as matrix level values
+      risks: {
+        type: DataTypes.JSON,
+        allowNull: false,
+        field: 'risks'
+      },
+      changeNote: {
+        type: DataTypes.STRING,
+        allowNull: true,
+        field: 'change_note'
+      },
+      createdBy: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        field: 'created_by',
+        references: {
+          model: 'users',
+          key: 'id'
+        }
+      }
+    }, {
+      sequelize,
+      modelName: 'task_hazard_template_versions',
+      tableName: 'task_hazard_template_versions',
+      timestamps: true,
+      updatedAt: false,
+      underscored: true,
+      paranoid: false,
+      indexes: [
+        {
+          fields: ['template_id', 'version'],
+          unique: true,
+          name: 'task_hazard_template_versions_version_unique'
+        }
+      ]
+    });
+  }
+
+  static associate(models) {
+    this.belongsTo(models.task_hazard_templates, {
+      foreignKey: 'templateId',
+      as: 'template'
+    });
+
+    this.belongsTo(models.user, {
+      foreignKey: 'createdBy',
+      as: 'creator'
+    });
+
+    this.hasMany(models.task_hazards, {
+      foreignKey: 'templateVersionId',
+      as: 'taskHazards'
+    });
+  }
+}
+
+module.exports = TaskHazardTemplateVersion;
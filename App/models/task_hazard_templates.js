@@ -0,0 +1,118 @@
+const { Sequelize } = require('sequelize');
+
+/**
+ * Company-level task hazard (JHA) template.
+ *
+ * The template row holds what identifies and targets the template; its content (scope of
+ * work, flags and standard risks) lives in immutable task_hazard_template_versions rows.
+ * A template can target an asset object type, a subtree (the asset and its descendants),
+ * both, or neither (available for any asset).
+ */
+class TaskHazardTemplate extends Sequelize.Model {
+  static init(sequelize, DataTypes) {
+    return super.init({
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        allowNull: false,
+        autoIncrement: true,
+        field: 'id'
+      },
+      companyId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        field: 'company_id',
+        references: {
+          model: 'company',
+          key: 'id'
+        }
+      },
+      name: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        field: 'name'
+      },
+      description: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+        field: 'description'
+      },
+      // Asset object type the template applies to, null for any type
+      objectType: {
+        type: DataTypes.STRING,
+        allowNull: true,
+        field: 'object_type'
+      },
+      // Root of the asset subtree the template applies to, null for the whole hierarchy
+      assetHierarchyId: {
+        type: DataTypes.CHAR(36),
+        allowNull: true,
+        field: 'asset_hierarchy_id',
+        references: {
+          model: 'asset_hierarchy',
+          key: 'id'
+        }
+      },
+      currentVersion: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 1,
+        field: 'current_version'
+      },
+      isActive: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: true,
+        field: 'is_active'
+      },
+      createdBy: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        field: 'created_by',
+        references: {
+          model: 'users',
+          key: 'id'
+        }
+      }
+    }, {
+      sequelize,
+      modelName: 'task_hazard_templates',
+      tableName: 'task_hazard_templates',
+      timestamps: true,
+      underscored: true,
+      paranoid: true,
+      indexes: [
+        {
+          fields: ['company_id', 'object_type']
+        },
+        {
+          fields: ['company_id', 'asset_hierarchy_id']
+        }
+      ]
+    });
+  }
+
+  static associate(models) {
+    this.belongsTo(models.company, {
+      foreignKey: 'companyId',
+      as: 'company'
+    });
+
+    this.belongsTo(models.asset_hierarchy, {
+      foreignKey: 'assetHierarchyId',
+      as: 'asset'
+    });
+
+    this.belongsTo(models.user, {
+      foreignKey: 'createdBy',
+      as: 'creator'
+    });
+
+    this.hasMany(models.task_hazard_template_versions, {
+      foreignKey: 'templateId',
+      as: 'versions'
+    });
+  }
+}
+
+module.exports = TaskHazardTemplate;
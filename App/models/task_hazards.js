@@ -74,6 +74,33 @@ class TaskHazard extends Sequelize.Model {
         allowNull: false,
         defaultValue: 200,
         field: 'geofence_limit'
+      },
+      // { [matType]: version } of the company risk matrices used to score the risks
+      riskMatrixVersions: {
+        type: DataTypes.JSON,
+        allowNull: true,
+        field: 'risk_matrix_versions'
+      },
+      // Highest mitigated (residual) risk across the risks, used for filtering and sorting
+      maxResidualScore: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        field: 'max_residual_score'
+      },
+      maxResidualLevel: {
+        type: DataTypes.STRING,
+        allowNull: true,
+        field: 'max_residual_level'
+      },
+      // Template version the task hazard was created from, null when written from scratch
+      templateVersionId: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        field: 'template_version_id',
+        references: {
+          model: 'task_hazard_template_versions',
+          key: 'id'
+        }
       }
     }, {
       sequelize,
@@ -82,6 +109,8 @@ class TaskHazard extends Sequelize.Model {
       timestamps: true,
       underscored: true,
       paranoid: true
+      // Note: The (company_id, max_residual_score) index is added by
+      // migrations/20261019_risk_scores.js along with the column
     });
   }
 
@@ -96,11 +125,28 @@ class TaskHazard extends Sequelize.Model {
       as: 'company'
     });
 
+    this.belongsTo(models.task_hazard_template_versions, {
+      foreignKey: 'templateVersionId',
+      as: 'templateVersion'
+    });
+
     this.hasMany(models.task_risks,{ 
       foreignKey: 'taskHazardId', 
       as: 'risks' 
     });
 
+    // Lockout/tagout isolation plan
+    this.hasMany(models.task_hazard_isolation_points, {
+      foreignKey: 'taskHazardId',
+      as: 'isolationPoints'
+    });
+
+    // Worker sign-ons (acknowledgements) of the task hazard
+    this.hasMany(models.task_hazard_acknowledgements, {
+      foreignKey: 'taskHazardId',
+      as: 'acknowledgements'
+    });
+
     this.belongsTo(models.user, {
       foreignKey: 'supervisorId',
       as: 'supervisor'
@@ -143,6 +189,12 @@ class TaskHazard extends Sequelize.Model {
           transaction
         });
 
+        // 4. Soft delete isolation plan points
+        await models.task_hazard_isolation_points.destroy({
+          where: { taskHazardId: taskHazard.id },
+          transaction
+        });
+
         console.log(`Cascading soft delete completed for task hazard: ${taskHazard.id}`);
       } catch (error) {
         console.error(`Error in beforeDestroy hook for task hazard ${taskHazard.id}:`, error);
@@ -181,6 +233,15 @@ class TaskHazard extends Sequelize.Model {
           transaction
         });
 
+        // 4. Restore isolation plan points
+        await models.task_hazard_isolation_points.restore({
+          where: { 
+            taskHazardId: taskHazard.id,
+            deletedAt: { [models.Sequelize.Op.ne]: null }
+          },
+          transaction
+        });
+
         console.log(`Cascading restore completed for task hazard: ${taskHazard.id}`);
       } catch (error) {
         console.error(`Error in afterRestore hook for task hazard ${taskHazard.id}:`, error);
@@ -210,6 +271,10 @@ class TaskHazard extends Sequelize.Model {
         'location', 
         'status', 
         'geofenceLimit',
+        'riskMatrixVersions',
+        'maxResidualScore',
+        'maxResidualLevel',
+        'templateVersionId',
         'createdAt'
       ],
       order: [['createdAt', 'DESC']],
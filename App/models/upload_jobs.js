@@ -0,0 +1,149 @@
+const { Sequelize } = require('sequelize');
+
+/**
+ * Background job that processes an asset upload.
+ *
+ * Jobs are the durable queue behind file_uploads: a worker in any server process
+ * claims a queued job, keeps its heartbeat fresh while running it, and records the
+ * outcome. Jobs whose heartbeat stops are picked up again, and failed attempts are
+ * retried with backoff until maxAttempts is reached.
+ */
+class UploadJob extends Sequelize.Model {
+  static init(sequelize, DataTypes) {
+    return super.init({
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        allowNull: false,
+        autoIncrement: true,
+        field: 'id'
+      },
+      fileUploadId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        unique: true,
+        field: 'file_upload_id',
+        references: {
+          model: 'file_uploads',
+          key: 'id'
+        }
+      },
+      companyId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        field: 'company_id',
+        references: {
+          model: 'company',
+          key: 'id'
+        }
+      },
+      // User notified about the outcome
+      requestedBy: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        field: 'requested_by',
+        references: {
+          model: 'users',
+          key: 'id'
+        }
+      },
+      // Where the rows come from: a stored file, stored chunked parts, or a stored preview
+      source: {
+        type: DataTypes.ENUM('file', 'parts', 'preview'),
+        allowNull: false,
+        field: 'source'
+      },
+      payload: {
+        type: DataTypes.JSON,
+        allowNull: true,
+        field: 'payload'
+      },
+      status: {
+        type: DataTypes.ENUM('queued', 'running', 'completed', 'failed', 'cancelled'),
+        allowNull: false,
+        defaultValue: 'queued',
+        field: 'status'
+      },
+      attempts: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+        field: 'attempts'
+      },
+      maxAttempts: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 3,
+        field: 'max_attempts'
+      },
+      // Earliest time the job may run (pushed back after a failed attempt)
+      runAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        field: 'run_at'
+      },
+      lockedBy: {
+        type: DataTypes.STRING(100),
+        allowNull: true,
+        field: 'locked_by'
+      },
+      lockedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        field: 'locked_at'
+      },
+      heartbeatAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        field: 'heartbeat_at'
+      },
+      cancelRequestedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        field: 'cancel_requested_at'
+      },
+      lastError: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+        field: 'last_error'
+      },
+      finishedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        field: 'finished_at'
+      }
+    }, {
+      sequelize,
+      modelName: 'upload_jobs',
+      tableName: 'upload_jobs',
+      timestamps: true,
+      underscored: true,
+      paranoid: false,
+      indexes: [
+        {
+          fields: ['status', 'run_at'],
+          name: 'upload_jobs_status_run_at'
+        }
+      ]
+    });
+  }
+
+  static associate(models) {
+    this.belongsTo(models.file_uploads, {
+      foreignKey: 'fileUploadId',
+      as: 'fileUpload'
+    });
+
+    this.belongsTo(models.company, {
+      foreignKey: 'companyId',
+      as: 'company'
+    });
+
+    this.belongsTo(models.user, {
+      foreignKey: 'requestedBy',
+      as: 'requester'
+    });
+  }
+}
+
+module.exports = UploadJob;
@@ -20,28 +20,28 @@ router.post('/saveAssetHierarchy',
   adminCtr.saveAssetHeirarchy
 );
 
-// Get Asset Descendants (hierarchy tree)
+// Get Asset Descendants (company-scoped tree, see /asset-hierarchy/tree)
 router.get('/getDescendants', 
   auth, 
   requireRole(['admin', 'superuser']),
   adminCtr.getDescendants
 );
 
-// Get Risk Matrix
+// Get Risk Matrix (company-scoped, see /risk-matrices)
 router.post('/getRowMatrix', 
   auth, 
   requireRole(['admin', 'superuser']),
   requireJsonBody(),
-  validateRequired(['user_id', 'mat_type']),
+  validateRequired(['mat_type']),
   adminCtr.getRowMatrix
 );
 
-// Save Risk Matrix
+// Save Risk Matrix (publishes a new company matrix version, see /risk-matrices)
 router.post('/saveRowMatrix', 
   auth, 
   requireRole(['admin', 'superuser']),
   requireJsonBody(),
-  validateRequired(['user_id', 'mat_type', 'matrices']),
+  validateRequired(['mat_type', 'matrices']),
   validateArray('matrices', true),
   adminCtr.saveRowMatrix
 );
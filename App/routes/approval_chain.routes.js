@@ -0,0 +1,77 @@
+const express = require("express");
+const router = express.Router();
+const approval_chains = require("../controllers/approval_chain.controller.js");
+const { auth } = require('../middleware/auth');
+const { ensureCompanyAccess } = require('../middleware/companyAccess');
+const {
+  requireRole,
+  validateIdParam,
+  requireJsonBody,
+  validateRequired,
+  validateArray,
+  sanitizeInputs
+} = require('../middleware/validation');
+
+// Apply middleware to all routes
+router.use(auth);
+router.use(ensureCompanyAccess('approval_chains'));
+
+/**
+ * Get all approval chains for the user's company
+ */
+router.get("/",
+  requireRole(['admin', 'superuser', 'supervisor']),
+  approval_chains.findAll
+);
+
+/**
+ * Get a single approval chain
+ */
+router.get("/:id",
+  validateIdParam('id'),
+  requireRole(['admin', 'superuser', 'supervisor']),
+  approval_chains.findOne
+);
+
+/**
+ * Create an approval chain
+ *
+ * Body parameters:
+ * - name: string (required)
+ * - approvableType: 'task_hazards', 'risk_assessments' or null for both (optional)
+ * - riskLevel: residual risk level such as 'High', or null for any level (optional)
+ * - criticalityLevel: criticality level of the linked asset such as 'Critical', or null for any (optional)
+ * - steps: [{ name, approverType, approverId }] in approval order (required)
+ *   approverType: 'assigned_supervisor', 'supervisor_manager' or 'user'
+ */
+router.post("/",
+  requireRole(['admin', 'superuser']),
+  requireJsonBody(),
+  validateRequired(['name']),
+  validateArray('steps', true),
+  sanitizeInputs(['name', 'riskLevel', 'criticalityLevel']),
+  approval_chains.create
+);
+
+/**
+ * Update an approval chain (steps are replaced when provided)
+ */
+router.put("/:id",
+  validateIdParam('id'),
+  requireRole(['admin', 'superuser']),
+  requireJsonBody(),
+  validateArray('steps'),
+  sanitizeInputs(['name', 'riskLevel', 'criticalityLevel']),
+  approval_chains.update
+);
+
+/**
+ * Delete an approval chain
+ */
+router.delete("/:id",
+  validateIdParam('id'),
+  requireRole(['admin', 'superuser']),
+  approval_chains.delete
+);
+
+module.exports = router;
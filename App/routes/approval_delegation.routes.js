@@ -0,0 +1,58 @@
+const express = require("express");
+const router = express.Router();
+const approval_delegations = require("../controllers/approval_delegation.controller.js");
+const { auth } = require('../middleware/auth');
+const { ensureCompanyAccess } = require('../middleware/companyAccess');
+const {
+  requireRole,
+  validateIdParam,
+  requireJsonBody,
+  validateRequired,
+  sanitizeInputs
+} = require('../middleware/validation');
+
+// Apply middleware to all routes
+router.use(auth);
+router.use(ensureCompanyAccess('approval_delegations'));
+
+/**
+ * Get approval delegations
+ * - Admin/superuser: all delegations of the company
+ * - Supervisor: delegations they gave or received
+ *
+ * Query parameters:
+ * - includeExpired: 'true' or 'false' (default)
+ */
+router.get("/",
+  requireRole(['admin', 'superuser', 'supervisor']),
+  approval_delegations.findAll
+);
+
+/**
+ * Delegate approval authority for a date range
+ *
+ * Body parameters:
+ * - delegateId: number (required)
+ * - startsAt: ISO date/time (required)
+ * - endsAt: ISO date/time (required)
+ * - delegatorId: number (admin/superuser only, defaults to the current user)
+ * - reason: string (optional)
+ */
+router.post("/",
+  requireRole(['admin', 'superuser', 'supervisor']),
+  requireJsonBody(),
+  validateRequired(['delegateId', 'startsAt', 'endsAt']),
+  sanitizeInputs(['reason']),
+  approval_delegations.create
+);
+
+/**
+ * Revoke an approval delegation
+ */
+router.delete("/:id",
+  validateIdParam('id'),
+  requireRole(['admin', 'superuser', 'supervisor']),
+  approval_delegations.revoke
+);
+
+module.exports = router;
@@ -0,0 +1,48 @@
+const express = require("express");
+const router = express.Router();
+const approval_sla = require("../controllers/approval_sla.controller.js");
+const { auth } = require('../middleware/auth');
+const { ensureCompanyAccess } = require('../middleware/companyAccess');
+const {
+  requireRole,
+  requireJsonBody
+} = require('../middleware/validation');
+
+// Apply middleware to all routes
+router.use(auth);
+router.use(ensureCompanyAccess('approval_sla_policies'));
+
+/**
+ * Get the approval SLA of the user's company
+ */
+router.get("/",
+  requireRole(['admin', 'superuser', 'supervisor']),
+  approval_sla.getPolicy
+);
+
+/**
+ * Create or update the approval SLA of the user's company
+ *
+ * Body parameters:
+ * - slaHours: number (required when no SLA exists yet)
+ * - reminderBeforeHours: number (optional, default 4)
+ * - escalateOnBreach: boolean (optional, default true)
+ * - isActive: boolean (optional, default true)
+ */
+router.put("/",
+  requireRole(['admin', 'superuser']),
+  requireJsonBody(),
+  approval_sla.updatePolicy
+);
+
+/**
+ * Breached and at-risk pending approvals grouped by supervisor
+ * - Admin/superuser: all approvers of the company
+ * - Supervisor: own approvals and those of the users they supervise
+ */
+router.get("/report",
+  requireRole(['admin', 'superuser', 'supervisor']),
+  approval_sla.getReport
+);
+
+module.exports = router;
@@ -0,0 +1,79 @@
+const express = require("express");
+const router = express.Router();
+const asset_criticality = require("../controllers/asset_criticality.controller.js");
+const { auth } = require('../middleware/auth');
+const { ensureCompanyAccess } = require('../middleware/companyAccess');
+const {
+  requireRole,
+  validateUuidParam,
+  requireJsonBody,
+  validateArray,
+  sanitizeInputs
+} = require('../middleware/validation');
+
+// Apply middleware to all routes
+router.use(auth);
+router.use(ensureCompanyAccess('asset_criticality_schemes'));
+
+/**
+ * Get the criticality scheme of the user's company
+ */
+router.get("/scheme", asset_criticality.getScheme);
+
+/**
+ * Replace the criticality scheme (existing assessments are rescored)
+ *
+ * Body parameters:
+ * - factors: [{ key, name, description, weight, maxScore }] (required)
+ *   key: lowercase identifier used in assessments, e.g. 'safety'
+ * - levels: [{ name, minScore, color }] lowest first; scores run 0-100 and the first minScore is 0 (required)
+ */
+router.put("/scheme",
+  requireRole(['admin', 'superuser']),
+  requireJsonBody(),
+  validateArray('factors', true),
+  validateArray('levels', true),
+  asset_criticality.updateScheme
+);
+
+/**
+ * Recalculate the effective criticality of every asset
+ */
+router.post("/recalculate",
+  requireRole(['admin', 'superuser']),
+  asset_criticality.recalculate
+);
+
+/**
+ * Get the effective criticality of an asset, its own assessment and the one it inherits
+ */
+router.get("/assets/:assetId",
+  validateUuidParam('assetId'),
+  asset_criticality.findAssetCriticality
+);
+
+/**
+ * Assess an asset (overrides the criticality inherited from its ancestors for its subtree)
+ *
+ * Body parameters:
+ * - factorScores: { factorKey: score } with a score for every scheme factor (required)
+ * - notes: string (optional)
+ */
+router.put("/assets/:assetId",
+  validateUuidParam('assetId'),
+  requireRole(['admin', 'superuser', 'supervisor']),
+  requireJsonBody(),
+  sanitizeInputs(['notes']),
+  asset_criticality.assessAsset
+);
+
+/**
+ * Remove an asset's own assessment so it inherits its criticality again
+ */
+router.delete("/assets/:assetId",
+  validateUuidParam('assetId'),
+  requireRole(['admin', 'superuser', 'supervisor']),
+  asset_criticality.removeAssessment
+);
+
+module.exports = router;
@@ -11,9 +11,11 @@ const {
   validateUuidParam,
   requireJsonBody,
   sanitizeInputs,
-  validateArray
+  validateArray,
+  validatePagination
 } = require('../middleware/validation');
 const { errorResponse, sendResponse } = require('../helper/responseHelper');
+const { MAX_PART_SIZE } = require('../helper/chunkedUploadHelper');
 
 router.use(auth);
 
@@ -66,6 +68,10 @@ const handleUploadError = (err, req, res, next) => {
     const response = errorResponse(message, 400);
     return sendResponse(res, response);
   }
+  if (err && err.type === 'entity.too.large') {
+    const response = errorResponse(`Part too large. Maximum part size is ${MAX_PART_SIZE / (1024 * 1024)}MB.`, 413);
+    return sendResponse(res, response);
+  }
   if (err) {
     const response = errorResponse(err.message, 400);
     return sendResponse(res, response);
@@ -83,6 +89,13 @@ router.post('/',
 );
 
 // Upload file for bulk asset import (CSV or Excel)
+// Form fields:
+// - file
+// - columnMappings (JSON) or mappingProfile (name of a saved /asset-mapping-profiles entry), one required
+// - missingAssets: keep (default) | retire | delete - with retire/delete the file is the
+//   full source of truth and active assets missing from it are retired (systemStatus
+//   'Retired') or soft-deleted; refused while any of them has task hazards or risk assessments
+//   that aren't completed, or when deleting them would leave live children under a deleted asset
 router.post('/upload',
   requireRole(['admin', 'superuser']),
   upload.single('file'),
@@ -90,6 +103,65 @@ router.post('/upload',
   assetHierarchyController.uploadAssets
 );
 
+// Preview a file upload without writing any assets (dry run)
+// Same form fields as /upload; optional query sampleSize (default 50, max 500)
+router.post('/upload/preview',
+  requireRole(['admin', 'superuser']),
+  upload.single('file'),
+  handleUploadError,
+  assetHierarchyController.previewUpload
+);
+
+// Get a stored upload preview
+router.get('/upload/preview/:previewId',
+  requireRole(['admin', 'superuser']),
+  validateUuidParam('previewId'),
+  assetHierarchyController.getUploadPreview
+);
+
+// Commit a stored upload preview (processed in the background like /upload)
+router.post('/upload/preview/:previewId/commit',
+  requireRole(['admin', 'superuser']),
+  validateUuidParam('previewId'),
+  assetHierarchyController.commitUploadPreview
+);
+
+// Resumable chunked upload for files too large for /upload (CSV or .xlsx)
+// 1. POST /upload/chunked with JSON { fileName, fileSize, totalParts, fileType?,
+//    columnMappings | mappingProfile, missingAssets? } -> uploadId
+// 2. PUT /upload/chunked/:uploadId/parts/:partNumber with the raw part bytes
+//    (application/octet-stream, parts numbered from 1, max 10MB each; resend a part to retry it)
+// 3. POST /upload/chunked/:uploadId/complete once all parts are sent
+// GET /upload/chunked/:uploadId lists the received and missing parts to resume an interrupted upload;
+// progress of the processing is reported by /upload-status/:uploadId
+router.post('/upload/chunked',
+  requireRole(['admin', 'superuser']),
+  requireJsonBody(),
+  validateRequired(['fileName', 'fileSize', 'totalParts']),
+  assetHierarchyController.initiateChunkedUpload
+);
+
+router.get('/upload/chunked/:uploadId',
+  requireRole(['admin', 'superuser']),
+  validateUuidParam('uploadId'),
+  assetHierarchyController.getChunkedUpload
+);
+
+router.put('/upload/chunked/:uploadId/parts/:partNumber',
+  requireRole(['admin', 'superuser']),
+  validateUuidParam('uploadId'),
+  validateIdParam('partNumber'),
+  express.raw({ type: () => true, limit: MAX_PART_SIZE }),
+  handleUploadError,
+  assetHierarchyController.uploadChunkPart
+);
+
+router.post('/upload/chunked/:uploadId/complete',
+  requireRole(['admin', 'superuser']),
+  validateUuidParam('uploadId'),
+  assetHierarchyController.completeChunkedUpload
+);
+
 // Legacy endpoint - redirects to new upload endpoint
 // @deprecated Use /upload instead
 router.post('/upload-csv',
@@ -104,6 +176,24 @@ router.get('/',
   assetHierarchyController.findAll
 );
 
+// Search assets (?q=, facet filters objectType, systemStatus, maintenancePlant, cmmsSystem
+// as comma-separated values, page, limit up to 100); results include their path from the root
+router.get('/search',
+  assetHierarchyController.search
+);
+
+// Export assets as CSV or XLSX in the upload format (?format=csv|xlsx, default csv)
+// The columns map onto themselves, so the file can be re-uploaded as-is
+router.get('/export',
+  assetHierarchyController.exportAssets
+);
+
+// Get the top-level assets as a tree (?depth=0..10, default 1)
+// Each node carries childCount so deeper levels can be expanded on demand via /:id/tree
+router.get('/tree',
+  assetHierarchyController.getRootTree
+);
+
 // Get assets by company (for universal users only)
 router.get('/company/:company_id',
   requireRole(['universal_user']),
@@ -123,11 +213,69 @@ router.get('/upload-status/:uploadId',
   assetHierarchyController.getUploadStatus
 );
 
+// Cancel an upload that is still being sent, queued or processed
+// A running upload rolls back its import and becomes 'cancelled' at its next checkpoint
+router.post('/upload/:uploadId/cancel',
+  requireRole(['admin', 'superuser']),
+  validateUuidParam('uploadId'),
+  assetHierarchyController.cancelUpload
+);
+
+// Move a batch of assets under new parents in one transaction
+// Body: { moves: [{ assetId, parentId }], reason? } - parentId null moves an asset to the top level.
+// Refused with the offending moves if any would create a cycle; levels of the moved subtrees
+// are recalculated and every move is recorded in the asset move history
+router.post('/move',
+  requireRole(['admin', 'superuser']),
+  requireJsonBody(),
+  validateRequired(['moves']),
+  validateArray('moves', true),
+  assetHierarchyController.moveAssets
+);
+
 // Get single asset by external ID (user-provided ID)
 router.get('/external/:externalId',
   assetHierarchyController.findByExternalId
 );
 
+// Get the subtree below an asset (?depth=0..10, default 1) with its ancestor breadcrumb
+// Responses stop short of the depth when they would exceed 5000 nodes (truncated: true)
+router.get('/:id/tree',
+  validateUuidParam('id'),
+  assetHierarchyController.getTree
+);
+
+// Move an asset, with its subtree, under a new parent
+// Body: { parentId, reason? } - parentId null moves the asset to the top level
+router.put('/:id/parent',
+  validateUuidParam('id'),
+  requireRole(['admin', 'superuser']),
+  requireJsonBody(),
+  sanitizeInputs(['parentId']),
+  assetHierarchyController.moveAsset
+);
+
+// Get the move history of an asset
+router.get('/:id/moves',
+  validateUuidParam('id'),
+  assetHierarchyController.getMoveHistory
+);
+
+// Get the field-level change history of an asset (API edits and uploads)
+// Query: page, limit, field (e.g. functionalLocation), fileUploadId
+router.get('/:id/history',
+  validateUuidParam('id'),
+  validatePagination(),
+  assetHierarchyController.getAssetHistory
+);
+
+// Get an asset, or its subtree, as it was at a point in time
+// Query: at (ISO timestamp, required), depth (0..10, default 1)
+router.get('/:id/as-of',
+  validateUuidParam('id'),
+  assetHierarchyController.getAssetAt
+);
+
 // Get single asset by internal ID (UUID)
 router.get('/:id',
   validateUuidParam('id'),
@@ -0,0 +1,73 @@
+const express = require("express");
+const router = express.Router();
+const asset_mapping_profiles = require("../controllers/asset_mapping_profile.controller.js");
+const { auth } = require('../middleware/auth');
+const { ensureCompanyAccess } = require('../middleware/companyAccess');
+const {
+  requireRole,
+  validateIdParam,
+  requireJsonBody,
+  validateRequired,
+  sanitizeInputs
+} = require('../middleware/validation');
+
+// Apply middleware to all routes
+router.use(auth);
+router.use(ensureCompanyAccess('asset_mapping_profiles'));
+
+/**
+ * Get all asset upload mapping profiles for the user's company
+ */
+router.get("/",
+  requireRole(['admin', 'superuser']),
+  asset_mapping_profiles.findAll
+);
+
+/**
+ * Get a single mapping profile
+ */
+router.get("/:id",
+  validateIdParam('id'),
+  requireRole(['admin', 'superuser']),
+  asset_mapping_profiles.findOne
+);
+
+/**
+ * Create a mapping profile
+ *
+ * Body parameters:
+ * - name: string, unique per company (required)
+ * - description: string (optional)
+ * - columnMappings: { systemField: fileColumn } (required, must map 'id' and 'name')
+ * - transforms: { systemField: [{ type, values }] } (optional)
+ *   type: 'trim', 'uppercase', 'lowercase' or 'valueMap' (values: { fileValue: storedValue })
+ */
+router.post("/",
+  requireRole(['admin', 'superuser']),
+  requireJsonBody(),
+  validateRequired(['name', 'columnMappings']),
+  sanitizeInputs(['name']),
+  asset_mapping_profiles.create
+);
+
+/**
+ * Update a mapping profile
+ */
+router.put("/:id",
+  validateIdParam('id'),
+  requireRole(['admin', 'superuser']),
+  requireJsonBody(),
+  sanitizeInputs(['name']),
+  asset_mapping_profiles.update
+);
+
+/**
+ * Delete a mapping profile
+ */
+router.delete("/:id",
+  validateIdParam('id'),
+  requireRole(['admin', 'superuser']),
+  asset_mapping_profiles.delete
+);
+
+module.exports = router;
@@ -12,6 +12,14 @@ const notificationRoutes = require('./notification.routes');
 const licenseRoutes = require('./license.routes');
 const universalUserRoutes = require('./universalUser');
 const supervisorApprovalRoutes = require('./supervisor_approval.routes');
+const riskMatrixRoutes = require('./risk_matrix.routes');
+const approvalChainRoutes = require('./approval_chain.routes');
+const approvalDelegationRoutes = require('./approval_delegation.routes');
+const approvalSlaRoutes = require('./approval_sla.routes');
+const assetMappingProfileRoutes = require('./asset_mapping_profile.routes');
+const assetCriticalityRoutes = require('./asset_criticality.routes');
+const taskHazardTemplateRoutes = require('./task_hazard_template.routes');
+const riskCatalogueRoutes = require('./risk_catalogue.routes');
 
 router.use('/auth', authRoutes);
 router.use('/admin', adminRoutes);
@@ -25,5 +33,13 @@ router.use('/notifications', notificationRoutes);
 router.use('/licenses', licenseRoutes);
 router.use('/universal', universalUserRoutes);
 router.use('/supervisor-approvals', supervisorApprovalRoutes);
+router.use('/risk-matrices', riskMatrixRoutes);
+router.use('/approval-chains', approvalChainRoutes);
+router.use('/approval-delegations', approvalDelegationRoutes);
+router.use('/approval-sla', approvalSlaRoutes);
+router.use('/asset-mapping-profiles', assetMappingProfileRoutes);
+router.use('/asset-criticality', assetCriticalityRoutes);
+router.use('/task-hazard-templates', taskHazardTemplateRoutes);
+router.use('/risk-catalogue', riskCatalogueRoutes);
 
 module.exports = router;
@@ -12,7 +12,9 @@ const {
   validateDateTime,
   validateArray,
   validatePagination,
-  validateSearch
+  validateSearch,
+  validateResidualRiskFilters,
+  validateCriticalityFilters
 } = require('../middleware/validation');
 
 // Apply middleware to all routes
@@ -40,9 +42,14 @@ router.post("/",
 );
 
 // Retrieve all Risk Assessments
+// Optional filters: minResidualScore, maxResidualScore, residualLevel (comma-separated)
+// Asset criticality filters: criticalityLevel (comma-separated), minCriticalityScore
+// Optional sorting: sortBy=createdAt|residualRisk, sortOrder=asc|desc
 router.get("/", 
   validatePagination(),
   validateSearch(),
+  validateResidualRiskFilters(),
+  validateCriticalityFilters(),
   risk_assessments.findAll
 );
 
@@ -50,9 +57,20 @@ router.get("/",
 router.get("/minimal", 
   validatePagination(),
   validateSearch(),
+  validateResidualRiskFilters(),
+  validateCriticalityFilters(),
   risk_assessments.findAllMinimal
 );
 
+// Export Risk Assessments as CSV or XLSX, one row per risk
+// Query: format=csv|xlsx (default csv) plus the same search, residual risk and criticality filters as GET /
+router.get("/export", 
+  validateSearch(),
+  validateResidualRiskFilters(),
+  validateCriticalityFilters(),
+  risk_assessments.exportAll
+);
+
 // Retrieve a single Risk Assessment with id
 router.get("/:id", 
   validateIdParam('id'),
@@ -0,0 +1,140 @@
+const express = require("express");
+const router = express.Router();
+const risk_catalogue = require("../controllers/risk_catalogue.controller.js");
+const { auth } = require('../middleware/auth');
+const { ensureCompanyAccess } = require('../middleware/companyAccess');
+const {
+  requireRole,
+  validateIdParam,
+  requireJsonBody,
+  validateRequired,
+  validateArray,
+  validateSearch,
+  sanitizeInputs
+} = require('../middleware/validation');
+
+// Apply middleware to all routes
+router.use(auth);
+router.use(ensureCompanyAccess('hazard_categories'));
+
+/**
+ * Get the hierarchy-of-controls types (elimination ... PPE) with their labels
+ */
+router.get("/control-types", risk_catalogue.getControlTypes);
+
+/**
+ * Get free-text risk types or mitigating actions that matched no catalogue entry
+ * Query: type ('hazard' or 'control'), limit
+ */
+router.get("/unmatched",
+  requireRole(['admin', 'superuser', 'supervisor']),
+  risk_catalogue.findUnmatched
+);
+
+/**
+ * Get risk counts per hazard category, control and control type
+ */
+router.get("/usage",
+  requireRole(['admin', 'superuser', 'supervisor']),
+  risk_catalogue.getUsage
+);
+
+/**
+ * Get the hazard categories of the user's company
+ * Query: search, includeInactive=true
+ */
+router.get("/hazards",
+  validateSearch(),
+  risk_catalogue.findAllHazardCategories
+);
+
+/**
+ * Create a hazard category
+ *
+ * Body parameters:
+ * - name: string (required)
+ * - description: string (optional)
+ * - aliases: [string] other free-text risk types that mean this category (optional)
+ */
+router.post("/hazards",
+  requireRole(['admin', 'superuser']),
+  requireJsonBody(),
+  validateRequired(['name']),
+  validateArray('aliases'),
+  sanitizeInputs(['name', 'description']),
+  risk_catalogue.createHazardCategory
+);
+
+/**
+ * Update a hazard category
+ * Accepts the create fields plus isActive
+ */
+router.put("/hazards/:id",
+  validateIdParam('id'),
+  requireRole(['admin', 'superuser']),
+  requireJsonBody(),
+  validateArray('aliases'),
+  sanitizeInputs(['name', 'description']),
+  risk_catalogue.updateHazardCategory
+);
+
+/**
+ * Delete a hazard category
+ */
+router.delete("/hazards/:id",
+  validateIdParam('id'),
+  requireRole(['admin', 'superuser']),
+  risk_catalogue.deleteHazardCategory
+);
+
+/**
+ * Get the controls of the user's company, most effective control type first
+ * Query: hazardCategoryId, controlType, search, includeInactive=true
+ */
+router.get("/controls",
+  validateSearch(),
+  risk_catalogue.findAllControls
+);
+
+/**
+ * Create a control
+ *
+ * Body parameters:
+ * - name: standard mitigating action (required)
+ * - controlType: 'elimination' | 'substitution' | 'engineering' | 'administrative' | 'ppe' (required)
+ * - hazardCategoryId: number (optional)
+ * - description: string (optional)
+ * - aliases: [string] other free-text mitigating actions that mean this control (optional)
+ */
+router.post("/controls",
+  requireRole(['admin', 'superuser']),
+  requireJsonBody(),
+  validateRequired(['name', 'controlType']),
+  validateArray('aliases'),
+  sanitizeInputs(['name', 'description']),
+  risk_catalogue.createControl
+);
+
+/**
+ * Update a control
+ * Accepts the create fields plus isActive
+ */
+router.put("/controls/:id",
+  validateIdParam('id'),
+  requireRole(['admin', 'superuser']),
+  requireJsonBody(),
+  validateArray('aliases'),
+  sanitizeInputs(['name', 'description']),
+  risk_catalogue.updateControl
+);
+
+/**
+ * Delete a control
+ */
+router.delete("/controls/:id",
+  validateIdParam('id'),
+  requireRole(['admin', 'superuser']),
+  risk_catalogue.deleteControl
+);
+
+module.exports = router;
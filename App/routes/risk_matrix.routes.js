@@ -0,0 +1,59 @@
+const express = require("express");
+const router = express.Router();
+const risk_matrices = require("../controllers/risk_matrix.controller.js");
+const { auth } = require('../middleware/auth');
+const { ensureCompanyAccess } = require('../middleware/companyAccess');
+const {
+  requireRole,
+  validateIdParam,
+  requireJsonBody,
+  validateArray
+} = require('../middleware/validation');
+
+// Apply middleware to all routes
+router.use(auth);
+router.use(ensureCompanyAccess('company_risk_matrices'));
+
+/**
+ * Get the active risk matrix of every type for the user's company
+ */
+router.get("/", risk_matrices.findAllActive);
+
+/**
+ * Get the active risk matrix for a type
+ * matType: 'personel', 'maintainance', 'revenue', 'process' or 'environmental'
+ */
+router.get("/:matType", risk_matrices.findActive);
+
+/**
+ * Get all versions of a risk matrix type (newest first)
+ */
+router.get("/:matType/versions", risk_matrices.findVersions);
+
+/**
+ * Get a specific version of a risk matrix type
+ */
+router.get("/:matType/versions/:version",
+  validateIdParam('version'),
+  risk_matrices.findVersion
+);
+
+/**
+ * Publish a new version of a risk matrix type
+ *
+ * Body parameters:
+ * - likelihoods: [{ label, description }] (required)
+ * - consequences: [{ label, description }] (required)
+ * - cells: [[{ score, color }]] (optional)
+ * - bands: [{ name, minScore, maxScore, color }] (optional)
+ * - signatureThreshold: residual score above which a supervisor signature is required (optional)
+ */
+router.post("/:matType",
+  requireRole(['admin', 'superuser']),
+  requireJsonBody(),
+  validateArray('likelihoods', true),
+  validateArray('consequences', true),
+  risk_matrices.publish
+);
+
+module.exports = router;
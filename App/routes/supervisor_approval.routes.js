@@ -32,6 +32,16 @@ router.get("/",
   supervisor_approvals.getAllApprovals
 );
 
+/**
+ * Verify the tamper-evident seals of all processed approvals of the company
+ * Reports broken seals (content_mismatch, chain_broken, sequence_gap,
+ * approval_missing, approval_deleted) and processed approvals without a seal
+ */
+router.get("/seals/verify", 
+  requireRole(['admin', 'superuser']),
+  supervisor_approvals.verifySeals
+);
+
 /**
  * Process a supervisor approval (approve or reject)
  * Works with both task hazards and risk assessments
@@ -49,6 +59,37 @@ router.put("/:id",
   supervisor_approvals.processApproval
 );
 
+/**
+ * Compare an approval's snapshots with its replacement or the live record
+ * Returns field-level changes, added/removed individuals and
+ * added, removed and modified risks with before/after values
+ * 
+ * Query parameters:
+ * - against: 'replacement' or 'live' (default: replacement if the approval was replaced)
+ */
+router.get("/:id/diff", 
+  validateIdParam('id'),
+  requireRole(['supervisor', 'admin', 'superuser']),
+  supervisor_approvals.getApprovalDiff
+);
+
+/**
+ * Reassign a pending approval to another approver (admin/superuser)
+ * The original approval is kept in the approval history as invalidated
+ * 
+ * Body parameters:
+ * - supervisorId: number (required)
+ * - reason: string (optional)
+ */
+router.put("/:id/reassign", 
+  validateIdParam('id'),
+  requireRole(['admin', 'superuser']),
+  requireJsonBody(),
+  validateRequired(['supervisorId']),
+  sanitizeInputs(['reason']),
+  supervisor_approvals.reassignApproval
+);
+
 /**
  * Get approval history for a specific approvable entity
  * Returns all approval records including invalidated ones for audit trail
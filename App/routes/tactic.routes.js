@@ -8,7 +8,8 @@ const {
   requireRole, 
   validateIdParam,
   requireJsonBody,
-  sanitizeInputs
+  sanitizeInputs,
+  validateCriticalityFilters
 } = require('../middleware/validation');
 
 // Apply middleware to all routes
@@ -29,7 +30,11 @@ router.post('/',
 );
 
 // Retrieve all Tactics
-router.get('/', tactics.findAll);
+// Optional filters: assetHierarchyId, criticalityLevel (comma-separated), minCriticalityScore
+router.get('/', 
+  validateCriticalityFilters(),
+  tactics.findAll
+);
 
 // Retrieve a single Tactic with id
 router.get('/:id', 
@@ -1,6 +1,8 @@
 const express = require("express");
 const router = express.Router();
 const task_hazards = require("../controllers/task_hazard.controller.js");
+const task_hazard_isolation = require("../controllers/task_hazard_isolation.controller.js");
+const task_hazard_acknowledgements = require("../controllers/task_hazard_acknowledgement.controller.js");
 const { auth } = require('../middleware/auth');
 const { ensureCompanyAccess } = require('../middleware/companyAccess');
 const { 
@@ -12,7 +14,9 @@ const {
   validateDateTime,
   validateArray,
   validatePagination,
-  validateSearch
+  validateSearch,
+  validateResidualRiskFilters,
+  validateCriticalityFilters
 } = require('../middleware/validation');
 
 // Apply middleware to all routes
@@ -22,6 +26,8 @@ router.use(auth);
 router.get("/universal",
   requireRole(['universal_user']),
   validatePagination(),
+  validateResidualRiskFilters(),
+  validateCriticalityFilters(),
   task_hazards.findAll);
 router.delete("/universal/:id", 
   validateIdParam('id'),
@@ -43,6 +49,19 @@ router.post("/",
   task_hazards.create
 );
 
+// Create a new Task Hazard from a company template
+// Body: date, time, supervisor, location and individuals as for POST /, plus an optional templateVersion;
+// scopeOfWork, systemLockoutRequired, trainedWorkforce and risks default to the template's
+router.post("/from-template/:templateId", 
+  validateIdParam('templateId'),
+  requireJsonBody(),
+  validateRequired(['date', 'time', 'supervisor', 'location']),
+  validateDateTime(),
+  validateArray('risks'),
+  sanitizeInputs(['scopeOfWork', 'supervisor', 'location']),
+  task_hazards.createFromTemplate
+);
+
 // Get supervisor approvals grouped by task (admin/superuser: all company approvals, supervisor: own approvals only)
 // Used for backward compatibility with mobile app
 router.get("/approvals", 
@@ -50,6 +69,28 @@ router.get("/approvals",
   task_hazards.getAllApprovals
 );
 
+// Get Pending/Active Task Hazards with individuals who haven't signed on
+// (supervisors: task hazards they supervise, admin/superuser: whole company)
+router.get("/acknowledgements/pending", 
+  requireRole(['admin', 'superuser', 'supervisor']),
+  validatePagination(),
+  task_hazard_acknowledgements.findPendingAcknowledgements
+);
+
+// Sign on to a Task Hazard as one of its individuals
+// Body (optional): latitude, longitude, locationAccuracy
+router.post("/:id/acknowledge", 
+  validateIdParam('id'),
+  task_hazard_acknowledgements.acknowledge
+);
+
+// Get the sign-on status of each individual of a Task Hazard
+router.get("/:id/acknowledgements", 
+  validateIdParam('id'),
+  requireRole(['admin', 'superuser', 'supervisor']),
+  task_hazard_acknowledgements.findAcknowledgements
+);
+
 // Approve or deny a Task Hazard
 router.put("/:id/approval", 
   validateIdParam('id'),
@@ -67,9 +108,14 @@ router.get("/:id/approval-history",
 );
 
 // Retrieve all Task Hazards with pagination
+// Optional filters: minResidualScore, maxResidualScore, residualLevel (comma-separated)
+// Asset criticality filters: criticalityLevel (comma-separated), minCriticalityScore
+// Optional sorting: sortBy=createdAt|residualRisk, sortOrder=asc|desc
 router.get("/", 
   validatePagination(),
   validateSearch(),
+  validateResidualRiskFilters(),
+  validateCriticalityFilters(),
   task_hazards.findAll
 );
 
@@ -77,9 +123,82 @@ router.get("/",
 router.get("/minimal", 
   validatePagination(),
   validateSearch(),
+  validateResidualRiskFilters(),
+  validateCriticalityFilters(),
   task_hazards.findAllMinimal
 );
 
+// Export Task Hazards as CSV or XLSX, one row per risk
+// Query: format=csv|xlsx (default csv) plus the same search, residual risk and criticality filters as GET /
+router.get("/export", 
+  validateSearch(),
+  validateResidualRiskFilters(),
+  validateCriticalityFilters(),
+  task_hazards.exportAll
+);
+
+// Get the lockout/tagout isolation plan of a Task Hazard with a lock status summary
+router.get("/:id/isolation-plan", 
+  validateIdParam('id'),
+  task_hazard_isolation.getIsolationPlan
+);
+
+// Add an isolation point (only when system lockout is required)
+// Body: energySource, assetHierarchyId, isolationMethod (required), energyMagnitude, description, sequence
+router.post("/:id/isolation-points", 
+  validateIdParam('id'),
+  requireRole(['supervisor', 'admin', 'superuser']),
+  requireJsonBody(),
+  validateRequired(['energySource', 'assetHierarchyId', 'isolationMethod']),
+  sanitizeInputs(['energyMagnitude', 'isolationMethod', 'description']),
+  task_hazard_isolation.createIsolationPoint
+);
+
+// Update an isolation point whose lock hasn't been applied
+router.put("/:id/isolation-points/:pointId", 
+  validateIdParam('id'),
+  validateIdParam('pointId'),
+  requireRole(['supervisor', 'admin', 'superuser']),
+  requireJsonBody(),
+  sanitizeInputs(['energyMagnitude', 'isolationMethod', 'description']),
+  task_hazard_isolation.updateIsolationPoint
+);
+
+// Delete an isolation point whose lock hasn't been applied
+router.delete("/:id/isolation-points/:pointId", 
+  validateIdParam('id'),
+  validateIdParam('pointId'),
+  requireRole(['supervisor', 'admin', 'superuser']),
+  task_hazard_isolation.deleteIsolationPoint
+);
+
+// Record the lock applied at an isolation point
+// Body: lockNumber (required), notes
+router.post("/:id/isolation-points/:pointId/apply", 
+  validateIdParam('id'),
+  validateIdParam('pointId'),
+  requireJsonBody(),
+  validateRequired(['lockNumber']),
+  sanitizeInputs(['lockNumber', 'notes']),
+  task_hazard_isolation.applyLock
+);
+
+// Record the verification (try-out) of an applied lock
+router.post("/:id/isolation-points/:pointId/verify", 
+  validateIdParam('id'),
+  validateIdParam('pointId'),
+  sanitizeInputs(['notes']),
+  task_hazard_isolation.verifyLock
+);
+
+// Record the removal of a lock; a Task Hazard can only be completed once every lock is removed
+router.post("/:id/isolation-points/:pointId/remove", 
+  validateIdParam('id'),
+  validateIdParam('pointId'),
+  sanitizeInputs(['notes']),
+  task_hazard_isolation.removeLock
+);
+
 // Get task hazards by company (for universal users only)
 router.get("/company/:company_id",
   requireRole(['universal_user']),
@@ -87,6 +206,12 @@ router.get("/company/:company_id",
   task_hazards.findByCompany
 );
 
+// Export a single Task Hazard as a printable PDF (JHA)
+router.get("/:id/pdf", 
+  validateIdParam('id'),
+  task_hazards.exportPdf
+);
+
 // Retrieve a single Task Hazard with id
 router.get("/:id", 
   validateIdParam('id'),
@@ -0,0 +1,98 @@
+const express = require("express");
+const router = express.Router();
+const task_hazard_templates = require("../controllers/task_hazard_template.controller.js");
+const { auth } = require('../middleware/auth');
+const { ensureCompanyAccess } = require('../middleware/companyAccess');
+const {
+  requireRole,
+  validateIdParam,
+  requireJsonBody,
+  validateRequired,
+  validateArray,
+  validateSearch,
+  sanitizeInputs
+} = require('../middleware/validation');
+
+// Apply middleware to all routes
+router.use(auth);
+router.use(ensureCompanyAccess('task_hazard_templates'));
+
+/**
+ * Get the task hazard templates of the user's company
+ * Query: assetHierarchyId (templates that apply to the asset), objectType, search, includeInactive=true
+ */
+router.get("/",
+  validateSearch(),
+  task_hazard_templates.findAll
+);
+
+/**
+ * Get a template with its current content
+ */
+router.get("/:id",
+  validateIdParam('id'),
+  task_hazard_templates.findOne
+);
+
+/**
+ * Get all versions of a template (newest first)
+ */
+router.get("/:id/versions",
+  validateIdParam('id'),
+  task_hazard_templates.findVersions
+);
+
+/**
+ * Get a specific version of a template
+ */
+router.get("/:id/versions/:version",
+  validateIdParam('id'),
+  validateIdParam('version'),
+  task_hazard_templates.findVersion
+);
+
+/**
+ * Create a template
+ *
+ * Body parameters:
+ * - name: string (required)
+ * - description: string (optional)
+ * - objectType: asset object type the template applies to (optional)
+ * - assetHierarchyId: root of the asset subtree the template applies to (optional)
+ * - scopeOfWork: string (required)
+ * - systemLockoutRequired, trainedWorkforce: boolean (optional)
+ * - risks: [{ riskDescription, riskType, asIsLikelihood, asIsConsequence, mitigatingAction,
+ *   mitigatingActionType, mitigatedLikelihood, mitigatedConsequence }] (required)
+ */
+router.post("/",
+  requireRole(['admin', 'superuser', 'supervisor']),
+  requireJsonBody(),
+  validateRequired(['name', 'scopeOfWork']),
+  validateArray('risks', true),
+  sanitizeInputs(['name', 'description', 'objectType', 'scopeOfWork', 'changeNote']),
+  task_hazard_templates.create
+);
+
+/**
+ * Update a template (content changes create a new version)
+ * Accepts the create fields plus isActive and changeNote
+ */
+router.put("/:id",
+  validateIdParam('id'),
+  requireRole(['admin', 'superuser', 'supervisor']),
+  requireJsonBody(),
+  validateArray('risks'),
+  sanitizeInputs(['name', 'description', 'objectType', 'scopeOfWork', 'changeNote']),
+  task_hazard_templates.update
+);
+
+/**
+ * Delete a template
+ */
+router.delete("/:id",
+  validateIdParam('id'),
+  requireRole(['admin', 'superuser']),
+  task_hazard_templates.delete
+);
+
+module.exports = router;
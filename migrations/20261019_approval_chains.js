@@ -0,0 +1,78 @@
+'use strict';
+
+/**
+ * Migration: Multi-level approval chains
+ *
+ * The approval_chains, approval_chain_steps and supervisor_approval_steps
+ * tables are created by model sync. Approvals created before this change have
+ * no steps and are still decided in a single step.
+ *
+ * Changes:
+ * - Adds chain_id and current_step to supervisor_approvals
+ *
+ * Columns already in place (e.g. tables created by model sync) are skipped.
+ */
+const COLUMNS = [
+  { table: 'supervisor_approvals', column: 'chain_id', add: 'ADD COLUMN chain_id INT NULL' },
+  { table: 'supervisor_approvals', column: 'current_step', add: 'ADD COLUMN current_step INT NOT NULL DEFAULT 1' }
+];
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    try {
+      console.log('Starting approval chain migration...');
+
+      const sequelize = queryInterface.context?.sequelize || queryInterface.sequelize;
+      if (!sequelize) {
+        throw new Error('Sequelize instance not found in queryInterface or context');
+      }
+
+      // Step 1: Track the chain and current step of each approval
+      console.log('Step 1: Adding chain_id and current_step to supervisor_approvals...');
+      for (const { table, column, add } of COLUMNS) {
+        const [existing] = await sequelize.query(`
+          SELECT COLUMN_NAME
+          FROM INFORMATION_SCHEMA.COLUMNS
+          WHERE TABLE_SCHEMA = DATABASE()
+            AND TABLE_NAME = '${table}'
+            AND COLUMN_NAME = '${column}'
+        `);
+        if (existing.length > 0) {
+          console.log(`${table}.${column} already in place, skipping`);
+          continue;
+        }
+
+        console.log(`Adding ${column} to ${table}...`);
+        await sequelize.query(`ALTER TABLE ${table} ${add}`);
+      }
+
+      console.log('Successfully migrated supervisor_approvals for approval chains');
+    } catch (error) {
+      console.error('Failed to migrate supervisor_approvals for approval chains:', error);
+      throw error;
+    }
+  },
+
+  async down(queryInterface, Sequelize) {
+    try {
+      console.log('Starting rollback of approval chain migration...');
+
+      const sequelize = queryInterface.context?.sequelize || queryInterface.sequelize;
+      if (!sequelize) {
+        throw new Error('Sequelize instance not found in queryInterface or context');
+      }
+
+      console.log('Step 1: Removing chain_id and current_step from supervisor_approvals...');
+      await sequelize.query(`
+        ALTER TABLE supervisor_approvals
+        DROP COLUMN chain_id,
+        DROP COLUMN current_step
+      `);
+
+      console.log('Successfully rolled back approval chain migration');
+    } catch (error) {
+      console.error('Failed to rollback approval chain migration:', error);
+      throw error;
+    }
+  }
+};
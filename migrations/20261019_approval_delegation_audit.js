@@ -0,0 +1,87 @@
+'use strict';
+
+/**
+ * Migration: Approval delegation and reassignment audit
+ *
+ * The approval_delegations table is created by model sync.
+ *
+ * Changes:
+ * - Adds processed_by_id and on_behalf_of_id to supervisor_approvals and supervisor_approval_steps
+ * - Adds invalidation_reason to supervisor_approvals
+ */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    try {
+      console.log('Starting approval delegation audit migration...');
+
+      const sequelize = queryInterface.context?.sequelize || queryInterface.sequelize;
+      if (!sequelize) {
+        throw new Error('Sequelize instance not found in queryInterface or context');
+      }
+
+      // Step 1: Record who decided an approval and on whose behalf
+      console.log('Step 1: Adding audit columns to supervisor_approvals...');
+      await sequelize.query(`
+        ALTER TABLE supervisor_approvals
+        ADD COLUMN processed_by_id INT NULL,
+        ADD COLUMN on_behalf_of_id INT NULL,
+        ADD COLUMN invalidation_reason TEXT NULL
+      `);
+
+      // Step 2: Same for individual approval steps. The table is created by model sync,
+      // with the columns in place, when it doesn't exist yet
+      const [tables] = await sequelize.query(`
+        SELECT TABLE_NAME
+        FROM INFORMATION_SCHEMA.TABLES
+        WHERE TABLE_SCHEMA = DATABASE()
+          AND TABLE_NAME = 'supervisor_approval_steps'
+      `);
+      if (tables.length === 0) {
+        console.log('Step 2: supervisor_approval_steps not created yet, skipping');
+      } else {
+        console.log('Step 2: Adding audit columns to supervisor_approval_steps...');
+        await sequelize.query(`
+          ALTER TABLE supervisor_approval_steps
+          ADD COLUMN processed_by_id INT NULL,
+          ADD COLUMN on_behalf_of_id INT NULL
+        `);
+      }
+
+      console.log('Successfully migrated approval delegation audit columns');
+    } catch (error) {
+      console.error('Failed to migrate approval delegation audit columns:', error);
+      throw error;
+    }
+  },
+
+  async down(queryInterface, Sequelize) {
+    try {
+      console.log('Starting rollback of approval delegation audit migration...');
+
+      const sequelize = queryInterface.context?.sequelize || queryInterface.sequelize;
+      if (!sequelize) {
+        throw new Error('Sequelize instance not found in queryInterface or context');
+      }
+
+      console.log('Step 1: Removing audit columns from supervisor_approval_steps...');
+      await sequelize.query(`
+        ALTER TABLE supervisor_approval_steps
+        DROP COLUMN processed_by_id,
+        DROP COLUMN on_behalf_of_id
+      `);
+
+      console.log('Step 2: Removing audit columns from supervisor_approvals...');
+      await sequelize.query(`
+        ALTER TABLE supervisor_approvals
+        DROP COLUMN processed_by_id,
+        DROP COLUMN on_behalf_of_id,
+        DROP COLUMN invalidation_reason
+      `);
+
+      console.log('Successfully rolled back approval delegation audit migration');
+    } catch (error) {
+      console.error('Failed to rollback approval delegation audit migration:', error);
+      throw error;
+    }
+  }
+};
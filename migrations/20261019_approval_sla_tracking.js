@@ -0,0 +1,89 @@
+'use strict';
+
+/**
+ * Migration: Approval SLA tracking
+ *
+ * The approval_sla_policies table is created by model sync.
+ *
+ * Changes:
+ * - Adds pending_since, sla_reminder_sent_at, sla_escalated_at and sla_escalated_to_id to supervisor_approvals
+ * - Backfills pending_since of existing approvals from created_at
+ *
+ * Columns already in place (e.g. tables created by model sync) are skipped.
+ */
+const COLUMNS = [
+  { table: 'supervisor_approvals', column: 'pending_since', add: 'ADD COLUMN pending_since DATETIME NULL' },
+  { table: 'supervisor_approvals', column: 'sla_reminder_sent_at', add: 'ADD COLUMN sla_reminder_sent_at DATETIME NULL' },
+  { table: 'supervisor_approvals', column: 'sla_escalated_at', add: 'ADD COLUMN sla_escalated_at DATETIME NULL' },
+  { table: 'supervisor_approvals', column: 'sla_escalated_to_id', add: 'ADD COLUMN sla_escalated_to_id INT NULL' }
+];
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    try {
+      console.log('Starting approval SLA tracking migration...');
+
+      const sequelize = queryInterface.context?.sequelize || queryInterface.sequelize;
+      if (!sequelize) {
+        throw new Error('Sequelize instance not found in queryInterface or context');
+      }
+
+      // Step 1: SLA clock and reminder/escalation markers
+      console.log('Step 1: Adding SLA columns to supervisor_approvals...');
+      for (const { table, column, add } of COLUMNS) {
+        const [existing] = await sequelize.query(`
+          SELECT COLUMN_NAME
+          FROM INFORMATION_SCHEMA.COLUMNS
+          WHERE TABLE_SCHEMA = DATABASE()
+            AND TABLE_NAME = '${table}'
+            AND COLUMN_NAME = '${column}'
+        `);
+        if (existing.length > 0) {
+          console.log(`${table}.${column} already in place, skipping`);
+          continue;
+        }
+
+        console.log(`Adding ${column} to ${table}...`);
+        await sequelize.query(`ALTER TABLE ${table} ${add}`);
+      }
+
+      // Step 2: Existing approvals start their SLA clock at creation
+      console.log('Step 2: Backfilling pending_since...');
+      await sequelize.query(`
+        UPDATE supervisor_approvals
+        SET pending_since = created_at
+        WHERE pending_since IS NULL
+      `);
+
+      console.log('Successfully migrated supervisor_approvals for SLA tracking');
+    } catch (error) {
+      console.error('Failed to migrate supervisor_approvals for SLA tracking:', error);
+      throw error;
+    }
+  },
+
+  async down(queryInterface, Sequelize) {
+    try {
+      console.log('Starting rollback of approval SLA tracking migration...');
+
+      const sequelize = queryInterface.context?.sequelize || queryInterface.sequelize;
+      if (!sequelize) {
+        throw new Error('Sequelize instance not found in queryInterface or context');
+      }
+
+      console.log('Step 1: Removing SLA columns from supervisor_approvals...');
+      await sequelize.query(`
+        ALTER TABLE supervisor_approvals
+        DROP COLUMN pending_since,
+        DROP COLUMN sla_reminder_sent_at,
+        DROP COLUMN sla_escalated_at,
+        DROP COLUMN sla_escalated_to_id
+      `);
+
+      console.log('Successfully rolled back approval SLA tracking migration');
+    } catch (error) {
+      console.error('Failed to rollback approval SLA tracking migration:', error);
+      throw error;
+    }
+  }
+};
@@ -0,0 +1,70 @@
+'use strict';
+
+/**
+ * Migration: Asset change history without a file upload foreign key
+ *
+ * Changes:
+ * - Drops the foreign key from asset_changes.file_upload_id to file_uploads, keeping the column
+ *   and its index. Upload history is written inside the import transaction, and the key's shared
+ *   lock on the file_uploads row blocked the upload's progress updates until the import committed.
+ *
+ * Databases where model sync created asset_changes without the key are left unchanged.
+ */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    try {
+      console.log('Starting asset change history key migration...');
+
+      const sequelize = queryInterface.context?.sequelize || queryInterface.sequelize;
+      if (!sequelize) {
+        throw new Error('Sequelize instance not found in queryInterface or context');
+      }
+
+      // Model sync names the key itself, so look it up
+      const [constraints] = await sequelize.query(`
+        SELECT CONSTRAINT_NAME
+        FROM INFORMATION_SCHEMA.KEY_COLUMN_USAGE
+        WHERE TABLE_SCHEMA = DATABASE()
+          AND TABLE_NAME = 'asset_changes'
+          AND COLUMN_NAME = 'file_upload_id'
+          AND REFERENCED_TABLE_NAME = 'file_uploads'
+      `);
+      if (constraints.length === 0) {
+        console.log('asset_changes.file_upload_id has no foreign key, skipping');
+        return;
+      }
+
+      for (const { CONSTRAINT_NAME } of constraints) {
+        console.log(`Dropping ${CONSTRAINT_NAME} from asset_changes...`);
+        await sequelize.query(`ALTER TABLE asset_changes DROP FOREIGN KEY ${CONSTRAINT_NAME}`);
+      }
+
+      console.log('Successfully dropped the asset change history file upload key');
+    } catch (error) {
+      console.error('Failed to drop the asset change history file upload key:', error);
+      throw error;
+    }
+  },
+
+  async down(queryInterface, Sequelize) {
+    try {
+      console.log('Starting rollback of asset change history key migration...');
+
+      const sequelize = queryInterface.context?.sequelize || queryInterface.sequelize;
+      if (!sequelize) {
+        throw new Error('Sequelize instance not found in queryInterface or context');
+      }
+
+      await sequelize.query(`
+        ALTER TABLE asset_changes
+        ADD CONSTRAINT asset_changes_file_upload_id_fk
+        FOREIGN KEY (file_upload_id) REFERENCES file_uploads (id)
+      `);
+
+      console.log('Successfully restored the asset change history file upload key');
+    } catch (error) {
+      console.error('Failed to roll back asset change history key migration:', error);
+      throw error;
+    }
+  }
+};
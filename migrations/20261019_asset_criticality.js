@@ -0,0 +1,142 @@
+'use strict';
+
+/**
+ * Migration: Asset criticality
+ *
+ * Changes:
+ * - Adds the effective criticality columns (criticality_score, criticality_level,
+ *   criticality_source_id) and a (company_id, criticality_level) index to asset_hierarchy
+ * - Adds criticality_level to approval_chains
+ * - Adds an optional asset_hierarchy_id link to tactics
+ *
+ * The asset_criticality_schemes and asset_criticality_assessments tables are created by model sync.
+ * Columns already created by model sync are skipped, as are tables model sync hasn't created yet
+ * (approval_chains on a fresh database); sync creates those with the columns in place.
+ * This migration owns the (company_id, criticality_level) index; the model doesn't declare it,
+ * so it is added whenever it is missing, including on tables sync created.
+ */
+const COLUMNS = [
+  {
+    table: 'asset_hierarchy',
+    column: 'criticality_score',
+    add: 'ADD COLUMN criticality_score INT NULL'
+  },
+  {
+    table: 'asset_hierarchy',
+    column: 'criticality_level',
+    add: 'ADD COLUMN criticality_level VARCHAR(50) NULL'
+  },
+  {
+    table: 'asset_hierarchy',
+    column: 'criticality_source_id',
+    add: 'ADD COLUMN criticality_source_id CHAR(36) NULL'
+  },
+  {
+    table: 'approval_chains',
+    column: 'criticality_level',
+    add: 'ADD COLUMN criticality_level VARCHAR(50) NULL'
+  },
+  {
+    table: 'tactics',
+    column: 'asset_hierarchy_id',
+    add: 'ADD COLUMN asset_hierarchy_id CHAR(36) NULL, ADD INDEX tactics_asset_hierarchy_id (asset_hierarchy_id), ADD CONSTRAINT tactics_asset_hierarchy_id_fk FOREIGN KEY (asset_hierarchy_id) REFERENCES asset_hierarchy (id)',
+    drop: 'DROP FOREIGN KEY tactics_asset_hierarchy_id_fk, DROP INDEX tactics_asset_hierarchy_id, DROP COLUMN asset_hierarchy_id'
+  }
+];
+
+const INDEXES = [
+  {
+    table: 'asset_hierarchy',
+    name: 'asset_hierarchy_company_id_criticality_level',
+    add: 'ADD INDEX asset_hierarchy_company_id_criticality_level (company_id, criticality_level)'
+  }
+];
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    try {
+      console.log('Starting asset criticality migration...');
+
+      const sequelize = queryInterface.context?.sequelize || queryInterface.sequelize;
+      if (!sequelize) {
+        throw new Error('Sequelize instance not found in queryInterface or context');
+      }
+
+      for (const [index, { table, column, add }] of COLUMNS.entries()) {
+        const [tables] = await sequelize.query(`
+          SELECT TABLE_NAME
+          FROM INFORMATION_SCHEMA.TABLES
+          WHERE TABLE_SCHEMA = DATABASE()
+            AND TABLE_NAME = '${table}'
+        `);
+        if (tables.length === 0) {
+          console.log(`Step ${index + 1}: ${table} not created yet, skipping`);
+          continue;
+        }
+
+        const [existing] = await sequelize.query(`
+          SELECT COLUMN_NAME
+          FROM INFORMATION_SCHEMA.COLUMNS
+          WHERE TABLE_SCHEMA = DATABASE()
+            AND TABLE_NAME = '${table}'
+            AND COLUMN_NAME = '${column}'
+        `);
+        if (existing.length > 0) {
+          console.log(`Step ${index + 1}: ${table}.${column} already in place, skipping`);
+          continue;
+        }
+
+        console.log(`Step ${index + 1}: Adding ${column} to ${table}...`);
+        await sequelize.query(`ALTER TABLE ${table} ${add}`);
+      }
+
+      for (const { table, name, add } of INDEXES) {
+        const [existing] = await sequelize.query(`
+          SELECT INDEX_NAME
+          FROM INFORMATION_SCHEMA.STATISTICS
+          WHERE TABLE_SCHEMA = DATABASE()
+            AND TABLE_NAME = '${table}'
+            AND INDEX_NAME = '${name}'
+        `);
+        if (existing.length > 0) {
+          console.log(`${table}.${name} already in place, skipping`);
+          continue;
+        }
+
+        console.log(`Adding ${name} to ${table}...`);
+        await sequelize.query(`ALTER TABLE ${table} ${add}`);
+      }
+
+      console.log('Successfully added asset criticality columns');
+    } catch (error) {
+      console.error('Failed to add asset criticality columns:', error);
+      throw error;
+    }
+  },
+
+  async down(queryInterface, Sequelize) {
+    try {
+      console.log('Starting rollback of asset criticality migration...');
+
+      const sequelize = queryInterface.context?.sequelize || queryInterface.sequelize;
+      if (!sequelize) {
+        throw new Error('Sequelize instance not found in queryInterface or context');
+      }
+
+      for (const { table, name } of INDEXES) {
+        console.log(`Removing ${name} from ${table}...`);
+        await sequelize.query(`ALTER TABLE ${table} DROP INDEX ${name}`);
+      }
+
+      for (const [index, { table, column, drop }] of [...COLUMNS].reverse().entries()) {
+        console.log(`Step ${index + 1}: Removing ${column} from ${table}...`);
+        await sequelize.query(`ALTER TABLE ${table} ${drop || `DROP COLUMN ${column}`}`);
+      }
+
+      console.log('Successfully rolled back asset criticality columns');
+    } catch (error) {
+      console.error('Failed to roll back asset criticality migration:', error);
+      throw error;
+    }
+  }
+};
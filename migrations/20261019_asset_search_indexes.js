@@ -0,0 +1,92 @@
+'use strict';
+
+/**
+ * Migration: Asset search indexes
+ *
+ * Changes:
+ * - Adds the asset_hierarchy_search FULLTEXT index over the searchable asset columns
+ *   (column order must match SEARCH_COLUMNS in App/helper/assetSearchHelper.js)
+ * - Adds (company_id, facet) indexes for the object type, system status,
+ *   maintenance plant and CMMS system search facets
+ *
+ * This migration owns these indexes; the asset_hierarchy model doesn't declare them.
+ * Indexes already in place are skipped.
+ */
+const FACET_COLUMNS = ['object_type', 'system_status', 'maintenance_plant', 'cmms_system'];
+
+const INDEXES = [
+  {
+    name: 'asset_hierarchy_search',
+    add: `ADD FULLTEXT INDEX asset_hierarchy_search (
+      name,
+      description,
+      functional_location,
+      functional_location_desc,
+      serial_number,
+      manufacturer,
+      cmms_internal_id,
+      external_id
+    )`
+  },
+  ...FACET_COLUMNS.map(column => ({
+    name: `asset_hierarchy_company_id_${column}`,
+    add: `ADD INDEX asset_hierarchy_company_id_${column} (company_id, ${column})`
+  }))
+];
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    try {
+      console.log('Starting asset search index migration...');
+
+      const sequelize = queryInterface.context?.sequelize || queryInterface.sequelize;
+      if (!sequelize) {
+        throw new Error('Sequelize instance not found in queryInterface or context');
+      }
+
+      // InnoDB builds the full-text index in place; this can take a while on large tables
+      for (const [index, { name, add }] of INDEXES.entries()) {
+        const [existing] = await sequelize.query(`
+          SELECT INDEX_NAME
+          FROM INFORMATION_SCHEMA.STATISTICS
+          WHERE TABLE_SCHEMA = DATABASE()
+            AND TABLE_NAME = 'asset_hierarchy'
+            AND INDEX_NAME = '${name}'
+        `);
+        if (existing.length > 0) {
+          console.log(`Step ${index + 1}: ${name} already in place, skipping`);
+          continue;
+        }
+
+        console.log(`Step ${index + 1}: Adding ${name} to asset_hierarchy...`);
+        await sequelize.query(`ALTER TABLE asset_hierarchy ${add}`);
+      }
+
+      console.log('Successfully added asset search indexes');
+    } catch (error) {
+      console.error('Failed to add asset search indexes:', error);
+      throw error;
+    }
+  },
+
+  async down(queryInterface, Sequelize) {
+    try {
+      console.log('Starting rollback of asset search index migration...');
+
+      const sequelize = queryInterface.context?.sequelize || queryInterface.sequelize;
+      if (!sequelize) {
+        throw new Error('Sequelize instance not found in queryInterface or context');
+      }
+
+      for (const [index, { name }] of [...INDEXES].reverse().entries()) {
+        console.log(`Step ${index + 1}: Removing ${name}...`);
+        await sequelize.query(`ALTER TABLE asset_hierarchy DROP INDEX ${name}`);
+      }
+
+      console.log('Successfully rolled back asset search indexes');
+    } catch (error) {
+      console.error('Failed to roll back asset search indexes:', error);
+      throw error;
+    }
+  }
+};
@@ -0,0 +1,77 @@
+'use strict';
+
+/**
+ * Migration: Chunked asset uploads and upload progress
+ *
+ * Changes:
+ * - Adds total_parts and upload_options to file_uploads for uploads sent in parts
+ *   (upload_options holds the column mappings and options chosen when the upload started)
+ * - Adds total_rows and processed_rows to file_uploads so upload-status can report progress
+ *
+ * Columns already in place (e.g. tables created by model sync) are skipped.
+ */
+const COLUMNS = [
+  { table: 'file_uploads', column: 'total_parts', add: 'ADD COLUMN total_parts INT NULL' },
+  { table: 'file_uploads', column: 'upload_options', add: 'ADD COLUMN upload_options TEXT NULL' },
+  { table: 'file_uploads', column: 'total_rows', add: 'ADD COLUMN total_rows INT NULL' },
+  { table: 'file_uploads', column: 'processed_rows', add: 'ADD COLUMN processed_rows INT NOT NULL DEFAULT 0' }
+];
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    try {
+      console.log('Starting chunked asset upload migration...');
+
+      const sequelize = queryInterface.context?.sequelize || queryInterface.sequelize;
+      if (!sequelize) {
+        throw new Error('Sequelize instance not found in queryInterface or context');
+      }
+
+      for (const { table, column, add } of COLUMNS) {
+        const [existing] = await sequelize.query(`
+          SELECT COLUMN_NAME
+          FROM INFORMATION_SCHEMA.COLUMNS
+          WHERE TABLE_SCHEMA = DATABASE()
+            AND TABLE_NAME = '${table}'
+            AND COLUMN_NAME = '${column}'
+        `);
+        if (existing.length > 0) {
+          console.log(`${table}.${column} already in place, skipping`);
+          continue;
+        }
+
+        console.log(`Adding ${column} to ${table}...`);
+        await sequelize.query(`ALTER TABLE ${table} ${add}`);
+      }
+
+      console.log('Successfully added chunked upload columns to file_uploads');
+    } catch (error) {
+      console.error('Failed to add chunked upload columns:', error);
+      throw error;
+    }
+  },
+
+  async down(queryInterface, Sequelize) {
+    try {
+      console.log('Starting rollback of chunked asset upload migration...');
+
+      const sequelize = queryInterface.context?.sequelize || queryInterface.sequelize;
+      if (!sequelize) {
+        throw new Error('Sequelize instance not found in queryInterface or context');
+      }
+
+      await sequelize.query(`
+        ALTER TABLE file_uploads
+        DROP COLUMN total_parts,
+        DROP COLUMN upload_options,
+        DROP COLUMN total_rows,
+        DROP COLUMN processed_rows
+      `);
+
+      console.log('Successfully rolled back chunked upload columns');
+    } catch (error) {
+      console.error('Failed to rollback chunked asset upload migration:', error);
+      throw error;
+    }
+  }
+};
@@ -0,0 +1,73 @@
+'use strict';
+
+/**
+ * Migration: Company branding for generated documents
+ *
+ * Changes:
+ * - Adds brand_color and logo to company
+ *
+ * Columns already in place (e.g. tables created by model sync) are skipped.
+ */
+const COLUMNS = [
+  { table: 'company', column: 'brand_color', add: 'ADD COLUMN brand_color VARCHAR(7) NULL' },
+  { table: 'company', column: 'logo', add: 'ADD COLUMN logo MEDIUMTEXT NULL' }
+];
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    try {
+      console.log('Starting company branding migration...');
+
+      const sequelize = queryInterface.context?.sequelize || queryInterface.sequelize;
+      if (!sequelize) {
+        throw new Error('Sequelize instance not found in queryInterface or context');
+      }
+
+      console.log('Step 1: Adding brand_color and logo to company...');
+      for (const { table, column, add } of COLUMNS) {
+        const [existing] = await sequelize.query(`
+          SELECT COLUMN_NAME
+          FROM INFORMATION_SCHEMA.COLUMNS
+          WHERE TABLE_SCHEMA = DATABASE()
+            AND TABLE_NAME = '${table}'
+            AND COLUMN_NAME = '${column}'
+        `);
+        if (existing.length > 0) {
+          console.log(`${table}.${column} already in place, skipping`);
+          continue;
+        }
+
+        console.log(`Adding ${column} to ${table}...`);
+        await sequelize.query(`ALTER TABLE ${table} ${add}`);
+      }
+
+      console.log('Successfully migrated company branding');
+    } catch (error) {
+      console.error('Failed to migrate company branding:', error);
+      throw error;
+    }
+  },
+
+  async down(queryInterface, Sequelize) {
+    try {
+      console.log('Starting rollback of company branding migration...');
+
+      const sequelize = queryInterface.context?.sequelize || queryInterface.sequelize;
+      if (!sequelize) {
+        throw new Error('Sequelize instance not found in queryInterface or context');
+      }
+
+      console.log('Step 1: Removing brand_color and logo from company...');
+      await sequelize.query(`
+        ALTER TABLE company
+        DROP COLUMN brand_color,
+        DROP COLUMN logo
+      `);
+
+      console.log('Successfully rolled back company branding migration');
+    } catch (error) {
+      console.error('Failed to rollback company branding migration:', error);
+      throw error;
+    }
+  }
+};
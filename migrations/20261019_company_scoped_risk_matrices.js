@@ -0,0 +1,122 @@
+'use strict';
+
+/**
+ * Migration: Company-scoped risk matrices
+ *
+ * Risks are now scored against a versioned company_risk_matrices row instead of
+ * the per-user risk_matrices table. The company_risk_matrices table itself is
+ * created by model sync; this migration records which version was used.
+ *
+ * Changes:
+ * - Adds risk_matrix_id to task_risks and risk_assessment_risks
+ * - Adds risk_matrix_versions to task_hazards and risk_assessments
+ *
+ * Columns and indexes already in place (e.g. tables created by model sync) are skipped.
+ *
+ * Legacy per-user matrices can be converted with
+ * migrations/scripts/migrate-user-risk-matrices.js
+ */
+const RISK_TABLES = ['task_risks', 'risk_assessment_risks'];
+const PARENT_TABLES = ['task_hazards', 'risk_assessments'];
+
+const COLUMNS = [
+  ...RISK_TABLES.map(table => ({ table, column: 'risk_matrix_id', add: 'ADD COLUMN risk_matrix_id INT NULL' })),
+  ...PARENT_TABLES.map(table => ({ table, column: 'risk_matrix_versions', add: 'ADD COLUMN risk_matrix_versions JSON NULL' }))
+];
+
+const INDEXES = RISK_TABLES.map(table => ({
+  table,
+  name: `${table}_risk_matrix_idx`,
+  add: `ADD INDEX ${table}_risk_matrix_idx (risk_matrix_id)`
+}));
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    try {
+      console.log('Starting company-scoped risk matrix migration...');
+
+      const sequelize = queryInterface.context?.sequelize || queryInterface.sequelize;
+      if (!sequelize) {
+        throw new Error('Sequelize instance not found in queryInterface or context');
+      }
+
+      // Step 1: Record the matrix version each risk was scored against, and the versions
+      // used on the parent records
+      console.log('Step 1: Adding risk matrix columns...');
+      for (const { table, column, add } of COLUMNS) {
+        const [existing] = await sequelize.query(`
+          SELECT COLUMN_NAME
+          FROM INFORMATION_SCHEMA.COLUMNS
+          WHERE TABLE_SCHEMA = DATABASE()
+            AND TABLE_NAME = '${table}'
+            AND COLUMN_NAME = '${column}'
+        `);
+        if (existing.length > 0) {
+          console.log(`${table}.${column} already in place, skipping`);
+          continue;
+        }
+
+        console.log(`Adding ${column} to ${table}...`);
+        await sequelize.query(`ALTER TABLE ${table} ${add}`);
+      }
+
+      // Step 2: Index the matrix version of the risks
+      console.log('Step 2: Adding risk matrix indexes...');
+      for (const { table, name, add } of INDEXES) {
+        const [existing] = await sequelize.query(`
+          SELECT INDEX_NAME
+          FROM INFORMATION_SCHEMA.STATISTICS
+          WHERE TABLE_SCHEMA = DATABASE()
+            AND TABLE_NAME = '${table}'
+            AND INDEX_NAME = '${name}'
+        `);
+        if (existing.length > 0) {
+          console.log(`${table}.${name} already in place, skipping`);
+          continue;
+        }
+
+        console.log(`Adding ${name} to ${table}...`);
+        await sequelize.query(`ALTER TABLE ${table} ${add}`);
+      }
+
+      console.log('Successfully migrated to company-scoped risk matrices');
+    } catch (error) {
+      console.error('Failed to migrate to company-scoped risk matrices:', error);
+      throw error;
+    }
+  },
+
+  async down(queryInterface, Sequelize) {
+    try {
+      console.log('Starting rollback of company-scoped risk matrix migration...');
+
+      const sequelize = queryInterface.context?.sequelize || queryInterface.sequelize;
+      if (!sequelize) {
+        throw new Error('Sequelize instance not found in queryInterface or context');
+      }
+
+      // Step 1: Remove parent record columns
+      console.log('Step 1: Removing risk_matrix_versions columns...');
+      await sequelize.query(`ALTER TABLE task_hazards DROP COLUMN risk_matrix_versions`);
+      await sequelize.query(`ALTER TABLE risk_assessments DROP COLUMN risk_matrix_versions`);
+
+      // Step 2: Remove risk columns
+      console.log('Step 2: Removing risk_matrix_id columns...');
+      await sequelize.query(`
+        ALTER TABLE task_risks
+        DROP INDEX task_risks_risk_matrix_idx,
+        DROP COLUMN risk_matrix_id
+      `);
+      await sequelize.query(`
+        ALTER TABLE risk_assessment_risks
+        DROP INDEX risk_assessment_risks_risk_matrix_idx,
+        DROP COLUMN risk_matrix_id
+      `);
+
+      console.log('Successfully rolled back company-scoped risk matrices');
+    } catch (error) {
+      console.error('Failed to rollback company-scoped risk matrix migration:', error);
+      throw error;
+    }
+  }
+};
@@ -0,0 +1,196 @@
+'use strict';
+
+const { DataTypes } = require('sequelize');
+
+/**
+ * Migration: Hazard and control catalogue
+ *
+ * Changes:
+ * - Creates the hazard_categories and hazard_controls catalogue tables
+ * - Adds hazard_category_id and hazard_control_id links to the company catalogue
+ *   to task_risks and risk_assessment_risks
+ * - Adds control_type (hierarchy of controls) to the risk tables
+ * - Adds free_text_hazard and free_text_control flags for values that match no catalogue entry
+ *
+ * Tables and columns already created by model sync are skipped, so this migration can run
+ * before or after sync. Existing risks can then be linked with
+ * node migrations/scripts/map-risk-catalogue.js
+ */
+const RISK_TABLES = ['task_risks', 'risk_assessment_risks'];
+
+const CONTROL_TYPES = ['elimination', 'substitution', 'engineering', 'administrative', 'ppe'];
+
+const CREATED_BY = {
+  type: DataTypes.INTEGER,
+  allowNull: true,
+  references: { model: 'users', key: 'id' },
+  onUpdate: 'CASCADE',
+  onDelete: 'SET NULL'
+};
+
+const TIMESTAMPS = {
+  created_at: { type: DataTypes.DATE, allowNull: false },
+  updated_at: { type: DataTypes.DATE, allowNull: false },
+  deleted_at: { type: DataTypes.DATE, allowNull: true }
+};
+
+const TABLES = [
+  {
+    table: 'hazard_categories',
+    attributes: {
+      id: { type: DataTypes.INTEGER, primaryKey: true, allowNull: false, autoIncrement: true },
+      company_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: { model: 'company', key: 'id' },
+        onUpdate: 'CASCADE'
+      },
+      name: { type: DataTypes.STRING, allowNull: false },
+      description: { type: DataTypes.TEXT, allowNull: true },
+      aliases: { type: DataTypes.JSON, allowNull: false },
+      is_active: { type: DataTypes.BOOLEAN, allowNull: false, defaultValue: true },
+      created_by: CREATED_BY,
+      ...TIMESTAMPS
+    },
+    indexes: [
+      { fields: ['company_id', 'name'] }
+    ]
+  },
+  {
+    table: 'hazard_controls',
+    attributes: {
+      id: { type: DataTypes.INTEGER, primaryKey: true, allowNull: false, autoIncrement: true },
+      company_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: { model: 'company', key: 'id' },
+        onUpdate: 'CASCADE'
+      },
+      hazard_category_id: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: { model: 'hazard_categories', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      name: { type: DataTypes.STRING, allowNull: false },
+      description: { type: DataTypes.TEXT, allowNull: true },
+      control_type: { type: DataTypes.ENUM(...CONTROL_TYPES), allowNull: false },
+      aliases: { type: DataTypes.JSON, allowNull: false },
+      is_active: { type: DataTypes.BOOLEAN, allowNull: false, defaultValue: true },
+      created_by: CREATED_BY,
+      ...TIMESTAMPS
+    },
+    indexes: [
+      { fields: ['company_id', 'name'] },
+      { fields: ['company_id', 'hazard_category_id'] }
+    ]
+  }
+];
+
+const COLUMNS = RISK_TABLES.flatMap(table => [
+  {
+    table,
+    column: 'hazard_category_id',
+    add: `ADD COLUMN hazard_category_id INT NULL, ADD CONSTRAINT ${table}_hazard_category_id_fk FOREIGN KEY (hazard_category_id) REFERENCES hazard_categories (id)`,
+    drop: `DROP FOREIGN KEY ${table}_hazard_category_id_fk, DROP COLUMN hazard_category_id`
+  },
+  {
+    table,
+    column: 'hazard_control_id',
+    add: `ADD COLUMN hazard_control_id INT NULL, ADD CONSTRAINT ${table}_hazard_control_id_fk FOREIGN KEY (hazard_control_id) REFERENCES hazard_controls (id)`,
+    drop: `DROP FOREIGN KEY ${table}_hazard_control_id_fk, DROP COLUMN hazard_control_id`
+  },
+  {
+    table,
+    column: 'control_type',
+    add: `ADD COLUMN control_type ENUM(${CONTROL_TYPES.map(type => `'${type}'`).join(', ')}) NULL`
+  },
+  {
+    table,
+    column: 'free_text_hazard',
+    add: 'ADD COLUMN free_text_hazard BOOLEAN NOT NULL DEFAULT false'
+  },
+  {
+    table,
+    column: 'free_text_control',
+    add: 'ADD COLUMN free_text_control BOOLEAN NOT NULL DEFAULT false'
+  }
+]);
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    try {
+      console.log('Starting risk catalogue migration...');
+
+      const sequelize = queryInterface.context?.sequelize || queryInterface.sequelize;
+      if (!sequelize) {
+        throw new Error('Sequelize instance not found in queryInterface or context');
+      }
+
+      // Step 1: Create the catalogue tables
+      const schema = sequelize.getQueryInterface();
+      for (const { table, attributes, indexes } of TABLES) {
+        if (await schema.tableExists(table)) {
+          console.log(`Step 1: ${table} already in place, skipping`);
+          continue;
+        }
+
+        console.log(`Step 1: Creating ${table}...`);
+        await schema.createTable(table, attributes);
+        for (const index of indexes) {
+          await schema.addIndex(table, index);
+        }
+      }
+
+      // Step 2: Link the risk tables to the catalogue
+      for (const { table, column, add } of COLUMNS) {
+        const [existing] = await sequelize.query(`
+          SELECT COLUMN_NAME
+          FROM INFORMATION_SCHEMA.COLUMNS
+          WHERE TABLE_SCHEMA = DATABASE()
+            AND TABLE_NAME = '${table}'
+            AND COLUMN_NAME = '${column}'
+        `);
+        if (existing.length > 0) {
+          console.log(`Step 2: ${table}.${column} already in place, skipping`);
+          continue;
+        }
+
+        console.log(`Step 2: Adding ${column} to ${table}...`);
+        await sequelize.query(`ALTER TABLE ${table} ${add}`);
+      }
+
+      console.log('Successfully added risk catalogue columns');
+    } catch (error) {
+      console.error('Failed to add risk catalogue columns:', error);
+      throw error;
+    }
+  },
+
+  async down(queryInterface, Sequelize) {
+    try {
+      console.log('Starting rollback of risk catalogue migration...');
+
+      const sequelize = queryInterface.context?.sequelize || queryInterface.sequelize;
+      if (!sequelize) {
+        throw new Error('Sequelize instance not found in queryInterface or context');
+      }
+
+      for (const [index, { table, column, drop }] of [...COLUMNS].reverse().entries()) {
+        console.log(`Step ${index + 1}: Removing ${column} from ${table}...`);
+        await sequelize.query(`ALTER TABLE ${table} ${drop || `DROP COLUMN ${column}`}`);
+      }
+
+      for (const { table } of [...TABLES].reverse()) {
+        console.log(`Dropping ${table}...`);
+        await sequelize.getQueryInterface().dropTable(table);
+      }
+
+      console.log('Successfully rolled back risk catalogue columns');
+    } catch (error) {
+      console.error('Failed to roll back risk catalogue migration:', error);
+      throw error;
+    }
+  }
+};
@@ -0,0 +1,76 @@
+'use strict';
+
+/**
+ * Migration: Supervisor signature threshold on company risk matrices
+ *
+ * Risks whose residual (mitigated) score is above the threshold require a
+ * supervisor signature. NULL keeps the default (top of the second band).
+ *
+ * Changes:
+ * - Adds signature_threshold to company_risk_matrices
+ */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    try {
+      console.log('Starting signature threshold migration...');
+
+      const sequelize = queryInterface.context?.sequelize || queryInterface.sequelize;
+      if (!sequelize) {
+        throw new Error('Sequelize instance not found in queryInterface or context');
+      }
+
+      // Tables created by model sync after this change already have the column
+      const [columns] = await sequelize.query(`
+        SELECT COLUMN_NAME
+        FROM INFORMATION_SCHEMA.COLUMNS
+        WHERE TABLE_SCHEMA = DATABASE()
+          AND TABLE_NAME = 'company_risk_matrices'
+          AND COLUMN_NAME = 'signature_threshold'
+      `);
+      const [tables] = await sequelize.query(`
+        SELECT TABLE_NAME
+        FROM INFORMATION_SCHEMA.TABLES
+        WHERE TABLE_SCHEMA = DATABASE()
+          AND TABLE_NAME = 'company_risk_matrices'
+      `);
+
+      if (tables.length === 0 || columns.length > 0) {
+        console.log('company_risk_matrices.signature_threshold already in place, skipping');
+        return;
+      }
+
+      console.log('Step 1: Adding signature_threshold to company_risk_matrices...');
+      await sequelize.query(`
+        ALTER TABLE company_risk_matrices
+        ADD COLUMN signature_threshold INT NULL
+      `);
+
+      console.log('Successfully added signature threshold');
+    } catch (error) {
+      console.error('Failed to add signature threshold:', error);
+      throw error;
+    }
+  },
+
+  async down(queryInterface, Sequelize) {
+    try {
+      console.log('Starting rollback of signature threshold migration...');
+
+      const sequelize = queryInterface.context?.sequelize || queryInterface.sequelize;
+      if (!sequelize) {
+        throw new Error('Sequelize instance not found in queryInterface or context');
+      }
+
+      console.log('Step 1: Removing signature_threshold from company_risk_matrices...');
+      await sequelize.query(`
+        ALTER TABLE company_risk_matrices
+        DROP COLUMN signature_threshold
+      `);
+
+      console.log('Successfully rolled back signature threshold');
+    } catch (error) {
+      console.error('Failed to rollback signature threshold migration:', error);
+      throw error;
+    }
+  }
+};
@@ -0,0 +1,132 @@
+'use strict';
+
+/**
+ * Migration: Server-side risk scores
+ *
+ * Changes:
+ * - Adds as_is_score, as_is_level, mitigated_score and mitigated_level to
+ *   task_risks and risk_assessment_risks
+ * - Adds max_residual_score and max_residual_level to task_hazards and
+ *   risk_assessments, indexed for filtering and sorting
+ *
+ * Columns and indexes already in place (e.g. tables created by model sync) are skipped.
+ * This migration owns the (company_id, max_residual_score) indexes; the models don't declare them.
+ *
+ * Existing rows can be scored with migrations/scripts/backfill-risk-scores.js
+ */
+const RISK_TABLES = ['task_risks', 'risk_assessment_risks'];
+const PARENT_TABLES = ['task_hazards', 'risk_assessments'];
+
+const COLUMNS = [
+  ...RISK_TABLES.flatMap(table => [
+    { table, column: 'as_is_score', add: 'ADD COLUMN as_is_score INT NULL' },
+    { table, column: 'as_is_level', add: 'ADD COLUMN as_is_level VARCHAR(255) NULL' },
+    { table, column: 'mitigated_score', add: 'ADD COLUMN mitigated_score INT NULL' },
+    { table, column: 'mitigated_level', add: 'ADD COLUMN mitigated_level VARCHAR(255) NULL' }
+  ]),
+  ...PARENT_TABLES.flatMap(table => [
+    { table, column: 'max_residual_score', add: 'ADD COLUMN max_residual_score INT NULL' },
+    { table, column: 'max_residual_level', add: 'ADD COLUMN max_residual_level VARCHAR(255) NULL' }
+  ])
+];
+
+const INDEXES = PARENT_TABLES.map(table => ({
+  table,
+  name: `${table}_company_id_max_residual_score`,
+  add: `ADD INDEX ${table}_company_id_max_residual_score (company_id, max_residual_score)`
+}));
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    try {
+      console.log('Starting risk score migration...');
+
+      const sequelize = queryInterface.context?.sequelize || queryInterface.sequelize;
+      if (!sequelize) {
+        throw new Error('Sequelize instance not found in queryInterface or context');
+      }
+
+      // Step 1: Add score and residual risk columns
+      console.log('Step 1: Adding risk score columns...');
+      for (const { table, column, add } of COLUMNS) {
+        const [existing] = await sequelize.query(`
+          SELECT COLUMN_NAME
+          FROM INFORMATION_SCHEMA.COLUMNS
+          WHERE TABLE_SCHEMA = DATABASE()
+            AND TABLE_NAME = '${table}'
+            AND COLUMN_NAME = '${column}'
+        `);
+        if (existing.length > 0) {
+          console.log(`${table}.${column} already in place, skipping`);
+          continue;
+        }
+
+        console.log(`Adding ${column} to ${table}...`);
+        await sequelize.query(`ALTER TABLE ${table} ${add}`);
+      }
+
+      // Step 2: Index residual risk for filtering and sorting
+      console.log('Step 2: Adding residual risk indexes...');
+      for (const { table, name, add } of INDEXES) {
+        const [existing] = await sequelize.query(`
+          SELECT INDEX_NAME
+          FROM INFORMATION_SCHEMA.STATISTICS
+          WHERE TABLE_SCHEMA = DATABASE()
+            AND TABLE_NAME = '${table}'
+            AND INDEX_NAME = '${name}'
+        `);
+        if (existing.length > 0) {
+          console.log(`${table}.${name} already in place, skipping`);
+          continue;
+        }
+
+        console.log(`Adding ${name} to ${table}...`);
+        await sequelize.query(`ALTER TABLE ${table} ${add}`);
+      }
+
+      console.log('Successfully added risk score columns');
+    } catch (error) {
+      console.error('Failed to add risk score columns:', error);
+      throw error;
+    }
+  },
+
+  async down(queryInterface, Sequelize) {
+    try {
+      console.log('Starting rollback of risk score migration...');
+
+      const sequelize = queryInterface.context?.sequelize || queryInterface.sequelize;
+      if (!sequelize) {
+        throw new Error('Sequelize instance not found in queryInterface or context');
+      }
+
+      // Step 1: Remove residual risk summary columns
+      console.log('Step 1: Removing residual risk columns...');
+      for (const table of PARENT_TABLES) {
+        await sequelize.query(`
+          ALTER TABLE ${table}
+          DROP INDEX ${table}_company_id_max_residual_score,
+          DROP COLUMN max_residual_score,
+          DROP COLUMN max_residual_level
+        `);
+      }
+
+      // Step 2: Remove score columns
+      console.log('Step 2: Removing score columns...');
+      for (const table of RISK_TABLES) {
+        await sequelize.query(`
+          ALTER TABLE ${table}
+          DROP COLUMN as_is_score,
+          DROP COLUMN as_is_level,
+          DROP COLUMN mitigated_score,
+          DROP COLUMN mitigated_level
+        `);
+      }
+
+      console.log('Successfully rolled back risk score columns');
+    } catch (error) {
+      console.error('Failed to rollback risk score migration:', error);
+      throw error;
+    }
+  }
+};
@@ -0,0 +1,166 @@
+'use strict';
+
+const { DataTypes } = require('sequelize');
+
+/**
+ * Migration: Task hazard templates
+ *
+ * Changes:
+ * - Creates the task_hazard_templates and task_hazard_template_versions tables
+ * - Adds template_version_id to task_hazards (the template version a task hazard was created from)
+ *
+ * Tables and columns already created by model sync are skipped, so this migration can run
+ * before or after sync.
+ */
+const TABLES = [
+  {
+    table: 'task_hazard_templates',
+    attributes: {
+      id: { type: DataTypes.INTEGER, primaryKey: true, allowNull: false, autoIncrement: true },
+      company_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: { model: 'company', key: 'id' },
+        onUpdate: 'CASCADE'
+      },
+      name: { type: DataTypes.STRING, allowNull: false },
+      description: { type: DataTypes.TEXT, allowNull: true },
+      object_type: { type: DataTypes.STRING, allowNull: true },
+      asset_hierarchy_id: {
+        type: DataTypes.CHAR(36),
+        allowNull: true,
+        references: { model: 'asset_hierarchy', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      current_version: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 1 },
+      is_active: { type: DataTypes.BOOLEAN, allowNull: false, defaultValue: true },
+      created_by: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: { model: 'users', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      created_at: { type: DataTypes.DATE, allowNull: false },
+      updated_at: { type: DataTypes.DATE, allowNull: false },
+      deleted_at: { type: DataTypes.DATE, allowNull: true }
+    },
+    indexes: [
+      { fields: ['company_id', 'object_type'] },
+      { fields: ['company_id', 'asset_hierarchy_id'] }
+    ]
+  },
+  {
+    table: 'task_hazard_template_versions',
+    attributes: {
+      id: { type: DataTypes.INTEGER, primaryKey: true, allowNull: false, autoIncrement: true },
+      template_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: { model: 'task_hazard_templates', key: 'id' },
+        onUpdate: 'CASCADE'
+      },
+      version: { type: DataTypes.INTEGER, allowNull: false },
+      scope_of_work: { type: DataTypes.TEXT, allowNull: false },
+      system_lockout_required: { type: DataTypes.BOOLEAN, allowNull: false, defaultValue: false },
+      trained_workforce: { type: DataTypes.BOOLEAN, allowNull: false, defaultValue: false },
+      risks: { type: DataTypes.JSON, allowNull: false },
+      change_note: { type: DataTypes.STRING, allowNull: true },
+      created_by: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: { model: 'users', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      created_at: { type: DataTypes.DATE, allowNull: false }
+    },
+    indexes: [
+      { fields: ['template_id', 'version'], unique: true, name: 'task_hazard_template_versions_version_unique' }
+    ]
+  }
+];
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    try {
+      console.log('Starting task hazard templates migration...');
+
+      const sequelize = queryInterface.context?.sequelize || queryInterface.sequelize;
+      if (!sequelize) {
+        throw new Error('Sequelize instance not found in queryInterface or context');
+      }
+      const schema = sequelize.getQueryInterface();
+
+      // Step 1: Create the template tables
+      for (const { table, attributes, indexes } of TABLES) {
+        if (await schema.tableExists(table)) {
+          console.log(`Step 1: ${table} already in place, skipping`);
+          continue;
+        }
+
+        console.log(`Step 1: Creating ${table}...`);
+        await schema.createTable(table, attributes);
+        for (const index of indexes) {
+          await schema.addIndex(table, index);
+        }
+      }
+
+      // Step 2: Link task hazards to the template version they were created from
+      // Tables created by model sync after this change already have the column
+      const [columns] = await sequelize.query(`
+        SELECT COLUMN_NAME
+        FROM INFORMATION_SCHEMA.COLUMNS
+        WHERE TABLE_SCHEMA = DATABASE()
+          AND TABLE_NAME = 'task_hazards'
+          AND COLUMN_NAME = 'template_version_id'
+      `);
+
+      if (columns.length > 0) {
+        console.log('Step 2: task_hazards.template_version_id already in place, skipping');
+      } else {
+        console.log('Step 2: Adding template_version_id to task_hazards...');
+        await sequelize.query(`
+          ALTER TABLE task_hazards
+          ADD COLUMN template_version_id INT NULL,
+          ADD CONSTRAINT task_hazards_template_version_id_fk
+            FOREIGN KEY (template_version_id) REFERENCES task_hazard_template_versions (id)
+        `);
+      }
+
+      console.log('Successfully added task hazard templates');
+    } catch (error) {
+      console.error('Failed to add task hazard templates:', error);
+      throw error;
+    }
+  },
+
+  async down(queryInterface, Sequelize) {
+    try {
+      console.log('Starting rollback of task hazard templates migration...');
+
+      const sequelize = queryInterface.context?.sequelize || queryInterface.sequelize;
+      if (!sequelize) {
+        throw new Error('Sequelize instance not found in queryInterface or context');
+      }
+
+      console.log('Step 1: Removing template_version_id from task_hazards...');
+      await sequelize.query(`
+        ALTER TABLE task_hazards
+        DROP FOREIGN KEY task_hazards_template_version_id_fk,
+        DROP COLUMN template_version_id
+      `);
+
+      console.log('Step 2: Dropping the template tables...');
+      for (const { table } of [...TABLES].reverse()) {
+        await sequelize.getQueryInterface().dropTable(table);
+      }
+
+      console.log('Successfully rolled back task hazard templates');
+    } catch (error) {
+      console.error('Failed to rollback task hazard templates migration:', error);
+      throw error;
+    }
+  }
+};
@@ -0,0 +1,69 @@
+'use strict';
+
+/**
+ * Migration: Upload job queue
+ *
+ * Changes:
+ * - Adds 'cancelled' to the file_uploads status enum
+ *
+ * The upload_jobs table itself is created by model sync. A status column that already
+ * has the cancelled status (e.g. created by model sync) is left unchanged.
+ */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    try {
+      console.log('Starting upload job queue migration...');
+
+      const sequelize = queryInterface.context?.sequelize || queryInterface.sequelize;
+      if (!sequelize) {
+        throw new Error('Sequelize instance not found in queryInterface or context');
+      }
+
+      const [columns] = await sequelize.query(`
+        SELECT COLUMN_TYPE
+        FROM INFORMATION_SCHEMA.COLUMNS
+        WHERE TABLE_SCHEMA = DATABASE()
+          AND TABLE_NAME = 'file_uploads'
+          AND COLUMN_NAME = 'status'
+      `);
+      if (columns.length > 0 && columns[0].COLUMN_TYPE.includes("'cancelled'")) {
+        console.log('file_uploads.status already has the cancelled status, skipping');
+        return;
+      }
+
+      await sequelize.query(`
+        ALTER TABLE file_uploads
+        MODIFY COLUMN status ENUM('uploading', 'processing', 'completed', 'error', 'cancelled') DEFAULT 'uploading'
+      `);
+
+      console.log('Successfully added cancelled upload status');
+    } catch (error) {
+      console.error('Failed to add cancelled upload status:', error);
+      throw error;
+    }
+  },
+
+  async down(queryInterface, Sequelize) {
+    try {
+      console.log('Starting rollback of upload job queue migration...');
+
+      const sequelize = queryInterface.context?.sequelize || queryInterface.sequelize;
+      if (!sequelize) {
+        throw new Error('Sequelize instance not found in queryInterface or context');
+      }
+
+      await sequelize.query(`
+        UPDATE file_uploads SET status = 'error' WHERE status = 'cancelled'
+      `);
+      await sequelize.query(`
+        ALTER TABLE file_uploads
+        MODIFY COLUMN status ENUM('uploading', 'processing', 'completed', 'error') DEFAULT 'uploading'
+      `);
+
+      console.log('Successfully rolled back cancelled upload status');
+    } catch (error) {
+      console.error('Failed to rollback upload job queue migration:', error);
+      throw error;
+    }
+  }
+};
@@ -0,0 +1,109 @@
+/**
+ * Migration script to compute risk scores for existing risks
+ * 
+ * Scores every task hazard and risk assessment risk against the company risk
+ * matrix it was scored with (or the company's active matrix for its type when
+ * none was recorded), then stores the highest residual risk on the parent.
+ * 
+ * Requires migrations/20261019_risk_scores.js to have been run.
+ * 
+ * Run with: node migrations/scripts/backfill-risk-scores.js
+ */
+
+const db = require('../../App/models');
+const {
+  resolveMatType,
+  getActiveMatrix,
+  scoreRisk,
+  summarizeResidualRisk
+} = require('../../App/helper/riskMatrixHelper');
+
+const BATCH_SIZE = 500;
+
+const TARGETS = [
+  { parentModel: 'task_hazards', riskModel: 'task_risks', foreignKey: 'taskHazardId' },
+  { parentModel: 'risk_assessments', riskModel: 'risk_assessment_risks', foreignKey: 'riskAssessmentId' }
+];
+
+async function backfill({ parentModel, riskModel, foreignKey }, matrixCache) {
+  const Parent = db[parentModel];
+  const Risk = db[riskModel];
+
+  // Resolve a matrix by id (versioned) or by company/type (active)
+  const resolveMatrix = async (companyId, risk) => {
+    const key = risk.riskMatrixId ? `id:${risk.riskMatrixId}` : `${companyId}:${resolveMatType(risk.riskType)}`;
+    if (!matrixCache.has(key)) {
+      const matrix = risk.riskMatrixId
+        ? await db.company_risk_matrices.findByPk(risk.riskMatrixId, { paranoid: false })
+        : await getActiveMatrix(companyId, resolveMatType(risk.riskType));
+      matrixCache.set(key, matrix);
+    }
+    return matrixCache.get(key);
+  };
+
+  let lastId = 0;
+  let processed = 0;
+
+  while (true) {
+    const parents = await Parent.unscoped().findAll({
+      where: { id: { [db.Sequelize.Op.gt]: lastId } },
+      attributes: ['id', 'companyId'],
+      order: [['id', 'ASC']],
+      limit: BATCH_SIZE,
+      raw: true
+    });
+    if (parents.length === 0) break;
+
+    for (const parent of parents) {
+      // raw: true bypasses the label getters so likelihood/consequence stay numeric
+      const risks = await Risk.findAll({ where: { [foreignKey]: parent.id }, raw: true });
+      const scoredRisks = [];
+
+      await db.sequelize.transaction(async (transaction) => {
+        for (const risk of risks) {
+          const matrix = await resolveMatrix(parent.companyId, risk);
+          const scores = scoreRisk(risk, matrix);
+          scoredRisks.push(scores);
+
+          await Risk.update(
+            { ...scores, riskMatrixId: risk.riskMatrixId || matrix?.id || null },
+            { where: { id: risk.id }, transaction }
+          );
+        }
+
+        await Parent.unscoped().update(
+          summarizeResidualRisk(scoredRisks),
+          { where: { id: parent.id }, transaction }
+        );
+      });
+    }
+
+    processed += parents.length;
+    lastId = parents[parents.length - 1].id;
+    console.log(`   ${parentModel}: ${processed} processed`);
+  }
+
+  return processed;
+}
+
+async function migrate() {
+  try {
+    console.log('Backfilling risk scores...\n');
+
+    const matrixCache = new Map();
+    for (const target of TARGETS) {
+      console.log(`Scoring ${target.parentModel}...`);
+      const count = await backfill(target, matrixCache);
+      console.log(`✅ ${target.parentModel}: ${count} records scored\n`);
+    }
+
+    console.log('✅ Risk score backfill completed successfully!');
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Migration failed:', error.message);
+    console.error(error);
+    process.exit(1);
+  }
+}
+
+migrate();
@@ -0,0 +1,203 @@
+/**
+ * Migration script to link existing risks to the hazard and control catalogue
+ *
+ * Matches the free-text riskType and mitigatingAction of every task hazard and risk
+ * assessment risk against the names and aliases of its company's catalogue entries,
+ * then stores the hazard category, control and control type on the risk. Values that
+ * match nothing are flagged as free text. The risk text itself is left unchanged.
+ *
+ * An optional mapping file adds historical free-text values as aliases of catalogue
+ * entries before matching. Keys are company IDs, or '*' for every company:
+ *
+ *   {
+ *     "12": {
+ *       "hazards": { "Working at heights": "Work at Height" },
+ *       "controls": { "wear harness": "Fall arrest harness" }
+ *     }
+ *   }
+ *
+ * --dry-run reports what would change without saving anything; in a dry run the mapping
+ * file is checked but its aliases are not used for matching.
+ *
+ * Requires migrations/20261019_risk_catalogue.js to have been run. Safe to run again
+ * after the catalogue changes.
+ *
+ * Run with: node migrations/scripts/map-risk-catalogue.js [--mapping=mapping.json] [--dry-run]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const db = require('../../App/models');
+const {
+  normalizeCatalogueText,
+  resolveControlType,
+  assertUniqueCatalogueText,
+  loadRiskCatalogue
+} = require('../../App/helper/riskCatalogueHelper');
+
+const BATCH_SIZE = 500;
+
+const TARGETS = [
+  { parentModel: 'task_hazards', riskModel: 'task_risks', foreignKey: 'taskHazardId' },
+  { parentModel: 'risk_assessments', riskModel: 'risk_assessment_risks', foreignKey: 'riskAssessmentId' }
+];
+
+const LINK_FIELDS = ['hazardCategoryId', 'hazardControlId', 'controlType', 'freeTextHazard', 'freeTextControl'];
+
+const args = process.argv.slice(2);
+const dryRun = args.includes('--dry-run');
+const mappingArg = args.find(arg => arg.startsWith('--mapping='));
+
+/**
+ * Add the free-text values of a mapping file as aliases of the named catalogue entries
+ */
+async function applyMappingFile(mappingPath) {
+  const mapping = JSON.parse(fs.readFileSync(path.resolve(mappingPath), 'utf8'));
+
+  let companyIds = Object.keys(mapping).filter(key => key !== '*').map(Number);
+  if (mapping['*']) {
+    const companies = await db.company.findAll({ attributes: ['id'], raw: true });
+    companyIds = companies.map(company => company.id);
+  }
+
+  let added = 0;
+  for (const companyId of companyIds) {
+    for (const [kind, Model] of [['hazards', db.hazard_categories], ['controls', db.hazard_controls]]) {
+      const values = { ...(mapping['*']?.[kind] || {}), ...(mapping[companyId]?.[kind] || {}) };
+      const entries = await Model.findAll({ where: { companyId, isActive: true } });
+
+      for (const [freeText, entryName] of Object.entries(values)) {
+        const entry = entries.find(candidate => normalizeCatalogueText(candidate.name) === normalizeCatalogueText(entryName));
+        if (!entry) {
+          console.error(`❌ Company ${companyId}: ${kind} entry '${entryName}' not found, skipping '${freeText}'`);
+          continue;
+        }
+
+        const known = [entry.name, ...(entry.aliases || [])].map(normalizeCatalogueText);
+        if (known.includes(normalizeCatalogueText(freeText))) continue;
+
+        try {
+          await assertUniqueCatalogueText(Model, companyId, freeText, [], entry.id);
+        } catch (error) {
+          console.error(`❌ Company ${companyId}: ${error.details.join(', ')}, skipping`);
+          continue;
+        }
+
+        if (!dryRun) {
+          await entry.update({ aliases: [...(entry.aliases || []), freeText] });
+        }
+        added++;
+      }
+    }
+  }
+
+  return added;
+}
+
+/**
+ * Work out the catalogue links of a stored risk without changing its text
+ */
+function linkRisk(risk, catalogue) {
+  const category = catalogue.hazards.byText.get(normalizeCatalogueText(risk.riskType)) || null;
+  const control = catalogue.controls.byText.get(normalizeCatalogueText(risk.mitigatingAction)) || null;
+  const hazardCategoryId = category?.id
+    || (control?.hazardCategoryId && catalogue.hazards.byId.has(control.hazardCategoryId) ? control.hazardCategoryId : null);
+
+  return {
+    hazardCategoryId,
+    hazardControlId: control ? control.id : null,
+    controlType: control ? control.controlType : resolveControlType(risk.mitigatingActionType),
+    freeTextHazard: !hazardCategoryId && normalizeCatalogueText(risk.riskType) !== '',
+    freeTextControl: !control && normalizeCatalogueText(risk.mitigatingAction) !== ''
+  };
+}
+
+async function mapRisks({ parentModel, riskModel, foreignKey }, catalogueCache) {
+  const Parent = db[parentModel];
+  const Risk = db[riskModel];
+  const stats = { risks: 0, updated: 0, freeTextHazards: 0, freeTextControls: 0 };
+
+  const getCatalogue = async (companyId) => {
+    if (!catalogueCache.has(companyId)) {
+      catalogueCache.set(companyId, await loadRiskCatalogue(companyId));
+    }
+    return catalogueCache.get(companyId);
+  };
+
+  let lastId = 0;
+  let processed = 0;
+
+  while (true) {
+    const parents = await Parent.unscoped().findAll({
+      where: { id: { [db.Sequelize.Op.gt]: lastId } },
+      attributes: ['id', 'companyId'],
+      order: [['id', 'ASC']],
+      limit: BATCH_SIZE,
+      raw: true
+    });
+    if (parents.length === 0) break;
+
+    const companyByParent = new Map(parents.map(parent => [parent.id, parent.companyId]));
+    const risks = await Risk.findAll({
+      where: { [foreignKey]: parents.map(parent => parent.id) },
+      attributes: ['id', foreignKey, 'riskType', 'mitigatingAction', 'mitigatingActionType', ...LINK_FIELDS],
+      raw: true
+    });
+
+    await db.sequelize.transaction(async (transaction) => {
+      for (const risk of risks) {
+        const links = linkRisk(risk, await getCatalogue(companyByParent.get(risk[foreignKey])));
+        stats.risks++;
+        if (links.freeTextHazard) stats.freeTextHazards++;
+        if (links.freeTextControl) stats.freeTextControls++;
+
+        // raw: true returns MySQL booleans as 0/1
+        const changed = LINK_FIELDS.some(field =>
+          typeof links[field] === 'boolean' ? links[field] !== Boolean(risk[field]) : links[field] !== risk[field]);
+        if (!changed) continue;
+
+        if (!dryRun) {
+          await Risk.update(links, { where: { id: risk.id }, transaction });
+        }
+        stats.updated++;
+      }
+    });
+
+    processed += parents.length;
+    lastId = parents[parents.length - 1].id;
+    console.log(`   ${parentModel}: ${processed} processed`);
+  }
+
+  return stats;
+}
+
+async function migrate() {
+  try {
+    console.log(`Mapping risks onto the hazard and control catalogue${dryRun ? ' (dry run, nothing is saved)' : ''}...\n`);
+
+    if (mappingArg) {
+      const mappingPath = mappingArg.slice('--mapping='.length);
+      console.log(`Applying mapping file ${mappingPath}...`);
+      const added = await applyMappingFile(mappingPath);
+      console.log(`✅ ${added} aliases added\n`);
+    }
+
+    const catalogueCache = new Map();
+    for (const target of TARGETS) {
+      console.log(`Mapping ${target.riskModel}...`);
+      const stats = await mapRisks(target, catalogueCache);
+      console.log(`✅ ${target.riskModel}: ${stats.updated} of ${stats.risks} risks updated`);
+      console.log(`   ${stats.freeTextHazards} free-text hazards, ${stats.freeTextControls} free-text controls\n`);
+    }
+
+    console.log('✅ Risk catalogue mapping completed successfully!');
+    console.log('Review the remaining free-text values with GET /api/risk-catalogue/unmatched');
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Migration failed:', error.message);
+    console.error(error);
+    process.exit(1);
+  }
+}
+
+migrate();
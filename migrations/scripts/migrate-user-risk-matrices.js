@@ -0,0 +1,123 @@
+/**
+ * Migration script to convert legacy per-user risk matrices into
+ * company-scoped, versioned risk matrices
+ * 
+ * For each company and matrix type, the most recently saved user matrix in
+ * that company becomes a new version of the company matrix. Companies that
+ * already have a non-default matrix for a type are skipped.
+ * 
+ * The legacy risk_matrices table is left untouched.
+ * 
+ * Run with: node migrations/scripts/migrate-user-risk-matrices.js
+ */
+
+const db = require('../../App/models');
+const {
+  buildDefaultBands,
+  validateMatrixDefinition,
+  normalizeMatrixDefinition
+} = require('../../App/helper/riskMatrixHelper');
+const { publishMatrixVersion } = require('../../App/controllers/risk_matrix.controller');
+
+async function migrate() {
+  try {
+    console.log('Converting legacy risk_matrices to company_risk_matrices...\n');
+
+    const [tables] = await db.sequelize.query(`
+      SELECT TABLE_NAME 
+      FROM INFORMATION_SCHEMA.TABLES 
+      WHERE TABLE_SCHEMA = DATABASE() 
+        AND TABLE_NAME = 'risk_matrices'
+    `);
+
+    if (tables.length === 0) {
+      console.log('✅ No legacy risk_matrices table found, skipping.');
+      process.exit(0);
+    }
+
+    await db.company_risk_matrices.sync();
+
+    // Latest saved matrix (by user) per company and type
+    const [rows] = await db.sequelize.query(`
+      SELECT rm.*, u.company_id
+      FROM risk_matrices rm
+      INNER JOIN users u ON u.id = rm.user_id
+      WHERE rm.deleted_at IS NULL
+        AND u.company_id IS NOT NULL
+      ORDER BY rm.updated_at DESC
+    `);
+
+    const groups = new Map();
+    for (const row of rows) {
+      const key = `${row.company_id}:${row.mat_type}`;
+      if (!groups.has(key)) {
+        groups.set(key, { companyId: row.company_id, matType: row.mat_type, userId: row.user_id, cells: [] });
+      }
+      const group = groups.get(key);
+      // Only keep the cells saved by the most recent user for this company/type
+      if (group.userId === row.user_id) {
+        group.cells.push(row);
+      }
+    }
+
+    let converted = 0;
+    let skipped = 0;
+
+    for (const group of groups.values()) {
+      const existing = await db.company_risk_matrices.count({
+        where: { companyId: group.companyId, matType: group.matType, createdBy: { [db.Sequelize.Op.ne]: null } },
+        paranoid: false
+      });
+      if (existing > 0) {
+        console.log(`- Company ${group.companyId} (${group.matType}): company matrix already configured, skipping`);
+        skipped++;
+        continue;
+      }
+
+      const rowNos = [...new Set(group.cells.map(c => c.row_no))].sort((a, b) => a - b);
+      const colNos = [...new Set(group.cells.map(c => c.col_no))].sort((a, b) => a - b);
+      const definition = {
+        likelihoods: rowNos.map(rowNo => {
+          const cell = group.cells.find(c => c.row_no === rowNo);
+          return { label: cell.row_name, description: cell.row_desc };
+        }),
+        consequences: colNos.map(colNo => {
+          const cell = group.cells.find(c => c.col_no === colNo);
+          return { label: cell.col_name, description: cell.col_desc };
+        }),
+        cells: rowNos.map(rowNo => colNos.map(colNo => {
+          const cell = group.cells.find(c => c.row_no === rowNo && c.col_no === colNo);
+          return cell ? { score: cell.mat_val, color: cell.mat_color } : null;
+        }))
+      };
+      const scores = definition.cells.flat().filter(Boolean).map(cell => parseInt(cell.score));
+      definition.bands = buildDefaultBands(Math.max(...scores));
+
+      const validation = validateMatrixDefinition(definition);
+      if (!validation.valid) {
+        console.log(`- Company ${group.companyId} (${group.matType}): invalid legacy matrix, skipping`);
+        validation.errors.forEach(error => console.log(`    ${error}`));
+        skipped++;
+        continue;
+      }
+
+      const matrix = await publishMatrixVersion(
+        group.companyId,
+        group.matType,
+        normalizeMatrixDefinition(definition),
+        group.userId
+      );
+      console.log(`- Company ${group.companyId} (${group.matType}): published version ${matrix.version}`);
+      converted++;
+    }
+
+    console.log(`\n✅ Converted ${converted} matrices, skipped ${skipped}.`);
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Migration failed:', error.message);
+    console.error(error);
+    process.exit(1);
+  }
+}
+
+migrate();
@@ -0,0 +1,44 @@
+/**
+ * Migration script to seal approvals processed before approval seals existed
+ * 
+ * Appends every approved or rejected approval without a seal to its company's
+ * seal chain, oldest decision first. Safe to re-run: sealed approvals are skipped.
+ * 
+ * Run with: node migrations/scripts/seal-processed-approvals.js
+ */
+
+const db = require('../../App/models');
+const { sealApproval, findUnsealedApprovalIds } = require('../../App/helper/approvalSealHelper');
+
+async function migrate() {
+  try {
+    console.log('Sealing processed approvals...\n');
+
+    const companies = await db.company.findAll({ attributes: ['id', 'name'], order: [['id', 'ASC']] });
+    let total = 0;
+
+    for (const company of companies) {
+      const approvalIds = await findUnsealedApprovalIds(company.id);
+      if (approvalIds.length === 0) continue;
+
+      for (const approvalId of approvalIds) {
+        await db.sequelize.transaction(async (transaction) => {
+          const approval = await db.supervisor_approvals.findByPk(approvalId, { transaction });
+          await sealApproval(approval, transaction);
+        });
+      }
+
+      total += approvalIds.length;
+      console.log(`✅ ${company.name} (${company.id}): ${approvalIds.length} approvals sealed`);
+    }
+
+    console.log(`\n✅ Sealed ${total} processed approvals successfully!`);
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Migration failed:', error.message);
+    console.error(error);
+    process.exit(1);
+  }
+}
+
+migrate();
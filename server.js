@@ -33,6 +33,8 @@ app.set("port", port);
  */
 const server = http.createServer(app);
 const db = require("./App/models");
+const { startApprovalSlaScheduler } = require("./App/jobs/approvalSlaScheduler");
+const { startUploadJobWorker } = require("./App/jobs/assetUploadQueue");
 
 // Sync database without dropping tables (in dependency order)
 db.syncInOrder().then(function () {
@@ -45,6 +47,12 @@ db.syncInOrder().then(function () {
     console.log(`HTTP Server running on port ${port}`);
   });
 
+  /**
+   * Start background jobs
+   */
+  startApprovalSlaScheduler();
+  startUploadJobWorker();
+
   /**
    * Setup HTTPS Server if SSL certificates are available
    */